@@ -74,6 +74,23 @@ import {
   validatePositiveInteger,
   validateNegativeInteger,
 } from './src/util/common.js';
+import {
+  createRng,
+  cloneRng,
+  resolveRng,
+  randInt
+} from './src/util/random.js';
+import {
+  bigintToBytes,
+  bytesToBigint,
+  toBase64Url,
+  fromBase64Url
+} from './src/util/bytes.js';
+import {
+  PROGRESS_EVENT,
+  runSteps,
+  runStepsAsync
+} from './src/util/steps.js';
 import Freezable from './src/util/Freezable.js';
 import Timer from './src/util/Timer.js';
 import ZMod from './src/util/ZMod.js';
@@ -85,14 +102,40 @@ import Sudoku, {
   cellRow,
   cellCol,
   cellRegion,
-  cellRegion2D
+  cellRegion2D,
+  SEARCH_BACKENDS,
+  SYMMETRIES
 } from './src/sudoku/Sudoku.js';
+import SudokuGeometry, { MAX_SIZE } from './src/sudoku/SudokuGeometry.js';
+import { defineVariant, getVariant } from './src/sudoku/variants.js';
+import DancingLinks from './src/sudoku/DancingLinks.js';
 import SudokuSieve, {
   cellMask,
   cellsFromMask,
   countBits,
   digitMask
 } from './src/sudoku/SudokuSieve.js';
+import LogicalSolver, {
+  TECHNIQUES,
+  DIFFICULTY_LEVELS
+} from './src/sudoku/LogicalSolver.js';
+import SudokuWorkerPool from './src/sudoku/SudokuWorkerPool.js';
+import {
+  FORMATS,
+  SudokuFormatError,
+  detectFormat,
+  readPuzzles,
+  readPuzzle,
+  writePuzzles,
+  writePuzzle
+} from './src/sudoku/formats.js';
+import SudokuCollection from './src/sudoku/SudokuCollection.js';
+import SudokuGame, {
+  DIGIT_EVENT,
+  PENCIL_MARKS_EVENT,
+  PENCIL_MARK_TYPES,
+  HISTORY_EVENT
+} from './src/sudoku/SudokuGame.js';
 import {
   sieveCombos4,
   createSolutionsFlagCache
@@ -177,6 +220,23 @@ export {
   validatePositiveInteger,
   validateNegativeInteger,
 
+  // random
+  createRng,
+  cloneRng,
+  resolveRng,
+  randInt,
+
+  // bytes
+  bigintToBytes,
+  bytesToBigint,
+  toBase64Url,
+  fromBase64Url,
+
+  // steps
+  PROGRESS_EVENT,
+  runSteps,
+  runStepsAsync,
+
   Freezable,
   Timer,
   ZMod,
@@ -189,6 +249,15 @@ export {
   cellCol,
   cellRegion,
   cellRegion2D,
+  SEARCH_BACKENDS,
+  SYMMETRIES,
+
+  SudokuGeometry,
+  MAX_SIZE,
+  defineVariant,
+  getVariant,
+
+  DancingLinks,
 
   SudokuSieve,
   cellMask,
@@ -196,6 +265,28 @@ export {
   countBits,
   digitMask,
 
+  LogicalSolver,
+  TECHNIQUES,
+  DIFFICULTY_LEVELS,
+
+  SudokuWorkerPool,
+
+  FORMATS,
+  SudokuFormatError,
+  detectFormat,
+  readPuzzles,
+  readPuzzle,
+  writePuzzles,
+  writePuzzle,
+
+  SudokuCollection,
+
+  SudokuGame,
+  DIGIT_EVENT,
+  PENCIL_MARKS_EVENT,
+  PENCIL_MARK_TYPES,
+  HISTORY_EVENT,
+
   // exp2
   sieveCombos4,
   createSolutionsFlagCache
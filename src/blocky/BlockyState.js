@@ -21,7 +21,9 @@ export default class BlockyState {
 			cols: 10,
 			entryCoord: new Coord(1, 4).freeze(),
 			height: 0,
-			linesPerLevel: 10
+			linesPerLevel: 10,
+			// Seed for the order of shapes, so that games can be replayed. `null` for a random order.
+			seed: null
 		});
 	}
 
@@ -114,7 +116,7 @@ export default class BlockyState {
 		 * @type {number[]}
 		 */
 		this._dist = [];
-		this._nextShapes = new ShapeQueue();
+		this._nextShapes = new ShapeQueue({ seed: this._options.seed });
 		this._piece = new Piece(
 			new Position(this._entryCoord, 0, this._nextShapes.peek().numRotations),
 			this._nextShapes.poll()
@@ -153,7 +155,7 @@ export default class BlockyState {
 		this._numPiecesDropped = 0;
 		this._linesUntilNextLevel = this.getLinesPerLevel();
 		this._dist = Array(SHAPES.length).fill(0);
-		this._nextShapes = new ShapeQueue();
+		this._nextShapes = new ShapeQueue({ seed: this._options.seed });
 		this._piece = new Piece(
 			new Position(this._entryCoord, 0, this._nextShapes.peek().numRotations),
 			this._nextShapes.poll()
@@ -1,4 +1,5 @@
 import { range, shuffle } from '../util/arrays.js';
+import { cloneRng, resolveRng } from '../util/random.js';
 import { SHAPES, Shape } from './Shape.js';
 
 export default class ShapeQueue {
@@ -7,21 +8,29 @@ export default class ShapeQueue {
 
   /**
    * Returns a new ShapeQueue with the same minimum size and shapes as the given ShapeQueue.
+   * A seeded queue's copy continues with the same shapes, without advancing the original.
    * @param {ShapeQueue} other The ShapeQueue to copy.
    * @returns {ShapeQueue} A copy of the given ShapeQueue.
    */
   static copy(other) {
-    const copy = new ShapeQueue(other._minSize);
+    const copy = new ShapeQueue({ minSize: other._minSize, rng: cloneRng(other._rng) });
     copy._shapes.push(...other._shapes);
     return copy;
   }
 
   /**
    * Creates a new ShapeQueue with the given minimum size.
-   * @param {number} minSize The minimum number of elements to keep in this ShapeQueue.
+   * @param {number | object} [options] The minimum size, or an object with the options below.
+   * @param {number} [options.minSize] The minimum number of elements to keep in this ShapeQueue.
+   * @param {number | string} [options.seed] Seed for the shape order, so that it can be reproduced.
+   * @param {() => number} [options.rng] The source of random numbers in [0,1). Takes precedence over `seed`.
    */
-  constructor(minSize = ShapeQueue.DEFAULT_SIZE) {
+  constructor(options = ShapeQueue.DEFAULT_SIZE) {
+    const { minSize = ShapeQueue.DEFAULT_SIZE, seed, rng } = (typeof options === 'object' && options !== null) ?
+      options :
+      { minSize: options };
     this._minSize = minSize;
+    this._rng = resolveRng({ seed, rng });
     this._shapes = [];
   }
 
@@ -85,12 +94,15 @@ export default class ShapeQueue {
   /** Ensures that this ShapeQueue has at least the given capacity.*/
   _ensureCapacity(capacity) {
     while (this.size < capacity) {
-      this._shapes.push(...randomizeShapeIndices());
+      this._shapes.push(...randomizeShapeIndices(this._rng));
     }
   }
 }
 
-/** @returns {number[]} An array of shape indices in random order.*/
-export const randomizeShapeIndices = () => {
-  return shuffle(range(SHAPES.length + 1, 1));
+/**
+ * @param {() => number} [rng=Math.random] The source of random numbers in [0,1).
+ * @returns {number[]} An array of shape indices in random order.
+ */
+export const randomizeShapeIndices = (rng = Math.random) => {
+  return shuffle(range(SHAPES.length + 1, 1), rng);
 };
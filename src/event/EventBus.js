@@ -68,6 +68,16 @@ export default class EventBus {
     return false;
   }
 
+  /**
+   * Unregisters all listeners for all events.
+   * @returns {boolean} True if any listeners were unregistered; otherwise false.
+   */
+  unregisterAll() {
+    const hadListeners = Object.keys(this._listeners).some((eventName) => this.hasListeners(eventName));
+    this._listeners = {};
+    return hadListeners;
+  }
+
   /**
    * Throws the given event to all registered listeners.
    * The given event will be frozen so that listeners or the thrower cannot further modify it.
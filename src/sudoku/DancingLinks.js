@@ -0,0 +1,221 @@
+/**
+ * @typedef {object} ExactCoverResult
+ * @property {number} solutionsFound The number of solutions passed to the callback.
+ * @property {number} iterations The number of search nodes visited.
+ * @property {number} branches The number of rows tried.
+ * @property {boolean} complete Whether the entire search space was checked.
+ * @property {boolean} timedOut Whether the search timed out before completing.
+ * @property {boolean} terminatedByCallback Whether the search was stopped by the callback.
+ */
+
+/** How many search nodes to visit between time checks.*/
+const TIME_CHECK_INTERVAL = 256;
+
+/**
+ * Solves exact cover problems with Knuth's Algorithm X, using Dancing Links.
+ *
+ * Columns are the constraints, and rows are the choices that satisfy some of them. A solution is
+ * a set of rows covering every primary column exactly once, and every secondary column at most once.
+ *
+ * Nodes are stored in parallel arrays of links rather than as objects. Node `0` is the root, and
+ * nodes `1` to `numColumns` are the column headers, in column order.
+ */
+export class DancingLinks {
+  /**
+   * @param {number} numPrimary The number of columns which must be covered exactly once.
+   * @param {number} [numSecondary=0] (default: `0`) The number of columns which may be covered at most once.
+   * Secondary columns come after the primary columns.
+   */
+  constructor(numPrimary, numSecondary = 0) {
+    if (!Number.isInteger(numPrimary) || numPrimary < 0 || !Number.isInteger(numSecondary) || numSecondary < 0) {
+      throw new Error(`Invalid number of columns: ${numPrimary} primary, ${numSecondary} secondary`);
+    }
+
+    /** The number of columns which must be covered exactly once.*/
+    this.numPrimary = numPrimary;
+    /** The total number of columns.*/
+    this.numColumns = numPrimary + numSecondary;
+    /** The number of rows added.*/
+    this.numRows = 0;
+
+    /** @type {number[]} */
+    this._left = [];
+    /** @type {number[]} */
+    this._right = [];
+    /** @type {number[]} */
+    this._up = [];
+    /** @type {number[]} */
+    this._down = [];
+    /**
+     * The column header of each node.
+     * @type {number[]}
+     */
+    this._col = [];
+    /**
+     * The row of each node, or `-1` for the root and headers.
+     * @type {number[]}
+     */
+    this._row = [];
+    /**
+     * The number of rows in each column, indexed by header node.
+     * @type {number[]}
+     */
+    this._size = [];
+
+    for (let node = 0; node <= this.numColumns; node++) {
+      // Only primary columns are linked into the root's list, so that only they must be covered.
+      const isLinked = (node <= numPrimary);
+      this._left.push(isLinked ? (node - 1 + numPrimary + 1) % (numPrimary + 1) : node);
+      this._right.push(isLinked ? (node + 1) % (numPrimary + 1) : node);
+      this._up.push(node);
+      this._down.push(node);
+      this._col.push(node);
+      this._row.push(-1);
+      this._size.push(0);
+    }
+  }
+
+  /**
+   * Adds a row covering the given columns.
+   * @param {number[]} columns The distinct column indices covered by the row.
+   * @returns {number} The index of the row.
+   * @throws {Error} If the row is empty or a column is out of range.
+   */
+  addRow(columns) {
+    if (
+      !Array.isArray(columns) || columns.length === 0 ||
+      columns.some((c) => !Number.isInteger(c) || c < 0 || c >= this.numColumns)
+    ) {
+      throw new Error(`Invalid row: ${columns}`);
+    }
+
+    const row = this.numRows++;
+    const first = this._left.length;
+    columns.forEach((c, i) => {
+      const node = first + i;
+      const header = c + 1;
+      this._left.push((i === 0) ? first + columns.length - 1 : node - 1);
+      this._right.push((i === columns.length - 1) ? first : node + 1);
+      this._up.push(this._up[header]);
+      this._down.push(header);
+      this._down[this._up[header]] = node;
+      this._up[header] = node;
+      this._col.push(header);
+      this._row.push(row);
+      this._size[header]++;
+    });
+    return row;
+  }
+
+  /**
+   * Searches for sets of rows which exactly cover the columns.
+   *
+   * The given callback is called with the rows of each solution found. If the callback
+   * returns `false`, the search will stop; otherwise it will continue searching for solutions.
+   * @param {object} [options]
+   * @param {number} [options.timeOutMs=0] (default: `0` (no limit)) The maximum time to spend searching.
+   * @param {(rows: number[]) => boolean} [options.solutionFoundCallback] Called with the rows of each solution,
+   * in the order they were chosen. If the callback returns truthy, the search will continue.
+   * @returns {ExactCoverResult}
+   */
+  search({ timeOutMs = 0, solutionFoundCallback = (rows) => true } = {}) {
+    timeOutMs = Number(timeOutMs) || 0;
+    const startTime = Date.now();
+
+    const result = {
+      solutionsFound: 0,
+      iterations: 0,
+      branches: 0,
+      complete: false,
+      timedOut: false,
+      terminatedByCallback: false
+    };
+
+    /** @type {number[]} */
+    const chosen = [];
+    const isStopped = () => (result.timedOut || result.terminatedByCallback);
+
+    const search = () => {
+      result.iterations++;
+      if (timeOutMs > 0 && (result.iterations % TIME_CHECK_INTERVAL) === 0 && (Date.now() - startTime) >= timeOutMs) {
+        result.timedOut = true;
+        return;
+      }
+
+      if (this._right[0] === 0) {
+        result.solutionsFound++;
+        if (!solutionFoundCallback(chosen.map((node) => this._row[node]))) {
+          result.terminatedByCallback = true;
+        }
+        return;
+      }
+
+      // Choose the column with the fewest rows left.
+      let header = this._right[0];
+      for (let c = this._right[header]; c !== 0; c = this._right[c]) {
+        if (this._size[c] < this._size[header]) {
+          header = c;
+        }
+      }
+      if (this._size[header] === 0) {
+        return;
+      }
+
+      this._cover(header);
+      for (let node = this._down[header]; node !== header && !isStopped(); node = this._down[node]) {
+        result.branches++;
+        chosen.push(node);
+        for (let j = this._right[node]; j !== node; j = this._right[j]) {
+          this._cover(this._col[j]);
+        }
+
+        search();
+
+        for (let j = this._left[node]; j !== node; j = this._left[j]) {
+          this._uncover(this._col[j]);
+        }
+        chosen.pop();
+      }
+      this._uncover(header);
+    };
+
+    search();
+
+    result.complete = !isStopped();
+    return result;
+  }
+
+  /**
+   * Removes the column from the header list, and its rows from the other columns.
+   * @param {number} header
+   */
+  _cover(header) {
+    this._right[this._left[header]] = this._right[header];
+    this._left[this._right[header]] = this._left[header];
+    for (let i = this._down[header]; i !== header; i = this._down[i]) {
+      for (let j = this._right[i]; j !== i; j = this._right[j]) {
+        this._down[this._up[j]] = this._down[j];
+        this._up[this._down[j]] = this._up[j];
+        this._size[this._col[j]]--;
+      }
+    }
+  }
+
+  /**
+   * Restores a covered column, in the reverse order of `_cover`.
+   * @param {number} header
+   */
+  _uncover(header) {
+    for (let i = this._up[header]; i !== header; i = this._up[i]) {
+      for (let j = this._left[i]; j !== i; j = this._left[j]) {
+        this._size[this._col[j]]++;
+        this._down[this._up[j]] = j;
+        this._up[this._down[j]] = j;
+      }
+    }
+    this._right[this._left[header]] = header;
+    this._left[this._right[header]] = header;
+  }
+}
+
+export default DancingLinks;
@@ -0,0 +1,982 @@
+import { range } from '../util/arrays.js';
+import SudokuGeometry from './SudokuGeometry.js';
+
+/**
+ * @typedef {object} House
+ * @property {string} type The kind of house, e.g. `'row'`, `'col'`, `'region'`, or the name of a variant (e.g. `'diagonal'`).
+ * @property {number} index The index of the house among houses of the same type.
+ * @property {number[]} cells The cell indices that make up the house.
+ */
+
+/**
+ * @typedef {object} HouseRef
+ * @property {string} type
+ * @property {number} index
+ */
+
+/**
+ * @typedef {object} SolveStep
+ * @property {string} technique The name of the technique that produced this step.
+ * @property {number[]} cells The cells that make up the pattern.
+ * @property {number[]} digits The digits that make up the pattern.
+ * @property {{cell: number, digit: number}[]} placements Digits placed by this step.
+ * @property {{cell: number, digits: number[]}[]} eliminations Candidates removed by this step.
+ * @property {HouseRef[]} houses The houses supporting the deduction.
+ */
+
+/**
+ * @typedef {object} LogicalSolveResult
+ * @property {boolean} solved Whether the techniques were enough to solve the puzzle.
+ * @property {SolveStep[]} steps The steps taken, in order.
+ * @property {number[]} board The board after all steps were applied (`0` for unsolved cells).
+ */
+
+/**
+ * Returns the candidate bit for the given digit.
+ * @param {number} digit
+ * @returns {number}
+ */
+const bit = (digit) => 1 << (digit - 1);
+
+/**
+ * Returns the number of 1 bits in the given candidate mask.
+ * @param {number} mask
+ * @returns {number}
+ */
+function bitCount(mask) {
+  let count = 0;
+  while (mask > 0) {
+    mask &= (mask - 1);
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Returns the digits represented by the given candidate mask.
+ * @param {number} mask
+ * @returns {number[]}
+ */
+function digitsOf(mask) {
+  const digits = [];
+  for (let digit = 1; mask > 0; digit++, mask >>= 1) {
+    if (mask & 1) {
+      digits.push(digit);
+    }
+  }
+  return digits;
+}
+
+/**
+ * Returns all combinations of `k` items from the given array.
+ * @template T
+ * @param {T[]} items
+ * @param {number} k
+ * @returns {T[][]}
+ */
+function combinations(items, k) {
+  const results = [];
+  const combo = [];
+  const pick = (start) => {
+    if (combo.length === k) {
+      results.push([...combo]);
+      return;
+    }
+    for (let i = start; i <= items.length - (k - combo.length); i++) {
+      combo.push(items[i]);
+      pick(i + 1);
+      combo.pop();
+    }
+  };
+  pick(0);
+  return results;
+}
+
+/**
+ * Cache of house and peer tables by geometry.
+ * @type {WeakMap<SudokuGeometry, {
+ *   houses: House[],
+ *   cellHouses: number[][],
+ *   peers: number[][],
+ *   sees: Uint8Array,
+ *   isComplete: boolean[]
+ * }>}
+ */
+const _layouts = new WeakMap();
+
+/**
+ * Builds (once per geometry) the houses and peer tables for a Sudoku board.
+ * @param {SudokuGeometry} geometry
+ */
+function layoutFor(geometry) {
+  if (_layouts.has(geometry)) {
+    return _layouts.get(geometry);
+  }
+
+  const { houses, cellHouses, peers, numSpaces, size } = geometry;
+  const sees = new Uint8Array(numSpaces * numSpaces);
+  peers.forEach((cellPeers, a) => cellPeers.forEach((b) => sees[a * numSpaces + b] = 1));
+
+  // Only houses with a cell for every digit must contain each digit. Smaller variant houses only forbid repeats.
+  const isComplete = houses.map(({ cells }) => cells.length === size);
+
+  const layout = { houses, cellHouses, peers, sees, isComplete };
+  _layouts.set(geometry, layout);
+  return layout;
+}
+
+/**
+ * Solves Sudoku puzzles using named, human-style techniques and records each deduction.
+ *
+ * Candidates use the same bit mask encoding as `Sudoku._board`, where bit `d - 1`
+ * represents the digit `d`.
+ */
+export class LogicalSolver {
+  /**
+   * @param {import('./Sudoku.js').Sudoku} sudoku The puzzle to solve. The current board values
+   * (not just the clues) are used as the starting point. The puzzle is not modified.
+   */
+  constructor(sudoku) {
+    const geometry = sudoku.geometry;
+    const { houses, cellHouses, peers, sees, isComplete } = layoutFor(geometry);
+    /** The number of digits, and the number of cells in each house.*/
+    this._size = geometry.size;
+    /** The number of cells on the board.*/
+    this._numSpaces = geometry.numSpaces;
+    /** @type {House[]} */
+    this._houses = houses;
+    /** @type {number[][]} */
+    this._cellHouses = cellHouses;
+    /** @type {number[][]} */
+    this._peers = peers;
+    /** @type {Uint8Array} */
+    this._sees = sees;
+    /**
+     * Whether each house must contain every digit.
+     * @type {boolean[]}
+     */
+    this._isComplete = isComplete;
+
+    /**
+     * Digits placed on the board, `0` for unsolved cells.
+     * @type {number[]}
+     */
+    this._values = sudoku.board;
+
+    /**
+     * Remaining candidates for each unsolved cell, `0` for solved cells.
+     * @type {number[]}
+     */
+    this._candidates = this._values.map((digit, ci) => (
+      (digit > 0) ? 0 : this._peers[ci].reduce((mask, pi) => (
+        (this._values[pi] > 0) ? (mask & ~bit(this._values[pi])) : mask
+      ), geometry.allCandidates)
+    ));
+  }
+
+  /**
+   * Returns a copy of the board values, `0` for unsolved cells.
+   * @returns {number[]}
+   */
+  get board() {
+    return [...this._values];
+  }
+
+  /**
+   * Returns the remaining candidate digits for the given cell.
+   * @param {number} cellIndex
+   * @returns {number[]}
+   */
+  getCandidates(cellIndex) {
+    return digitsOf(this._candidates[cellIndex]);
+  }
+
+  /**
+   * Returns whether every cell has been solved.
+   * @returns {boolean}
+   */
+  isSolved() {
+    return this._values.every((digit) => digit > 0);
+  }
+
+  /**
+   * Returns whether an unsolved cell has run out of candidates,
+   * meaning the puzzle has no solution from this state.
+   * @returns {boolean}
+   */
+  isBroken() {
+    return this._values.some((digit, ci) => digit === 0 && this._candidates[ci] === 0);
+  }
+
+  /**
+   * Returns whether the two given cells share a house.
+   * @param {number} a
+   * @param {number} b
+   * @returns {boolean}
+   */
+  sees(a, b) {
+    return this._sees[a * this._numSpaces + b] === 1;
+  }
+
+  /**
+   * Finds the next deduction without applying it.
+   * Techniques are tried from easiest to hardest.
+   * @returns {SolveStep | null} The step, or `null` if no technique applies.
+   */
+  findStep() {
+    if (this.isSolved() || this.isBroken()) {
+      return null;
+    }
+
+    for (const technique of TECHNIQUES) {
+      const step = technique.find(this);
+      if (step !== null) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Applies the placements and eliminations of the given step.
+   * @param {SolveStep} step
+   */
+  applyStep(step) {
+    step.placements.forEach(({ cell, digit }) => this._place(cell, digit));
+    step.eliminations.forEach(({ cell, digits }) => {
+      this._candidates[cell] &= ~digits.reduce((mask, digit) => (mask | bit(digit)), 0);
+    });
+  }
+
+  /**
+   * Finds and applies the next deduction.
+   * @returns {SolveStep | null} The applied step, or `null` if no technique applies.
+   */
+  step() {
+    const step = this.findStep();
+    if (step !== null) {
+      this.applyStep(step);
+    }
+    return step;
+  }
+
+  /**
+   * Applies deductions until the puzzle is solved or no technique applies.
+   * @returns {LogicalSolveResult}
+   */
+  solve() {
+    /** @type {SolveStep[]} */
+    const steps = [];
+    let step;
+    while ((step = this.step()) !== null) {
+      steps.push(step);
+    }
+
+    return {
+      solved: this.isSolved(),
+      steps,
+      board: this.board
+    };
+  }
+
+  /**
+   * Places a digit and removes it from the candidates of the cell's peers.
+   * @param {number} cellIndex
+   * @param {number} digit
+   */
+  _place(cellIndex, digit) {
+    this._values[cellIndex] = digit;
+    this._candidates[cellIndex] = 0;
+    this._peers[cellIndex].forEach((pi) => this._candidates[pi] &= ~bit(digit));
+  }
+
+  /**
+   * Returns the unsolved cells of each digit within a house, indexed by digit.
+   * @param {House} house
+   * @returns {number[][]}
+   */
+  _positions(house) {
+    const positions = range(this._size + 1).map(() => []);
+    house.cells.forEach((ci) => digitsOf(this._candidates[ci]).forEach((digit) => positions[digit].push(ci)));
+    return positions;
+  }
+
+  /**
+   * Returns whether the digit has already been placed within the house.
+   * @param {House} house
+   * @param {number} digit
+   * @returns {boolean}
+   */
+  _isPlaced(house, digit) {
+    return house.cells.some((ci) => this._values[ci] === digit);
+  }
+
+  /**
+   * Returns a reference to the house at the given index.
+   * @param {number} houseIndex
+   * @returns {HouseRef}
+   */
+  _houseRef(houseIndex) {
+    const { type, index } = this._houses[houseIndex];
+    return { type, index };
+  }
+}
+
+/**
+ * Builds a step, merging the given eliminations by cell.
+ * @param {string} technique
+ * @param {object} parts
+ * @param {number[]} parts.cells
+ * @param {number[]} parts.digits
+ * @param {{cell: number, digit: number}[]} [parts.placements]
+ * @param {[number, number][]} [parts.eliminations] Pairs of `[cell, candidateMask]`.
+ * @param {HouseRef[]} [parts.houses]
+ * @returns {SolveStep}
+ */
+function makeStep(technique, { cells, digits, placements = [], eliminations = [], houses = [] }) {
+  /** @type {Map<number, number>} */
+  const merged = new Map();
+  eliminations.forEach(([cell, mask]) => merged.set(cell, (merged.get(cell) ?? 0) | mask));
+
+  return {
+    technique,
+    cells: [...cells].sort((a, b) => a - b),
+    digits: [...digits].sort((a, b) => a - b),
+    placements,
+    eliminations: [...merged.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([cell, mask]) => ({ cell, digits: digitsOf(mask) })),
+    houses
+  };
+}
+
+/**
+ * @param {LogicalSolver} s
+ * @returns {SolveStep | null}
+ */
+function findNakedSingle(s) {
+  for (let ci = 0; ci < s._numSpaces; ci++) {
+    const mask = s._candidates[ci];
+    if (mask !== 0 && (mask & (mask - 1)) === 0) {
+      const digit = digitsOf(mask)[0];
+      return makeStep('naked-single', {
+        cells: [ci],
+        digits: [digit],
+        placements: [{ cell: ci, digit }],
+        houses: s._cellHouses[ci].map((hi) => s._houseRef(hi))
+      });
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {LogicalSolver} s
+ * @returns {SolveStep | null}
+ */
+function findHiddenSingle(s) {
+  for (let hi = 0; hi < s._houses.length; hi++) {
+    if (!s._isComplete[hi]) {
+      continue;
+    }
+    const positions = s._positions(s._houses[hi]);
+    for (let digit = 1; digit <= s._size; digit++) {
+      if (positions[digit].length === 1) {
+        const cell = positions[digit][0];
+        return makeStep('hidden-single', {
+          cells: [cell],
+          digits: [digit],
+          placements: [{ cell, digit }],
+          houses: [s._houseRef(hi)]
+        });
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds a digit confined to the intersection of two houses, and eliminates it
+ * from the rest of the second house.
+ * @param {LogicalSolver} s
+ * @param {boolean} fromRegion If `true`, looks for candidates in a region confined to a line (pointing);
+ * otherwise looks for candidates in a line confined to a region (box-line reduction).
+ * @returns {SolveStep | null}
+ */
+function findLockedCandidates(s, fromRegion) {
+  for (let hi = 0; hi < s._houses.length; hi++) {
+    const house = s._houses[hi];
+    if ((house.type === 'region') !== fromRegion || !s._isComplete[hi]) {
+      continue;
+    }
+
+    const positions = s._positions(house);
+    for (let digit = 1; digit <= s._size; digit++) {
+      const cells = positions[digit];
+      if (cells.length < 2) {
+        continue;
+      }
+
+      const others = s._cellHouses[cells[0]].filter((hj) => (
+        hj !== hi &&
+        (s._houses[hj].type === 'region') !== fromRegion &&
+        cells.every((ci) => s._cellHouses[ci].includes(hj))
+      ));
+
+      for (const hj of others) {
+        const eliminations = s._houses[hj].cells
+          .filter((ci) => !house.cells.includes(ci) && (s._candidates[ci] & bit(digit)))
+          .map((ci) => [ci, bit(digit)]);
+
+        if (eliminations.length > 0) {
+          return makeStep(fromRegion ? 'pointing-pair' : 'box-line-reduction', {
+            cells,
+            digits: [digit],
+            eliminations,
+            houses: [s._houseRef(hi), s._houseRef(hj)]
+          });
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds `size` cells in a house whose combined candidates are exactly `size` digits.
+ * @param {LogicalSolver} s
+ * @param {number} size
+ * @param {string} technique
+ * @returns {SolveStep | null}
+ */
+function findNakedSubset(s, size, technique) {
+  for (let hi = 0; hi < s._houses.length; hi++) {
+    const unsolved = s._houses[hi].cells.filter((ci) => s._candidates[ci] !== 0);
+    if (unsolved.length <= size) {
+      continue;
+    }
+
+    const pool = unsolved.filter((ci) => bitCount(s._candidates[ci]) <= size);
+    for (const cells of combinations(pool, size)) {
+      const mask = cells.reduce((m, ci) => (m | s._candidates[ci]), 0);
+      if (bitCount(mask) !== size) {
+        continue;
+      }
+
+      const eliminations = unsolved
+        .filter((ci) => !cells.includes(ci) && (s._candidates[ci] & mask))
+        .map((ci) => [ci, s._candidates[ci] & mask]);
+
+      if (eliminations.length > 0) {
+        return makeStep(technique, {
+          cells,
+          digits: digitsOf(mask),
+          eliminations,
+          houses: [s._houseRef(hi)]
+        });
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds `size` digits in a house that are confined to exactly `size` cells.
+ * @param {LogicalSolver} s
+ * @param {number} size
+ * @param {string} technique
+ * @returns {SolveStep | null}
+ */
+function findHiddenSubset(s, size, technique) {
+  for (let hi = 0; hi < s._houses.length; hi++) {
+    const house = s._houses[hi];
+    const unsolved = house.cells.filter((ci) => s._candidates[ci] !== 0);
+    if (!s._isComplete[hi] || unsolved.length <= size) {
+      continue;
+    }
+
+    const positions = s._positions(house);
+    const pool = range(s._size + 1, 1).filter((d) => positions[d].length >= 2 && positions[d].length <= size);
+    for (const digits of combinations(pool, size)) {
+      const cells = [...new Set(digits.flatMap((d) => positions[d]))];
+      if (cells.length !== size) {
+        continue;
+      }
+
+      const mask = digits.reduce((m, d) => (m | bit(d)), 0);
+      const eliminations = cells
+        .filter((ci) => (s._candidates[ci] & ~mask))
+        .map((ci) => [ci, s._candidates[ci] & ~mask]);
+
+      if (eliminations.length > 0) {
+        return makeStep(technique, {
+          cells,
+          digits,
+          eliminations,
+          houses: [s._houseRef(hi)]
+        });
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds a basic fish (X-Wing for size 2, Swordfish for size 3) over rows and columns.
+ * @param {LogicalSolver} s
+ * @param {number} size
+ * @param {string} technique
+ * @returns {SolveStep | null}
+ */
+function findFish(s, size, technique) {
+  const orientations = [['row', 'col'], ['col', 'row']];
+  for (let digit = 1; digit <= s._size; digit++) {
+    for (const [baseType, coverType] of orientations) {
+      const coverOf = (ci) => s._cellHouses[ci].find((hj) => s._houses[hj].type === coverType);
+
+      const bases = [];
+      s._houses.forEach((house, hi) => {
+        if (house.type !== baseType) {
+          return;
+        }
+        const cells = house.cells.filter((ci) => (s._candidates[ci] & bit(digit)));
+        if (cells.length >= 2 && cells.length <= size) {
+          bases.push({ hi, cells });
+        }
+      });
+
+      for (const combo of combinations(bases, size)) {
+        const covers = [...new Set(combo.flatMap(({ cells }) => cells.map(coverOf)))];
+        if (covers.length !== size) {
+          continue;
+        }
+
+        const baseCells = combo.flatMap(({ cells }) => cells);
+        const eliminations = covers
+          .flatMap((hj) => s._houses[hj].cells)
+          .filter((ci) => !baseCells.includes(ci) && (s._candidates[ci] & bit(digit)))
+          .map((ci) => [ci, bit(digit)]);
+
+        if (eliminations.length > 0) {
+          return makeStep(technique, {
+            cells: baseCells,
+            digits: [digit],
+            eliminations,
+            houses: [...combo.map(({ hi }) => s._houseRef(hi)), ...covers.map((hj) => s._houseRef(hj))]
+          });
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds a bivalue pivot `{x, y}` that sees pincers `{x, z}` and `{y, z}`, then
+ * eliminates `z` from cells that see both pincers.
+ * @param {LogicalSolver} s
+ * @returns {SolveStep | null}
+ */
+function findXYWing(s) {
+  for (let pivot = 0; pivot < s._numSpaces; pivot++) {
+    const pMask = s._candidates[pivot];
+    if (bitCount(pMask) !== 2) {
+      continue;
+    }
+
+    const pincers = s._peers[pivot].filter((ci) => {
+      const mask = s._candidates[ci];
+      return bitCount(mask) === 2 && bitCount(mask & pMask) === 1;
+    });
+
+    for (const [a, b] of combinations(pincers, 2)) {
+      const aMask = s._candidates[a];
+      const bMask = s._candidates[b];
+      const z = aMask & ~pMask;
+      if ((aMask & pMask) === (bMask & pMask) || z !== (bMask & ~pMask)) {
+        continue;
+      }
+
+      const eliminations = range(s._numSpaces)
+        .filter((ci) => ci !== pivot && ci !== a && ci !== b && (s._candidates[ci] & z) && s.sees(ci, a) && s.sees(ci, b))
+        .map((ci) => [ci, z]);
+
+      if (eliminations.length > 0) {
+        return makeStep('xy-wing', {
+          cells: [pivot, a, b],
+          digits: digitsOf(pMask | z),
+          eliminations
+        });
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Colors chains of conjugate pairs for a digit and eliminates the digit where
+ * a color contradicts itself (color wrap) or where a cell sees both colors (color trap).
+ * @param {LogicalSolver} s
+ * @returns {SolveStep | null}
+ */
+function findSimpleColoring(s) {
+  for (let digit = 1; digit <= s._size; digit++) {
+    const d = bit(digit);
+
+    /** @type {Map<number, {cell: number, hi: number}[]>} */
+    const links = new Map();
+    s._houses.forEach((house, hi) => {
+      const cells = house.cells.filter((ci) => (s._candidates[ci] & d));
+      if (cells.length === 2 && s._isComplete[hi]) {
+        const [a, b] = cells;
+        links.set(a, [...(links.get(a) ?? []), { cell: b, hi }]);
+        links.set(b, [...(links.get(b) ?? []), { cell: a, hi }]);
+      }
+    });
+
+    /** @type {Map<number, number>} */
+    const visited = new Map();
+    for (const start of links.keys()) {
+      if (visited.has(start)) {
+        continue;
+      }
+
+      /** @type {Map<number, number>} */
+      const colors = new Map([[start, 0]]);
+      const houses = new Set();
+      const queue = [start];
+      while (queue.length > 0) {
+        const ci = queue.shift();
+        for (const { cell, hi } of links.get(ci)) {
+          houses.add(hi);
+          if (!colors.has(cell)) {
+            colors.set(cell, 1 - colors.get(ci));
+            queue.push(cell);
+          }
+        }
+      }
+      colors.forEach((color, ci) => visited.set(ci, color));
+
+      const byColor = [0, 1].map((color) => [...colors.keys()].filter((ci) => colors.get(ci) === color));
+      /** @type {[number, number][]} */
+      let eliminations = [];
+
+      // Color wrap: two cells of the same color see each other, so that color is false.
+      const falseColor = byColor.findIndex((cells) => (
+        combinations(cells, 2).some(([a, b]) => s.sees(a, b))
+      ));
+      if (falseColor >= 0) {
+        eliminations = byColor[falseColor].map((ci) => [ci, d]);
+      } else {
+        // Color trap: a cell seeing both colors cannot hold the digit.
+        eliminations = range(s._numSpaces)
+          .filter((ci) => (
+            !colors.has(ci) &&
+            (s._candidates[ci] & d) &&
+            byColor[0].some((a) => s.sees(ci, a)) &&
+            byColor[1].some((b) => s.sees(ci, b))
+          ))
+          .map((ci) => [ci, d]);
+      }
+
+      if (eliminations.length > 0) {
+        return makeStep('simple-coloring', {
+          cells: [...colors.keys()],
+          digits: [digit],
+          eliminations,
+          houses: [...houses].map((hi) => s._houseRef(hi))
+        });
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * @typedef {object} Technique
+ * @property {string} name
+ * @property {string} title The display name of the technique.
+ * @property {number} difficulty A rough measure of how hard the technique is to spot.
+ * @property {(solver: LogicalSolver) => SolveStep | null} find
+ */
+
+/**
+ * The techniques known by the solver, ordered from easiest to hardest.
+ * @type {Technique[]}
+ */
+export const TECHNIQUES = Object.freeze([
+  { name: 'naked-single', title: 'Naked Single', difficulty: 1.0, find: findNakedSingle },
+  { name: 'hidden-single', title: 'Hidden Single', difficulty: 1.2, find: findHiddenSingle },
+  { name: 'pointing-pair', title: 'Pointing Pair', difficulty: 2.0, find: (s) => findLockedCandidates(s, true) },
+  { name: 'box-line-reduction', title: 'Box/Line Reduction', difficulty: 2.2, find: (s) => findLockedCandidates(s, false) },
+  { name: 'naked-pair', title: 'Naked Pair', difficulty: 2.5, find: (s) => findNakedSubset(s, 2, 'naked-pair') },
+  { name: 'hidden-pair', title: 'Hidden Pair', difficulty: 3.0, find: (s) => findHiddenSubset(s, 2, 'hidden-pair') },
+  { name: 'naked-triple', title: 'Naked Triple', difficulty: 3.2, find: (s) => findNakedSubset(s, 3, 'naked-triple') },
+  { name: 'x-wing', title: 'X-Wing', difficulty: 3.4, find: (s) => findFish(s, 2, 'x-wing') },
+  { name: 'hidden-triple', title: 'Hidden Triple', difficulty: 3.6, find: (s) => findHiddenSubset(s, 3, 'hidden-triple') },
+  { name: 'naked-quad', title: 'Naked Quad', difficulty: 4.0, find: (s) => findNakedSubset(s, 4, 'naked-quad') },
+  { name: 'swordfish', title: 'Swordfish', difficulty: 4.2, find: (s) => findFish(s, 3, 'swordfish') },
+  { name: 'xy-wing', title: 'XY-Wing', difficulty: 4.4, find: findXYWing },
+  { name: 'hidden-quad', title: 'Hidden Quad', difficulty: 4.6, find: (s) => findHiddenSubset(s, 4, 'hidden-quad') },
+  { name: 'simple-coloring', title: 'Simple Coloring', difficulty: 4.8, find: findSimpleColoring },
+].map(Object.freeze));
+
+/**
+ * Difficulty buckets, ordered from easiest to hardest. A puzzle falls in the first
+ * bucket whose `maxDifficulty` covers the hardest technique the puzzle requires.
+ * @type {{label: string, maxDifficulty: number}[]}
+ */
+export const DIFFICULTY_LEVELS = Object.freeze([
+  // Singles only
+  { label: 'easy', maxDifficulty: 1.2 },
+  // Locked candidates and naked pairs
+  { label: 'medium', maxDifficulty: 2.5 },
+  // Hidden pairs, triples, and X-Wings
+  { label: 'hard', maxDifficulty: 3.6 },
+  // Quads, Swordfish, XY-Wings, and coloring
+  { label: 'expert', maxDifficulty: 4.8 },
+  // Beyond the known techniques; requires guessing.
+  { label: 'extreme', maxDifficulty: Infinity },
+].map(Object.freeze));
+
+/** The difficulty assigned to puzzles that cannot be solved by the known techniques.*/
+export const UNSOLVED_DIFFICULTY = 6.0;
+
+/**
+ * @typedef {object} Rating
+ * @property {number} score The difficulty of the hardest technique required, plus a
+ * tiebreaker under `0.1` for the amount of work done above singles.
+ * @property {string} label The difficulty bucket, e.g. `'easy'` or `'expert'`.
+ * @property {string | null} hardest The hardest technique used, or `null` if no steps were needed.
+ * @property {boolean} solved Whether the known techniques were enough to solve the puzzle.
+ * @property {number} steps The number of steps taken.
+ * @property {{[label: string]: number}} tiers The number of steps taken at each difficulty bucket.
+ * @property {{[technique: string]: number}} techniques The number of times each technique was used.
+ */
+
+/**
+ * Returns the difficulty bucket for the given technique difficulty.
+ * @param {number} difficulty
+ * @returns {string}
+ */
+export function difficultyLabel(difficulty) {
+  return DIFFICULTY_LEVELS.find(({ maxDifficulty }) => difficulty <= maxDifficulty).label;
+}
+
+/**
+ * Grades the result of a logical solve by the hardest technique it required
+ * and the number of steps taken at each difficulty.
+ * @param {LogicalSolveResult} result
+ * @returns {Rating}
+ */
+export function rateSolveResult({ solved, steps }) {
+  const difficultyOf = Object.fromEntries(TECHNIQUES.map(({ name, difficulty }) => [name, difficulty]));
+  const tiers = Object.fromEntries(DIFFICULTY_LEVELS.map(({ label }) => [label, 0]));
+  const techniques = {};
+
+  let hardest = null;
+  let maxDifficulty = 0;
+  let work = 0;
+  steps.forEach(({ technique }) => {
+    const difficulty = difficultyOf[technique];
+    tiers[difficultyLabel(difficulty)]++;
+    techniques[technique] = (techniques[technique] ?? 0) + 1;
+
+    if (difficulty > maxDifficulty) {
+      maxDifficulty = difficulty;
+      hardest = technique;
+    }
+    if (difficulty > DIFFICULTY_LEVELS[0].maxDifficulty) {
+      work += difficulty;
+    }
+  });
+
+  if (!solved) {
+    maxDifficulty = UNSOLVED_DIFFICULTY;
+  }
+
+  return {
+    score: Math.round((maxDifficulty + Math.min(0.099, work / 1000)) * 1000) / 1000,
+    label: difficultyLabel(maxDifficulty),
+    hardest,
+    solved,
+    steps: steps.length,
+    tiers,
+    techniques
+  };
+}
+
+/**
+ * @typedef {object} DifficultyTarget
+ * @property {string} [label] Only accept puzzles rated with this difficulty label.
+ * @property {string} [maxTechnique] The hardest technique a puzzle may require.
+ * Puzzles that cannot be solved by the known techniques exceed any ceiling.
+ * @property {number} [minScore=0] The minimum rating score to accept.
+ * @property {number} [maxScore=Infinity] The maximum rating score to accept.
+ */
+
+/**
+ * Builds predicates for testing ratings against a difficulty target.
+ * @param {DifficultyTarget | string} target A target, or just a difficulty label.
+ * @returns {{
+ *  isTooHard: (rating: Rating) => boolean,
+ *  accepts: (rating: Rating) => boolean
+ * }}
+ * @throws {Error} If the target has an unknown label or technique, or an invalid score range.
+ */
+export function difficultyTarget(target) {
+  const { label, maxTechnique, minScore = 0, maxScore = Infinity } = (
+    (typeof target === 'string') ? { label: target } : target
+  );
+  const labels = DIFFICULTY_LEVELS.map((level) => level.label);
+
+  if (label !== undefined && !labels.includes(label)) {
+    throw new Error(`Invalid difficulty label: ${label}`);
+  }
+  const ceiling = (maxTechnique !== undefined) ? TECHNIQUES.find(({ name }) => name === maxTechnique) : null;
+  if (ceiling === undefined) {
+    throw new Error(`Invalid technique: ${maxTechnique}`);
+  }
+  if (typeof minScore !== 'number' || typeof maxScore !== 'number' || minScore > maxScore) {
+    throw new Error(`Invalid score range: [${minScore}, ${maxScore}]`);
+  }
+
+  const difficultyOf = (name) => TECHNIQUES.find((technique) => technique.name === name).difficulty;
+  const isTooHard = (rating) => (
+    rating.score > maxScore ||
+    (label !== undefined && labels.indexOf(rating.label) > labels.indexOf(label)) ||
+    (ceiling !== null && (!rating.solved || (rating.hardest !== null && difficultyOf(rating.hardest) > ceiling.difficulty)))
+  );
+
+  return {
+    isTooHard,
+    accepts: (rating) => (
+      !isTooHard(rating) &&
+      rating.score >= minScore &&
+      (label === undefined || rating.label === label)
+    )
+  };
+}
+
+/**
+ * @typedef {object} Hint
+ * @property {string} technique The technique behind the hint, or `'incorrect-digit'` for a mistake on the board.
+ * @property {number | null} cell The cell to look at. For placements, the cell to fill; `null` if the
+ * hint only eliminates candidates.
+ * @property {number | null} digit The digit to place in `cell`, or `null` if the hint places nothing.
+ * @property {{cell: number, digits: number[]}[]} eliminations Candidates that can be removed.
+ * @property {HouseRef[]} houses The houses supporting the deduction.
+ * @property {SolveStep | null} step The underlying step, or `null` for a mistake.
+ * @property {string[]} explanations Explanations graded from vague to exact, to be revealed one at a time.
+ */
+
+/**
+ * Returns the display name of a cell, e.g. `'r4c5'`.
+ * @param {number} cellIndex
+ * @param {SudokuGeometry} geometry
+ * @returns {string}
+ */
+const cellName = (cellIndex, geometry) => `r${geometry.cellRow(cellIndex) + 1}c${geometry.cellCol(cellIndex) + 1}`;
+
+/**
+ * Returns the display name of a house, e.g. `'row 4'`.
+ * @param {HouseRef} house
+ * @returns {string}
+ */
+const houseName = ({ type, index }) => `${(type === 'col') ? 'column' : type} ${index + 1}`;
+
+/**
+ * Joins items into an English list, e.g. `'1, 2 and 3'`.
+ * @param {(string | number)[]} items
+ * @returns {string}
+ */
+function listOf(items) {
+  return (items.length > 1) ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : `${items[0]}`;
+}
+
+/**
+ * Describes the given step, from a vague pointer to where to look, to the
+ * technique to use there, to the exact deduction.
+ * @param {SolveStep} step
+ * @param {SudokuGeometry} [geometry=SudokuGeometry.standard] The geometry of the board the step was found on.
+ * @returns {string[]}
+ */
+export function explainStep(
+  { technique, cells, digits, placements, eliminations, houses },
+  geometry = SudokuGeometry.standard
+) {
+  const { title } = TECHNIQUES.find(({ name }) => name === technique);
+  const nameOf = (ci) => cellName(ci, geometry);
+  const where = (houses.length > 0) ? houseName(houses[0]) : listOf(cells.map(nameOf));
+
+  let exact;
+  if (placements.length > 0) {
+    const { cell, digit } = placements[0];
+    exact = (technique === 'hidden-single') ?
+      `${nameOf(cell)} must be ${digit}, since it is the only place for ${digit} in ${where}.` :
+      `${nameOf(cell)} must be ${digit}, since it is the only candidate left in that cell.`;
+  } else {
+    // Group the eliminated cells by the digits removed from them.
+    /** @type {Map<string, number[]>} */
+    const removals = new Map();
+    eliminations.forEach(({ cell, digits: removed }) => {
+      const key = listOf(removed);
+      removals.set(key, [...(removals.get(key) ?? []), cell]);
+    });
+    const removalText = [...removals.entries()]
+      .map(([removed, removedCells]) => `${removed} from ${listOf(removedCells.map(nameOf))}`);
+    exact = `${title} on ${listOf(digits)} in ${listOf(cells.map(nameOf))}: remove ${listOf(removalText)}.`;
+  }
+
+  return [
+    `Look at ${where}.`,
+    `Look for ${/^[AEIOUX]/.test(title) ? 'an' : 'a'} ${title} in ${where}.`,
+    exact
+  ];
+}
+
+/**
+ * Builds a hint from the given step.
+ * @param {SolveStep} step
+ * @param {SudokuGeometry} [geometry=SudokuGeometry.standard] The geometry of the board the step was found on.
+ * @returns {Hint}
+ */
+export function createHint(step, geometry = SudokuGeometry.standard) {
+  const placement = step.placements[0] ?? null;
+  return {
+    technique: step.technique,
+    cell: (placement !== null) ? placement.cell : null,
+    digit: (placement !== null) ? placement.digit : null,
+    eliminations: step.eliminations,
+    houses: step.houses,
+    step,
+    explanations: explainStep(step, geometry)
+  };
+}
+
+/**
+ * Builds a hint pointing out a digit that does not match the solution.
+ * @param {number} cellIndex
+ * @param {number} digit The incorrect digit currently in the cell.
+ * @param {SudokuGeometry} [geometry=SudokuGeometry.standard] The geometry of the board.
+ * @returns {Hint}
+ */
+export function createMistakeHint(cellIndex, digit, geometry = SudokuGeometry.standard) {
+  const row = { type: 'row', index: geometry.cellRow(cellIndex) };
+  return {
+    technique: 'incorrect-digit',
+    cell: cellIndex,
+    digit: null,
+    eliminations: [],
+    houses: [row],
+    step: null,
+    explanations: [
+      `Look at ${houseName(row)}.`,
+      `There is a mistake in ${houseName(row)}.`,
+      `${cellName(cellIndex, geometry)} is not ${digit}.`
+    ]
+  };
+}
+
+export default LogicalSolver;
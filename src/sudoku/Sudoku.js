@@ -8,15 +8,29 @@ import {
   shuffle,
   swapAllInArr
 } from '../util/arrays.js';
-import { bitCombo, nChooseK, randomCombo } from '../util/perms.js';
+import { allCombos, bitCombo, forEachPerm, nChooseK, randomCombo } from '../util/perms.js';
+import { randInt, resolveRng } from '../util/random.js';
+import { runSteps, runStepsAsync } from '../util/steps.js';
+import { bigintToBytes, bytesToBigint, fromBase64Url, toBase64Url } from '../util/bytes.js';
 import Debugger from '../util/debug.js';
 import SudokuSieve, { countBits, digitMask } from './SudokuSieve.js';
+import DancingLinks from './DancingLinks.js';
+import { SuperSet } from './exp2.js';
+import SudokuGeometry, { MAX_SIZE } from './SudokuGeometry.js';
+import LogicalSolver, {
+  createHint,
+  createMistakeHint,
+  difficultyTarget,
+  rateSolveResult
+} from './LogicalSolver.js';
 
 const debug = new Debugger(false);
 
-const randInt = (max => ((Math.random() * max) | 0));
-const chooseRandom = (arr => (arr.length > 0) ? arr[randInt(arr.length)] : null);
-const removeRandom = (arr => (arr.length > 0) ? arr.splice(randInt(arr.length), 1)[0] : null);
+const chooseRandom = ((arr, rng = Math.random) => (arr.length > 0) ? arr[randInt(arr.length, rng)] : null);
+const removeRandom = ((arr, rng = Math.random) => (arr.length > 0) ? arr.splice(randInt(arr.length, rng), 1)[0] : null);
+
+/** @typedef {import('../util/random.js').Rng} Rng */
+/** @typedef {import('../event/EventBus.js').default} EventBus */
 
 /**
  * @callback SolutionFoundCallback
@@ -24,20 +38,117 @@ const removeRandom = (arr => (arr.length > 0) ? arr.splice(randInt(arr.length),
  * @returns {boolean} If `true`, the search will continue for more solutions.
  */
 
-/** The number of digits used in Sudoku.*/
+/** @typedef {import('./variants.js').Variant} Variant */
+
+/** The geometry of a standard 9x9 Sudoku board.*/
+const STANDARD = SudokuGeometry.standard;
+
+/** The largest board size for which configs are generated by searching. Larger configs are shuffled from a pattern.*/
+const MAX_SEARCHED_CONFIG_SIZE = 16;
+
+/**
+ * The available solution search backends:
+ * - `'dfs'` - Depth-first search over candidates, reducing the board at each step.
+ * - `'dlx'` - Algorithm X over the board as an exact cover problem, using Dancing Links. Boards with cages
+ * fall back to `'dfs'`, since cage sums cannot be expressed as exact cover constraints.
+ */
+export const SEARCH_BACKENDS = Object.freeze(['dfs', 'dlx']);
+
+/**
+ * Validates the given search backend.
+ * @param {string} backend
+ * @throws {Error} If the backend is not one of `SEARCH_BACKENDS`.
+ */
+function validateBackend(backend) {
+  if (!SEARCH_BACKENDS.includes(backend)) {
+    throw new Error(`Invalid backend: ${backend}`);
+  }
+}
+
+/**
+ * Where each symmetry of a clue pattern moves the cell at the given row and column.
+ * @type {Readonly<Record<string, (row: number, col: number, size: number) => [number, number]>>}
+ */
+const SYMMETRY_MAPS = Object.freeze({
+  none: (row, col) => [row, col],
+  rot180: (row, col, size) => [size - 1 - row, size - 1 - col],
+  rot90: (row, col, size) => [col, size - 1 - row],
+  mirror: (row, col, size) => [row, size - 1 - col],
+  diagonal: (row, col) => [col, row]
+});
+
+/**
+ * The symmetries that generated clue patterns can have:
+ * - `'none'` - No symmetry.
+ * - `'rot180'` - Unchanged by a half turn.
+ * - `'rot90'` - Unchanged by a quarter turn.
+ * - `'mirror'` - Unchanged by reflecting left to right.
+ * - `'diagonal'` - Unchanged by reflecting over the main diagonal.
+ */
+export const SYMMETRIES = Object.freeze(Object.keys(SYMMETRY_MAPS));
+
+/**
+ * Validates the given symmetry.
+ * @param {string} symmetry
+ * @throws {Error} If the symmetry is not one of `SYMMETRIES`.
+ */
+function validateSymmetry(symmetry) {
+  if (!SYMMETRIES.includes(symmetry)) {
+    throw new Error(`Invalid symmetry: ${symmetry}`);
+  }
+}
+
+/**
+ * Groups the cells of the board into orbits: the sets of cells that the symmetry moves into each other.
+ * @param {SudokuGeometry} geometry
+ * @param {string} symmetry One of `SYMMETRIES`.
+ * @returns {number[][]} The orbits, ordered by their first cell.
+ */
+function symmetryOrbits({ size, numSpaces }, symmetry) {
+  const map = SYMMETRY_MAPS[symmetry];
+  const orbitOf = Array(numSpaces).fill(-1);
+  /** @type {number[][]} */
+  const orbits = [];
+  for (let ci = 0; ci < numSpaces; ci++) {
+    if (orbitOf[ci] >= 0) {
+      continue;
+    }
+    const orbit = [];
+    for (let cell = ci; orbitOf[cell] < 0; ) {
+      orbitOf[cell] = orbits.length;
+      orbit.push(cell);
+      const [row, col] = map((cell / size) | 0, cell % size, size);
+      cell = row * size + col;
+    }
+    orbits.push(orbit.sort((a, b) => a - b));
+  }
+  return orbits;
+}
+
+/**
+ * Runs the given steps within other steps, yielding `progress` in place of the values they yield.
+ * @template T
+ * @param {Generator<any, T>} steps
+ * @param {object} progress
+ * @returns {Generator<object, T>}
+ */
+function* withProgress(steps, progress) {
+  let step = steps.next();
+  while (!step.done) {
+    yield progress;
+    step = steps.next();
+  }
+  return step.value;
+}
+
+/** The number of digits used in standard Sudoku.*/
 export const NUM_DIGITS = 9;
-/** `0x1ff`; Represents the combination of all candidates for a given cell on a Sudoku board.*/
-const ALL = 511;
-/** The number of spaces on a Sudoku board.*/
+/** The number of spaces on a standard Sudoku board.*/
 export const NUM_SPACES = 81;
-/** The minimum number of clues required for a Sudoku puzzle.*/
+/** The minimum number of clues required for a standard Sudoku puzzle.*/
 export const MIN_CLUES = 17;
 
-function cellMask(cellIndex) { return 1n << (BigInt(NUM_SPACES - cellIndex - 1)); }
-const CELL_MASKS = range(NUM_SPACES).map(cellMask);
-
-/** @type {number[]} */
-const EMPTY_BOARD = Object.freeze(Array(NUM_SPACES).fill(0));
+// The lookup tables below cover standard 9x9 boards. Larger boards fall back to bit math.
 
 /**
  * Maps digits (the indices) to their encoded board values.
@@ -75,86 +186,440 @@ const CANDIDATES = Object.freeze(CANDIDATE_DECODINGS.map(candidates =>
 ));
 
 /**
- * Cache of Sudoku board indices for each row, column, and region.
+ * Cache of standard Sudoku board indices for each row, column, and region.
  * @type {{row: number[][], col: number[][], region: number[][]}}
  * @example
  * indicesFor.row[0] // [0, 1, 2, 3, 4, 5, 6, 7, 8]
  * indicesFor.col[0] // [0, 9, 18, 27, 36, 45, 54, 63, 72]
  * indicesFor.regions[0] // [0, 1, 2, 9, 10, 11, 18, 19, 20]
  */
-export const indicesFor = Object.freeze({
-  row: range(NUM_DIGITS).map((row) => range((row+1)*NUM_DIGITS, row*NUM_DIGITS)),
-  col: range(NUM_DIGITS).map((col) => range(NUM_DIGITS).map((row) => col + row*NUM_DIGITS)),
-  region: range(NUM_DIGITS).map((reg) => range(NUM_DIGITS).map((i) => {
-    const n = Math.sqrt(NUM_DIGITS);
-    const rRow = Math.floor(reg/n);
-    const rCol = reg%n;
-    return (rRow*(n**3) + rCol*n + Math.floor(i/n)*NUM_DIGITS + (i%n));
-  }))
-});
+export const indicesFor = STANDARD.indicesFor;
 
 /**
- * 81-Bit board masks useful for filtering different board areas.
+ * 81-Bit standard board masks useful for filtering different board areas.
  * @type {{none: bigint, all: bigint, row: bigint[], col: bigint[], region: bigint[]}}
  */
-export const masksFor = {
-  none: 0n,
-  all: (1n << 81n) - 1n,
-  row: indicesFor.row.map(row => row.reduce((mask, ci) => (mask | (1n << BigInt(NUM_SPACES - 1 - ci))), 0n)),
-  col: indicesFor.col.map(col => col.reduce((mask, ci) => (mask | (1n << BigInt(NUM_SPACES - 1 - ci))), 0n)),
-  region: indicesFor.region.map((reg) => reg.reduce((mask, ci) => (mask | (1n << BigInt(NUM_SPACES - 1 - ci))), 0n)),
-};
+export const masksFor = STANDARD.masksFor;
 
 /**
  * Encodes a digit value.
- * @param {number} digit From 0 - 9
+ * @param {number} digit From 0 - 25
  * @returns {number}
  */
-const encode = (digit) => ENCODER[digit];
+const encode = (digit) => ENCODER[digit] ?? (1 << (digit - 1));
 
 /**
  * Decodes an encoded value.
  * @param {number} encoded
  * @returns {number}
  */
-const decode = (encoded) => DECODER[encoded];
+const decode = (encoded) => (encoded < DECODER.length) ?
+  DECODER[encoded] :
+  (((encoded & (encoded - 1)) === 0) ? (32 - Math.clz32(encoded)) : 0);
 
 /**
  * Returns whether the given encoded value represents a digit.
  * @param {number} encoded
  * @returns {boolean}
  */
-const isDigit = (encoded) => DECODER[encoded] > 0;
+const isDigit = (encoded) => decode(encoded) > 0;
+
+/**
+ * Returns the list of candidate digits represented by the given encoded value.
+ * @param {number} encoded
+ * @returns {number[]}
+ */
+function decodeCandidates(encoded) {
+  if (encoded < CANDIDATE_DECODINGS.length) {
+    return CANDIDATE_DECODINGS[encoded];
+  }
+
+  const candidates = [];
+  for (let digit = 1; encoded > 0; digit++, encoded >>>= 1) {
+    if (encoded & 1) {
+      candidates.push(digit);
+    }
+  }
+  return candidates;
+}
 
 /**
- * Returns the row index of the given cell.
+ * Returns the row index of the given cell on a standard board.
  * @param {number} cellIndex
  * @returns {number}
  */
 export const cellRow = (cellIndex) => (cellIndex / NUM_DIGITS) | 0;
 
 /**
- * Returns the column index of the given cell.
+ * Returns the column index of the given cell on a standard board.
  * @param {number} cellIndex
  * @returns {number}
  */
 export const cellCol = (cellIndex) => cellIndex % NUM_DIGITS;
 
 /**
- * Returns the region index of the given cell.
+ * Returns the region index of the given cell on a standard board.
  * @param {number} cellIndex
  * @returns {number}
  */
 export const cellRegion = (cellIndex) => ((cellIndex / 27) | 0) * 3 + (((cellIndex % 9) / 3) | 0);
 
 /**
- * Returns the region index of the given cell.
+ * Returns the region index of the given cell on a standard board.
  * @param {number} row
  * @param {number} col
  * @returns {number}
  */
 export const cellRegion2D = (row, col) => ((row / 3) | 0) * 3 + ((col / 3) | 0);
 
+/**
+ * Returns the geometry described by the given options, if any.
+ * @param {object} options
+ * @param {SudokuGeometry} [options.geometry]
+ * @param {number} [options.size]
+ * @param {number} [options.boxRows]
+ * @param {number} [options.boxCols]
+ * @param {(string | Variant)[]} [options.variants]
+ * @param {number[]} [options.regions]
+ * @param {number} [numSpaces] The number of cells on the board, used to infer the size when no dimensions are given.
+ * @returns {SudokuGeometry | null} The geometry, or `null` if no geometry options were given
+ * and the size could not be inferred.
+ */
+function resolveGeometry({ geometry, size, boxRows, boxCols, variants, regions } = {}, numSpaces) {
+  if (geometry) {
+    return geometry;
+  }
+  if (regions !== undefined) {
+    return SudokuGeometry.of({ size, boxRows, boxCols, variants, regions });
+  }
+  if (size === undefined && boxRows === undefined && boxCols === undefined) {
+    if (numSpaces !== undefined) {
+      return SudokuGeometry.forNumSpaces(numSpaces, variants);
+    }
+    if (variants === undefined) {
+      return null;
+    }
+  }
+  return SudokuGeometry.of({ size, boxRows, boxCols, variants });
+}
+
+/**
+ * Infers the number of cells of a board string from its length, where each `-` stands for a full row of empty cells.
+ * @param {string} str
+ * @returns {number} The number of cells of the first supported size that fits, or the length of the string if none do.
+ */
+function inferNumSpaces(str) {
+  const numRowDashes = (str.match(/-/g) ?? []).length;
+  const numOtherChars = str.length - numRowDashes;
+  for (let size = 4; size <= MAX_SIZE; size++) {
+    if ((numOtherChars + numRowDashes * size) === size * size && SudokuGeometry.forNumSpaces(size * size) !== null) {
+      return size * size;
+    }
+  }
+  return str.length;
+}
+
+/**
+ * @typedef {object} Cage
+ * @property {number} sum The total of the digits in the cage.
+ * @property {number[]} cells The cells in the cage. Digits may not repeat within a cage.
+ */
+
+/**
+ * Cache of digit combinations by board size, number of digits, and sum.
+ * @type {Map<string, number[]>}
+ */
+const _cageCombos = new Map();
+
+/**
+ * Returns every combination of `count` distinct digits (in `[1, size]`) that add up to `sum`.
+ * @param {number} size
+ * @param {number} count
+ * @param {number} sum
+ * @returns {number[]} The combinations, each encoded as a mask of candidates.
+ */
+function cageCombos(size, count, sum) {
+  const key = `${size}:${count}:${sum}`;
+  if (!_cageCombos.has(key)) {
+    /** @type {number[]} */
+    const combos = [];
+    const pick = (minDigit, remainingCount, remainingSum, mask) => {
+      if (remainingCount === 0) {
+        if (remainingSum === 0) {
+          combos.push(mask);
+        }
+        return;
+      }
+      for (let digit = minDigit; digit <= size && digit <= remainingSum; digit++) {
+        pick(digit + 1, remainingCount - 1, remainingSum - digit, mask | encode(digit));
+      }
+    };
+    pick(1, count, sum, 0);
+    _cageCombos.set(key, combos);
+  }
+  return _cageCombos.get(key);
+}
+
+/**
+ * A transformation that turns a board into an equivalent one. See `Sudoku#transform`.
+ * @typedef {object} TransformSpec
+ * @property {boolean} [transpose=false] Whether to transpose the board (swap rows and columns) first.
+ * @property {number[]} [rows] The row moved into each row, i.e. row `r` of the result is row `rows[r]` of the board
+ * (after transposing). Defaults to the identity.
+ * @property {number[]} [cols] The column moved into each column, like `rows`. Defaults to the identity.
+ * @property {number[]} [digits] The new label of each digit, i.e. digit `d` becomes `digits[d - 1]`.
+ * Defaults to the identity.
+ */
+
+/**
+ * Returns the inverse of a permutation.
+ * @param {number[]} perm
+ * @returns {number[]}
+ */
+function invertPerm(perm) {
+  const inverse = [];
+  perm.forEach((to, from) => inverse[to] = from);
+  return inverse;
+}
+
+/**
+ * Returns the transformation that undoes the given one.
+ * @param {Required<TransformSpec>} spec
+ * @returns {Required<TransformSpec>}
+ */
+function invertTransform({ transpose, rows, cols, digits }) {
+  // Undoing a transposition swaps the roles of the row and column permutations.
+  const rowsInverse = invertPerm(rows);
+  const colsInverse = invertPerm(cols);
+  return {
+    transpose,
+    rows: transpose ? colsInverse : rowsInverse,
+    cols: transpose ? rowsInverse : colsInverse,
+    digits: invertPerm(digits.map((digit) => digit - 1)).map((index) => index + 1)
+  };
+}
+
+/**
+ * Cache of column orders by board size and region width.
+ * @type {Map<string, number[][]>}
+ */
+const _columnOrders = new Map();
+
+/**
+ * Returns every order of the columns that keeps the columns of each stack together,
+ * i.e. each permutation of the stacks combined with each permutation of the columns within them.
+ * @param {SudokuGeometry} geometry
+ * @returns {number[][]}
+ */
+function columnOrders({ size, boxCols }) {
+  const key = `${size}:${boxCols}`;
+  if (!_columnOrders.has(key)) {
+    const perms = (n) => {
+      /** @type {number[][]} */
+      const result = [];
+      forEachPerm(n, (perm) => {
+        result.push(perm);
+        return true;
+      });
+      return result;
+    };
+    const withinStack = perms(boxCols);
+    _columnOrders.set(key, perms(size / boxCols).flatMap((stacks) => stacks.reduce(
+      (orders, stack) => orders.flatMap((order) => withinStack.map((cols) => (
+        [...order, ...cols.map((col) => stack * boxCols + col)]
+      ))),
+      [[]]
+    )));
+  }
+  return _columnOrders.get(key);
+}
+
+/**
+ * Returns the lexicographically smallest board equivalent to the given one (its minlex form).
+ *
+ * Equivalent boards are related by relabeling digits, permuting bands, stacks, and the rows and columns
+ * within them, and (for square regions) transposing. Rows are compared cell by cell, with digits
+ * ordering before empty cells so that clues gather at the top left.
+ *
+ * The search builds the board one row at a time, keeping only the arrangements that tie for the
+ * smallest rows so far. Arrangements with the same future (rows left, column order, and digit labels)
+ * are merged.
+ * @param {number[]} board
+ * @param {SudokuGeometry} geometry
+ * @returns {number[]} The minlex board, with `0` for empty cells.
+ */
+function minlex(board, { size, boxRows, boxCols }) {
+  const EMPTY = size + 1;
+  const grids = [board];
+  if (boxRows === boxCols) {
+    grids.push(board.map((_, ci) => board[(ci % size) * size + ((ci / size) | 0)]));
+  }
+  const bandOf = (row) => (row / boxRows) | 0;
+
+  let states = grids.flatMap((grid) => columnOrders({ size, boxCols }).map((order) => ({
+    grid,
+    order,
+    rows: [],
+    labels: Array(size + 1).fill(0),
+    nextLabel: 1
+  })));
+
+  /** @type {number[]} */
+  const result = [];
+  for (let k = 0; k < size; k++) {
+    /** @type {number[] | null} */
+    let best = null;
+    const survivors = new Map();
+
+    states.forEach(({ grid, order, rows, labels, nextLabel }) => {
+      // A new band can start with any row of an unused band, otherwise the band continues.
+      const candidateRows = (k % boxRows === 0) ?
+        range(size).filter((r) => !rows.some((used) => bandOf(used) === bandOf(r))) :
+        range(size).filter((r) => bandOf(r) === bandOf(rows[k - 1]) && !rows.includes(r));
+
+      candidateRows.forEach((r) => {
+        const rowLabels = [...labels];
+        let label = nextLabel;
+        const row = Array(size);
+        let cmp = (best === null) ? -1 : 0;
+        for (let j = 0; j < size; j++) {
+          const digit = grid[r * size + order[j]];
+          const value = (digit === 0) ? EMPTY : (rowLabels[digit] ||= label++);
+          if (cmp === 0) {
+            if (value > best[j]) {
+              return;
+            }
+            if (value < best[j]) {
+              cmp = -1;
+            }
+          }
+          row[j] = value;
+        }
+
+        if (cmp < 0) {
+          best = row;
+          survivors.clear();
+        }
+        const nextRows = [...rows, r];
+        const key = `${grids.indexOf(grid)}|${order}|${rowLabels}|${bandOf(r)}|${[...nextRows].sort((a, b) => a - b)}`;
+        if (!survivors.has(key)) {
+          survivors.set(key, { grid, order, rows: nextRows, labels: rowLabels, nextLabel: label });
+        }
+      });
+    });
+
+    result.push(...best.map((value) => (value === EMPTY) ? 0 : value));
+    states = [...survivors.values()];
+  }
+  return result;
+}
+
+/**
+ * Returns the digits a cell of a board may hold, given the digits of its peers earlier on the board.
+ * @param {number[]} board
+ * @param {number} cellIndex
+ * @param {SudokuGeometry} geometry
+ * @returns {number[]}
+ */
+function remainingDigits(board, cellIndex, { size, peers }) {
+  let used = 0;
+  for (const pi of peers[cellIndex]) {
+    if (pi > cellIndex) {
+      break;
+    }
+    used |= 1 << board[pi];
+  }
+  return range(size + 1, 1).filter((digit) => (used & (1 << digit)) === 0);
+}
+
+/**
+ * Codes a full board as a mixed-radix number, where each cell's digit is coded as its index among the
+ * digits its earlier peers leave it (see `remainingDigits`), so that cells left a single digit take no space.
+ * @param {number[]} board
+ * @param {SudokuGeometry} geometry
+ * @returns {bigint}
+ * @throws {Error} If a digit repeats among its peers.
+ */
+function encodeConfig(board, geometry) {
+  let code = 0n;
+  let place = 1n;
+  board.forEach((digit, ci) => {
+    const digits = remainingDigits(board, ci, geometry);
+    const index = digits.indexOf(digit);
+    if (index < 0) {
+      throw new Error('Cannot encode an invalid board.');
+    }
+    code += BigInt(index) * place;
+    place *= BigInt(digits.length);
+  });
+  return code;
+}
+
+/**
+ * Decodes a full board coded by `encodeConfig`.
+ * @param {bigint} code
+ * @param {SudokuGeometry} geometry
+ * @returns {number[]}
+ * @throws {Error} If the code is not of a board with the given geometry.
+ */
+function decodeConfig(code, geometry) {
+  const board = Array(geometry.numSpaces).fill(0);
+  for (let ci = 0; ci < geometry.numSpaces; ci++) {
+    const digits = remainingDigits(board, ci, geometry);
+    if (digits.length === 0) {
+      break;
+    }
+    const radix = BigInt(digits.length);
+    board[ci] = digits[Number(code % radix)];
+    code /= radix;
+  }
+  if (board.includes(0) || code > 0n) {
+    throw new Error('Invalid code: it does not encode a board of this geometry.');
+  }
+  return board;
+}
+
+/**
+ * Returns the cells in groups of orthogonally connected cells.
+ * @param {number[]} cells
+ * @param {SudokuGeometry} geometry
+ * @returns {number[][]}
+ */
+function connectedGroups(cells, geometry) {
+  const remaining = new Set(cells);
+  const groups = [];
+  while (remaining.size > 0) {
+    const [start] = remaining;
+    remaining.delete(start);
+    const group = [start];
+    for (let i = 0; i < group.length; i++) {
+      orthogonalNeighbors(group[i], geometry).filter((ci) => remaining.has(ci)).forEach((ci) => {
+        remaining.delete(ci);
+        group.push(ci);
+      });
+    }
+    groups.push(group.sort((a, b) => a - b));
+  }
+  return groups;
+}
+
+/**
+ * Returns the cells directly above, below, left, and right of the given cell.
+ * @param {number} cellIndex
+ * @param {SudokuGeometry} geometry
+ * @returns {number[]}
+ */
+function orthogonalNeighbors(cellIndex, { size }) {
+  const row = (cellIndex / size) | 0;
+  const col = cellIndex % size;
+  return [
+    (row > 0) ? cellIndex - size : -1,
+    (row < size - 1) ? cellIndex + size : -1,
+    (col > 0) ? cellIndex - 1 : -1,
+    (col < size - 1) ? cellIndex + 1 : -1
+  ].filter((ci) => ci >= 0);
+}
+
 /**
  * Returns whether an area on a Sudoku board (row, column, or region)
  * is valid given the encoded values of the cells that make up the area.
@@ -188,14 +653,19 @@ export class SudokuNode {
    *
    * @param {Sudoku} sudoku
    * @param {SudokuNode | null} prev
+   * @param {number[][] | null} [orbits=null] (default: `null` (single cells)) The groups of cells
+   * whose clues are removed together, e.g. to keep the clue pattern symmetric. See `symmetryOrbits`.
    */
-  constructor(sudoku, prev = null) {
+  constructor(sudoku, prev = null, orbits = null) {
     /** @type {Sudoku} */
     this.sudoku = sudoku;
 
     /** @type {SudokuNode} */
     this.prev = prev;
 
+    /** @type {number[][] | null} */
+    this.orbits = orbits;
+
     /** @type {SudokuNode[]} */
     this.nexts = null;
 
@@ -213,11 +683,13 @@ export class SudokuNode {
   }
 
   _findNexts(omittedNextCells = []) {
-    this.nexts ??= this.sudoku.board.reduce((nexts, digit, ci) => {
-      if (digit > 0 && !omittedNextCells.includes(ci)) {
+    const board = this.sudoku.board;
+    const orbits = this.orbits ?? board.map((_, ci) => [ci]);
+    this.nexts ??= orbits.reduce((nexts, orbit) => {
+      if (orbit.every((ci) => board[ci] > 0 && !omittedNextCells.includes(ci))) {
         const bCopy = new Sudoku(this.sudoku);
-        bCopy.setDigit(0, ci);
-        nexts.push(new SudokuNode(bCopy, this));
+        orbit.forEach((ci) => bCopy.setDigit(0, ci));
+        nexts.push(new SudokuNode(bCopy, this, this.orbits));
       }
       return nexts;
     }, []);
@@ -227,11 +699,12 @@ export class SudokuNode {
    * Attempts to get a random, unvisited neighbor of this node.
    * Populates the list of neighbors for this node if it does not yet exist.
    * @param {number[]} [omittedNextCells] An array of cell indices to omit from the list of neighbors.
+   * @param {Rng} [rng=Math.random] The source of random numbers.
    * @return {SudokuNode} A random unvisited neighbor node.
    */
-  getNextUnvisited(omittedNextCells = []) {
+  getNextUnvisited(omittedNextCells = [], rng = Math.random) {
     this._findNexts(omittedNextCells);
-    return chooseRandom(this.nexts.filter(n => (n !== null && !n.visited)));
+    return chooseRandom(this.nexts.filter(n => (n !== null && !n.visited)), rng);
   }
 }
 
@@ -267,31 +740,46 @@ export class Sudoku {
 
   /**
    * Builds a Sudoku board from a string, where:
-   * - `.` represents an empty cell.
-   * - `-` represents 9 consecutive empty cells.
+   * - `.` or `0` represents an empty cell.
+   * - `-` represents a full row (e.g. 9) of consecutive empty cells.
+   * - Digits above `9` are represented by the letters `A` (10) to `P` (25), in either case.
+   *
+   * If no geometry options are given, the board size is inferred from the length of the string.
    *
    * An error will be thrown if `str` does not have enough characters to fill
    * the board, or if there are invalid characters.
    *
    * @param {string} str
+   * @param {object} [options] Geometry options. See `SudokuGeometry`.
+   * @param {SudokuGeometry} [options.geometry] The board geometry. Takes precedence over the other options.
+   * @param {number} [options.size]
+   * @param {number} [options.boxRows]
+   * @param {number} [options.boxCols]
+   * @param {(string | Variant)[]} [options.variants] Variant rules, e.g. `['diagonal']`. See `SudokuGeometry`.
+   * @param {Cage[]} [options.cages] Killer cages.
    * @returns {Sudoku}
-   * @throws {Error} If the string is not 81 characters long or contains invalid characters.
+   * @throws {Error} If the string is the wrong length for the board or contains invalid characters.
    */
-  static fromString(str) {
-    // Replace '-' and '.' with '0's
-    let _str = str.replace(/-/g, '0'.repeat(NUM_DIGITS)).replace(/\./g, '0');
+  static fromString(str, options = {}) {
+    const geometry = resolveGeometry(options, inferNumSpaces(str));
+    if (geometry === null) {
+      throw new Error(`str is invalid (length): ${str.length}. (Extrapolated: ${str})`);
+    }
 
-    if (_str.length !== NUM_SPACES) {
+    // Replace '-' with a row of '0's
+    const _str = str.replace(/-/g, '0'.repeat(geometry.size));
+
+    if (_str.length !== geometry.numSpaces) {
       throw new Error(`str is invalid (length): ${_str.length}. (Extrapolated: ${_str})`);
     }
 
-    if (!/^[0-9]+$/.test(_str)) {
+    const digits = _str.split('').map((char) => geometry.charToDigit(char));
+    if (digits.some((digit) => digit < 0)) {
       throw new Error(`Expected only digits, got ${_str}.`);
     }
 
-    const board = new Sudoku();
-    _str.split('').forEach((char, index) => {
-      const digit = parseInt(char);
+    const board = new Sudoku([], { geometry, cages: options.cages });
+    digits.forEach((digit, index) => {
       if (digit > 0) {
         board.setDigit(digit, index);
         board._clues[index] = digit;
@@ -301,17 +789,14 @@ export class Sudoku {
     return board;
   }
 
-  static ROW_MASK = ALL << (NUM_DIGITS * 2);
-  static COLUMN_MASK = ALL << NUM_DIGITS;
-  static REGION_MASK = ALL;
-
   /**
    *
    * @param {Sudoku} config
    * @param {bigint[]} sieve
+   * @param {Rng} [rng=Math.random] The source of random numbers.
    * @returns {number[]}
    */
-  static cellsToKeepFromSieve(config, sieve) {
+  static cellsToKeepFromSieve(config, sieve, rng = Math.random) {
     let _sieve  = [...sieve];
     const cellsToKeep = [];
 
@@ -328,7 +813,7 @@ export class Sudoku {
           }
         });
         return reductionMatrix;
-      }, [...EMPTY_BOARD]);
+      }, Array(config.geometry.numSpaces).fill(0));
 
       const maxValueCells = reductionMatrix.reduce((max, val, ci) => {
         if (val === maximum) {
@@ -337,7 +822,7 @@ export class Sudoku {
         return max;
       }, []);
 
-      const cellToKeep = chooseRandom(maxValueCells);
+      const cellToKeep = chooseRandom(maxValueCells, rng);
       cellsToKeep.push(cellToKeep);
 
       // Filter out all sieve items that use the cell
@@ -353,33 +838,93 @@ export class Sudoku {
     config: null,
     amount: 1,
     normalize: false,
+    difficulty: null,
+    minimal: false,
+    symmetry: 'none',
     callback: null
   });
 
   /**
    * Generates a Sudoku board with various options. By default, generates a single Sudoku config.
    * @param {Object} options
-   * @param {number} [options.numClues=NUM_SPACES] (in `[17, 81]`; default: `81`) The number of clues to generate.
+   * @param {number} [options.numClues=NUM_SPACES] (in `[17, 81]` for standard boards; default: `81`) The number of clues to generate.
+   * Defaults to every cell of the board, i.e. generating configs.
    * @param {number} [options.timeOutMs=0] (default: `0` (no limit)) The maximum time to spend generating.
    * @param {Sudoku} [options.config=null] (default: `null`) A configuration to use for generating puzzle boards. One will be generated if not provided.
    * If generating configs, this will be ignored.
    * @param {number} [options.amount=1] (in `[1, 1000]`; default: `1`) The number of puzzles to generate.
    * @param {boolean} [options.normalize=false] (default: `false`) Whether to normalize the generated board.
    * @param {boolean} [options.useSieve=false] (default: `false`) Whether to use a sieve to generate puzzles.
-   * @param {SudokuSieve} [options.sieve=null] (default: `null`) The sieve to use while generating puzzles.
+   * @param {SudokuSieve} [options.sieve=null] (default: `null`) The sieve to use while generating puzzles,
+   * e.g. one loaded with `SudokuSieve.load`. Puzzles are generated from the sieve's config, which must match `config` if given.
+   * @param {import('./LogicalSolver.js').DifficultyTarget | string} [options.difficulty=null] (default: `null`)
+   * A difficulty label (e.g. `'hard'`) or target (technique ceiling and/or rating range) that generated puzzles must meet.
+   * When given, `numClues` becomes the maximum number of clues, and clues are removed or restored until the
+   * puzzle's rating lands in the target.
+   * @param {boolean} [options.minimal=false] (default: `false`) Whether generated puzzles must be minimal, i.e. have no
+   * clue that can be removed while the solution stays unique. Redundant clues are removed once a puzzle has few
+   * enough clues, so `numClues` becomes the maximum number of clues. See `Sudoku#isMinimal`.
+   * @param {string} [options.symmetry='none'] (one of `SYMMETRIES`; default: `'none'`) The symmetry of the clue pattern,
+   * e.g. `'rot180'`. Clues are removed a whole orbit of symmetric cells at a time, so `numClues` becomes the
+   * maximum number of clues. Cannot be combined with `minimal`, as removing single clues would break the symmetry.
    * @param {(generated: Sudoku) => void} [options.callback=null] (default: `null`) A callback function to call when a puzzle is generated.
+   * @param {number} [options.size=9] (in `[4, 25]`; default: `9`) The board size. Ignored if `config` is given.
+   * @param {number} [options.boxRows] The number of rows in each region. See `SudokuGeometry`.
+   * @param {number} [options.boxCols] The number of columns in each region. See `SudokuGeometry`.
+   * @param {(string | Variant)[]} [options.variants] Variant rules the puzzles must follow, e.g. `['diagonal']`.
+   * See `SudokuGeometry`. Ignored if `config` is given.
+   * @param {number[]} [options.regions] A jigsaw region map, giving the region index of each cell.
+   * See `SudokuGeometry`. Ignored if `config` is given.
+   * @param {number | string} [options.seed] Seed for the random choices made while generating, so that the
+   * same options and seed give the same boards on every run (unless cut short by `timeOutMs`).
+   * @param {Rng} [options.rng] The source of random numbers. Takes precedence over `seed`. Defaults to `Math.random`.
    * @returns {object[]} The generated Sudoku boards along with some metrics.
+   * Puzzle results include `attempts` (the number of puzzles rated) and `rating` when generating to a difficulty.
+   */
+  static generate(options = this._defaultGenerationOptions) {
+    return runSteps(this._generateSteps(options));
+  }
+
+  /**
+   * Generates Sudoku boards like `Sudoku.generate`, but yields to the event loop as it goes,
+   * so that long generations don't freeze a UI.
+   * @param {object} [options] The options of `Sudoku.generate`, plus:
+   * @param {AbortSignal} [options.signal] Stops generating when aborted.
+   * @param {(progress: {generated: number, amount: number, timeElapsedMs: number}) => void} [options.onProgress]
+   * Called with the number of boards generated so far every few milliseconds, and once generating completes.
+   * @param {EventBus} [options.eventBus] Where to throw `PROGRESS_EVENT` events, with the progress as their data.
+   * @returns {Promise<object[]>} The same boards and metrics as `Sudoku.generate`.
+   * @throws {any} The signal's abort reason, if it is aborted before generating completes.
+   */
+  static generateAsync({ signal, onProgress, eventBus, ...options } = {}) {
+    return runStepsAsync(this._generateSteps(options), { signal, onProgress, eventBus });
+  }
+
+  /**
+   * The steps of `Sudoku.generate`, which yield the number of boards generated so far between search steps.
+   * @param {object} [options] See `Sudoku.generate`.
+   * @returns {Generator<{generated: number, amount: number}, object[]>}
    */
-  static generate({
-    numClues = NUM_SPACES,
+  static *_generateSteps({
+    numClues,
     timeOutMs = 0,
     config = null,
     amount = 1,
     normalize = false,
     useSieve = false,
     sieve = null,
-    callback = null
-  } = this._defaultGenerationOptions) {
+    difficulty = null,
+    minimal = false,
+    symmetry = 'none',
+    callback = null,
+    size,
+    boxRows,
+    boxCols,
+    variants,
+    regions,
+    seed,
+    rng
+  } = {}) {
     debug.log(`generate> options: {\n` +
       `  numClues: ${numClues},\n` +
       `  timeOutMs: ${timeOutMs},\n` +
@@ -388,11 +933,34 @@ export class Sudoku {
       `  normalize: ${normalize},\n` +
       `  useSieve: ${useSieve},\n` +
       `  sieve: ${sieve ? `length: ${sieve.length})` : ''},\n` +
-      `  callback: ${callback}\n}`
+      `  difficulty: ${JSON.stringify(difficulty)},\n` +
+      `  minimal: ${minimal},\n` +
+      `  symmetry: ${symmetry},\n` +
+      `  callback: ${callback},\n` +
+      `  size: ${size}, boxRows: ${boxRows}, boxCols: ${boxCols},\n` +
+      `  variants: ${variants},\n` +
+      `  regions: ${regions},\n` +
+      `  seed: ${seed}\n}`
     );
 
     // Validate options
-    if (typeof numClues !== 'number' || numClues < MIN_CLUES || numClues > NUM_SPACES) {
+    if (config !== null && (!(config instanceof Sudoku) || !config.isConfig())) {
+      throw new Error(`Invalid config: ${config}`);
+    }
+    if (sieve !== null) {
+      if (!(sieve instanceof SudokuSieve)) {
+        throw new Error(`Invalid sieve: ${sieve}`);
+      }
+      // A sieve only applies to the config it was built for, e.g. one loaded with `SudokuSieve.load`.
+      if (config === null) {
+        config = sieve.config;
+      } else if (config.geometry !== sieve.config.geometry || config.toString() !== sieve.config.toString()) {
+        throw new Error('Invalid sieve: it was built for a different config.');
+      }
+    }
+    const geometry = (config !== null) ? config.geometry : SudokuGeometry.of({ size, boxRows, boxCols, variants, regions });
+    numClues ??= geometry.numSpaces;
+    if (typeof numClues !== 'number' || numClues < geometry.minClues || numClues > geometry.numSpaces) {
       throw new Error(`Invalid number of clues: ${numClues}`);
     }
     if (typeof amount !== 'number' || amount < 1 || amount > 1000) {
@@ -404,25 +972,34 @@ export class Sudoku {
     }
     normalize = Boolean(normalize);
     useSieve = Boolean(useSieve);
-    if (config !== null && (!(config instanceof Sudoku) || !config.isConfig())) {
-      throw new Error(`Invalid config: ${config}`);
+    minimal = Boolean(minimal);
+    validateSymmetry(symmetry);
+    if (minimal && symmetry !== 'none') {
+      throw new Error('Invalid options: minimal puzzles cannot keep a symmetry.');
     }
     if (callback !== null && typeof callback !== 'function') {
       throw new Error(`Invalid callback: ${callback}`);
     }
+    const target = (difficulty !== null) ? difficultyTarget(difficulty) : null;
+    rng = resolveRng({ seed, rng });
 
     const isTrackingTime = timeOutMs > 0;
     const startTime = Date.now();
-    const isGeneratingConfigs = numClues === NUM_SPACES;
+    const isGeneratingConfigs = numClues === geometry.numSpaces && target === null;
+    const orbits = (symmetry !== 'none') ? symmetryOrbits(geometry, symmetry) : null;
+    // A sieve belongs to a single config, so the config is never swapped out when using one.
+    const isConfigFixed = (config !== null || useSieve);
 
     const results = [];
+    const progress = { generated: 0, amount };
 
     if (isGeneratingConfigs) {
       for (let i = 0; i < amount; i++) {
-        const searchResults = Sudoku.configSeed().searchForSolutions3({
+        const searchResults = yield* withProgress(Sudoku.configSeed({ geometry, rng })._searchSteps3({
           timeOutMs,
+          rng,
           solutionFoundCallback: (solution) => false
-        });
+        }), progress);
 
         // For debug
         if (searchResults.solutions.length === 0) {
@@ -440,6 +1017,7 @@ export class Sudoku {
           callback(board);
         }
         results.push(searchResults);
+        progress.generated = results.length;
         debug.log(`generate> Generated config ${i + 1}/${amount}: ${board.toString()}`);
 
         if (isTrackingTime) {
@@ -453,7 +1031,7 @@ export class Sudoku {
     } else {
       if (!config) {
         // console.log('generate> Generating config for puzzles...');
-        config = this.generateConfig({ normalize });
+        config = this.generateConfig({ normalize, geometry, rng });
         // console.log(`          Done. ${config.toString()}`);
       }
 
@@ -465,9 +1043,7 @@ export class Sudoku {
       // let sieve = null;
       if (useSieve) {
         const sieveGenerationStart = Date.now();
-        // TODO #25 Sudoku.loadSieveFile(filename) Supplies low-clue generation with a sieve for finding puzzles.
-        //      Maybe this should be loaded automatically if it exists in the same directory. I just don't know
-        //      how that might work with a browser version.
+        // Sieves saved with `SudokuSieve#save` can be reloaded with `SudokuSieve.load` and passed in as `sieve`.
         // TODO Sudoku.findOrGenerateSieve(config, options) Finds the sieve for the given config, or generates one.
         //      Generated sieves won't be saved to file
         // TODO Sudoku.generateSieve(config, options)
@@ -482,10 +1058,8 @@ export class Sudoku {
 
         // These 2-digit invalid cycles are extremely fast to generate, so we'll make sure
         // the sieve has at least these few basic items.
-
-        console.log(`TODO: Update once after sieve search re-implemented`);
-        // sieve.add(...searchForSieve2(config, { maxDigits: 2, maxLength: 18 }));
-        // console.log(`          Done in ${Date.now() - sieveGenerationStart}ms. Sieve length: ${sieve.length}`);
+        sieve.search({ maxDigits: 2, maxCells: 2 * geometry.size });
+        debug.log(`generate> Sieve searched in ${Date.now() - sieveGenerationStart}ms. Sieve length: ${sieve.length}`);
 
         // Create reduction matrix for the sieve.
         // The reduction matrix is the 9x9 matrix where each cell contains the number of
@@ -499,30 +1073,79 @@ export class Sudoku {
         // cellsToKeep.push(...Sudoku.cellsToKeepFromSieve(config, sieve));
       }
 
+      // Returns the puzzle to accept, with its redundant clues removed if generating minimal puzzles.
+      const finish = (puzzle) => {
+        if (!minimal) {
+          return puzzle;
+        }
+        const minimalPuzzle = new Sudoku(puzzle);
+        minimalPuzzle._removeRedundantClues(rng);
+        return minimalPuzzle;
+      };
+
       const POPS_UNTIL_RESET = 100;
+      // When generating to a difficulty, some configs may never land in the target.
+      const RESETS_UNTIL_NEW_CONFIG = 10;
+      let isTimedOut = false;
 
-      for (let i = 0; i < amount; i++) {
+      for (let i = 0; i < amount && !isTimedOut; i++) {
 
         // cellsToKeep = [...Sudoku.cellsToKeepFromSieve(config, sieve)];
-        cellsToKeep = sieve ? sieve._generateMaskCells() : [];
+        cellsToKeep = sieve ? sieve._generateMaskCells(undefined, undefined, rng) : [];
 
         const result = {
           puzzle: null,
           cellsKept: [...cellsToKeep],
           pops: 0,
           resets: 0,
+          attempts: 0,
+          rating: null,
           timeMs: 0,
         };
 
         const puzzleGenStartTime = Date.now();
         // const config = this.generateConfig();
-        const rootNode = new SudokuNode(config);
+        let rootNode = new SudokuNode(config, null, orbits);
         let puzzleStack = [rootNode];
         let numPops = 0; // Number of pops. If the search resets, so does this.
+        /** @type {Sudoku | null} */
+        let accepted = null;
+
+        // Discards the top node, i.e. restores its last removed clue.
+        const popNode = () => {
+          puzzleStack.pop().dispose();
+          result.pops++;
+
+          // TODO explore whether it's possible to keep a history for each node,
+          //  i.e. track which cells were attempted to be removed.
+          //  Then, this won't need any sort of restart fail-safe.
+
+          // After a certain number of pops, restart the search. This ensures that
+          // that the algorithm won't continue to try to remove cells when there is
+          // no path to a valid puzzle.
+          if (++numPops >= POPS_UNTIL_RESET) {
+            numPops = 0;
+            result.resets++;
+
+            if (target !== null && !isConfigFixed && (result.resets % RESETS_UNTIL_NEW_CONFIG) === 0) {
+              debug.log(`generate> config is not landing in the difficulty target, trying another...`);
+              config = this.generateConfig({ normalize, geometry, rng });
+              rootNode = new SudokuNode(config, null, orbits);
+            }
+            puzzleStack = [rootNode];
+          }
+        };
 
         // Not using maxPops for now
         // while (puzzleStack.length > 0 && numPops < maxPops) {
         while (puzzleStack.length > 0) {
+          yield progress;
+          if (isTrackingTime && (Date.now() - startTime) >= timeOutMs) {
+            debug.log(`generate> Time out after ${Date.now() - startTime}ms.`);
+            isTimedOut = true;
+            break;
+          }
+
           const puzzleNode = puzzleStack[puzzleStack.length - 1]; // peek
           const puzzle = puzzleNode.sudoku;
           puzzleNode.visit();
@@ -532,46 +1155,44 @@ export class Sudoku {
           // TODO Try using hasUniqueSolution cache like in siever
           if (!puzzle.hasUniqueSolution()) {
             debug.log(`generate> no unique solution, popping...`);
-            puzzleStack.pop();
-            puzzleNode.dispose();
-            result.pops++;
-
-            // TODO explore whether it's possible to keep a history for each node,
-            //  i.e. track which cells were attempted to be removed.
-            //  Then, this won't need any sort of restart fail-safe.
-
-            // After a certain number of pops, restart the search. This ensures that
-            // that the algorithm won't continue to try to remove cells when there is
-            // no path to a valid puzzle.
-            if (++numPops >= POPS_UNTIL_RESET) {
-              puzzleStack = [rootNode];
-              numPops = 0;
-              result.resets++;
-            }
-
+            popNode();
             continue;
           }
 
-          if (puzzle.numEmptyCells >= (NUM_SPACES - numClues)) {
+          const hasFewEnoughClues = puzzle.numEmptyCells >= (geometry.numSpaces - numClues);
+
+          if (target !== null) {
+            result.attempts++;
+            const rating = puzzle.rate();
+            if (target.isTooHard(rating)) {
+              debug.log(`generate> too hard (${rating.score}), restoring clue...`);
+              popNode();
+              continue;
+            }
+
+            if (hasFewEnoughClues) {
+              const candidate = finish(puzzle);
+              const candidateRating = (candidate === puzzle) ? rating : candidate.rate();
+              if (target.accepts(candidateRating)) {
+                result.rating = candidateRating;
+                accepted = candidate;
+                break;
+              }
+            }
+          } else if (hasFewEnoughClues) {
             // debug.log(`generate> found puzzle with ${puzzle.numEmptyCells} empty cells`);
 
             // Just this one time debugging, print the puzzle and the time elapsed
             // console.log(`✅ ${puzzle.toString()} in ${Date.now() - puzzleGenStartTime}ms`);
+            accepted = finish(puzzle);
             break;
           }
 
-          const next = puzzleNode.getNextUnvisited(cellsToKeep);
+          const next = puzzleNode.getNextUnvisited(cellsToKeep, rng);
           if (next) {
             puzzleStack.push(next);
           } else {
-            puzzleStack.pop();
-            result.pops++;
-
-            if (++numPops >= POPS_UNTIL_RESET) {
-              puzzleStack = [rootNode];
-              numPops = 0;
-              result.resets++;
-            }
+            popNode();
           }
         }
 
@@ -580,14 +1201,15 @@ export class Sudoku {
         //   return null;
         // }
         result.timeMs = Date.now() - puzzleGenStartTime;
-        if (puzzleStack.length === 0) {
+        if (accepted === null) {
           // console.log(`generate> ❌ Failed to generate puzzle ${i + 1}/${amount}.`);
         } else {
-          const puzzle = puzzleStack[puzzleStack.length - 1].sudoku;
+          const puzzle = accepted;
           // puzzle._clues = puzzle.board;
           // return puzzle;
           result.puzzle = new Sudoku(puzzle);
           results.push(result);
+          progress.generated = results.length;
 
           debug.log(`generate> Generated puzzle ${i + 1}/${amount}: ${puzzle.toString()}`);
           if (callback !== null) {
@@ -605,15 +1227,85 @@ export class Sudoku {
     return results;
   }
 
+  /**
+   * Generates a puzzle whose clues are exactly the given cells, e.g. a shape drawn by a designer.
+   *
+   * Random configs are tried one after another, until the config's digits in the pattern's cells
+   * give a puzzle with a unique solution.
+   * @param {bigint | string} pattern The cells to give as clues, either as a mask (see `Sudoku.mask`) or as
+   * a string with one character per cell, where `'.'` or `'0'` marks an empty cell and any other character a clue.
+   * @param {object} [options]
+   * @param {number} [options.maxConfigs=100] (default: `100`) The maximum number of configs to try.
+   * @param {number} [options.timeOutMs=0] (default: `0` (no limit)) The maximum time to spend generating.
+   * @param {SudokuGeometry} [options.geometry] The board geometry. Geometry options (`size`, `boxRows`, `boxCols`,
+   * `variants`, `regions`) may be given instead. Defaults to a standard board.
+   * @param {number | string} [options.seed] Seed for the random configs, so that the same seed gives the same puzzle.
+   * @param {Rng} [options.rng] The source of random numbers. Takes precedence over `seed`. Defaults to `Math.random`.
+   * @returns {{puzzle: Sudoku | null, config: Sudoku | null, configsTried: number, timedOut: boolean, timeMs: number}}
+   * The puzzle and its solution, or `null`s if no config gave a unique solution within the budget,
+   * along with the number of configs tried and whether time ran out.
+   * @throws {Error} If the pattern or `maxConfigs` is invalid, or the pattern has fewer clues than
+   * any puzzle with a unique solution can have.
+   */
+  static generateFromPattern(pattern, { maxConfigs = 100, timeOutMs = 0, seed, rng, ...geometryOptions } = {}) {
+    const geometry = resolveGeometry(geometryOptions, (typeof pattern === 'string') ? pattern.length : undefined) ?? STANDARD;
+    const { numSpaces, minClues } = geometry;
+    if (typeof pattern === 'string') {
+      if (pattern.length !== numSpaces) {
+        throw new Error(`Invalid pattern (length): ${pattern.length}`);
+      }
+      pattern = geometry.maskOf(range(numSpaces).filter((ci) => pattern[ci] !== '.' && pattern[ci] !== '0'));
+    }
+    if (typeof pattern !== 'bigint' || pattern < 0n || (pattern >> BigInt(numSpaces)) !== 0n) {
+      throw new Error(`Invalid pattern: ${pattern}`);
+    }
+    const numClues = countBits(pattern);
+    if (numClues < minClues) {
+      throw new Error(`Invalid pattern: ${numClues} clues is fewer than the minimum of ${minClues}.`);
+    }
+    if (!Number.isInteger(maxConfigs) || maxConfigs < 1) {
+      throw new Error(`Invalid maxConfigs: ${maxConfigs}`);
+    }
+    rng = resolveRng({ seed, rng });
+
+    const startTime = Date.now();
+    const result = { puzzle: null, config: null, configsTried: 0, timedOut: false, timeMs: 0 };
+    while (result.configsTried < maxConfigs) {
+      const remainingMs = timeOutMs - (Date.now() - startTime);
+      if (timeOutMs > 0 && remainingMs <= 0) {
+        result.timedOut = true;
+        break;
+      }
+
+      const config = Sudoku.generateConfig({ geometry, rng, timeOutMs: (timeOutMs > 0) ? remainingMs : 0 });
+      if (config === null) {
+        continue;
+      }
+      result.configsTried++;
+
+      const puzzle = Sudoku.mask(config, pattern);
+      if (puzzle.hasUniqueSolution()) {
+        result.puzzle = puzzle;
+        result.config = config;
+        break;
+      }
+    }
+
+    result.timeMs = Date.now() - startTime;
+    debug.log(`generateFromPattern> ${result.puzzle ? '✅' : '❌'} after ${result.configsTried} configs in ${result.timeMs}ms.`);
+    return result;
+  }
+
   // Uses DFS to locate valid sudoku puzzle.
   /**
    *
    * @param {number} numClues
    * @param {number} maxPops
+   * @param {Rng} [rng=Math.random] The source of random numbers.
    * @returns {Sudoku | null}
    */
-  static generatePuzzle(numClues, maxPops = 1<<16) {
-    const config = this.generateConfig();
+  static generatePuzzle(numClues, maxPops = 1<<16, rng = Math.random) {
+    const config = this.generateConfig({ rng });
     const rootNode = new SudokuNode(config);
     let puzzleStack = [rootNode];
 
@@ -654,7 +1346,7 @@ export class Sudoku {
         break;
       }
 
-      const next = puzzleNode.getNextUnvisited();
+      const next = puzzleNode.getNextUnvisited([], rng);
       if (next) {
         puzzleStack.push(next);
       } else {
@@ -679,11 +1371,13 @@ export class Sudoku {
   /**
    *
    * @param {number} numClues
-   * @param {Sudoku} config
+   * @param {Sudoku} [config] (default: `Sudoku.generateConfig()`)
+   * @param {Rng} [rng=Math.random] The source of random numbers.
    * @returns {Sudoku}
    */
-  static _randomCombo(numClues, config = Sudoku.generateConfig()) {
-    const keep = randomCombo(NUM_SPACES, numClues);
+  static _randomCombo(numClues, config = null, rng = Math.random) {
+    config ??= Sudoku.generateConfig({ rng });
+    const keep = randomCombo(NUM_SPACES, numClues, rng);
     let keepIndex = 0;
     return new Sudoku(config.board.map((digit, i) => {
       if (keep[keepIndex] === i) {
@@ -704,34 +1398,30 @@ export class Sudoku {
    * @returns {Sudoku}
    */
   static mask(config, mask) {
-    const board = new Sudoku(config).board;
-    for (let ci = 0; ci < NUM_SPACES; ci++) {
-      board[ci] = (mask & (1n << BigInt(NUM_SPACES - ci - 1))) > 0n ? board[ci] : 0;
-    }
-    return new Sudoku(board);
+    return config.filter(mask);
   }
 
   get mask() {
     return this.board.reduce((acc, digit, ci) => (
-      (digit > 0) ? (acc | (1n << BigInt(NUM_SPACES - 1 - ci))) : acc
+      (digit > 0) ? (acc | this._geometry.cellMask(ci)) : acc
     ), 0n);
   }
 
   get emptyCellMask() {
     return this.board.reduce((acc, digit, ci) => (
-      (digit === 0) ? (acc | (1n << BigInt(NUM_SPACES - 1 - ci))) : acc
+      (digit === 0) ? (acc | this._geometry.cellMask(ci)) : acc
     ), 0n);
   }
 
   /**
    *
-   * @param {bigint} mask 81 or less length bit mask, where 1s represent cells to keep.
+   * @param {bigint} mask Bit mask the length of the board or less, where 1s represent cells to keep.
    * @returns {Sudoku}
    */
   filter(mask) {
     return new Sudoku(this.board.map((d, i) => (
-      (mask & (1n << BigInt(NUM_SPACES - i - 1))) === 0n ? 0 : d)
-    ));
+      (mask & this._geometry.cellMask(i)) === 0n ? 0 : d)
+    ), { geometry: this._geometry, cages: this._cages });
   }
 
   /**
@@ -740,7 +1430,10 @@ export class Sudoku {
    * @returns {Sudoku}
    */
   keepIndices(cellIndices) {
-    return new Sudoku(this.board.map((d, i) => (cellIndices.includes(i) ? d : 0)));
+    return new Sudoku(
+      this.board.map((d, i) => (cellIndices.includes(i) ? d : 0)),
+      { geometry: this._geometry, cages: this._cages }
+    );
   }
 
   /**
@@ -749,7 +1442,10 @@ export class Sudoku {
    * @returns {Sudoku}
    */
   filterOutIndices(cellIndices) {
-    return new Sudoku(this.board.map((d, i) => (cellIndices.includes(i) ? 0 : d)));
+    return new Sudoku(
+      this.board.map((d, i) => (cellIndices.includes(i) ? 0 : d)),
+      { geometry: this._geometry, cages: this._cages }
+    );
   }
 
   /**
@@ -773,12 +1469,14 @@ export class Sudoku {
   /**
    *
    * @param {number} numClues
-   * @param {Sudoku} config
+   * @param {Sudoku} [config] (default: `Sudoku.generateConfig()`)
+   * @param {Rng} [rng=Math.random] The source of random numbers.
    * @returns
    */
-  static _randomComboPuzzle(numClues, config = Sudoku.generateConfig()) {
+  static _randomComboPuzzle(numClues, config = null, rng = Math.random) {
+    config ??= Sudoku.generateConfig({ rng });
     let puzzle;
-    while (!(puzzle = Sudoku._randomCombo(numClues, config)).hasUniqueSolution());
+    while (!(puzzle = Sudoku._randomCombo(numClues, config, rng)).hasUniqueSolution());
     return puzzle;
   }
 
@@ -787,14 +1485,15 @@ export class Sudoku {
    *
    * @param {number} numClues
    * @param {number} maxTests
+   * @param {Rng} [rng=Math.random] The source of random numbers.
    * @returns {Sudoku | null}
    */
-  static generatePuzzle2(numClues = 27, maxTests = 1<<24) {
+  static generatePuzzle2(numClues = 27, maxTests = 1<<24, rng = Math.random) {
     debug.log('generatePuzzle2');
 
     // TODO This is kinda dumb, yeah?
     if (numClues >= 36) {
-      return this._randomComboPuzzle(numClues);
+      return this._randomComboPuzzle(numClues, null, rng);
     }
 
     /**
@@ -813,7 +1512,7 @@ export class Sudoku {
       if (stack.length === 0 || popsUntilReset === 0) {
         // Clear the stack and start over
         stack = [{
-          sudoku: Sudoku._randomComboPuzzle(numClues + Math.ceil((NUM_SPACES - numClues) / 4)),
+          sudoku: Sudoku._randomComboPuzzle(numClues + Math.ceil((NUM_SPACES - numClues) / 4), null, rng),
           nexts: null,
         }];
         popsUntilReset = (NUM_SPACES - numClues)**2;
@@ -845,7 +1544,7 @@ export class Sudoku {
 
       if (top.nexts.length > 0) {
         // Get a random next
-        const next = removeRandom(top.nexts);
+        const next = removeRandom(top.nexts, rng);
         stack.push({ sudoku: next, nexts: null });
         // debug.log(`    ++++ ${next.toString()}`);
       } else {
@@ -871,11 +1570,25 @@ export class Sudoku {
 
   /**
    * Generates a Sudoku board with the diagonal regions randomly filled.
+   *
+   * Independently filled regions can only be guaranteed to fit together when the regions are square
+   * and at least 3x3, so for other geometries (including jigsaw regions) only the first region is filled.
+   * Variant rules may constrain digits within a region, so boards with variants are left empty.
+   * @param {object} [options] Geometry options. See `Sudoku.fromString`.
+   * @param {Rng} [options.rng=Math.random] The source of random numbers.
    * @returns {Sudoku}
    */
-  static configSeed() {
-    const sudoku = new Sudoku();
-    sudoku._fillSections(0b100010001);
+  static configSeed(options = {}) {
+    const geometry = resolveGeometry(options) ?? STANDARD;
+    const { size, boxRows, boxCols } = geometry;
+    const regionsPerRow = size / boxCols;
+    const numDiagonals = (geometry.variants.length > 0) ? 0 :
+      (boxRows === boxCols && boxRows >= 3 && !geometry.isJigsaw) ? regionsPerRow : 1;
+
+    const sudoku = new Sudoku([], { geometry });
+    sudoku._fillSections(range(numDiagonals).reduce((regionMask, i) => (
+      regionMask | (1 << (size - 1 - (i * regionsPerRow + i)))
+    ), 0), options.rng);
     return sudoku;
   }
 
@@ -884,18 +1597,169 @@ export class Sudoku {
    * @param {object} options
    * @param {boolean} [options.normalize=false] (default: `false`) Whether to normalize the generated board.
    * @param {number} [options.timeOutMs=0] (default: `0` (no limit)) The maximum time to spend generating.
+   * @param {SudokuGeometry} [options.geometry] The board geometry. Geometry options (`size`, `boxRows`, `boxCols`,
+   * `variants`, `regions`) may be given instead. Defaults to a standard board.
+   * @param {number | string} [options.seed] Seed for the random choices, so that the same seed gives the same config.
+   * @param {Rng} [options.rng] The source of random numbers. Takes precedence over `seed`. Defaults to `Math.random`.
    * @returns {Sudoku | null} A valid configuration, or `null` if none was found.
    */
-  static generateConfig({ normalize, timeOutMs } = {
+  static generateConfig({ normalize, timeOutMs, seed, rng, ...geometryOptions } = {
     normalize: false,
     // TODO I don't think we need a timeout for generating configs
     timeOutMs: 0
   }) {
-    const config = Sudoku.configSeed().firstSolution(timeOutMs);
+    const geometry = resolveGeometry(geometryOptions) ?? STANDARD;
+    rng = resolveRng({ seed, rng });
+    const isPatterned = geometry.variants.length === 0 && !geometry.isJigsaw;
+    const config = (geometry.size > MAX_SEARCHED_CONFIG_SIZE && isPatterned) ?
+      Sudoku._shuffledPatternConfig(geometry, rng) :
+      Sudoku._searchConfig(geometry, timeOutMs, rng);
     config._clues = config.board;
     return (normalize) ? config.normalize() : config;
   }
 
+  /**
+   * Searches for a random configuration from a seeded board.
+   *
+   * Random searches occasionally wander into huge dead ends, especially with jigsaw regions or variants,
+   * where little of the board can be seeded. So the search is restarted whenever it runs out of iterations,
+   * starting with one iteration per cell and doubling with each restart. Limiting iterations rather than time
+   * keeps the result the same for the same random numbers.
+   * @param {SudokuGeometry} geometry
+   * @param {number} [timeOutMs=0] (default: `0` (no limit)) The maximum total time to spend searching.
+   * @param {Rng} [rng=Math.random] The source of random numbers.
+   * @returns {Sudoku | null} The configuration, or `null` if none was found in time.
+   */
+  static _searchConfig(geometry, timeOutMs = 0, rng = Math.random) {
+    const startTime = Date.now();
+    for (let maxIterations = geometry.numSpaces; ; maxIterations *= 2) {
+      const remainingMs = timeOutMs - (Date.now() - startTime);
+      if (timeOutMs > 0 && remainingMs <= 0) {
+        return null;
+      }
+
+      const { solutions } = Sudoku.configSeed({ geometry, rng }).searchForSolutions2({
+        timeOutMs: (timeOutMs > 0) ? remainingMs : 0,
+        maxIterations,
+        rng,
+        solutionFoundCallback: (solution) => false
+      });
+      if (solutions.length > 0) {
+        return solutions[0];
+      }
+    }
+  }
+
+  /**
+   * Builds a random configuration by shuffling the digits, bands, stacks, and the rows and columns within them,
+   * of a patterned configuration. Used for boards too large to search quickly, though the results are drawn
+   * from a much smaller family of configurations than a search would produce.
+   * @param {SudokuGeometry} geometry
+   * @param {Rng} [rng=Math.random] The source of random numbers.
+   * @returns {Sudoku}
+   */
+  static _shuffledPatternConfig(geometry, rng = Math.random) {
+    const { size, boxRows, boxCols } = geometry;
+    const digits = shuffle(range(size + 1, 1), rng);
+    const rowOrder = shuffle(range(size / boxRows), rng).flatMap((band) => (
+      shuffle(range(boxRows), rng).map((r) => band * boxRows + r)
+    ));
+    const colOrder = shuffle(range(size / boxCols), rng).flatMap((stack) => (
+      shuffle(range(boxCols), rng).map((c) => stack * boxCols + c)
+    ));
+
+    // Each row is the previous shifted by a region's width, or by one more at the start of a band.
+    const pattern = (row, col) => (boxCols * (row % boxRows) + ((row / boxRows) | 0) + col) % size;
+
+    return new Sudoku(range(geometry.numSpaces).map((ci) => (
+      digits[pattern(rowOrder[(ci / size) | 0], colOrder[ci % size])]
+    )), { geometry });
+  }
+
+  /**
+   * Generates a Killer Sudoku: a puzzle with no given digits, whose unique solution is determined by its cages.
+   *
+   * Starts by partitioning the board into random connected cages, then while the puzzle has more than one
+   * solution, splits the cage of a cell on which the solutions disagree.
+   * @param {object} [options]
+   * @param {Sudoku} [options.config] (default: `Sudoku.generateConfig()`) The solution.
+   * @param {number} [options.maxCageSize=5] (default: `5`) The maximum number of cells in a cage.
+   * @param {number | string} [options.seed] Seed for the random choices, so that the same options give the same puzzle.
+   * @param {Rng} [options.rng] The source of random numbers. Takes precedence over `seed`. Defaults to `Math.random`.
+   * @returns {Sudoku} A puzzle with no clues and a unique solution, with cages summing to the config's digits.
+   * @throws {Error} If the config is not full and valid, or `maxCageSize` is not a positive integer.
+   */
+  static generateKiller({ config = null, maxCageSize = 5, seed, rng } = {}) {
+    if (!Number.isInteger(maxCageSize) || maxCageSize < 1) {
+      throw new Error(`Invalid maxCageSize: ${maxCageSize}`);
+    }
+    rng = resolveRng({ seed, rng });
+    config ??= Sudoku.generateConfig({ rng });
+    if (!config.isSolved()) {
+      throw new Error('config must be a valid, full board.');
+    }
+
+    const { geometry } = config;
+    const board = config.board;
+    const sumOf = (cells) => cells.reduce((acc, ci) => acc + board[ci], 0);
+
+    // Grow each cage randomly from an unassigned cell, avoiding repeated digits.
+    const cageOf = Array(geometry.numSpaces).fill(-1);
+    /** @type {number[][]} */
+    let groups = [];
+    shuffle(range(geometry.numSpaces), rng).forEach((start) => {
+      if (cageOf[start] >= 0) {
+        return;
+      }
+      const targetSize = 1 + randInt(maxCageSize, rng);
+      const cells = [start];
+      cageOf[start] = groups.length;
+      let frontier = orthogonalNeighbors(start, geometry);
+      while (cells.length < targetSize) {
+        frontier = frontier.filter((ci) => (
+          cageOf[ci] < 0 && cells.every((cageCell) => board[cageCell] !== board[ci])
+        ));
+        const next = removeRandom(frontier, rng);
+        if (next === null) {
+          break;
+        }
+        cageOf[next] = groups.length;
+        cells.push(next);
+        frontier.push(...orthogonalNeighbors(next, geometry));
+      }
+      groups.push(cells.sort((a, b) => a - b));
+    });
+
+    const toPuzzle = () => new Sudoku([], {
+      geometry,
+      cages: groups.map((cells) => ({ sum: sumOf(cells), cells }))
+    });
+
+    let puzzle = toPuzzle();
+    while (true) {
+      let solutionCount = 0;
+      const { solutions } = puzzle.searchForSolutions3({
+        rng,
+        solutionFoundCallback: () => (++solutionCount < 2)
+      });
+      if (solutions.length < 2) {
+        return puzzle;
+      }
+
+      const differing = range(geometry.numSpaces).filter((ci) => (
+        solutions.some((solution) => solution.getDigit(ci) !== board[ci])
+      ));
+      const cell = chooseRandom(differing, rng);
+      const cageIndex = groups.findIndex((cells) => cells.includes(cell));
+      groups = [
+        ...groups.filter((_, i) => i !== cageIndex),
+        [cell],
+        ...connectedGroups(groups[cageIndex].filter((ci) => ci !== cell), geometry)
+      ];
+      puzzle = toPuzzle();
+    }
+  }
+
   /**
    * Performs a solutions search for the board and returns the first found.
    * @param {object} options
@@ -921,12 +1785,13 @@ export class Sudoku {
    * @throws {Error} If the top row is not fully filled.
    */
   normalize() {
+    this._validateNoCages('normalize');
     if (!isAreaFull(this.rowVals(0))) {
       throw new Error('Top row must be fully filled before normalizing.');
     }
 
     const boardCopy = this.board;
-    for (let digit = 1; digit <= NUM_DIGITS; digit++) {
+    for (let digit = 1; digit <= this._geometry.size; digit++) {
       const currentDigit = boardCopy[digit - 1];
       if (currentDigit !== digit) {
         swapAllInArr(boardCopy, currentDigit, digit);
@@ -948,12 +1813,13 @@ export class Sudoku {
    *
    * @param {number} [emptyCellIndex=-1] (in `[0, 80]`; default: `-1`) The index of the empty cell to fill.
    * If not provided or is negative or out of bounds, a cell with the fewest candidates will be picked.
+   * @param {Rng} [rng=Math.random] The source of random numbers, for picking between cells with the fewest candidates.
    * @returns {Sudoku[]}
    */
-  _getNextsAdditive(emptyCellIndex = -1) {
+  _getNextsAdditive(emptyCellIndex = -1, rng = Math.random) {
     emptyCellIndex = Number(emptyCellIndex) || -1;
-    if (emptyCellIndex < 0 || emptyCellIndex >= NUM_SPACES) {
-      emptyCellIndex = this._pickEmptyCell();
+    if (emptyCellIndex < 0 || emptyCellIndex >= this._board.length) {
+      emptyCellIndex = this._pickEmptyCell(rng);
     }
 
     let result = [];
@@ -1014,24 +1880,28 @@ export class Sudoku {
 
   /**
    *
-   * @param {number} regionMask A 9-bit mask where each bit represents a region
-   * and whether to fill it with random digits.
-   */
-  _fillSections(regionMask) {
-    for (let regIndex = 0; regIndex < NUM_DIGITS; regIndex++) {
-      if ((regionMask & (1<<(NUM_DIGITS - 1 - regIndex))) > 0) {
-        this.fillRegion(regIndex);
+   * @param {number} regionMask A mask with a bit for each region (e.g. 9 bits), where each bit represents
+   * a region and whether to fill it with random digits. The most significant bit represents the first region.
+   * @param {Rng} [rng=Math.random] The source of random numbers.
+   */
+  _fillSections(regionMask, rng = Math.random) {
+    const size = this._geometry.size;
+    for (let regIndex = 0; regIndex < size; regIndex++) {
+      if ((regionMask & (1<<(size - 1 - regIndex))) > 0) {
+        this.fillRegion(regIndex, rng);
       }
     }
   }
 
   /**
-   * Fills the given region with the random digits 1-9 with no regard for board validity.
+   * Fills the given region with the random digits (e.g. 1-9) with no regard for board validity.
    *
    * @param {number} regionIndex
+   * @param {Rng} [rng=Math.random] The source of random numbers.
    */
-  fillRegion(regionIndex) {
-    shuffle(range(NUM_DIGITS+1, 1)).forEach((digit, i) => this.setDigit(digit, indicesFor.region[regionIndex][i]));
+  fillRegion(regionIndex, rng = Math.random) {
+    const { size, indicesFor } = this._geometry;
+    shuffle(range(size+1, 1), rng).forEach((digit, i) => this.setDigit(digit, indicesFor.region[regionIndex][i]));
   }
 
   /**
@@ -1039,7 +1909,8 @@ export class Sudoku {
    * @param {Sudoku} other
    */
   equals(other) {
-    return this.board.every((val, i) => val === other.board[i]);
+    const otherBoard = other.board;
+    return this._geometry.equals(other._geometry) && this.board.every((val, i) => val === otherBoard[i]);
   }
 
   /**
@@ -1070,9 +1941,13 @@ export class Sudoku {
    * returns `false`, the search will stop;
    * otherwise it will continue searching for solutions.
    *
+   * Only the `'dfs'` backend's reduction is supported here (see `SEARCH_BACKENDS`), so there is no `backend` option.
+   * Use `Sudoku#searchForSolutions2` or `Sudoku#searchForSolutions3` to search with `'dlx'`.
+   *
    * @param {SolutionFoundCallback} solutionFoundCallback Called with a solution board when one is found.
    * If this returns `true`, then the search will continue for more solutions;
    * otherwise the search will stop.
+   * @param {number} [maxIterations=Infinity] (default: `Infinity`) The maximum number of boards to check.
    * @return {boolean} `true` if the search exhausted all possible solutions or hit maximum iterations; otherwise `false`.
    */
   searchForSolutions(solutionFoundCallback, maxIterations = Number.POSITIVE_INFINITY) {
@@ -1129,6 +2004,11 @@ export class Sudoku {
    * @param {number} [options.timeOutMs=0] (default: `0` (no limit)) The maximum time to spend searching.
    * @param {(solution: Sudoku) => boolean} [options.solutionFoundCallback] Called with a solution when one is found.
    * If the callback returns truthy, the search will continue.
+   * @param {string} [options.backend='dfs'] (default: `'dfs'`) The search backend. See `SEARCH_BACKENDS`.
+   * @param {number} [options.maxIterations=0] (default: `0` (no limit)) The maximum number of boards to check.
+   * If reached, the search stops without being `complete`. Ignored by the `'dlx'` backend.
+   * @param {Rng} [options.rng=Math.random] The source of random numbers, which decides the order of the search.
+   * Ignored by the `'dlx'` backend.
    * @return {{
    *  solutions: Sudoku[],
    *  iterations: number,
@@ -1148,8 +2028,16 @@ export class Sudoku {
    */
   searchForSolutions2({
     timeOutMs = 0,
-    solutionFoundCallback = (solution) => true
+    solutionFoundCallback = (solution) => true,
+    backend = 'dfs',
+    maxIterations = 0,
+    rng = Math.random
   }) {
+    validateBackend(backend);
+    if (backend === 'dlx') {
+      return this.searchForSolutionsDLX({ timeOutMs, solutionFoundCallback });
+    }
+
     timeOutMs = Number(timeOutMs) || 0;
 
     const isTimeConstraint = timeOutMs > 0;
@@ -1177,6 +2065,7 @@ export class Sudoku {
       timedOut: false,
       terminatedByCallback: false
     };
+    let isOutOfIterations = false;
 
     while (stack.length > 0) {
       // Time check
@@ -1189,6 +2078,11 @@ export class Sudoku {
         }
       }
 
+      if (maxIterations > 0 && result.iterations >= maxIterations) {
+        isOutOfIterations = true;
+        break;
+      }
+
       const top = stack[stack.length - 1];
       const sudoku = top.sudoku;
       result.iterations++;
@@ -1210,13 +2104,13 @@ export class Sudoku {
       // of Sudokus with each of the possible candidates filled in.
       // We'll need to check each of these for solutions.
       if (top.nexts === null) {
-        top.nexts = sudoku._getNextsAdditive();
+        top.nexts = sudoku._getNextsAdditive(-1, rng);
       }
 
       if (top.nexts.length > 0) {
         result.branches++;
         // Pick randomly from the list of nexts, and push it onto the stack.
-        const next = removeRandom(top.nexts);
+        const next = removeRandom(top.nexts, rng);
         stack.push({ sudoku: next, nexts: null });
       } else {
         stack.pop();
@@ -1224,7 +2118,7 @@ export class Sudoku {
     }
     stack = null;
 
-    result.complete = (!result.timedOut && !result.terminatedByCallback);
+    result.complete = (!result.timedOut && !result.terminatedByCallback && !isOutOfIterations);
     result.timeElapsedMs = Date.now() - startTime;
     return result;
   }
@@ -1239,11 +2133,14 @@ export class Sudoku {
    * @param {number} [options.timeOutMs=0] (default: `0` (no limit)) The maximum time to spend searching.
    * @param {(solution: Sudoku) => boolean} [options.solutionFoundCallback] Called with a solution when one is found.
    * If the callback returns truthy, the search will continue.
+   * @param {string} [options.backend='dfs'] (default: `'dfs'`) The search backend. See `SEARCH_BACKENDS`.
    * @param {number} [options.concurrentBranches=81] Number of depth-first search branches
    * that can be explored concurrently. i.e., Maximum number of stacks the DFS can break out at one time. Each
    * stack takes turns progressing and checking for solutions. This helps prevent the scenario where some invalid
    * puzzles with few clues take a long time to find a second solution, due to the depth-first search space being
    * very large and taking significant time to backtrack.
+   * @param {Rng} [options.rng=Math.random] The source of random numbers, which decides the order of the search.
+   * Ignored by the `'dlx'` backend.
    * @return {{
    *  solutions: Sudoku[],
    *  iterations: number,
@@ -1261,11 +2158,47 @@ export class Sudoku {
    * - `timedOut` - Whether the search timed out before completing.
    * - `terminatedByCallback` - Whether the search was terminated by the callback instead of checking the entire search space.
    */
-  searchForSolutions3({
+  searchForSolutions3(options) {
+    return runSteps(this._searchSteps3(options));
+  }
+
+  /**
+   * Searches for solutions like `searchForSolutions3`, but yields to the event loop as it goes,
+   * so that long searches don't freeze a UI.
+   * @param {object} [options] The options of `searchForSolutions3`, plus:
+   * @param {AbortSignal} [options.signal] Stops the search when aborted.
+   * @param {(progress: {iterations: number, branches: number, solutionsFound: number, timeElapsedMs: number}) => void}
+   * [options.onProgress] Called with the search's progress every few milliseconds, and once it completes.
+   * @param {EventBus} [options.eventBus] Where to throw `PROGRESS_EVENT` events, with the progress as their data.
+   * @returns {Promise<object>} The same results and metrics as `searchForSolutions3`.
+   * @throws {any} The signal's abort reason, if it is aborted before the search completes.
+   */
+  searchAsync({ signal, onProgress, eventBus, ...options } = {}) {
+    return runStepsAsync(this._searchSteps3(options), {
+      signal,
+      onProgress,
+      eventBus,
+      toProgress: ({ iterations, branches, solutions }) => ({ iterations, branches, solutionsFound: solutions.length })
+    });
+  }
+
+  /**
+   * The steps of `searchForSolutions3`, which yield the results so far after each round of the search stacks.
+   * @param {object} [options] See `searchForSolutions3`.
+   * @returns {Generator<object, object>}
+   */
+  *_searchSteps3({
     timeOutMs = 0,
     solutionFoundCallback = (solution) => true,
+    backend = 'dfs',
     concurrentBranches = 9,
-  }) {
+    rng = Math.random
+  } = {}) {
+    validateBackend(backend);
+    if (backend === 'dlx') {
+      return this.searchForSolutionsDLX({ timeOutMs, solutionFoundCallback });
+    }
+
     timeOutMs = Number(timeOutMs) || 0;
 
     const isTimeConstraint = timeOutMs > 0;
@@ -1338,7 +2271,7 @@ export class Sudoku {
         // of Sudokus with each of the possible candidates filled in.
         // We'll need to check each of these for solutions.
         if (top.nexts === null) {
-          top.nexts = shuffle(sudoku._getNextsAdditive());
+          top.nexts = shuffle(sudoku._getNextsAdditive(-1, rng), rng);
         }
 
         if (top.nexts.length > 0) {
@@ -1360,6 +2293,8 @@ export class Sudoku {
       while (emptyStacks.length > 0) {
         stacks.splice(emptyStacks.pop(), 1);
       }
+
+      yield result;
     }
     stacks = null;
 
@@ -1368,6 +2303,107 @@ export class Sudoku {
     return result;
   }
 
+  /**
+   * Searches for solutions by treating the board as an exact cover problem, solved with Algorithm X
+   * using Dancing Links. Each placement of a digit in a cell is a row, covering the cell and the digit
+   * in each of the cell's houses. Variant houses without a cell for every digit, and variant peers,
+   * are covered at most once.
+   *
+   * Returns the same results as `searchForSolutions3`. Boards with cages are searched with `searchForSolutions3`
+   * instead, since cage sums cannot be expressed as exact cover constraints.
+   *
+   * @param {object} [options]
+   * @param {number} [options.timeOutMs=0] (default: `0` (no limit)) The maximum time to spend searching.
+   * @param {(solution: Sudoku) => boolean} [options.solutionFoundCallback] Called with a solution when one is found.
+   * If the callback returns truthy, the search will continue.
+   * @returns {{
+   *  solutions: Sudoku[],
+   *  iterations: number,
+   *  branches: number,
+   *  timeElapsedMs: number,
+   *  complete: boolean,
+   *  timedOut: boolean,
+   *  terminatedByCallback: boolean
+   * }} An object with the search results and metrics. See `searchForSolutions3`.
+   * Here `iterations` counts the nodes of the search tree, and `branches` the placements tried.
+   */
+  searchForSolutionsDLX({ timeOutMs = 0, solutionFoundCallback = (solution) => true } = {}) {
+    if (this._cages.length > 0) {
+      return this.searchForSolutions3({ timeOutMs, solutionFoundCallback });
+    }
+
+    const startTime = Date.now();
+    const { size, numSpaces, houses, cellHouses, variantPeers, allCandidates } = this._geometry;
+
+    // Columns: each cell, then each digit of each complete house, then (at most once) each digit of
+    // each incomplete house, and of each pair of variant peers.
+    const houseColumns = Array(houses.length);
+    let numPrimary = numSpaces;
+    houses.forEach(({ cells }, hi) => {
+      if (cells.length === size) {
+        houseColumns[hi] = numPrimary;
+        numPrimary += size;
+      }
+    });
+    let numColumns = numPrimary;
+    houses.forEach(({ cells }, hi) => {
+      if (cells.length !== size) {
+        houseColumns[hi] = numColumns;
+        numColumns += size;
+      }
+    });
+    const pairColumns = range(numSpaces).map(() => []);
+    variantPeers.forEach((peers, ci) => peers.filter((pi) => pi > ci).forEach((pi) => {
+      pairColumns[ci].push(numColumns);
+      pairColumns[pi].push(numColumns);
+      numColumns += size;
+    }));
+
+    const dlx = new DancingLinks(numPrimary, numColumns - numPrimary);
+    /** @type {[number, number][]} */
+    const placements = [];
+    for (let ci = 0; ci < numSpaces; ci++) {
+      const val = this._board[ci];
+      const candidates = isDigit(val) ? val : ((val || allCandidates) & ~this._cellConstraints(ci));
+      for (let digit = 1; digit <= size; digit++) {
+        if (candidates & encode(digit)) {
+          placements.push([ci, digit]);
+          dlx.addRow([
+            ci,
+            ...cellHouses[ci].map((hi) => houseColumns[hi] + digit - 1),
+            ...pairColumns[ci].map((column) => column + digit - 1)
+          ]);
+        }
+      }
+    }
+
+    /** @type {Sudoku[]} */
+    const solutions = [];
+    const searchResult = dlx.search({
+      timeOutMs,
+      solutionFoundCallback: (rows) => {
+        const digits = Array(numSpaces).fill(0);
+        rows.forEach((row) => {
+          const [ci, digit] = placements[row];
+          digits[ci] = digit;
+        });
+        const solution = new Sudoku(digits, { geometry: this._geometry });
+        solutions.push(solution);
+        return Boolean(solutionFoundCallback(solution));
+      }
+    });
+
+    return {
+      solutions,
+      iterations: searchResult.iterations,
+      branches: searchResult.branches,
+      timeElapsedMs: Date.now() - startTime,
+      complete: searchResult.complete,
+      timedOut: searchResult.timedOut,
+      terminatedByCallback: searchResult.terminatedByCallback
+    };
+  }
+
   /**
    * TODO This is a work in progress - Currently just a copy of `searchForSolutions2`.
    * @param {SolutionFoundCallback} solutionFoundCallback
@@ -1417,7 +2453,7 @@ export class Sudoku {
    * represents the presence of a digit in the row.
    */
   _rowConstraints(rowIndex) {
-    return (this._constraints[rowIndex] & Sudoku.ROW_MASK) >> (NUM_DIGITS * 2);
+    return this._constraints[rowIndex];
   }
 
   /**
@@ -1427,7 +2463,7 @@ export class Sudoku {
    * represents the presence of a digit in the column.
    */
   _colConstraints(columnIndex) {
-    return (this._constraints[columnIndex] & Sudoku.COLUMN_MASK) >> NUM_DIGITS;
+    return this._constraints[this._geometry.size + columnIndex];
   }
 
   /**
@@ -1437,21 +2473,27 @@ export class Sudoku {
    * represents the presence of a digit in the region.
    */
   _regionConstraints(regionIndex) {
-    return this._constraints[regionIndex] & Sudoku.REGION_MASK;
+    return this._constraints[2 * this._geometry.size + regionIndex];
   }
 
   /**
    * Gets the constraints for the given cell.
    * @param {number} cellIndex
    * @returns {number} A bit mask of the constraints, where `1`
-   * represents the presence of a digit in the cell's row, column, or region.
+   * represents the presence of a digit in the cell's row, column, region, variant houses, or variant peers.
    */
   _cellConstraints(cellIndex) {
-    return (
-      this._rowConstraints(cellRow(cellIndex)) |
-      this._colConstraints(cellCol(cellIndex)) |
-      this._regionConstraints(cellRegion(cellIndex))
-    );
+    const { cellHouses, variantPeers } = this._geometry;
+    let constraints = 0;
+    for (const houseIndex of cellHouses[cellIndex]) {
+      constraints |= this._constraints[houseIndex];
+    }
+    for (const peerIndex of variantPeers[cellIndex]) {
+      if (isDigit(this._board[peerIndex])) {
+        constraints |= this._board[peerIndex];
+      }
+    }
+    return constraints;
   }
 
   /**
@@ -1461,34 +2503,37 @@ export class Sudoku {
    * @returns {void}
    */
   _addConstraint(cellIndex, digit) {
-    const rowIndex = cellRow(cellIndex);
-    const columnIndex = cellCol(cellIndex);
-    const regionIndex = cellRegion(cellIndex);
-    // System.out.printf("Adding constraint on %d (%d,%d) -> %d\n", cellIndex, rowIndex + 1, columnIndex + 1, digit);
-
-    this._constraints[rowIndex] |= 1 << (digit - 1 + (NUM_DIGITS * 2));
-    this._constraints[columnIndex] |= 1 << (digit - 1 + NUM_DIGITS);
-    this._constraints[regionIndex] |= 1 << (digit - 1);
+    const digitBit = 1 << (digit - 1);
+    this._geometry.cellHouses[cellIndex].forEach((houseIndex) => this._constraints[houseIndex] |= digitBit);
   }
 
   _removeConstraint(cellIndex, prevDigit) {
-    const rowIndex = cellRow(cellIndex);
-    const columnIndex = cellCol(cellIndex);
-    const regionIndex = cellRegion(cellIndex);
-    // System.out.printf("Removing constraint on %d (%d,%d) -> %d\n", cellIndex, rowIndex + 1, columnIndex + 1, prevDigit);
-
-    this._constraints[rowIndex] &= ~(1 << (prevDigit - 1 + (NUM_DIGITS * 2)));
-    this._constraints[columnIndex] &= ~(1 << (prevDigit - 1 + NUM_DIGITS));
-    this._constraints[regionIndex] &= ~(1 << (prevDigit - 1));
+    const digitBit = 1 << (prevDigit - 1);
+    this._geometry.cellHouses[cellIndex].forEach((houseIndex) => this._constraints[houseIndex] &= ~digitBit);
   }
 
   /**
    * Sudoku Class Thing
    * @param {number[] | string | Sudoku} data
-   */
-  constructor(data = []) {
+   * @param {object} [options] Geometry options, used when `data` is not a `Sudoku`. See `Sudoku.fromString`.
+   * For arrays and strings, the geometry is inferred from their length when no options are given.
+   * @param {SudokuGeometry} [options.geometry] The board geometry. Takes precedence over the other options.
+   * @param {number} [options.size]
+   * @param {number} [options.boxRows]
+   * @param {number} [options.boxCols]
+   * @param {(string | Variant)[]} [options.variants]
+   * @param {Cage[]} [options.cages] Killer cages, used when `data` is not a `Sudoku`.
+   * @throws {Error} If a cage is invalid. See `Sudoku.validateCages`.
+   */
+  constructor(data = [], options = {}) {
+    /**
+     * The shape of the board.
+     * @type {SudokuGeometry}
+     */
+    this._geometry;
+
     /**
-     * The Sudoku board, represented as an array of bit masks, each a length of `NUM_DIGITS` bits.
+     * The Sudoku board, represented as an array of bit masks, each a length of `size` (e.g. 9) bits.
      * The masks correspond to the candidate values for each cell, e.g.:
      * - `0b000000001` = 1
      * - `0b000000010` = 2
@@ -1500,15 +2545,11 @@ export class Sudoku {
     this._board;
 
     /**
-     * Contains puzzle constraints in the form
+     * Contains puzzle constraints for each house, indexed the same as `SudokuGeometry.houses`,
+     * i.e. every row, then every column, then every region.
      *
-     * `[... other bits][9 row bits][9 column bits][9 region bits]`,
-     *
-     * where each bit represents a digit, and is set to 1 if the digit
-     * is present in the row, column, or region.
-     *
-     * Use `Constraints.ROW_MASK`, `Constraints.COL_MASK`, and
-     * `Constraints.REGION_MASK` to filter constraint values.
+     * Each value is a mask where each bit represents a digit, and is set to 1 if the digit
+     * is present in the house.
      * @type {number[]}
      */
     this._constraints;
@@ -1525,30 +2566,201 @@ export class Sudoku {
      */
     this._numEmptyCells = NUM_SPACES;
 
+    /**
+     * Killer cages, whose digits may not repeat and must add up to the cage's sum.
+     * @type {Cage[]}
+     */
+    this._cages = [];
+
+    /**
+     * The index of the cage containing each cell, or `-1` for cells outside of cages.
+     * Empty if there are no cages.
+     * @type {number[]}
+     */
+    this._cellCages = [];
+
     if (data instanceof Sudoku) {
+      this._geometry = data._geometry;
       this._board = [...data._board];
       this._constraints = [...data._constraints];
       this._clues = data.board;
       this._numEmptyCells = data._numEmptyCells;
+      this._cages = data._cages;
+      this._cellCages = data._cellCages;
     } else if (typeof data === 'string') {
-      const parsed = Sudoku.fromString(data);
+      const parsed = Sudoku.fromString(data, options);
+      this._geometry = parsed._geometry;
       this._board = [...parsed._board];
       this._constraints = [...parsed._constraints];
       this._clues = parsed.clues;
       this._numEmptyCells = parsed._numEmptyCells;
+      this._cages = parsed._cages;
+      this._cellCages = parsed._cellCages;
     } else if (Array.isArray(data)) {
-      this._board = [...EMPTY_BOARD];
-      this._constraints = Array(NUM_DIGITS).fill(0);
-      this._clues = [...EMPTY_BOARD];
-      if (data.length === NUM_SPACES) {
+      this._geometry = resolveGeometry(options, (data.length > 0) ? data.length : undefined) ?? STANDARD;
+      const { numSpaces } = this._geometry;
+      this._board = Array(numSpaces).fill(0);
+      this._constraints = Array(this._geometry.houses.length).fill(0);
+      this._clues = Array(numSpaces).fill(0);
+      this._numEmptyCells = numSpaces;
+      if (data.length === numSpaces) {
         this.setBoard(data);
         this._clues = this.board;
       }
+      this._setCages(options.cages ?? []);
     } else {
       throw new Error(`Invalid data type: ${typeof data}`);
     }
   }
 
+  /**
+   * Validates the given killer cages for a board.
+   * @param {Cage[]} cages
+   * @param {SudokuGeometry} [geometry=SudokuGeometry.standard]
+   * @throws {Error} If a cage has cells out of range or shared with another cage, has more cells than digits,
+   * or has a sum that its cells cannot add up to.
+   */
+  static validateCages(cages, geometry = STANDARD) {
+    const { size, numSpaces } = geometry;
+    const seen = new Set();
+    cages.forEach(({ sum, cells }) => {
+      const isValid = (
+        Array.isArray(cells) &&
+        cells.length > 0 && cells.length <= size &&
+        cells.every((ci) => Number.isInteger(ci) && ci >= 0 && ci < numSpaces && !seen.has(ci) && seen.add(ci)) &&
+        Number.isInteger(sum) &&
+        cageCombos(size, cells.length, sum).length > 0
+      );
+      if (!isValid) {
+        throw new Error(`Invalid cage: ${JSON.stringify({ sum, cells })}`);
+      }
+    });
+  }
+
+  /**
+   * Replaces the killer cages.
+   * @param {Cage[]} cages
+   * @throws {Error} If a cage is invalid. See `Sudoku.validateCages`.
+   */
+  _setCages(cages) {
+    Sudoku.validateCages(cages, this._geometry);
+    this._cages = cages.map(({ sum, cells }) => Object.freeze({ sum, cells: Object.freeze([...cells]) }));
+    this._cellCages = (cages.length > 0) ? Array(this._geometry.numSpaces).fill(-1) : [];
+    this._cages.forEach(({ cells }, cageIndex) => cells.forEach((ci) => this._cellCages[ci] = cageIndex));
+  }
+
+  /**
+   * Returns a copy of the killer cages.
+   * @returns {Cage[]}
+   */
+  get cages() {
+    return this._cages.map(({ sum, cells }) => ({ sum, cells: [...cells] }));
+  }
+
+  /**
+   * Returns the cells sharing a cage with the given cell, not including the cell itself.
+   * @param {number} cellIndex
+   * @returns {number[]}
+   */
+  _cageMates(cellIndex) {
+    const cageIndex = (this._cages.length > 0) ? this._cellCages[cellIndex] : -1;
+    return (cageIndex < 0) ? [] : this._cages[cageIndex].cells.filter((ci) => ci !== cellIndex);
+  }
+
+  /**
+   * Returns the candidates still possible for an empty cell given its cage: digits not placed elsewhere
+   * in the cage, from combinations that make up the rest of the cage's sum using the candidates left in
+   * the cage's other empty cells.
+   * @param {number} cellIndex
+   * @returns {number} A candidates mask. All candidates for cells outside of cages.
+   */
+  _cageCandidates(cellIndex) {
+    const { size, allCandidates } = this._geometry;
+    const cageIndex = (this._cages.length > 0) ? this._cellCages[cellIndex] : -1;
+    if (cageIndex < 0) {
+      return allCandidates;
+    }
+
+    const { sum, cells } = this._cages[cageIndex];
+    let remainingSum = sum;
+    let placed = 0;
+    let available = 0;
+    /** @type {number[]} */
+    const open = [];
+    for (const ci of cells) {
+      const val = this._board[ci];
+      if (isDigit(val)) {
+        remainingSum -= decode(val);
+        placed |= val;
+      } else {
+        const candidates = val || allCandidates;
+        open.push(candidates);
+        available |= candidates;
+      }
+    }
+
+    let result = 0;
+    for (const combo of cageCombos(size, open.length, remainingSum)) {
+      if ((combo & placed) === 0 && (combo & ~available) === 0 && open.every((candidates) => (candidates & combo))) {
+        result |= combo;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Returns whether the digits in each cage are distinct and add up to no more than the cage's sum,
+   * and exactly the sum once the cage is full.
+   * @returns {boolean}
+   */
+  _areCagesValid() {
+    return this._cages.every(({ sum, cells }) => {
+      const digits = cells.filter((ci) => isDigit(this._board[ci])).map((ci) => decode(this._board[ci]));
+      const total = digits.reduce((acc, digit) => acc + digit, 0);
+      return (
+        new Set(digits).size === digits.length &&
+        ((digits.length === cells.length) ? (total === sum) : (total < sum))
+      );
+    });
+  }
+
+  /**
+   * Moves the jigsaw regions and cage cells along with a transformation of the board.
+   * @param {(arr: number[]) => void} transform The in-place transformation applied to the board.
+   */
+  _transformLayout(transform) {
+    this._geometry = this._geometry.transformRegions(transform);
+    if (this._cages.length === 0) {
+      return;
+    }
+
+    const positions = range(this._board.length);
+    transform(positions);
+    // After transforming, `positions[to]` holds the cell that moved to `to`.
+    const moved = [];
+    positions.forEach((from, to) => moved[from] = to);
+    this._setCages(this._cages.map(({ sum, cells }) => ({ sum, cells: cells.map((ci) => moved[ci]) })));
+  }
+
+  /**
+   * Relabeling digits would change the cage sums.
+   * @param {string} action
+   * @throws {Error} If the board has cages.
+   */
+  _validateNoCages(action) {
+    if (this._cages.length > 0) {
+      throw new Error(`Cannot ${action} a board with cages.`);
+    }
+  }
+
+  /**
+   * The shape of the board.
+   * @returns {SudokuGeometry}
+   */
+  get geometry() {
+    return this._geometry;
+  }
+
   /**
    * Returns a copy of the board.
    * @returns {number[]}
@@ -1563,10 +2775,12 @@ export class Sudoku {
    */
   get board2D() {
     const boardRows = [];
-    for (let r = 0; r < NUM_DIGITS; r++) {
-      const start = r * NUM_DIGITS;
-      const end = start + NUM_DIGITS;
-      const rowValues = this.board.slice(start, end);
+    const board = this.board;
+    const size = this._geometry.size;
+    for (let r = 0; r < size; r++) {
+      const start = r * size;
+      const end = start + size;
+      const rowValues = board.slice(start, end);
       boardRows.push(rowValues);
     }
     return boardRows;
@@ -1647,7 +2861,7 @@ export class Sudoku {
    * or if any of the numbers provided are not digits.
    */
   setBoard(digits) {
-    if (digits.length !== NUM_SPACES) {
+    if (digits.length !== this._geometry.numSpaces) {
       throw new Error(`board is invalid (length): ${digits.length}.`);
     }
 
@@ -1656,7 +2870,7 @@ export class Sudoku {
         throw new Error(`board is invalid (type): ${typeof digit} at index ${i}.`);
       }
 
-      if (digit < 0 || digit > NUM_DIGITS) {
+      if (digit < 0 || digit > this._geometry.size) {
         throw new Error(`board is invalid (value): ${digit} at index ${i}.`);
       }
 
@@ -1682,7 +2896,7 @@ export class Sudoku {
     // return ENCODER.slice(1).filter((encoded) => (this._board[cellIndex] & encoded) > 0).map(decode);
 
     // TODO Use CANDIDATE_DECODINGS map once implemented
-    return CANDIDATE_DECODINGS[this._board[cellIndex]];
+    return decodeCandidates(this._board[cellIndex]);
     // let encodedCellValue = this._board[cellIndex];
     // if (encodedCellValue === 0) {
 
@@ -1698,14 +2912,16 @@ export class Sudoku {
 
   _getCandidatesEncoded(cellIndex) {
     // return ENCODER.slice(1).filter((encoded) => (this._board[cellIndex] & encoded) > 0);
-    return CANDIDATES[this._board[cellIndex]];
+    const encoded = this._board[cellIndex];
+    return (encoded < CANDIDATES.length) ? CANDIDATES[encoded] : decodeCandidates(encoded).map(encode);
   }
 
   getPeers(cellIndex) {
+    const { cellHouses, houses, variantPeers } = this._geometry;
     return [
-      ...indicesFor.row[cellRow(cellIndex)],
-      ...indicesFor.col[cellCol(cellIndex)],
-      ...indicesFor.region[cellRegion(cellIndex)],
+      ...cellHouses[cellIndex].flatMap((hi) => houses[hi].cells),
+      ...variantPeers[cellIndex],
+      ...this._cageMates(cellIndex)
     ].filter((i) => i !== cellIndex);
   }
 
@@ -1713,19 +2929,19 @@ export class Sudoku {
    * Clears all values and clues on the board. The result will be completely blank.
    */
   clear() {
-    this._board.fill(ALL);
+    this._board.fill(this._geometry.allCandidates);
     this._constraints.fill(0);
     this._clues.fill(0);
-    this._numEmptyCells = NUM_SPACES;
+    this._numEmptyCells = this._geometry.numSpaces;
   }
 
   /**
    * Resets the board to its initial clues.
    */
   reset() {
-    this._board.fill(ALL);
+    this._board.fill(this._geometry.allCandidates);
     this._constraints.fill(0);
-    this._numEmptyCells = NUM_SPACES;
+    this._numEmptyCells = this._geometry.numSpaces;
     this._clues.forEach((digit, index) => this.setDigit(digit, index));
   }
 
@@ -1735,7 +2951,7 @@ export class Sudoku {
    * @returns {number[]}
    */
   rowVals(row) {
-    return indicesFor.row[row].map((i) => this._board[i]);
+    return this._geometry.indicesFor.row[row].map((i) => this._board[i]);
   }
 
   /**
@@ -1744,7 +2960,7 @@ export class Sudoku {
    * @returns {number[]}
    */
   colVals(col) {
-    return indicesFor.col[col].map((i) => this._board[i]);
+    return this._geometry.indicesFor.col[col].map((i) => this._board[i]);
   }
 
   /**
@@ -1753,7 +2969,7 @@ export class Sudoku {
    * @returns {number[]}
    */
   regionVals(reg) {
-    return indicesFor.region[reg].map((i) => this._board[i]);
+    return this._geometry.indicesFor.region[reg].map((i) => this._board[i]);
   }
 
   /**
@@ -1816,11 +3032,16 @@ export class Sudoku {
    */
   isValid() {
     // TODO Check constraints instead
-    return range(NUM_DIGITS).every((i) => (
+    const { size, houses, variantPeers } = this._geometry;
+    return range(size).every((i) => (
       this.isRowValid(i) &&
       this.isColValid(i) &&
       this.isRegionValid(i)
-    ));
+    )) && houses.slice(3 * size).every(({ cells }) => (
+      isAreaValid(cells.map((ci) => this._board[ci]))
+    )) && variantPeers.every((peers, ci) => (
+      !isDigit(this._board[ci]) || peers.every((pi) => this._board[pi] !== this._board[ci])
+    )) && this._areCagesValid();
   }
 
   /**
@@ -1829,7 +3050,7 @@ export class Sudoku {
    */
   isFull() {
     // TODO return this._numEmptyCells === 0;
-    return range(NUM_DIGITS).every((i) => (
+    return range(this._geometry.size).every((i) => (
       this.isRowFull(i) &&
       this.isColFull(i) &&
       this.isRegionFull(i)
@@ -1858,7 +3079,122 @@ export class Sudoku {
    * @returns {string}
    */
   toString() {
-    return this.board.join('').replace(/0/g, '.');
+    return this.board.map((digit) => this._geometry.digitToChar(digit)).join('');
+  }
+
+  /**
+   * Returns the canonical (minlex) form of the board as a string.
+   *
+   * Boards that are equivalent under relabeling digits, permuting bands, stacks, and the rows and columns
+   * within them, and transposing (for square regions) have the same canonical string. Of those boards,
+   * the canonical one is the smallest when read row by row, with digits ordering before empty cells.
+   * @returns {string}
+   * @throws {Error} If the board has cages, variants, or jigsaw regions, which these transformations don't preserve.
+   */
+  canonicalString() {
+    this._validateNoCages('canonicalize');
+    if (this._geometry.variants.length > 0 || this._geometry.isJigsaw) {
+      throw new Error('Cannot canonicalize a board with variants or jigsaw regions.');
+    }
+    return minlex(this.board, this._geometry).map((digit) => this._geometry.digitToChar(digit)).join('');
+  }
+
+  /**
+   * Determines whether two boards are equivalent, i.e. one can be transformed into the other
+   * by the transformations described in `Sudoku#canonicalString`.
+   * @param {Sudoku} a
+   * @param {Sudoku} b
+   * @returns {boolean}
+   * @throws {Error} If either board cannot be canonicalized.
+   */
+  static isEquivalent(a, b) {
+    return (
+      a.geometry === b.geometry &&
+      a.numEmptyCells === b.numEmptyCells &&
+      a.canonicalString() === b.canonicalString()
+    );
+  }
+
+  /**
+   * Returns a JSON representation of the board, including its geometry (unless standard) and any cages.
+   * @returns {{board: string, geometry?: object, cages?: Cage[]}}
+   */
+  toJSON() {
+    return {
+      board: this.toString(),
+      ...(this._geometry.isStandard ? {} : { geometry: this._geometry.toJSON() }),
+      ...((this._cages.length > 0) ? { cages: this.cages } : {})
+    };
+  }
+
+  /**
+   * Builds a Sudoku board from its JSON representation. See `Sudoku#toJSON`.
+   * @param {string | {board: string, geometry?: object, cages?: Cage[]}} json
+   * @returns {Sudoku}
+   * @throws {Error} If the board, geometry, or cages are invalid.
+   */
+  static fromJSON(json) {
+    const { board, geometry = {}, cages = [] } = (typeof json === 'string') ? JSON.parse(json) : json;
+    if (typeof board !== 'string') {
+      throw new Error(`Invalid board: ${board}`);
+    }
+    return Sudoku.fromString(board, { ...geometry, cages });
+  }
+
+  /**
+   * Encodes the board compactly, e.g. in 11 bytes for a 9x9 config, or 21 bytes for a 9x9 puzzle.
+   *
+   * A full board is coded cell by cell, as the index of each digit among the digits its earlier peers leave it.
+   * Any other board is coded as one of its solutions plus a mask of its filled cells. See `Sudoku.decode`.
+   * The geometry is not included, so it must be given again when decoding.
+   * @param {object} [options]
+   * @param {boolean} [options.base64=false] (default: `false`) Whether to return the code as URL-safe base64,
+   * e.g. for sharing puzzles in links.
+   * @returns {Uint8Array | string} The code, as bytes or as a URL-safe base64 string.
+   * @throws {Error} If the board has cages, or has no solution.
+   */
+  encode({ base64 = false } = {}) {
+    this._validateNoCages('encode');
+    const isFull = this.isFull();
+    let config = null;
+    if (this.isValid()) {
+      config = isFull ? this : (this.searchForSolutions3({ solutionFoundCallback: () => false }).solutions[0] ?? null);
+    }
+    if (config === null) {
+      throw new Error('Cannot encode a board without a solution.');
+    }
+
+    // The lowest bit flags whether the code includes a mask, i.e. whether the board is not full.
+    const configCode = encodeConfig(config.board, this._geometry);
+    const code = isFull ?
+      (configCode << 1n) :
+      (((configCode << BigInt(this._geometry.numSpaces)) | this.mask) << 1n) | 1n;
+    const bytes = bigintToBytes(code);
+    return base64 ? toBase64Url(bytes) : bytes;
+  }
+
+  /**
+   * Decodes a board encoded by `Sudoku#encode`. The digits of the board are its clues.
+   * @param {Uint8Array | string} code The code, as bytes or as a URL-safe base64 string.
+   * @param {object} [options] The geometry options of the encoded board. See `Sudoku.fromString`.
+   * Defaults to the standard 9x9 board.
+   * @returns {Sudoku}
+   * @throws {Error} If the code is invalid, or not of a board with the given geometry.
+   */
+  static decode(code, options = {}) {
+    const geometry = resolveGeometry(options) ?? STANDARD;
+    const bytes = (typeof code === 'string') ? fromBase64Url(code) : code;
+    if (!(bytes instanceof Uint8Array) || bytes.length === 0) {
+      throw new Error(`Invalid code: ${code}`);
+    }
+
+    let value = bytesToBigint(bytes);
+    const hasMask = (value & 1n) === 1n;
+    value >>= 1n;
+    const numSpaces = BigInt(geometry.numSpaces);
+    const mask = hasMask ? (value & ((1n << numSpaces) - 1n)) : null;
+    const config = new Sudoku(decodeConfig(hasMask ? (value >> numSpaces) : value, geometry), { geometry });
+    return hasMask ? Sudoku.mask(config, mask) : config;
   }
 
   /**
@@ -1866,18 +3202,33 @@ export class Sudoku {
    * @returns {string}
    */
   toFullString() {
+    const { size } = this._geometry;
+    const regionOf = (row, col) => this._geometry.cellRegion(row * size + col);
+    // Borders right of and below each cell, where it meets a different region.
+    const hasRightBorder = (row, col) => (col < size - 1) && regionOf(row, col) !== regionOf(row, col + 1);
+    const hasBottomBorder = (row, col) => regionOf(row, col) !== regionOf(row + 1, col);
+
+    const borderLine = (row) => ' ' + range(size).map((col) => {
+      const line = hasBottomBorder(row, col) ? '---' : '   ';
+      if (col === size - 1) {
+        return line + line[0];
+      }
+      const isVertical = hasRightBorder(row, col) || hasRightBorder(row + 1, col);
+      const isHorizontal = hasBottomBorder(row, col) || hasBottomBorder(row, col + 1);
+      return line + (isVertical ? (isHorizontal ? '+' : '|') : (isHorizontal ? '-' : ' '));
+    }).join('');
+
     return this._board.reduce((str, val, i) => {
-      str += isDigit(val) ? decode(val) : '.';
-      str += (((((i+1)%3) === 0) && (((i+1)%9) !== 0)) ? ' | ' : '   ');
+      const col = i % size;
+      const row = (i / size) | 0;
+      str += isDigit(val) ? this._geometry.digitToChar(decode(val)) : '.';
+      str += hasRightBorder(row, col) ? ' | ' : '   ';
 
-      if (((i+1)%9) === 0) {
+      if ((col+1) === size) {
         str += '\n';
 
-        if (i < 80) {
-          str += ((((Math.floor((i+1)/9)%3) == 0) && ((Math.floor(i/9)%8) != 0)) ?
-            ' -----------+-----------+------------' :
-            '            |           |            '
-          );
+        if (row < size - 1) {
+          str += borderLine(row);
           str += '\n  ';
         }
       }
@@ -1892,7 +3243,7 @@ export class Sudoku {
    */
   get normalizedBoard() {
     const copy = [...this.board];
-    for (let i = 1; i <= NUM_DIGITS; i++) {
+    for (let i = 1; i <= this._geometry.size; i++) {
       const digit = copy[i - 1];
       if (digit != i) {
         swapAllInArr(copy, digit, i);
@@ -1902,11 +3253,13 @@ export class Sudoku {
   }
 
   /**
-   *
+   * Relabels the digits of the board randomly.
+   * @param {Rng} [rng=Math.random] The source of random numbers.
    */
-  shuffleDigits() {
-    const digits = range(NUM_DIGITS + 1, 1);
-    shuffle(digits).forEach((digit, i) => {
+  shuffleDigits(rng = Math.random) {
+    this._validateNoCages('shuffle the digits of');
+    const digits = range(this._geometry.size + 1, 1);
+    shuffle(digits, rng).forEach((digit, i) => {
       swapAllInArr(this._board, encode(digit), encode(i + 1));
       swapAllInArr(this._clues, digit, i + 1);
     });
@@ -1915,41 +3268,190 @@ export class Sudoku {
   }
 
   reflectOverHorizontal() {
-    reflectOverHorizontal(this._board, NUM_DIGITS);
-    reflectOverHorizontal(this._clues, NUM_DIGITS);
+    reflectOverHorizontal(this._board, this._geometry.size);
+    reflectOverHorizontal(this._clues, this._geometry.size);
+    this._transformLayout((arr) => reflectOverHorizontal(arr, this._geometry.size));
     this._resetConstraints();
   }
 
   reflectOverVertical() {
-    reflectOverVertical(this._board, NUM_DIGITS);
-    reflectOverVertical(this._clues, NUM_DIGITS);
+    reflectOverVertical(this._board, this._geometry.size);
+    reflectOverVertical(this._clues, this._geometry.size);
+    this._transformLayout((arr) => reflectOverVertical(arr, this._geometry.size));
     this._resetConstraints();
   }
 
   /**
    * Reflects the board values over the diagonal axis (line from bottomleft to topright).
+   * @throws {Error} If the board's regions are not square.
    */
   reflectOverDiagonal() {
+    this._validateSquareRegions('reflect over the diagonal');
     reflectOverDiagonal(this._board);
     reflectOverDiagonal(this._clues);
+    this._transformLayout(reflectOverDiagonal);
     this._resetConstraints();
   }
 
+  /**
+   * @throws {Error} If the board's regions are not square.
+   */
   reflectOverAntidiagonal() {
+    this._validateSquareRegions('reflect over the antidiagonal');
     reflectOverAntiDiagonal(this._board);
     reflectOverAntiDiagonal(this._clues);
+    this._transformLayout(reflectOverAntiDiagonal);
     this._resetConstraints();
   }
 
+  /**
+   * @throws {Error} If the board's regions are not square.
+   */
   rotate90() {
+    this._validateSquareRegions('rotate');
     rotateArr90(this._board);
     rotateArr90(this._clues);
+    this._transformLayout(rotateArr90);
+    this._resetEmptyCells();
+    this._resetConstraints();
+  }
+
+  /**
+   * Transforms the board into an equivalent one: transposes it, permutes its rows and columns,
+   * and relabels its digits, in that order. Clues, cages and jigsaw regions move along with the digits.
+   *
+   * Rows may only be permuted within bands and bands as a whole (and likewise columns within stacks),
+   * so that regions stay intact. Boards with variants or jigsaw regions may only be reflected,
+   * i.e. their rows or columns reversed, which together with transposing gives every rotation.
+   * @param {TransformSpec} spec
+   * @returns {Sudoku} Returns itself for convenience.
+   * @throws {Error} If the spec is invalid for the board, or relabels the digits of a board with cages.
+   */
+  transform(spec) {
+    const { transpose, rows, cols, digits } = this._resolveTransform(spec);
+    const { size, numSpaces } = this._geometry;
+
+    if (transpose) {
+      this._validateSquareRegions('transpose');
+    }
+    if (digits.some((digit, i) => digit !== i + 1)) {
+      this._validateNoCages('relabel the digits of');
+    }
+
+    // `source[ci]` is the cell moved into `ci`.
+    const source = range(numSpaces).map((ci) => {
+      const row = rows[(ci / size) | 0];
+      const col = cols[ci % size];
+      return transpose ? (col * size + row) : (row * size + col);
+    });
+    const permute = (arr) => {
+      const copy = [...arr];
+      source.forEach((from, to) => arr[to] = copy[from]);
+    };
+
+    permute(this._board);
+    permute(this._clues);
+    this._transformLayout(permute);
+    this._board = this._board.map((val) => (isDigit(val) ? encode(digits[decode(val) - 1]) : val));
+    this._clues = this._clues.map((digit) => ((digit > 0) ? digits[digit - 1] : 0));
     this._resetEmptyCells();
     this._resetConstraints();
+    return this;
+  }
+
+  /**
+   * Undoes a transformation made with `Sudoku#transform` or `Sudoku#randomTransform`.
+   * @param {TransformSpec} spec The spec that was applied.
+   * @returns {Sudoku} Returns itself for convenience.
+   * @throws {Error} If the spec is invalid for the board.
+   */
+  untransform(spec) {
+    return this.transform(invertTransform(this._resolveTransform(spec)));
+  }
+
+  /**
+   * Transforms the board into a random equivalent one. See `Sudoku#transform`.
+   *
+   * Digits are not relabeled on boards with cages, and boards with variants or jigsaw regions
+   * are only reflected and rotated.
+   * @param {Rng} [rng=Math.random] The source of random numbers.
+   * @returns {Required<TransformSpec>} The applied transformation, which can be undone with `Sudoku#untransform`.
+   */
+  randomTransform(rng = Math.random) {
+    const { size, boxRows, boxCols, variants, isJigsaw } = this._geometry;
+    const isDihedralOnly = (variants.length > 0 || isJigsaw);
+    const lines = (linesPerBox) => {
+      if (isDihedralOnly) {
+        return (rng() < 0.5) ? range(size) : range(size).reverse();
+      }
+      return shuffle(range(size / linesPerBox), rng).flatMap((band) => (
+        shuffle(range(linesPerBox), rng).map((line) => band * linesPerBox + line)
+      ));
+    };
+
+    const spec = {
+      transpose: (boxRows === boxCols || isJigsaw) && rng() < 0.5,
+      rows: lines(boxRows),
+      cols: lines(boxCols),
+      digits: (this._cages.length > 0) ? range(size + 1, 1) : shuffle(range(size + 1, 1), rng)
+    };
+    this.transform(spec);
+    return spec;
+  }
+
+  /**
+   * Fills in the defaults of a transform spec and validates it for this board.
+   * @param {TransformSpec} spec
+   * @returns {Required<TransformSpec>}
+   * @throws {Error} If the spec is invalid for the board.
+   */
+  _resolveTransform({ transpose = false, rows, cols, digits } = {}) {
+    const { size, boxRows, boxCols, variants, isJigsaw } = this._geometry;
+    rows ??= range(size);
+    cols ??= range(size);
+    digits ??= range(size + 1, 1);
+
+    const isPerm = (arr, start) => (
+      Array.isArray(arr) && arr.length === size &&
+      [...arr].sort((a, b) => a - b).every((value, i) => value === i + start)
+    );
+    if (!isPerm(rows, 0) || !isPerm(cols, 0) || !isPerm(digits, 1)) {
+      throw new Error(`Invalid transform: ${JSON.stringify({ transpose, rows, cols, digits })}`);
+    }
+
+    // Each band of lines must come from a single band of the board.
+    const keepsBoxes = (lines, linesPerBox) => lines.every((line, i) => (
+      ((line / linesPerBox) | 0) === ((lines[i - (i % linesPerBox)] / linesPerBox) | 0)
+    ));
+    const isReflection = (lines) => (
+      lines.every((line, i) => line === i) || lines.every((line, i) => line === size - 1 - i)
+    );
+    if (variants.length > 0 || isJigsaw) {
+      if (!isReflection(rows) || !isReflection(cols)) {
+        throw new Error('Invalid transform: boards with variants or jigsaw regions can only be reflected or rotated.');
+      }
+    } else if (!keepsBoxes(rows, boxRows) || !keepsBoxes(cols, boxCols)) {
+      throw new Error('Invalid transform: rows and columns must stay within their bands and stacks.');
+    }
+
+    return { transpose: Boolean(transpose), rows, cols, digits };
+  }
+
+  /**
+   * Transposing a board with rectangular regions (e.g. 2x3) would turn them on their side (3x2).
+   * Jigsaw regions are moved along with the digits instead.
+   * @param {string} action
+   * @throws {Error} If the board's regions are not square.
+   */
+  _validateSquareRegions(action) {
+    const { boxRows, boxCols, isJigsaw } = this._geometry;
+    if (boxRows !== boxCols && !isJigsaw) {
+      throw new Error(`Cannot ${action} a board with ${boxRows}x${boxCols} regions.`);
+    }
   }
 
   _resetConstraints() {
-    this._constraints = Array(NUM_DIGITS).fill(0);
+    this._constraints = Array(this._geometry.houses.length).fill(0);
     this.board.forEach((digit, i) => {
       if (digit > 0) {
         this._addConstraint(i, digit);
@@ -1962,7 +3464,8 @@ export class Sudoku {
    * @param {number[]} board Encoded board values.
    */
   _resetEmptyCells() {
-    this._board = this._board.map((val) => (isDigit(val) ? val : ALL));
+    const all = this._geometry.allCandidates;
+    this._board = this._board.map((val) => (isDigit(val) ? val : all));
     // TODO Does anything need to be done with the constraints?
   };
 
@@ -1976,7 +3479,7 @@ export class Sudoku {
 
     do {
       hadReduction = false;
-      for (let i = 0; i < NUM_SPACES; i++) {
+      for (let i = 0; i < this._board.length; i++) {
         hadReduction ||= this._reduce2(i);
         if (hadReduction) {
           // console.log(`reduced> ${boardSolution.board.map(decode).join('').replace(/0/g, '.')}`);
@@ -2004,6 +3507,9 @@ export class Sudoku {
     // ? If candidate constraints reduces to 0, then the board is likely invalid.
     // TODO Reason out and test what happens when the board is invalid.
     let reducedCandidates = (candidates & ~this._cellConstraints(cellIndex));
+    if (this._cages.length > 0) {
+      reducedCandidates &= this._cageCandidates(cellIndex);
+    }
     if (reducedCandidates <= 0) {
       // console.log(`reduce ${cellIndex} (${cellRow(cellIndex) + 1},${cellCol(cellIndex) + 1}): [${decode(candidates)}].  constraints reduced to 0... ERROR ERROR ERROR`);
       this.setDigit(0, cellIndex);
@@ -2046,9 +3552,9 @@ export class Sudoku {
    * @returns {number}
    */
   _hasUniqueCandidate(cellIndex) {
-    const row = cellRow(cellIndex);
-    const col = cellCol(cellIndex);
-    const region = cellRegion(cellIndex);
+    const { houses, cellHouses, size } = this._geometry;
+    // Only houses with a cell for every digit must contain each digit.
+    const areas = cellHouses[cellIndex].map((hi) => houses[hi].cells).filter((cells) => cells.length === size);
 
     // // Delete later. This was for easier debugging.
     // for (let candidateMask = 1; candidateMask < (1<<NUM_DIGITS); candidateMask <<= 1) {
@@ -2066,9 +3572,7 @@ export class Sudoku {
     // return 0;
 
     return this._getCandidatesEncoded(cellIndex).find((candidateMask) => (
-      this._isCandidateUniqueInArea(indicesFor.row[row], cellIndex, candidateMask) ||
-      this._isCandidateUniqueInArea(indicesFor.col[col], cellIndex, candidateMask) ||
-      this._isCandidateUniqueInArea(indicesFor.region[region], cellIndex, candidateMask)
+      areas.some((area) => this._isCandidateUniqueInArea(area, cellIndex, candidateMask))
     )) || 0;
   }
 
@@ -2093,11 +3597,8 @@ export class Sudoku {
    */
   _reduceNeighbors(cellIndex) {
     // System.out.printf("Relaxing neighbors of cell %d ...\n", cellIndex);
-    [
-      ...indicesFor.row[cellRow(cellIndex)],
-      ...indicesFor.col[cellCol(cellIndex)],
-      ...indicesFor.region[cellRegion(cellIndex)]
-    ].filter((neighborIndex) => neighborIndex != cellIndex).forEach((neighborIndex) => this._reduce2(neighborIndex));
+    this._geometry.peers[cellIndex].forEach((neighborIndex) => this._reduce2(neighborIndex));
+    this._cageMates(cellIndex).forEach((mateIndex) => this._reduce2(mateIndex));
 
     // forEach((neighborIndex) => {
     //   if (neighborIndex != cellIndex) {
@@ -2117,10 +3618,12 @@ export class Sudoku {
 
   /**
    * Finds the index of an empty cell which contains the fewest candidates.
+   * @param {Rng} [rng=Math.random] The source of random numbers, for picking between cells with the fewest candidates.
    * @return {number} Cell index, or `-1` if there are no empty cells.
    */
-  _pickEmptyCell() {
-    let minCandidates = NUM_DIGITS + 1;
+  _pickEmptyCell(rng = Math.random) {
+    const size = this._geometry.size;
+    let minCandidates = size + 1;
     const _numCandidatesMap = this._board.reduce((map, _, ci) => {
       const numCandidates = this.getCandidates(ci).length;
       if (numCandidates > 1 && numCandidates < minCandidates) {
@@ -2128,20 +3631,22 @@ export class Sudoku {
       }
       map[numCandidates].push(ci);
       return map;
-    }, range(NUM_DIGITS + 1).map(_=>[]));
+    }, range(size + 1).map(_=>[]));
 
     // If there are no empty cells, then minCandidates would not have changed
-    if (minCandidates === (NUM_DIGITS + 1)) return -1;
+    if (minCandidates === (size + 1)) return -1;
 
-    return chooseRandom(_numCandidatesMap[minCandidates]);
+    return chooseRandom(_numCandidatesMap[minCandidates], rng);
   }
 
   /**
    * Determines whether this puzzle has a single solution.
+   * @param {object} [options]
+   * @param {string} [options.backend='dfs'] (default: `'dfs'`) The search backend. See `SEARCH_BACKENDS`.
    * @returns {boolean} True if the puzzle has a unique solution; otherwise false.
    */
-  hasUniqueSolution() {
-    return this.solutionsFlag() === 1;
+  hasUniqueSolution(options = {}) {
+    return this.solutionsFlag(options) === 1;
   }
 
   /**
@@ -2150,19 +3655,24 @@ export class Sudoku {
    * The search will stop early if a second solution is found. Otherwise, the search will
    * will continue until the entire search space is checked.
    *
-   * Note: If the board has fewer than the minimum `17` clues, then this returns `2` automatically.
+   * Note: If the board has fewer than the minimum clues known for its size (e.g. `17`) and no cages,
+   * then this returns `2` automatically.
+   * @param {object} [options]
+   * @param {string} [options.backend='dfs'] (default: `'dfs'`) The search backend. See `SEARCH_BACKENDS`.
    * @returns {number} Value indicating the number of solutions:
    * - `0` - No solution.
    * - `1` - A single solution.
    * - `2 or higher` - Multiple solutions.
    */
-  solutionsFlag() {
-    if (this.numEmptyCells > NUM_SPACES - MIN_CLUES) {
+  solutionsFlag({ backend = 'dfs' } = {}) {
+    validateBackend(backend);
+    if (this._cages.length === 0 && this.numEmptyCells > this._geometry.numSpaces - this._geometry.minClues) {
       return 2;
     }
 
     let solutionCount = 0;
     const searchResults = this.searchForSolutions3({
+      backend,
       solutionFoundCallback: (_) => (++solutionCount < 2)
     });
     // console.log(`searchForSolutions3 (${(searchResults.timeElapsedMs > 2000) ? '🚨' : ''}${searchResults.timeElapsedMs}ms): ${this.toString()} ${JSON.stringify(searchResults)}`);
@@ -2199,19 +3709,174 @@ export class Sudoku {
   }
 
   /**
-   * TODO Not yet implemented.
+   * Attempts to solve this board using only human-style techniques (singles, subsets,
+   * locked candidates, fish, XY-Wing, and simple coloring), recording each deduction.
+   *
+   * This board is not modified.
+   * @returns {import('./LogicalSolver.js').LogicalSolveResult} The ordered step log and
+   * resulting board. `solved` is `false` if the techniques were not enough.
+   * @throws {Error} If the board has cages, as none of the techniques use cage sums.
+   */
+  solveLogically() {
+    this._validateNoCages('logically solve');
+    return new LogicalSolver(this).solve();
+  }
+
+  /**
+   * Grades this puzzle by the hardest technique required to solve it logically,
+   * along with the number of steps taken at each difficulty.
+   *
+   * Puzzles that cannot be solved by the known techniques are labeled `'extreme'`.
+   * Uniqueness is not checked; puzzles with multiple solutions will never solve logically.
+   * @returns {import('./LogicalSolver.js').Rating}
+   * @throws {Error} If the board has cages, as none of the techniques use cage sums.
+   */
+  rate() {
+    this._validateNoCages('rate');
+    return rateSolveResult(this.solveLogically());
+  }
+
+  /**
+   * Finds the next logical move from the current board, along with explanations
+   * graded from vague (where to look) to exact (what to place or eliminate).
+   *
+   * If the clues have a unique solution and a filled-in digit contradicts it, the mistake
+   * is reported instead (technique `'incorrect-digit'`), since deductions from a wrong
+   * board would be misleading.
    *
+   * This board is not modified.
+   * @returns {import('./LogicalSolver.js').Hint | null} The hint, or `null` if the board is
+   * solved or no known technique applies.
+   * @throws {Error} If the board has cages, as none of the techniques use cage sums.
+   */
+  nextHint() {
+    this._validateNoCages('find a hint for');
+    const solution = new Sudoku(this.clues, { geometry: this._geometry, cages: this._cages });
+    if (solution.solve()) {
+      const board = this.board;
+      const mistake = board.findIndex((digit, ci) => digit > 0 && digit !== solution.getDigit(ci));
+      if (mistake >= 0) {
+        return createMistakeHint(mistake, board[mistake], this._geometry);
+      }
+    }
+
+    const step = new LogicalSolver(this).findStep();
+    return (step !== null) ? createHint(step, this._geometry) : null;
+  }
+
+  /**
    * Determines whether this puzzle is in a prime invalid form.
    *
    * Prime invalid form means that the puzzle is unresolvable and each empty cell,
    * when filled in with the corresponding value from the config, results in a puzzle
-   * that has a unique solution (the given config).
+   * that has a unique solution (the given config). In other words, the empty cells form
+   * an unavoidable set of the config which contains no smaller unavoidable set.
    * @param {Sudoku} config
    * @returns {boolean}
+   * @throws {Error} If `config` is not a config with the same geometry as this puzzle.
    */
   isPrimeInvalid(config) {
-    // TODO
-    return false;
+    if (!(config instanceof Sudoku) || config.geometry !== this._geometry || !config.isConfig()) {
+      throw new Error(`Invalid config: ${config}`);
+    }
+
+    const board = this.board;
+    if (board.some((digit, ci) => (digit > 0 && digit !== config.getDigit(ci)))) {
+      return false;
+    }
+    if (this.solutionsFlag() !== 2) {
+      return false;
+    }
+
+    return board.every((digit, ci) => {
+      if (digit > 0) {
+        return true;
+      }
+      const p = new Sudoku(this);
+      p.setDigit(config.getDigit(ci), ci);
+      return p.hasUniqueSolution();
+    });
+  }
+
+  /**
+   * Returns the cells whose digits can be removed one at a time while the puzzle keeps a unique solution.
+   *
+   * Each cell is checked against the full puzzle, so removing all of them at once may not keep the solution unique.
+   * If the puzzle does not have a unique solution, no clue is considered redundant.
+   * @returns {number[]} The cell indices of the redundant clues, in ascending order.
+   */
+  redundantClues() {
+    if (!this.hasUniqueSolution()) {
+      return [];
+    }
+    return this._clueCells().filter((ci) => this._isClueRedundant(ci));
+  }
+
+  /**
+   * Determines whether this puzzle is minimal, i.e. it has a unique solution
+   * and none of its clues can be removed without losing that uniqueness.
+   * @returns {boolean}
+   */
+  isMinimal() {
+    return this.hasUniqueSolution() && !this._clueCells().some((ci) => this._isClueRedundant(ci));
+  }
+
+  /**
+   * Determines whether the pattern of filled cells has the given symmetry. See `SYMMETRIES`.
+   * @param {string} symmetry
+   * @returns {boolean}
+   * @throws {Error} If the symmetry is invalid.
+   */
+  hasSymmetry(symmetry) {
+    validateSymmetry(symmetry);
+    const board = this.board;
+    return symmetryOrbits(this._geometry, symmetry).every((orbit) => (
+      orbit.every((ci) => (board[ci] > 0) === (board[orbit[0]] > 0))
+    ));
+  }
+
+  /**
+   * Removes redundant clues, in random order, until the puzzle is minimal.
+   *
+   * A single pass is enough, as removing clues never makes a remaining clue redundant.
+   * Assumes the puzzle has a unique solution.
+   * @param {Rng} [rng=Math.random] The source of random numbers.
+   * @returns {number[]} The cell indices of the removed clues.
+   */
+  _removeRedundantClues(rng = Math.random) {
+    const removed = shuffle(this._clueCells(), rng).filter((ci) => {
+      if (!this._isClueRedundant(ci)) {
+        return false;
+      }
+      this.setDigit(0, ci);
+      return true;
+    });
+    this._clues = this.board;
+    return removed;
+  }
+
+  /**
+   * Returns the indices of the cells that have digits.
+   * @returns {number[]}
+   */
+  _clueCells() {
+    return this.board.reduce((acc, digit, ci) => {
+      if (digit > 0) {
+        acc.push(ci);
+      }
+      return acc;
+    }, []);
+  }
+
+  /**
+   * Determines whether removing the digit in the given cell keeps the solution unique.
+   * @param {number} cellIndex
+   * @returns {boolean}
+   */
+  _isClueRedundant(cellIndex) {
+    const p = new Sudoku(this);
+    p.setDigit(0, cellIndex);
+    return p.hasUniqueSolution();
   }
 
   /**
@@ -2223,26 +3888,100 @@ export class Sudoku {
     const a = this.board;
     const b = config.board;
     let mask = 0n;
-    for (let ci = 0; ci < NUM_SPACES; ci++) {
+    for (let ci = 0; ci < a.length; ci++) {
       if (a[ci] !== b[ci]) {
-        mask |= cellMask(ci);
+        mask |= this._geometry.cellMask(ci);
       }
     }
     return mask;
   }
 
   /**
-   * Finds all unavoidable sets (UAs) in this puzzle.
+   * Finds the unavoidable sets (UAs) of this config among the cells left out of the given mask,
+   * i.e. the differences between this config and each other solution of the masked puzzle.
+   *
+   * The sets are not necessarily minimal. See `findAllUAs`.
    * @param {bigint} mask A mask for the initial puzzle to search for UAs.
    * @returns {bigint[]} An array of masks representing the UAs found.
    */
   findUAs(mask) {
-    return this.filter(mask).searchForSolutions3().solutions.reduce((acc, solution) => {
-      if (this.diff(solution) > 0n) {
-        acc.push(this.diff(solution));
+    return this.filter(mask).searchForSolutions3({}).solutions.reduce((acc, solution) => {
+      const diff = this.diff(solution);
+      if (diff > 0n) {
+        acc.push(diff);
       }
       return acc;
+    }, []);
+  }
+
+  /**
+   * Enumerates the minimal unavoidable sets (UAs) of this config: sets of cells whose digits can be
+   * rearranged into another valid config, with no smaller such set inside them. Every puzzle with a
+   * unique solution has a clue in each UA.
+   *
+   * UAs are found by emptying the cells of each subset of digits and searching for the other solutions,
+   * so only UAs using the digits of some searched subset are found. Duplicates and supersets of smaller
+   * UAs are dropped.
+   * @param {object} [options]
+   * @param {number} [options.maxSize] (default: the number of cells) The maximum number of cells in a UA.
+   * @param {number | number[][]} [options.digitSubsets=3] (default: `3`) Either the maximum number of digits
+   * in a UA, in which case every subset of `2` up to that many digits is searched, or the digit subsets to search,
+   * e.g. `[[1, 2], [1, 2, 3]]`. The search grows quickly with the size of the subsets.
+   * @returns {bigint[][]} The UA masks grouped by size, where index `n` holds the UAs with `n` cells,
+   * up to `maxSize`.
+   * @throws {Error} If this board is not a config, or the digit subsets are invalid.
+   */
+  findAllUAs({ maxSize, digitSubsets = 3 } = {}) {
+    if (!this.isConfig()) {
+      throw new Error('Invalid configuration.');
+    }
+
+    const { size, numSpaces } = this._geometry;
+    maxSize ??= numSpaces;
+    const isValidSubsets = (typeof digitSubsets === 'number') ?
+      (Number.isInteger(digitSubsets) && digitSubsets >= 2 && digitSubsets <= size) :
+      (Array.isArray(digitSubsets) && digitSubsets.every((digits) => (
+        Array.isArray(digits) && digits.every((d) => Number.isInteger(d) && d >= 1 && d <= size)
+      )));
+    if (!isValidSubsets) {
+      throw new Error(`Invalid digit subsets: ${JSON.stringify(digitSubsets)}`);
+    }
+    const subsets = (typeof digitSubsets === 'number') ?
+      range(digitSubsets + 1, 2).flatMap((k) => allCombos(size, k).map((combo) => combo.map((d) => d + 1))) :
+      digitSubsets;
+
+    const board = this.board;
+    const seen = SuperSet();
+    /** @type {bigint[]} */
+    const candidates = [];
+    subsets.forEach((digits) => {
+      const digitsMask = digits.reduce((acc, d) => (acc | digitMask(d)), 0);
+      const emptied = board.reduce((mask, d, ci) => (
+        (digitMask(d) & digitsMask) ? (mask | this._geometry.cellMask(ci)) : mask
+      ), 0n);
+      this.findUAs(~emptied).forEach((ua) => {
+        if (countBits(ua) <= maxSize && seen.add(ua)) {
+          candidates.push(ua);
+        }
+      });
     });
+
+    // Every UA contains a minimal one found by the same search, so keeping only
+    // the sets without a smaller one inside them leaves exactly the minimal UAs.
+    /** @type {bigint[][]} */
+    const bySize = range(maxSize + 1).map(() => []);
+    /** @type {bigint[]} */
+    const minimal = [];
+    candidates
+      .map((ua) => ({ ua, count: countBits(ua) }))
+      .sort((a, b) => (a.count - b.count) || ((a.ua < b.ua) ? -1 : 1))
+      .forEach(({ ua, count }) => {
+        if (minimal.every((m) => (m & ua) !== m)) {
+          minimal.push(ua);
+          bySize[count].push(ua);
+        }
+      });
+    return bySize;
   }
 
   // TODO Cache fingerprints until board changes. Maybe make these getters.
@@ -2256,22 +3995,23 @@ export class Sudoku {
     }
 
     const _board = this.board;
+    const { size, numSpaces } = this._geometry;
     const ss = new SudokuSieve({ config: this });
 
-    const nck = nChooseK(NUM_DIGITS, level);
+    const nck = nChooseK(size, level);
     for (let r = 0n; r < nck; r++) {
-      const dCombo = Number(bitCombo(NUM_DIGITS, level, r));
+      const dCombo = Number(bitCombo(size, level, r));
       const mask = _board.reduce((pMask, d, ci) => (
-        (digitMask(d) & dCombo) ? (pMask |= cellMask(ci)) : pMask
+        (digitMask(d) & dCombo) ? (pMask |= this._geometry.cellMask(ci)) : pMask
       ), 0n);
       ss.addFromMask(~mask);
     }
 
     let _sum = 0;
-    let minM = NUM_SPACES;
+    let minM = numSpaces;
     let maxM = 0;
     /** @type {number[]} */
-    const itemsByM = Array(NUM_SPACES).fill(0);
+    const itemsByM = Array(numSpaces).fill(0);
     ss.items.forEach(item => {
       const count = countBits(item);
       itemsByM[count]++;
@@ -1,4 +1,5 @@
 import Sudoku from './Sudoku.js';
+import SudokuGeometry from './SudokuGeometry.js';
 
 const range = (end, start = 0) => ([...Array(end - start).keys()].map(v => v + start));
 
@@ -34,14 +35,13 @@ export default class SudokuBoard {
     this.regions = range(9).map(this._createSudokuRegion);
     this.regions.forEach((region) => this.board.appendChild(region));
 
-    this.cells = range(9*9).map((cellIndex) => {
-      const cell = this._createSudokuCell(cellIndex);
-      const regionIndex = Sudoku.cellRegion(cellIndex);
-      const region = this.regions[regionIndex];
-      if (regionIndex % 2 === 1) cell.classList.add('odd');
-      region.appendChild(cell);
-      return cell;
-    });
+    /**
+     * The geometry the cells are currently grouped by.
+     * @type {SudokuGeometry | null}
+     */
+    this._regionGeometry = null;
+    this.cells = range(9*9).map(this._createSudokuCell);
+    this._groupCellsByRegion(SudokuGeometry.standard);
 
     this.container = document.createElement('div');
     this.container.classList.add('sudoku-container', 'flex-horizontal', 'col-gap-2', 'items-center');
@@ -155,7 +155,7 @@ export default class SudokuBoard {
   }
 
   /**
-   *
+   * Generates a puzzle without freezing the page, giving up after the given time.
    * @param {number} numClues
    * @param {number} timeoutMs
    * @returns {Promise<Sudoku>}
@@ -167,22 +167,20 @@ export default class SudokuBoard {
       return;
     }
 
-    return this.timedPromise(
-      new Promise((resolve, reject) => {
-        this.loading = true;
-        try {
-          resolve(Sudoku.generatePuzzle(numClues));
-        } catch (e) {
-          reject('Failed to generate puzzle');
-        }
+    this.loading = true;
+    return Sudoku.generateAsync({ numClues, timeOutMs: timeoutMs })
+      .then(
+        ([result]) => result?.puzzle ?? Promise.reject('Timed out waiting for promise'),
+        () => Promise.reject('Failed to generate puzzle')
+      )
+      .finally(() => {
         this.loading = false;
-      }),
-      timeoutMs
-    );
+      });
   }
 
   _bindToGame() {
     this.selected = -1;
+    this._groupCellsByRegion(this.game.geometry);
     const isSolved = this.game.isSolved();
     this._removeValidityCss();
     this.game.board.forEach((digit, cellIndex) => {
@@ -286,6 +284,7 @@ export default class SudokuBoard {
     const rowValidity = digits.map(row => this.game.isRowValid(row));
     const colValidity = digits.map(col => this.game.isColValid(col));
     const regionValidity = digits.map(region => this.game.isRegionValid(region));
+    const { geometry } = this.game;
     const solved = this.game.isSolved();
 
     this._removeValidityCss();
@@ -299,7 +298,7 @@ export default class SudokuBoard {
       let validity = 0;
       if (!rowValidity[Sudoku.cellRow(cellIndex)]) validity += 1;
       if (!colValidity[Sudoku.cellCol(cellIndex)]) validity += 1;
-      if (!regionValidity[Sudoku.cellRegion(cellIndex)]) validity += 1;
+      if (!regionValidity[geometry.cellRegion(cellIndex)]) validity += 1;
 
       if (validity > 0) {
         cell.classList.add(`invalid-${validity}`);
@@ -307,6 +306,29 @@ export default class SudokuBoard {
     });
   }
 
+  /**
+   * Moves each cell into the element of its region.
+   *
+   * Jigsaw regions can't be laid out as a grid of boxes, so the board is marked with the `jigsaw` class
+   * and each cell is given its row and column on the board's grid instead.
+   * @param {SudokuGeometry} geometry
+   */
+  _groupCellsByRegion(geometry) {
+    if (geometry === this._regionGeometry) {
+      return;
+    }
+    this._regionGeometry = geometry;
+
+    this.board.classList.toggle('jigsaw', geometry.isJigsaw);
+    this.cells.forEach((cell, cellIndex) => {
+      const regionIndex = geometry.cellRegion(cellIndex);
+      cell.classList.toggle('odd', regionIndex % 2 === 1);
+      cell.style.gridRow = geometry.isJigsaw ? `${geometry.cellRow(cellIndex) + 1}` : '';
+      cell.style.gridColumn = geometry.isJigsaw ? `${geometry.cellCol(cellIndex) + 1}` : '';
+      this.regions[regionIndex].appendChild(cell);
+    });
+  }
+
   _createSudokuRegion() {
     const region = document.createElement('div');
     region.classList.add('sudoku-region');
@@ -381,7 +403,7 @@ export default class SudokuBoard {
         !this.game.isClue(cellIndex) && (
           !this.game.isRowValid(Sudoku.cellRow(cellIndex)) ||
           !this.game.isColValid(Sudoku.cellCol(cellIndex)) ||
-          !this.game.isRegionValid(Sudoku.cellRegion(cellIndex))
+          !this.game.isRegionValid(this.game.geometry.cellRegion(cellIndex))
         )
       )).forEach((cellIndex) => {
         this.updateCellToDigit(cellIndex, 0);
@@ -407,34 +429,17 @@ export default class SudokuBoard {
   }
 
   /**
-   * Performs a random number of random transforms on the current sudoku puzzle.
-   * Transforms include:
-   * - Reflection over horizontal axis
-   * - Reflection over vertical axis
-   * - Reflection over diagonal axis
-   * - Reflection over antidiagonal axis
-   * - Rotation 90 degrees (clockwise)
+   * Transforms the current sudoku puzzle into a random equivalent one, which may relabel digits
+   * and swap bands, stacks, rows and columns as well as reflect and rotate. See `Sudoku#randomTransform`.
    *
    * Call `_bindToGame` after calling this method to update the UI.
+   * @param {() => number} [rng=Math.random] The source of random numbers in [0,1).
    */
-  _performRandomTransforms() {
+  _performRandomTransforms(rng = Math.random) {
     const currentValues = this.game.board;
-    const transforms = [
-      this.game.reflectOverHorizontal.bind(this.game),
-      this.game.reflectOverVertical.bind(this.game),
-      this.game.reflectOverDiagonal.bind(this.game),
-      this.game.reflectOverAntidiagonal.bind(this.game),
-      this.game.rotate90.bind(this.game),
-      this.game.rotate90.bind(this.game) // double chance of rotation
-    ];
-
-    const numTransforms = Math.floor(Math.random() * 20) + 8;
-
-    while (this.game.board.every((digit, cellIndex) => digit === currentValues[cellIndex])) {
-      for (let n = 0; n < numTransforms; n++) {
-        transforms[Math.floor(Math.random() * transforms.length)]();
-      }
-    }
+    do {
+      this.game.randomTransform(rng);
+    } while (this.game.board.every((digit, cellIndex) => digit === currentValues[cellIndex]));
   }
 }
 
@@ -0,0 +1,426 @@
+import Sudoku from './Sudoku.js';
+import { SudokuFormatError } from './formats.js';
+
+/**
+ * A puzzle in a collection, along with its metadata.
+ *
+ * Other metadata (anything that can be written as JSON) is kept as-is.
+ * @typedef {object} CollectionEntry
+ * @property {Sudoku} puzzle
+ * @property {import('./LogicalSolver.js').Rating} [rating] See `Sudoku#rate`.
+ * @property {number} [numClues]
+ * @property {Sudoku | null} [solution] The solution, or `null` if the puzzle doesn't have a unique one.
+ */
+
+/**
+ * Something to read chunks of text from: a file path (in Node), a `ReadableStream`, or an (async) iterable
+ * of strings or bytes, e.g. a Node `Readable`.
+ * @typedef {string | ReadableStream | AsyncIterable<string | Uint8Array> | Iterable<string | Uint8Array>} CollectionSource
+ */
+
+/** Whether this is running in Node, where collections can be read from and written to file paths.*/
+const IS_NODE = (typeof process !== 'undefined') && Boolean(process.versions?.node);
+
+/** The approximate size of the chunks written, in characters.*/
+const CHUNK_SIZE = 1 << 16;
+
+/**
+ * Returns whether the given file path is for a gzipped file.
+ * @param {string} path
+ * @returns {boolean}
+ */
+const isGzipPath = (path) => path.endsWith('.gz');
+
+/**
+ * Yields the chunks of a `ReadableStream`.
+ * @param {ReadableStream} stream
+ * @returns {AsyncGenerator<any>}
+ */
+async function* streamChunks(stream) {
+  const reader = stream.getReader();
+  try {
+    for (let read = await reader.read(); !read.done; read = await reader.read()) {
+      yield read.value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Returns a `ReadableStream` of the given chunks.
+ * @param {AsyncIterable<any> | Iterable<any>} chunks
+ * @returns {ReadableStream}
+ */
+function toStream(chunks) {
+  const iterator = (Symbol.asyncIterator in chunks) ? chunks[Symbol.asyncIterator]() : chunks[Symbol.iterator]();
+  return new ReadableStream({
+    async pull(controller) {
+      const { done, value } = await iterator.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue((typeof value === 'string') ? new TextEncoder().encode(value) : value);
+      }
+    },
+    async cancel() {
+      await iterator.return?.();
+    }
+  });
+}
+
+/**
+ * Passes the given chunks through a `CompressionStream` or `DecompressionStream`.
+ * @param {AsyncIterable<any> | Iterable<any>} chunks
+ * @param {TransformStream} transform
+ * @returns {AsyncGenerator<Uint8Array>}
+ */
+const transformChunks = (chunks, transform) => streamChunks(toStream(chunks).pipeThrough(transform));
+
+/**
+ * Returns the chunks of text to read from the given source.
+ * @param {CollectionSource} source
+ * @param {boolean} gzip Whether the source is gzipped.
+ * @returns {Promise<AsyncIterable<string | Uint8Array> | Iterable<string | Uint8Array>>}
+ * @throws {Error} If the source is invalid.
+ */
+async function sourceChunks(source, gzip) {
+  let chunks = source;
+  if (typeof source === 'string') {
+    if (!IS_NODE) {
+      throw new Error('File paths can only be read in Node.');
+    }
+    const { createReadStream } = await import('node:fs');
+    chunks = createReadStream(source);
+  } else if (typeof source?.getReader === 'function') {
+    chunks = streamChunks(source);
+  } else if (!(Symbol.asyncIterator in Object(source)) && !(Symbol.iterator in Object(source))) {
+    throw new Error(`Invalid source: ${source}`);
+  }
+  return gzip ? transformChunks(chunks, new DecompressionStream('gzip')) : chunks;
+}
+
+/**
+ * Splits the given chunks of text into lines.
+ * @param {AsyncIterable<string | Uint8Array> | Iterable<string | Uint8Array>} chunks
+ * @returns {AsyncGenerator<string>}
+ */
+async function* linesOf(chunks) {
+  const decoder = new TextDecoder();
+  let partial = '';
+  for await (const chunk of chunks) {
+    partial += (typeof chunk === 'string') ? chunk : decoder.decode(chunk, { stream: true });
+    const lines = partial.split('\n');
+    partial = lines.pop();
+    yield* lines;
+  }
+  partial += decoder.decode();
+  if (partial.length > 0) {
+    yield partial;
+  }
+}
+
+/**
+ * Builds a board from its representation in a collection line.
+ * @param {string | object} value A board string, or the JSON representation of a board. See `Sudoku#toJSON`.
+ * @param {object} options Geometry options, for board strings.
+ * @returns {Sudoku}
+ */
+const toBoard = (value, options) => ((typeof value === 'string') ? new Sudoku(value, options) : Sudoku.fromJSON(value));
+
+/**
+ * Returns the representation of a board in a collection line: its string, unless the geometry or cages
+ * need its full JSON representation.
+ * @param {Sudoku} board
+ * @returns {string | object}
+ */
+const fromBoard = (board) => ((board.geometry.isStandard && board.cages.length === 0) ? board.toString() : board.toJSON());
+
+/**
+ * Reads a collection line: either a board string, or a JSON object with the `puzzle` and its metadata.
+ * @param {string} line
+ * @param {number} lineNumber
+ * @param {object} options Geometry options, for board strings.
+ * @returns {CollectionEntry | null} The entry, or `null` for blank lines.
+ * @throws {SudokuFormatError} If the line is malformed.
+ */
+function parseLine(line, lineNumber, options) {
+  const text = line.trim();
+  if (text === '') {
+    return null;
+  }
+
+  try {
+    if (!text.startsWith('{')) {
+      return { puzzle: toBoard(text, options) };
+    }
+    const { puzzle, solution, ...metadata } = JSON.parse(text);
+    if (puzzle === undefined) {
+      throw new Error('Expected a puzzle.');
+    }
+    return {
+      puzzle: toBoard(puzzle, options),
+      ...metadata,
+      ...((solution !== undefined) ? { solution: (solution !== null) ? toBoard(solution, options) : null } : {})
+    };
+  } catch (error) {
+    throw new SudokuFormatError(error.message, lineNumber);
+  }
+}
+
+/**
+ * Writes a collection line: the puzzle's board string if there's no metadata, otherwise a JSON object.
+ * @param {CollectionEntry} entry
+ * @returns {string}
+ */
+function formatLine({ puzzle, solution, ...metadata }) {
+  if (solution === undefined && Object.keys(metadata).length === 0 && typeof fromBoard(puzzle) === 'string') {
+    return puzzle.toString();
+  }
+  return JSON.stringify({
+    puzzle: fromBoard(puzzle),
+    ...metadata,
+    ...((solution !== undefined) ? { solution: (solution !== null) ? fromBoard(solution) : null } : {})
+  });
+}
+
+/**
+ * Returns the entry for the given puzzle or entry.
+ * @param {Sudoku | CollectionEntry} entry
+ * @returns {CollectionEntry}
+ * @throws {Error} If the entry has no puzzle.
+ */
+function toEntry(entry) {
+  if (entry instanceof Sudoku) {
+    return { puzzle: entry };
+  }
+  if (!(entry?.puzzle instanceof Sudoku)) {
+    throw new Error(`Invalid entry: ${entry}`);
+  }
+  return entry;
+}
+
+/**
+ * A sequence of puzzles with metadata, read and written as lines of text, one puzzle per line,
+ * so that huge collections can be processed with constant memory.
+ *
+ * Each line holds either a board string (see `Sudoku.fromString`), or a JSON object with the `puzzle`
+ * and its metadata, e.g. `{"puzzle":"1.3...","numClues":24,"rating":{...},"solution":"123..."}`.
+ * Boards with non-standard geometries or cages are written as their JSON representations.
+ * Files may be gzipped.
+ *
+ * Operations like `rate` and `dedupe` return new collections which process entries as they're iterated,
+ * so nothing is read until the collection is iterated, written, or collected with `toArray`.
+ * Collections read from a stream can only be iterated once.
+ *
+ * ```js
+ * await SudokuCollection.read('puzzles.txt.gz').dedupe().rate().write('rated.ndjson.gz');
+ * ```
+ */
+export class SudokuCollection {
+  /**
+   * @param {AsyncIterable<Sudoku | CollectionEntry> | Iterable<Sudoku | CollectionEntry>} entries
+   * The puzzles, or entries with their metadata.
+   */
+  constructor(entries) {
+    if (!(Symbol.asyncIterator in Object(entries)) && !(Symbol.iterator in Object(entries))) {
+      throw new Error(`Invalid entries: ${entries}`);
+    }
+    this._entries = entries;
+  }
+
+  /**
+   * Reads a collection.
+   * @param {CollectionSource} source A file path (in Node), a `ReadableStream`, or an (async) iterable
+   * of chunks of text, as strings or bytes.
+   * @param {object} [options] Geometry options for board strings. See `Sudoku.fromString`.
+   * @param {boolean} [options.gzip] Whether the source is gzipped. Defaults to `true` for paths ending in `.gz`.
+   * @returns {SudokuCollection}
+   * @throws {SudokuFormatError} When iterated, if a line is malformed.
+   */
+  static read(source, { gzip = (typeof source === 'string') && isGzipPath(source), ...options } = {}) {
+    return new SudokuCollection((async function* () {
+      let lineNumber = 0;
+      for await (const line of linesOf(await sourceChunks(source, gzip))) {
+        const entry = parseLine(line, ++lineNumber, options);
+        if (entry !== null) {
+          yield entry;
+        }
+      }
+    })());
+  }
+
+  /**
+   * Iterates over the entries.
+   * @returns {AsyncGenerator<CollectionEntry>}
+   */
+  async *[Symbol.asyncIterator]() {
+    for await (const entry of this._entries) {
+      yield toEntry(entry);
+    }
+  }
+
+  /**
+   * Returns a collection of the entries transformed by the given function.
+   * @param {(entry: CollectionEntry) => CollectionEntry | Promise<CollectionEntry>} fn
+   * @returns {SudokuCollection}
+   */
+  map(fn) {
+    const entries = this;
+    return new SudokuCollection((async function* () {
+      for await (const entry of entries) {
+        yield await fn(entry);
+      }
+    })());
+  }
+
+  /**
+   * Returns a collection of the entries which pass the given test.
+   * @param {(entry: CollectionEntry) => boolean | Promise<boolean>} fn
+   * @returns {SudokuCollection}
+   */
+  filter(fn) {
+    const entries = this;
+    return new SudokuCollection((async function* () {
+      for await (const entry of entries) {
+        if (await fn(entry)) {
+          yield entry;
+        }
+      }
+    })());
+  }
+
+  /**
+   * Returns a collection of the entries with each puzzle's `rating` and `numClues`. See `Sudoku#rate`.
+   * @returns {SudokuCollection}
+   * @throws {Error} When iterated, if a puzzle has cages.
+   */
+  rate() {
+    return this.map((entry) => ({ ...entry, rating: entry.puzzle.rate(), numClues: entry.puzzle.numClues }));
+  }
+
+  /**
+   * Returns a collection of the entries with each puzzle's `solution`, or `null` if it doesn't have a unique one.
+   * See `Sudoku#solve`.
+   * @returns {SudokuCollection}
+   */
+  solve() {
+    return this.map((entry) => {
+      const solution = new Sudoku(entry.puzzle);
+      return { ...entry, solution: solution.solve() ? solution : null };
+    });
+  }
+
+  /**
+   * Returns a collection without repeated puzzles, keeping the first of each.
+   *
+   * The keys of the puzzles seen so far are kept in memory, so memory use grows with the number of distinct puzzles.
+   * @param {object} [options]
+   * @param {boolean} [options.equivalent=true] (default: `true`) Whether puzzles which are equivalent under
+   * relabeling and rearranging (see `Sudoku#canonicalString`) count as repeats. Otherwise, only identical
+   * puzzles do. Boards with variants, jigsaw regions, or cages are only compared as identical.
+   * @returns {SudokuCollection}
+   */
+  dedupe({ equivalent = true } = {}) {
+    const seen = new Set();
+    return this.filter(({ puzzle }) => {
+      const { geometry } = puzzle;
+      const canCanonicalize = geometry.variants.length === 0 && !geometry.isJigsaw && puzzle.cages.length === 0;
+      const key = (equivalent && canCanonicalize) ?
+        `${geometry.boxRows}x${geometry.boxCols}:${puzzle.canonicalString()}` :
+        JSON.stringify(puzzle.toJSON());
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Collects the entries into an array. Only for collections small enough to fit in memory.
+   * @returns {Promise<CollectionEntry[]>}
+   */
+  async toArray() {
+    const entries = [];
+    for await (const entry of this) {
+      entries.push(entry);
+    }
+    return entries;
+  }
+
+  /**
+   * Yields the collection's lines, without line breaks.
+   * @returns {AsyncGenerator<string>}
+   */
+  async *lines() {
+    for await (const entry of this) {
+      yield formatLine(entry);
+    }
+  }
+
+  /**
+   * Yields the collection's text in chunks of bytes.
+   * @param {object} [options]
+   * @param {boolean} [options.gzip=false] (default: `false`) Whether to gzip the text.
+   * @returns {AsyncGenerator<Uint8Array>}
+   */
+  async *chunks({ gzip = false } = {}) {
+    const encoder = new TextEncoder();
+    const lines = this.lines();
+    const textChunks = (async function* () {
+      let chunk = '';
+      for await (const line of lines) {
+        chunk += `${line}\n`;
+        if (chunk.length >= CHUNK_SIZE) {
+          yield encoder.encode(chunk);
+          chunk = '';
+        }
+      }
+      if (chunk.length > 0) {
+        yield encoder.encode(chunk);
+      }
+    })();
+    yield* (gzip ? transformChunks(textChunks, new CompressionStream('gzip')) : textChunks);
+  }
+
+  /**
+   * Writes the collection.
+   * @param {string | WritableStream} destination A file path (in Node), or a `WritableStream` of bytes.
+   * @param {object} [options]
+   * @param {boolean} [options.gzip] Whether to gzip the text. Defaults to `true` for paths ending in `.gz`.
+   * @returns {Promise<number>} The number of entries written.
+   * @throws {Error} If the destination is invalid.
+   */
+  async write(destination, { gzip = (typeof destination === 'string') && isGzipPath(destination) } = {}) {
+    let count = 0;
+    const counted = this.map((entry) => {
+      count++;
+      return entry;
+    });
+
+    if (typeof destination === 'string') {
+      if (!IS_NODE) {
+        throw new Error('File paths can only be written in Node.');
+      }
+      const { createWriteStream } = await import('node:fs');
+      const { pipeline } = await import('node:stream/promises');
+      await pipeline(counted.chunks({ gzip }), createWriteStream(destination));
+    } else if (typeof destination?.getWriter === 'function') {
+      const writer = destination.getWriter();
+      try {
+        for await (const chunk of counted.chunks({ gzip })) {
+          await writer.write(chunk);
+        }
+        await writer.close();
+      } finally {
+        writer.releaseLock();
+      }
+    } else {
+      throw new Error(`Invalid destination: ${destination}`);
+    }
+    return count;
+  }
+}
+
+export default SudokuCollection;
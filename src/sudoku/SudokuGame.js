@@ -1,6 +1,8 @@
-import { EventBus } from '../event/EventBus.js';
+import Event from '../event/Event.js';
+import EventBus from '../event/EventBus.js';
+import { range, shuffle } from '../util/arrays.js';
 import Debugger from '../util/debug.js';
-import Sudoku from './Sudoku';
+import Sudoku from './Sudoku.js';
 
 /**
  * @callback SolutionFoundCallback
@@ -8,16 +10,91 @@ import Sudoku from './Sudoku';
  * @returns {boolean} If `true`, the search will continue for more solutions.
  */
 
+/** @typedef {import('../util/random.js').Rng} Rng */
+
 const debug = new Debugger(false);
 
+/** The name of the events thrown when a digit is set, with `{cellIndex, digit, previous}` as their data.*/
+export const DIGIT_EVENT = 'DIGIT';
+
+/**
+ * The name of the events thrown when pencil marks change, with `{changes}` as their data:
+ * a `{cellIndex, type, digits}` entry for each changed cell, giving its new marks.
+ */
+export const PENCIL_MARKS_EVENT = 'PENCIL_MARKS';
+
+/**
+ * The kinds of pencil marks:
+ * - `'center'` - Candidates written in the middle of a cell.
+ * - `'corner'` - Digits written in the corners of a cell, e.g. to note where a digit can go within a region.
+ */
+export const PENCIL_MARK_TYPES = Object.freeze(['center', 'corner']);
+
+/**
+ * The name of the events thrown when the move history changes, with `{action, moves, canUndo, canRedo, numBookmarks}`
+ * as their data. `action` is one of `'move'`, `'undo'`, `'redo'`, `'bookmark'`, `'revert'`, or `'clear'`, and
+ * `moves` holds the moves made, undone, or redone.
+ */
+export const HISTORY_EVENT = 'HISTORY';
+
+/**
+ * @typedef {object} CellState
+ * @property {number} digit The digit in the cell, or 0 if it is empty.
+ * @property {number[]} center The center pencil marks of the cell.
+ * @property {number[]} corner The corner pencil marks of the cell.
+ */
+
 /**
- * Represents a Sudoku board.
+ * A change to the game that can be undone and redone.
+ * @typedef {object} GameMove
+ * @property {string} type What made the move: `'digit'`, `'board'`, `'reset'`, `'pencil-mark'`, `'auto-fill'`,
+ * `'clear'`, or `'hint'`.
+ * @property {{cellIndex: number, before: CellState, after: CellState}[]} changes The cells changed by the move.
+ */
+
+/**
+ * Represents a Sudoku board being played: digits placed by the player, along with their pencil marks.
+ *
+ * Pencil marks are kept apart from the candidates the solver keeps on the board, and are not used by it.
+ * When a digit is placed, it is removed from the pencil marks of its peers.
+ *
+ * Every change to the digits or pencil marks is recorded as a move that can be undone and redone.
+ * Bookmarks mark a point in the history to return to, e.g. before trying a guess. Changes that move or replace
+ * the clues (`clear`, `normalize`, and the transformations) clear the history instead.
  */
 export class SudokuGame extends Sudoku {
-  constructor(data) {
-    super(data);
+  /**
+   * @param {number[] | string | Sudoku} data The board. Pencil marks are copied from other games, but not their
+   * history.
+   * @param {object} [options] Geometry options, used when `data` is not a `Sudoku`. See `Sudoku`.
+   */
+  constructor(data, options = {}) {
+    super(data, options);
 
     this._eventBus = new EventBus();
+
+    /**
+     * The pencil marks of each type, as a digit mask for each cell, with bit `digit - 1` set for each marked digit.
+     * @type {{[type: string]: number[]}}
+     */
+    this._pencilMarks = Object.fromEntries(PENCIL_MARK_TYPES.map((type) => [
+      type,
+      (data instanceof SudokuGame) ? [...data._pencilMarks[type]] : Array(this._geometry.numSpaces).fill(0)
+    ]));
+
+    /** @type {GameMove[]} */
+    this._undoStack = [];
+    /** @type {GameMove[]} */
+    this._redoStack = [];
+    /**
+     * The length of the undo stack at each bookmark, from oldest to newest.
+     * @type {number[]}
+     */
+    this._bookmarks = [];
+    /** Whether a move is being recorded, so that the changes it is made of are not recorded on their own. */
+    this._recording = false;
+    /** Whether the clues are being moved or replaced, during which digits are set without events or moves. */
+    this._rebuilding = false;
   }
 
   addEventListener(event, callback) {
@@ -28,11 +105,632 @@ export class SudokuGame extends Sudoku {
     this._eventBus.unregisterEventListener(event, callback);
   }
 
+  /**
+   * Sets the value of the board at the given index, removing a placed digit from the pencil marks of the cell
+   * and its peers. Recorded as a `'digit'` move.
+   * @param {number} digit
+   * @param {number} index
+   * @returns {void}
+   */
+  setDigit(digit, index) {
+    // Digits are also set while the board is built, before there are pencil marks or listeners.
+    if (this._pencilMarks === undefined || this._rebuilding) {
+      super.setDigit(digit, index);
+      return;
+    }
+
+    this._record('digit', () => {
+      const previous = this.getDigit(index);
+      super.setDigit(digit, index);
+      this._eventBus.throwEvent(new Event(DIGIT_EVENT, { cellIndex: index, digit, previous }));
+      if (digit > 0) {
+        const bit = 1 << (digit - 1);
+        const changes = PENCIL_MARK_TYPES.flatMap((type) => [
+          ...this._setPencilMarks(index, type, 0),
+          ...[...new Set(this.getPeers(index))].flatMap((pi) => (
+            this._setPencilMarks(pi, type, this._pencilMarks[type][pi] & ~bit)
+          ))
+        ]);
+        this._throwPencilMarksEvent(changes);
+      }
+    });
+  }
+
+  /**
+   * Sets the values of the board to the digits provided, as a single `'board'` move.
+   * @param {number[]} digits
+   * @returns {void}
+   * @throws {Error} If the number of digits given is invalid,
+   * or if any of the numbers provided are not digits.
+   */
+  setBoard(digits) {
+    this._record('board', () => super.setBoard(digits));
+  }
+
+  /**
+   * Fills the given region with random digits, as a single `'board'` move. See `Sudoku#fillRegion`.
+   * @param {number} regionIndex
+   * @param {Rng} [rng=Math.random] The source of random numbers.
+   */
+  fillRegion(regionIndex, rng = Math.random) {
+    this._record('board', () => super.fillRegion(regionIndex, rng));
+  }
+
+  /**
+   * Resets the board to its initial clues and removes every pencil mark, as a single `'reset'` move.
+   */
+  reset() {
+    this._record('reset', () => {
+      const clues = this.clues;
+      this.board.forEach((digit, ci) => {
+        if (digit !== clues[ci]) {
+          this.setDigit(clues[ci], ci);
+        }
+      });
+      this.clearAllPencilMarks();
+    });
+  }
+
+  /**
+   * Clears all values, clues, and pencil marks on the board. As the clues change, the history is cleared too.
+   */
+  clear() {
+    this._rebuild(() => {
+      super.clear();
+      PENCIL_MARK_TYPES.forEach((type) => this._pencilMarks[type].fill(0));
+    });
+  }
+
+  /**
+   * Normalizes the board like `Sudoku#normalize`, relabeling the pencil marks along with the digits.
+   * As the clues change, the history is cleared too.
+   * @returns {SudokuGame} Returns itself for convenience.
+   * @throws {Error} If the top row is not fully filled.
+   */
+  normalize() {
+    this._validateNoCages('normalize');
+    if (!this.isRowFull(0)) {
+      throw new Error('Top row must be fully filled before normalizing.');
+    }
+    // The digit in the top row's `i`th cell becomes `i + 1`.
+    const digits = [];
+    range(this._geometry.size).forEach((i) => digits[this.getDigit(i) - 1] = i + 1);
+    return this.transform({ digits });
+  }
+
+  /**
+   * Relabels the digits of the board randomly, along with the pencil marks.
+   * As the clues change, the history is cleared too.
+   * @param {Rng} [rng=Math.random] The source of random numbers.
+   */
+  shuffleDigits(rng = Math.random) {
+    this._validateNoCages('shuffle the digits of');
+    this.transform({ digits: shuffle(range(this._geometry.size + 1, 1), rng) });
+  }
+
+  /** Reflects the board like `Sudoku#reflectOverHorizontal`. As the clues move, the history is cleared too.*/
+  reflectOverHorizontal() {
+    this._rebuild(() => super.reflectOverHorizontal());
+  }
+
+  /** Reflects the board like `Sudoku#reflectOverVertical`. As the clues move, the history is cleared too.*/
+  reflectOverVertical() {
+    this._rebuild(() => super.reflectOverVertical());
+  }
+
+  /**
+   * Reflects the board like `Sudoku#reflectOverDiagonal`. As the clues move, the history is cleared too.
+   * @throws {Error} If the board's regions are not square.
+   */
+  reflectOverDiagonal() {
+    this._rebuild(() => super.reflectOverDiagonal());
+  }
+
+  /**
+   * Reflects the board like `Sudoku#reflectOverAntidiagonal`. As the clues move, the history is cleared too.
+   * @throws {Error} If the board's regions are not square.
+   */
+  reflectOverAntidiagonal() {
+    this._rebuild(() => super.reflectOverAntidiagonal());
+  }
+
+  /**
+   * Rotates the board like `Sudoku#rotate90`. As the clues move, the history is cleared too.
+   * @throws {Error} If the board's regions are not square.
+   */
+  rotate90() {
+    this._rebuild(() => super.rotate90());
+  }
+
+  /**
+   * Transforms the board like `Sudoku#transform`, which `untransform` and `randomTransform` also use.
+   * Pencil marks are relabeled along with the digits. As the clues move, the history is cleared too.
+   * @param {import('./Sudoku.js').TransformSpec} spec
+   * @returns {SudokuGame} Returns itself for convenience.
+   * @throws {Error} If the spec is invalid for the board, or relabels the digits of a board with cages.
+   */
+  transform(spec) {
+    const { digits } = this._resolveTransform(spec);
+    this._rebuild(() => {
+      super.transform(spec);
+      PENCIL_MARK_TYPES.forEach((type) => {
+        this._pencilMarks[type] = this._pencilMarks[type].map((marks) => (
+          this._maskOf(this._digitsOf(marks).map((digit) => digits[digit - 1]))
+        ));
+      });
+    });
+    return this;
+  }
+
+  /**
+   * Moves the pencil marks, as well as the jigsaw regions and cage cells, along with a transformation of the board.
+   * @param {(arr: number[]) => void} transform The in-place transformation applied to the board.
+   */
+  _transformLayout(transform) {
+    super._transformLayout(transform);
+    PENCIL_MARK_TYPES.forEach((type) => transform(this._pencilMarks[type]));
+  }
+
+  /**
+   * Empties the given cell and removes its pencil marks, as a single `'clear'` move.
+   * @param {number} cellIndex
+   * @throws {Error} If the cell index is invalid.
+   */
+  clearCell(cellIndex) {
+    this._validatePencilMark(1, cellIndex, 'center');
+    this._record('clear', () => {
+      this.setDigit(0, cellIndex);
+      this.clearPencilMarks(cellIndex);
+    });
+  }
+
+  /**
+   * Applies a hint from `Sudoku#nextHint`, as a single `'hint'` move: its digit is placed, and its eliminations
+   * are removed from the center pencil marks. For a mistake (technique `'incorrect-digit'`), the incorrect digit
+   * is removed instead.
+   * @param {import('./LogicalSolver.js').Hint | null} [hint=this.nextHint()] The hint to apply.
+   * @returns {import('./LogicalSolver.js').Hint | null} The applied hint, or `null` if there was none.
+   * @throws {Error} If no hint is given and the board has cages. See `Sudoku#nextHint`.
+   */
+  applyHint(hint = this.nextHint()) {
+    if (hint === null) {
+      return null;
+    }
+
+    this._record('hint', () => {
+      if (hint.technique === 'incorrect-digit') {
+        this.setDigit(0, hint.cell);
+        return;
+      }
+      if (hint.digit !== null) {
+        this.setDigit(hint.digit, hint.cell);
+      }
+      const changes = hint.eliminations.flatMap(({ cell, digits }) => (
+        this._setPencilMarks(cell, 'center', this._pencilMarks.center[cell] & ~this._maskOf(digits))
+      ));
+      this._throwPencilMarksEvent(changes);
+    });
+    return hint;
+  }
+
+  /**
+   * Returns the digits pencilled into the given cell.
+   * @param {number} cellIndex
+   * @param {string} [type='center'] (one of `PENCIL_MARK_TYPES`; default: `'center'`)
+   * @returns {number[]} The digits, in ascending order.
+   * @throws {Error} If the cell index or type is invalid.
+   */
+  getPencilMarks(cellIndex, type = 'center') {
+    this._validatePencilMark(1, cellIndex, type);
+    return this._digitsOf(this._pencilMarks[type][cellIndex]);
+  }
+
+  /**
+   * Returns whether the given digit is pencilled into the given cell.
+   * @param {number} digit
+   * @param {number} cellIndex
+   * @param {string} [type='center'] (one of `PENCIL_MARK_TYPES`; default: `'center'`)
+   * @returns {boolean}
+   * @throws {Error} If the digit, cell index, or type is invalid.
+   */
+  hasPencilMark(digit, cellIndex, type = 'center') {
+    this._validatePencilMark(digit, cellIndex, type);
+    return (this._pencilMarks[type][cellIndex] & (1 << (digit - 1))) !== 0;
+  }
+
+  /**
+   * Adds the given digit to the pencil marks of the given cell, or removes it if it is already there.
+   * Cells holding a digit are left unmarked. Recorded as a `'pencil-mark'` move.
+   * @param {number} digit
+   * @param {number} cellIndex
+   * @param {string} [type='center'] (one of `PENCIL_MARK_TYPES`; default: `'center'`)
+   * @returns {boolean} Whether the digit is now pencilled into the cell.
+   * @throws {Error} If the digit, cell index, or type is invalid.
+   */
+  togglePencilMark(digit, cellIndex, type = 'center') {
+    this._validatePencilMark(digit, cellIndex, type);
+    if (this.getDigit(cellIndex) > 0) {
+      return false;
+    }
+    const marks = this._pencilMarks[type][cellIndex] ^ (1 << (digit - 1));
+    this._record('pencil-mark', () => this._throwPencilMarksEvent(this._setPencilMarks(cellIndex, type, marks)));
+    return this.hasPencilMark(digit, cellIndex, type);
+  }
+
+  /**
+   * Removes the pencil marks of the given cell. Recorded as a `'clear'` move.
+   * @param {number} cellIndex
+   * @param {string | null} [type=null] (one of `PENCIL_MARK_TYPES`, or `null`; default: `null`)
+   * The type of marks to remove, or `null` for all types.
+   * @throws {Error} If the cell index or type is invalid.
+   */
+  clearPencilMarks(cellIndex, type = null) {
+    const types = (type !== null) ? [type] : PENCIL_MARK_TYPES;
+    types.forEach((t) => this._validatePencilMark(1, cellIndex, t));
+    this._record('clear', () => (
+      this._throwPencilMarksEvent(types.flatMap((t) => this._setPencilMarks(cellIndex, t, 0)))
+    ));
+  }
+
+  /**
+   * Removes the pencil marks of every cell. Recorded as a `'clear'` move.
+   * @param {string | null} [type=null] (one of `PENCIL_MARK_TYPES`, or `null`; default: `null`)
+   * The type of marks to remove, or `null` for all types.
+   * @throws {Error} If the type is invalid.
+   */
+  clearAllPencilMarks(type = null) {
+    const types = (type !== null) ? [type] : PENCIL_MARK_TYPES;
+    types.forEach((t) => this._validatePencilMark(1, 0, t));
+    this._record('clear', () => this._throwPencilMarksEvent(types.flatMap((t) => (
+      this._pencilMarks[t].flatMap((_, ci) => this._setPencilMarks(ci, t, 0))
+    ))));
+  }
+
+  /**
+   * Pencils every candidate into each empty cell, replacing its marks: each digit not already placed
+   * among the cell's peers (or ruled out by its cage). Cells holding a digit are left unmarked.
+   * Recorded as an `'auto-fill'` move.
+   * @param {string} [type='center'] (one of `PENCIL_MARK_TYPES`; default: `'center'`)
+   * @throws {Error} If the type is invalid.
+   */
+  autoFillPencilMarks(type = 'center') {
+    this._validatePencilMark(1, 0, type);
+
+    // The candidates are worked out on a copy, as the solver keeps its own candidates on the board.
+    const scratch = new Sudoku(this);
+    scratch._resetEmptyCells();
+    scratch._board = scratch._board.map((val, ci) => {
+      if (this.getDigit(ci) > 0) {
+        return val;
+      }
+      const candidates = val & ~scratch._cellConstraints(ci);
+      return (this._cages.length > 0) ? (candidates & scratch._cageCandidates(ci)) : candidates;
+    });
+
+    this._record('auto-fill', () => {
+      const changes = this._pencilMarks[type].flatMap((_, ci) => {
+        const digits = (this.getDigit(ci) > 0) ? [] : scratch.getCandidates(ci);
+        return this._setPencilMarks(ci, type, this._maskOf(digits));
+      });
+      this._throwPencilMarksEvent(changes);
+    });
+  }
+
+  /**
+   * Whether there is a move to undo.
+   * @type {boolean}
+   */
+  get canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  /**
+   * Whether there is an undone move to redo.
+   * @type {boolean}
+   */
+  get canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  /**
+   * The number of bookmarks that can be reverted to.
+   * @type {number}
+   */
+  get numBookmarks() {
+    return this._bookmarks.length;
+  }
+
+  /**
+   * Undoes the last move.
+   * @returns {GameMove | null} The undone move, or `null` if there was none.
+   */
+  undo() {
+    const moves = this._undo(this._undoStack.length - 1);
+    if (moves.length > 0) {
+      this._throwHistoryEvent('undo', moves);
+    }
+    return moves[0] ?? null;
+  }
+
+  /**
+   * Redoes the last undone move. Making a new move discards the undone moves.
+   * @returns {GameMove | null} The redone move, or `null` if there was none.
+   */
+  redo() {
+    const moves = this._redo(this._undoStack.length + 1);
+    if (moves.length > 0) {
+      this._throwHistoryEvent('redo', moves);
+    }
+    return moves[0] ?? null;
+  }
+
+  /**
+   * Bookmarks the current point in the history, e.g. before trying a guess.
+   * Bookmarks stack: `revertToBookmark` returns to the newest one.
+   * @returns {number} The number of bookmarks.
+   */
+  bookmark() {
+    this._bookmarks.push(this._undoStack.length);
+    this._throwHistoryEvent('bookmark', []);
+    return this._bookmarks.length;
+  }
+
+  /**
+   * Returns to the newest bookmark and removes it, undoing the moves made since (or redoing the moves undone since).
+   * @returns {GameMove[]} The moves undone or redone, in the order they were undone or redone.
+   * @throws {Error} If there are no bookmarks.
+   */
+  revertToBookmark() {
+    if (this._bookmarks.length === 0) {
+      throw new Error('No bookmark to revert to.');
+    }
+    const position = this._bookmarks.pop();
+    const moves = (position <= this._undoStack.length) ? this._undo(position) : this._redo(position);
+    this._throwHistoryEvent('revert', moves);
+    return moves;
+  }
+
+  /**
+   * Forgets every move and bookmark. The board and pencil marks are left as they are.
+   */
+  clearHistory() {
+    this._undoStack = [];
+    this._redoStack = [];
+    this._bookmarks = [];
+    this._throwHistoryEvent('clear', []);
+  }
+
   dispose() {
-    // TODO create an unregisterAll method for EventBus
-    // this._eventBus.unregisterAll();
+    this._eventBus.unregisterAll();
+  }
+
+  /**
+   * Runs the given change as a single move, recording the cells it changes.
+   * Changes made while another move is being recorded become part of that move.
+   * @param {string} type The type of move.
+   * @param {() => void} change
+   */
+  _record(type, change) {
+    // The board is also set while it is built, before there is a history.
+    if (this._undoStack === undefined || this._recording || this._rebuilding) {
+      change();
+      return;
+    }
+
+    const before = this._cellStates();
+    this._recording = true;
+    try {
+      change();
+    } finally {
+      this._recording = false;
+    }
+    const after = this._cellStates();
+
+    const changes = before
+      .map((state, cellIndex) => ({ cellIndex, before: state, after: after[cellIndex] }))
+      .filter(({ before: b, after: a }) => PENCIL_MARK_TYPES.some((t) => b[t] !== a[t]) || b.digit !== a.digit)
+      .map(({ cellIndex, before: b, after: a }) => ({
+        cellIndex,
+        before: this._toCellState(b),
+        after: this._toCellState(a)
+      }));
+    if (changes.length === 0) {
+      return;
+    }
+
+    const move = { type, changes };
+    this._undoStack.push(move);
+    this._redoStack = [];
+    // Bookmarks among the discarded moves can no longer be reached.
+    this._bookmarks = this._bookmarks.filter((position) => position < this._undoStack.length);
+    this._throwHistoryEvent('move', [move]);
+  }
+
+  /**
+   * Runs a change that moves or replaces the clues, such as a transformation. Moves can't be undone across it,
+   * as they only restore digits and pencil marks, so the history is cleared. The resulting `DIGIT_EVENT`s and
+   * `PENCIL_MARKS_EVENT` are thrown.
+   * @param {() => void} change
+   */
+  _rebuild(change) {
+    const before = this._cellStates();
+    this._rebuilding = true;
+    try {
+      change();
+    } finally {
+      this._rebuilding = false;
+    }
+
+    const markChanges = this._cellStates().flatMap((state, cellIndex) => {
+      const previous = before[cellIndex].digit;
+      if (state.digit !== previous) {
+        this._eventBus.throwEvent(new Event(DIGIT_EVENT, { cellIndex, digit: state.digit, previous }));
+      }
+      return PENCIL_MARK_TYPES
+        .filter((type) => state[type] !== before[cellIndex][type])
+        .map((type) => ({ cellIndex, type, digits: this._digitsOf(state[type]) }));
+    });
+    this._throwPencilMarksEvent(markChanges);
+    this.clearHistory();
+  }
+
+  /**
+   * Undoes moves until the given number of moves are left.
+   * @param {number} position
+   * @returns {GameMove[]} The undone moves, newest first.
+   */
+  _undo(position) {
+    const moves = [];
+    while (this._undoStack.length > Math.max(position, 0)) {
+      const move = this._undoStack.pop();
+      this._restore(move, 'before');
+      this._redoStack.push(move);
+      moves.push(move);
+    }
+    return moves;
+  }
+
+  /**
+   * Redoes moves until the given number of moves have been made.
+   * @param {number} position
+   * @returns {GameMove[]} The redone moves, oldest first.
+   */
+  _redo(position) {
+    const moves = [];
+    while (this._undoStack.length < position && this._redoStack.length > 0) {
+      const move = this._redoStack.pop();
+      this._restore(move, 'after');
+      this._undoStack.push(move);
+      moves.push(move);
+    }
+    return moves;
+  }
+
+  /**
+   * Puts the cells changed by the given move back to their state before or after it, throwing the
+   * resulting `DIGIT_EVENT`s and `PENCIL_MARKS_EVENT`.
+   * @param {GameMove} move
+   * @param {'before' | 'after'} when
+   */
+  _restore({ changes }, when) {
+    const markChanges = changes.flatMap(({ cellIndex, [when]: state }) => {
+      const previous = this.getDigit(cellIndex);
+      if (previous !== state.digit) {
+        // Peers keep the pencil marks recorded for them, so the digit is set directly.
+        super.setDigit(state.digit, cellIndex);
+        this._eventBus.throwEvent(new Event(DIGIT_EVENT, { cellIndex, digit: state.digit, previous }));
+      }
+      return PENCIL_MARK_TYPES.flatMap((type) => this._setPencilMarks(cellIndex, type, this._maskOf(state[type])));
+    });
+    this._throwPencilMarksEvent(markChanges);
+  }
+
+  /**
+   * Returns the digit and pencil mark masks of every cell.
+   * @returns {{[key: string]: number}[]} The digit and the mask of each type of pencil marks, for each cell.
+   */
+  _cellStates() {
+    return this._pencilMarks.center.map((_, ci) => ({
+      digit: this.getDigit(ci),
+      ...Object.fromEntries(PENCIL_MARK_TYPES.map((type) => [type, this._pencilMarks[type][ci]]))
+    }));
+  }
+
+  /**
+   * Converts a cell's pencil mark masks to digits.
+   * @param {{[key: string]: number}} state
+   * @returns {CellState}
+   */
+  _toCellState({ digit, ...marks }) {
+    return {
+      digit,
+      ...Object.fromEntries(PENCIL_MARK_TYPES.map((type) => [type, this._digitsOf(marks[type])]))
+    };
+  }
+
+  /**
+   * Throws a `HISTORY_EVENT`.
+   * @param {string} action
+   * @param {GameMove[]} moves
+   */
+  _throwHistoryEvent(action, moves) {
+    debug.log(`history> ${action} (${moves.length} moves)`);
+    this._eventBus.throwEvent(new Event(HISTORY_EVENT, {
+      action,
+      moves,
+      canUndo: this.canUndo,
+      canRedo: this.canRedo,
+      numBookmarks: this.numBookmarks
+    }));
+  }
+
+  /**
+   * Sets the pencil marks of a cell.
+   * @param {number} cellIndex
+   * @param {string} type
+   * @param {number} marks The new digit mask.
+   * @returns {{cellIndex: number, type: string, digits: number[]}[]} The change, or none if the marks are the same.
+   */
+  _setPencilMarks(cellIndex, type, marks) {
+    if (this._pencilMarks[type][cellIndex] === marks) {
+      return [];
+    }
+    this._pencilMarks[type][cellIndex] = marks;
+    return [{ cellIndex, type, digits: this._digitsOf(marks) }];
   }
 
+  /**
+   * Throws a `PENCIL_MARKS_EVENT` with the given changes, if there are any.
+   * @param {{cellIndex: number, type: string, digits: number[]}[]} changes
+   */
+  _throwPencilMarksEvent(changes) {
+    if (changes.length > 0) {
+      debug.log(`pencil marks> ${changes.length} changed`);
+      this._eventBus.throwEvent(new Event(PENCIL_MARKS_EVENT, { changes }));
+    }
+  }
+
+  /**
+   * Returns the digits in the given pencil marks mask.
+   * @param {number} marks
+   * @returns {number[]}
+   */
+  _digitsOf(marks) {
+    const digits = [];
+    for (let digit = 1; marks > 0; digit++, marks >>= 1) {
+      if (marks & 1) {
+        digits.push(digit);
+      }
+    }
+    return digits;
+  }
+
+  /**
+   * Returns the pencil marks mask holding the given digits.
+   * @param {number[]} digits
+   * @returns {number}
+   */
+  _maskOf(digits) {
+    return digits.reduce((marks, digit) => (marks | (1 << (digit - 1))), 0);
+  }
+
+  /**
+   * @param {number} digit
+   * @param {number} cellIndex
+   * @param {string} type
+   * @throws {Error} If the digit, cell index, or type is invalid.
+   */
+  _validatePencilMark(digit, cellIndex, type) {
+    if (!PENCIL_MARK_TYPES.includes(type)) {
+      throw new Error(`Invalid pencil mark type: ${type}`);
+    }
+    if (!Number.isInteger(digit) || digit < 1 || digit > this._geometry.size) {
+      throw new Error(`Invalid digit: ${digit}`);
+    }
+    if (!Number.isInteger(cellIndex) || cellIndex < 0 || cellIndex >= this._geometry.numSpaces) {
+      throw new Error(`Invalid cell index: ${cellIndex}`);
+    }
+  }
 }
 
 export default SudokuGame;
@@ -0,0 +1,475 @@
+import { range } from '../util/arrays.js';
+import { resolveVariants } from './variants.js';
+
+/** The largest supported board size. Candidates for every digit must fit in a 32-bit mask.*/
+export const MAX_SIZE = 25;
+
+/** Characters used to represent digits in board strings, indexed by digit.*/
+const DIGIT_CHARS = '0123456789ABCDEFGHIJKLMNOP';
+
+/**
+ * Known minimum numbers of clues for a puzzle with a unique solution, by board size.
+ * @type {{[size: number]: number}}
+ */
+const KNOWN_MIN_CLUES = Object.freeze({ 4: 4, 6: 8, 9: 17 });
+
+/**
+ * Cache of geometries by box dimensions and variants.
+ * @type {Map<string, SudokuGeometry>}
+ */
+const _cache = new Map();
+
+/**
+ * Validates the cells given by a variant rule.
+ * @param {number[]} cells
+ * @param {number} numSpaces
+ * @param {string} description What the cells are for, used in the error message.
+ * @returns {number[]} The cells.
+ * @throws {Error} If any cell is out of range, or a cell is repeated.
+ */
+function validateVariantCells(cells, numSpaces, description) {
+  if (
+    !Array.isArray(cells) ||
+    cells.some((ci) => !Number.isInteger(ci) || ci < 0 || ci >= numSpaces) ||
+    new Set(cells).size !== cells.length
+  ) {
+    throw new Error(`Invalid ${description}: ${cells}`);
+  }
+  return cells;
+}
+
+/**
+ * Returns the region index of each cell when regions are boxes.
+ * @param {number} size
+ * @param {number} boxRows
+ * @param {number} boxCols
+ * @returns {number[]}
+ */
+function boxRegions(size, boxRows, boxCols) {
+  return range(size * size).map((ci) => (
+    (((ci / size) | 0) / boxRows | 0) * (size / boxCols) + (((ci % size) / boxCols) | 0)
+  ));
+}
+
+/**
+ * Validates a jigsaw region map: each region must have `size` orthogonally connected cells.
+ * @param {number[]} regions The region index (in `[0, size)`) of each cell.
+ * @param {number} size
+ * @returns {number[]} The region map.
+ * @throws {Error} If the map is the wrong length, has region indices out of range,
+ * or has regions of the wrong size or that are not connected.
+ */
+function validateRegions(regions, size) {
+  const numSpaces = size * size;
+  if (
+    !Array.isArray(regions) || regions.length !== numSpaces ||
+    regions.some((reg) => !Number.isInteger(reg) || reg < 0 || reg >= size)
+  ) {
+    throw new Error(`Invalid regions for size ${size}: ${regions}`);
+  }
+
+  range(size).forEach((reg) => {
+    const cells = range(numSpaces).filter((ci) => regions[ci] === reg);
+    if (cells.length !== size) {
+      throw new Error(`Invalid regions: region ${reg} has ${cells.length} cells, expected ${size}.`);
+    }
+
+    // Flood fill from the first cell, which should reach every cell in the region.
+    const reached = new Set([cells[0]]);
+    const queue = [cells[0]];
+    while (queue.length > 0) {
+      const ci = queue.pop();
+      const row = (ci / size) | 0;
+      const col = ci % size;
+      [
+        (row > 0) ? ci - size : -1,
+        (row < size - 1) ? ci + size : -1,
+        (col > 0) ? ci - 1 : -1,
+        (col < size - 1) ? ci + 1 : -1
+      ].filter((ni) => ni >= 0 && regions[ni] === reg && !reached.has(ni)).forEach((ni) => {
+        reached.add(ni);
+        queue.push(ni);
+      });
+    }
+    if (reached.size !== size) {
+      throw new Error(`Invalid regions: region ${reg} is not connected.`);
+    }
+  });
+
+  return regions;
+}
+
+/**
+ * Resolves and validates the board size and box dimensions from the given options.
+ * @param {object} options
+ * @param {number} [options.size]
+ * @param {number} [options.boxRows]
+ * @param {number} [options.boxCols]
+ * @param {number[]} [options.regions] A jigsaw region map, from which the size is inferred if not given.
+ * @returns {{size: number, boxRows: number, boxCols: number}}
+ * @throws {Error} If the size is unsupported, or the box dimensions do not tile the board.
+ */
+function boxDimensions({ size, boxRows, boxCols, regions }) {
+  size ??= (boxRows !== undefined && boxCols !== undefined) ? boxRows * boxCols :
+    Array.isArray(regions) ? Math.sqrt(regions.length) : 9;
+  if (!Number.isInteger(size) || size < 4 || size > MAX_SIZE) {
+    throw new Error(`Invalid size: ${size}`);
+  }
+
+  if (boxRows === undefined) {
+    boxRows = (boxCols !== undefined) ?
+      size / boxCols :
+      range(Math.floor(Math.sqrt(size)) + 1, 2).reverse().find((rows) => (size % rows) === 0);
+  }
+  boxCols ??= size / boxRows;
+
+  if (
+    !Number.isInteger(boxRows) || !Number.isInteger(boxCols) ||
+    boxRows < 2 || boxCols < 2 || (boxRows * boxCols) !== size
+  ) {
+    throw new Error(`Invalid box dimensions for size ${size}: ${boxRows}x${boxCols}`);
+  }
+
+  return { size, boxRows, boxCols };
+}
+
+/**
+ * Returns the jigsaw region map for the given options, if any.
+ * @param {object} options
+ * @param {number[]} [options.regions]
+ * @param {{size: number, boxRows: number, boxCols: number}} dimensions
+ * @returns {number[] | null} A frozen copy of the region map, or `null` if none was given or it matches the boxes.
+ * @throws {Error} If the region map is invalid. See `validateRegions`.
+ */
+function jigsawRegions({ regions }, { size, boxRows, boxCols }) {
+  if (regions === undefined || regions === null) {
+    return null;
+  }
+  validateRegions(regions, size);
+  const boxes = boxRegions(size, boxRows, boxCols);
+  return regions.every((reg, ci) => reg === boxes[ci]) ? null : Object.freeze([...regions]);
+}
+
+/**
+ * Describes the shape of a Sudoku board: its size, the dimensions of its boxes (regions),
+ * which cells make up each row, column, and region, and any variant rules adding extra houses
+ * or peers (e.g. the diagonals of an X-Sudoku).
+ *
+ * Cells are indexed row by row, from `0` to `numSpaces - 1`. Regions are indexed the same way,
+ * from the top-left box to the bottom-right box, unless a jigsaw region map is given,
+ * in which case regions may be any connected shapes of `size` cells.
+ *
+ * Use `SudokuGeometry.of(...)` to get a shared instance rather than constructing new ones.
+ */
+export class SudokuGeometry {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.size=9] (in `[4, 25]`) The number of digits, and the number of cells in each row, column, and region.
+   * @param {number} [options.boxRows] The number of rows in each region. If omitted, the
+   * most square box shape is picked, e.g. `2` rows by `3` columns for a size of `6`.
+   * @param {number} [options.boxCols] The number of columns in each region. Defaults to `size / boxRows`.
+   * @param {(string | import('./variants.js').Variant)[]} [options.variants=[]] Variant rules, by name
+   * (e.g. `'diagonal'`, `'windoku'`, `'anti-knight'`, `'anti-king'`) or definition. See `defineVariant`.
+   * @param {number[]} [options.regions] (Jigsaw) The region index (in `[0, size)`) of each cell, replacing the boxes.
+   * Each region must have `size` orthogonally connected cells. The board size is inferred from its length if not given.
+   * @throws {Error} If the size is unsupported, the box dimensions do not tile the board, a variant is invalid,
+   * or the region map is invalid.
+   */
+  constructor(options = {}) {
+    const dimensions = boxDimensions(options);
+    const { size, boxRows, boxCols } = dimensions;
+    const variants = resolveVariants(options.variants);
+    const regions = jigsawRegions(options, dimensions);
+
+    /** The number of digits, and the number of cells in each row, column, and region.*/
+    this.size = size;
+    /** The number of rows in each region.*/
+    this.boxRows = boxRows;
+    /** The number of columns in each region.*/
+    this.boxCols = boxCols;
+    /** The number of cells on the board.*/
+    this.numSpaces = size * size;
+    /** Represents the combination of all candidates for a cell.*/
+    this.allCandidates = (1 << size) - 1;
+    /**
+     * The names of the variant rules in effect, in alphabetical order.
+     * @type {string[]}
+     */
+    this.variants = Object.freeze(variants.map(({ name }) => name));
+    /**
+     * The jigsaw region index of each cell, or `null` if the regions are boxes.
+     * @type {number[] | null}
+     */
+    this.regions = regions;
+    /**
+     * The minimum number of clues a puzzle needs to have a unique solution,
+     * or `0` if not known for this size, variants, and regions.
+     */
+    this.minClues = (variants.length === 0 && regions === null) ? (KNOWN_MIN_CLUES[size] ?? 0) : 0;
+
+    /** @type {Uint8Array} */
+    this._rowOf = Uint8Array.from(range(this.numSpaces), (ci) => (ci / size) | 0);
+    /** @type {Uint8Array} */
+    this._colOf = Uint8Array.from(range(this.numSpaces), (ci) => ci % size);
+    /** @type {Uint8Array} */
+    this._regionOf = Uint8Array.from(regions ?? boxRegions(size, boxRows, boxCols));
+
+    /**
+     * Board indices for each row, column, and region.
+     * @type {{row: number[][], col: number[][], region: number[][]}}
+     */
+    this.indicesFor = Object.freeze({
+      row: range(size).map((row) => Object.freeze(range((row + 1) * size, row * size))),
+      col: range(size).map((col) => Object.freeze(range(size).map((row) => col + row * size))),
+      region: range(size).map((reg) => Object.freeze(range(this.numSpaces).filter((ci) => this._regionOf[ci] === reg)))
+    });
+
+    /**
+     * Board masks for filtering different board areas.
+     * @type {{none: bigint, all: bigint, row: bigint[], col: bigint[], region: bigint[]}}
+     */
+    this.masksFor = Object.freeze({
+      none: 0n,
+      all: (1n << BigInt(this.numSpaces)) - 1n,
+      row: this.indicesFor.row.map((cells) => this.maskOf(cells)),
+      col: this.indicesFor.col.map((cells) => this.maskOf(cells)),
+      region: this.indicesFor.region.map((cells) => this.maskOf(cells)),
+    });
+
+    /**
+     * Every row, column, and region, in that order, followed by the houses of each variant.
+     * The position of a house in this list is its house index. Variant houses have the variant's name as their type.
+     * @type {{type: string, index: number, cells: number[]}[]}
+     */
+    this.houses = Object.freeze([
+      ...this.indicesFor.row.map((cells, index) => Object.freeze({ type: 'row', index, cells })),
+      ...this.indicesFor.col.map((cells, index) => Object.freeze({ type: 'col', index, cells })),
+      ...this.indicesFor.region.map((cells, index) => Object.freeze({ type: 'region', index, cells })),
+      ...variants.flatMap(({ name, houses }) => (houses?.(this) ?? []).map((cells, index) => Object.freeze({
+        type: name,
+        index,
+        cells: Object.freeze([...validateVariantCells(cells, this.numSpaces, `${name} house`)])
+      })))
+    ]);
+
+    /**
+     * The house indices of each cell, starting with its row, column, and region.
+     * @type {number[][]}
+     */
+    this.cellHouses = Object.freeze(range(this.numSpaces).map((ci) => Object.freeze([
+      this._rowOf[ci],
+      size + this._colOf[ci],
+      2 * size + this._regionOf[ci],
+      ...range(this.houses.length, 3 * size).filter((hi) => this.houses[hi].cells.includes(ci))
+    ])));
+
+    /**
+     * The distinct cells which may not share a digit with each cell due to variant peer rules
+     * rather than houses (e.g. a knight's move away), in ascending order. Relations are made symmetric.
+     * @type {number[][]}
+     */
+    this.variantPeers = Object.freeze((() => {
+      const related = range(this.numSpaces).map(() => new Set());
+      variants.filter(({ peers }) => peers).forEach(({ name, peers }) => range(this.numSpaces).forEach((ci) => {
+        validateVariantCells(peers(ci, this), this.numSpaces, `${name} peers of cell ${ci}`)
+          .filter((pi) => pi !== ci)
+          .forEach((pi) => {
+            related[ci].add(pi);
+            related[pi].add(ci);
+          });
+      }));
+      return related.map((cells) => Object.freeze([...cells].sort((a, b) => a - b)));
+    })());
+
+    /**
+     * The distinct cells sharing a house or a variant peer rule with each cell, in ascending order.
+     * @type {number[][]}
+     */
+    this.peers = Object.freeze(range(this.numSpaces).map((ci) => Object.freeze(
+      [...new Set([...this.cellHouses[ci].flatMap((hi) => this.houses[hi].cells), ...this.variantPeers[ci]])]
+        .filter((pi) => pi !== ci)
+        .sort((a, b) => a - b)
+    )));
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Returns the shared geometry for the given options.
+   * @param {object} [options] See the constructor.
+   * @param {number} [options.size]
+   * @param {number} [options.boxRows]
+   * @param {number} [options.boxCols]
+   * @param {(string | import('./variants.js').Variant)[]} [options.variants]
+   * @param {number[]} [options.regions]
+   * @returns {SudokuGeometry}
+   */
+  static of(options = {}) {
+    const dimensions = boxDimensions(options);
+    const variants = resolveVariants(options.variants);
+    const regions = jigsawRegions(options, dimensions);
+    const key = [
+      (regions !== null) ? `jigsaw:${regions.join(',')}` : `${dimensions.boxRows}x${dimensions.boxCols}`,
+      ...variants.map(({ name }) => name)
+    ].join('+');
+    if (!_cache.has(key)) {
+      _cache.set(key, new SudokuGeometry({ ...dimensions, variants, regions }));
+    }
+    return _cache.get(key);
+  }
+
+  /**
+   * The standard 9x9 geometry with 3x3 regions.
+   * @type {SudokuGeometry}
+   */
+  static get standard() {
+    return SudokuGeometry.of();
+  }
+
+  /**
+   * Returns the geometry, with default box dimensions, for a board with the given number of cells.
+   * @param {number} numSpaces
+   * @param {(string | import('./variants.js').Variant)[]} [variants]
+   * @returns {SudokuGeometry | null} The geometry, or `null` if no supported size has that many cells.
+   * @throws {Error} If a variant is invalid.
+   */
+  static forNumSpaces(numSpaces, variants) {
+    const size = Math.sqrt(numSpaces);
+    try {
+      boxDimensions({ size });
+    } catch {
+      return null;
+    }
+    return SudokuGeometry.of({ size, variants });
+  }
+
+  /** Whether this is the standard 9x9 geometry, without variants.*/
+  get isStandard() {
+    return this === SudokuGeometry.standard;
+  }
+
+  /** Whether the regions are given by a jigsaw region map rather than boxes.*/
+  get isJigsaw() {
+    return this.regions !== null;
+  }
+
+  /**
+   * Returns the geometry with the same size and variants, but with the region map rearranged,
+   * e.g. to follow a rotation of the board.
+   * @param {(arr: number[]) => void} transform An in-place transformation of a board array.
+   * @returns {SudokuGeometry} The transformed geometry, or this geometry if its regions are boxes.
+   */
+  transformRegions(transform) {
+    if (this.regions === null) {
+      return this;
+    }
+    const regions = [...this.regions];
+    transform(regions);
+    return SudokuGeometry.of({ ...this.toJSON(), regions });
+  }
+
+  /**
+   * Returns the row index of the given cell.
+   * @param {number} cellIndex
+   * @returns {number}
+   */
+  cellRow(cellIndex) {
+    return this._rowOf[cellIndex];
+  }
+
+  /**
+   * Returns the column index of the given cell.
+   * @param {number} cellIndex
+   * @returns {number}
+   */
+  cellCol(cellIndex) {
+    return this._colOf[cellIndex];
+  }
+
+  /**
+   * Returns the region index of the given cell.
+   * @param {number} cellIndex
+   * @returns {number}
+   */
+  cellRegion(cellIndex) {
+    return this._regionOf[cellIndex];
+  }
+
+  /**
+   * Returns the index of the cell at the given row and column.
+   * @param {number} row
+   * @param {number} col
+   * @returns {number}
+   */
+  cellIndex(row, col) {
+    return row * this.size + col;
+  }
+
+  /**
+   * Returns a board mask for the single given cell. The most significant bit represents the first cell.
+   * @param {number} cellIndex
+   * @returns {bigint}
+   */
+  cellMask(cellIndex) {
+    return 1n << BigInt(this.numSpaces - cellIndex - 1);
+  }
+
+  /**
+   * Returns a board mask for the given cells.
+   * @param {number[]} cellIndices
+   * @returns {bigint}
+   */
+  maskOf(cellIndices) {
+    return cellIndices.reduce((mask, ci) => (mask | this.cellMask(ci)), 0n);
+  }
+
+  /**
+   * Returns the character representing the given digit in board strings.
+   * Digits above `9` are represented by the letters `A` (10) to `P` (25).
+   * @param {number} digit
+   * @returns {string} The character, or `'.'` for `0` (empty).
+   */
+  digitToChar(digit) {
+    return (digit > 0) ? DIGIT_CHARS[digit] : '.';
+  }
+
+  /**
+   * Returns the digit represented by the given character in board strings. Letters are case-insensitive.
+   * @param {string} char
+   * @returns {number} The digit, `0` for `'.'` or `'0'`, or `-1` if the character is not a digit of this size.
+   */
+  charToDigit(char) {
+    if (char === '.') {
+      return 0;
+    }
+    const digit = DIGIT_CHARS.indexOf(char.toUpperCase());
+    return (digit <= this.size) ? digit : -1;
+  }
+
+  /**
+   * Returns whether the given geometry has the same shape and variants as this one.
+   * @param {SudokuGeometry} other
+   * @returns {boolean}
+   */
+  equals(other) {
+    return (
+      other instanceof SudokuGeometry &&
+      other.boxRows === this.boxRows &&
+      other.boxCols === this.boxCols &&
+      other.variants.join() === this.variants.join() &&
+      other.regions?.join() === this.regions?.join()
+    );
+  }
+
+  toJSON() {
+    return {
+      size: this.size,
+      boxRows: this.boxRows,
+      boxCols: this.boxCols,
+      ...((this.variants.length > 0) ? { variants: [...this.variants] } : {}),
+      ...((this.regions !== null) ? { regions: [...this.regions] } : {})
+    };
+  }
+}
+
+export default SudokuGeometry;
@@ -1,13 +1,15 @@
 // import { shuffle } from '../util/arrays.js';
-import Sudoku from './Sudoku.js';
+import { bitCombo, nChooseK } from '../util/perms.js';
+import Sudoku, { NUM_SPACES } from './Sudoku.js';
 
 /**
  * Returns a board mask for the single given cell.
  * @param {number} cellIndex
+ * @param {number} [numSpaces=NUM_SPACES] The number of cells on the board.
  * @returns {bigint}
  */
-export function cellMask(cellIndex) {
-  return 1n << (80n - BigInt(cellIndex));
+export function cellMask(cellIndex, numSpaces = NUM_SPACES) {
+  return 1n << BigInt(numSpaces - 1 - cellIndex);
 }
 
 /**
@@ -22,11 +24,12 @@ export function digitMask(digit) {
 /**
  * Returns an array of cell indices from the given mask.
  * @param {bigint} mask
+ * @param {number} [numSpaces=NUM_SPACES] The number of cells on the board.
  * @returns {number[]}
  */
-export function cellsFromMask(mask) {
+export function cellsFromMask(mask, numSpaces = NUM_SPACES) {
   const cells = [];
-  let ci = 80;
+  let ci = numSpaces - 1;
   while (mask > 0n) {
     if (mask & 1n) {
       cells.push(ci);
@@ -59,6 +62,83 @@ export function countBits(n) {
   return count;
 }
 
+/**
+ * The leading bytes of the binary sieve format: `SSV`, followed by the format version.
+ * See `SudokuSieve#toBytes`.
+ */
+const BYTES_MAGIC = [0x53, 0x53, 0x56, 0x01];
+/** Flag set in the binary sieve format when every item has been validated.*/
+const BYTES_FLAG_VALIDATED = 1;
+
+/**
+ * Writes the mask into the given bytes, most significant byte first.
+ * @param {bigint} mask
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} length The number of bytes to write.
+ */
+function writeMask(mask, bytes, offset, length) {
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[offset + i] = Number(mask & 0xffn);
+    mask >>= 8n;
+  }
+}
+
+/**
+ * Reads a mask from the given bytes, most significant byte first.
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} length The number of bytes to read.
+ * @returns {bigint}
+ */
+function readMask(bytes, offset, length) {
+  let mask = 0n;
+  for (let i = 0; i < length; i++) {
+    mask = (mask << 8n) | BigInt(bytes[offset + i]);
+  }
+  return mask;
+}
+
+/**
+ * Returns the reasons why the given item is not valid for the configuration, if any.
+ *
+ * A valid item's puzzle (the config without the item's cells) must not be reducible, and must be
+ * prime invalid (see `Sudoku#isPrimeInvalid`). On top of that, filling in any other candidate of
+ * an empty cell must also leave a single solution.
+ * @param {Sudoku} config
+ * @param {bigint} item
+ * @returns {string[]} Empty if the item is valid.
+ */
+function _itemErrors(config, item) {
+  const p = config.filter(~item);
+  const b = p.board;
+
+  if (p._reduce()) {
+    return [
+      `is reducable\n` +
+      `            ${b.join('')}\n` +
+      `  reduced > ${p.toString()}`
+    ];
+  }
+
+  if (!p.isPrimeInvalid(config)) {
+    return ['is not prime invalid (expected: multiple solutions, and a single solution with any cell filled in)'];
+  }
+
+  // For every antiderivative not already checked by isPrimeInvalid, check that it has a single solution
+  return p.getAntiderivatives()
+    .filter((a) => a.board.some((digit, ci) => (digit > 0 && digit !== config.getDigit(ci))))
+    .reduce((errors, a) => {
+      const aFlag = a.solutionsFlag();
+      if (aFlag === 0) {
+        errors.push('has no solution (expected: 1)');
+      } else if (aFlag > 1) {
+        errors.push('has multiple solutions (expected: 1)');
+      }
+      return errors;
+    }, []);
+}
+
 /**
  * Validates the given items for the configuration.
  * @param {Sudoku} config
@@ -66,15 +146,7 @@ export function countBits(n) {
  * @returns {boolean}
  */
 function _validate(config, item) {
-  const p = config.filter(~item);
-  return (
-    // Must not be reducible
-    !p._reduce() &&
-    // Must have multiple solutions
-    (p.solutionsFlag() === 2) &&
-    // Every antiderivative must have a single solution
-    p.getAntiderivatives().every(a => a.solutionsFlag() === 1)
-  );
+  return _itemErrors(config, item).length === 0;
 }
 
 export default class SudokuSieve {
@@ -95,12 +167,14 @@ export default class SudokuSieve {
 
     this._config = new Sudoku(config);
     this._configBoard = this._config.board;
+    /** The number of cells on the board.*/
+    this._numSpaces = this._config.geometry.numSpaces;
 
     /**
-     * number[0 to 81]bigint[]
+     * number[0 to numSpaces]bigint[]
      * @type {bigint[][]}
      */
-    this._items = Array(81).fill(0).map(_=>[]);
+    this._items = Array(this._numSpaces).fill(0).map(_=>[]);
     this._length = 0;
 
     /**
@@ -110,7 +184,7 @@ export default class SudokuSieve {
      * @property {number} count
      */
     /** @type {Cell[]} */
-    this._redmat = Array(81).fill(0).map((_, i) => ({ ci: i, descIndex: i, count: 0 }));
+    this._redmat = Array(this._numSpaces).fill(0).map((_, i) => ({ ci: i, descIndex: i, count: 0 }));
     /** @type {Cell[]} */
     this._cellsDescCount = [...this._redmat];
     this._cellSum = 0;
@@ -129,7 +203,7 @@ export default class SudokuSieve {
      * Keeps track of which items have been validated. Parallel to _items.
      * @type {bigint[][]}
      */
-    this._validated = Array(81).fill(0).map(_=>[]);
+    this._validated = Array(this._numSpaces).fill(0).map(_=>[]);
   }
 
   /** The configuration of this sieve.*/
@@ -169,7 +243,7 @@ export default class SudokuSieve {
   _countMaskDigits(mask) {
     let result = 0;
     let track = 0;
-    let ci = 80;
+    let ci = this._numSpaces - 1;
     let d = 0;
     while (mask > 0n) {
       d = digitMask(this._configBoard[ci]);
@@ -217,7 +291,7 @@ export default class SudokuSieve {
    * @returns {boolean} true if the mask satisfies all items in the sieve; otherwise false.
    */
   doesMaskSatisfy(mask) {
-    for (let i = 0; i < 81; i++) {
+    for (let i = 0; i < this._numSpaces; i++) {
       const itemsLen = this._items[i].length;
       for (let j = 0; j < itemsLen; j++) {
         const item = this._items[i][j];
@@ -234,8 +308,8 @@ export default class SudokuSieve {
    * @param {bigint} item
    */
   _addItemToMatrix(item) {
-    for (let ci = 0; ci < 81; ci++) {
-      if ((item & cellMask(ci)) > 0n) {
+    for (let ci = 0; ci < this._numSpaces; ci++) {
+      if ((item & cellMask(ci, this._numSpaces)) > 0n) {
         this._redmat[ci].count++;
         this._cellSum++;
         let i = this._redmat[ci].descIndex;
@@ -258,8 +332,8 @@ export default class SudokuSieve {
    * @param {bigint} item
    */
   _removeItemFromMatrix(item) {
-    for (let ci = 0; ci < 81; ci++) {
-      if ((item & cellMask(ci)) > 0n) {
+    for (let ci = 0; ci < this._numSpaces; ci++) {
+      if ((item & cellMask(ci, this._numSpaces)) > 0n) {
         this._redmat[ci].count--;
         this._cellSum--;
         let i = this._redmat[ci].descIndex;
@@ -290,9 +364,38 @@ export default class SudokuSieve {
       }
 
       added = true;
-      this._itemsFor(item).push(item);
-      // this._addItemToMatrix(item);
-      this._length++;
+      this._insert(item);
+    }
+
+    return added;
+  }
+
+  /**
+   * Adds the item without checking it. Only for items known to be valid, such as those loaded from a saved sieve.
+   * @param {bigint} item
+   */
+  _insert(item) {
+    this._itemsFor(item).push(item);
+    // this._addItemToMatrix(item);
+    this._length++;
+  }
+
+  /**
+   * Adds each item to the sieve without validating it, unless it is a derivative of an existing item.
+   * The items are tracked as needing validation, until `validate` finds no errors.
+   * @param {bigint[]} items Variable amount of items to add.
+   * @returns {boolean} True if any items were added.
+   */
+  _addUnvalidated(...items) {
+    let added = false;
+    for (const item of items) {
+      if (this.isDerivative(item)) {
+        continue;
+      }
+
+      added = true;
+      this._insert(item);
+      this._needsValidating.push(item);
     }
 
     return added;
@@ -300,22 +403,35 @@ export default class SudokuSieve {
 
   /**
    * Generates sieve items from the given board mask and adds them if not yet acquired.
-   * @param {bigint} mask
+   * @param {bigint} mask The cells of the config to keep. The items are found among the other cells.
+   * @param {object} [options]
+   * @param {number} [options.maxCells] (default: the number of cells on the board) The maximum number of cells in an item.
+   * @param {boolean} [options.validate=true] (default: `true`) Whether to validate each item before adding it.
    * @returns {number} The number of items added.
    */
-  addFromMask(mask) {
+  addFromMask(mask, { maxCells = this._numSpaces, validate = true } = {}) {
     const initialCount = this._length;
     const puzzle = this._config.filter(mask);
+    /** @type {bigint[]} */
+    const diffs = [];
     puzzle.searchForSolutions3({
       solutionFoundCallback: (solution) => {
         const diff = this._config.diff(solution);
-        if (diff > 0n) {
-          this.add(diff);
+        if (diff > 0n && this._countMaskCells(diff) <= maxCells) {
+          diffs.push(diff);
         }
         return true;
       }
     });
 
+    // Smaller items first, so that larger ones containing them are recognized as derivatives.
+    diffs.sort((a, b) => this._countMaskCells(a) - this._countMaskCells(b));
+    if (validate) {
+      this.add(...diffs);
+    } else {
+      this._addUnvalidated(...diffs);
+    }
+
     return (this._length - initialCount);
   }
 
@@ -339,7 +455,7 @@ export default class SudokuSieve {
     /** @type {bigint[]} */
     const removed = [];
 
-    for (let numCells = 0; numCells < 81; numCells++) {
+    for (let numCells = 0; numCells < this._numSpaces; numCells++) {
       const subArr = this._items[numCells];
       if (subArr && subArr.length > 0) {
         this._items[numCells] = subArr.filter((item) => {
@@ -407,9 +523,10 @@ export default class SudokuSieve {
    *
    * @param {number} maxSelections
    * @param {number} maxAttempts
+   * @param {() => number} [rng=Math.random] The source of random numbers in [0,1).
    * @returns {bigint}
    */
-  _generateMask(maxSelections = 27, maxAttempts = 100) {
+  _generateMask(maxSelections = 27, maxAttempts = 100, rng = Math.random) {
     let selectedCount = 0;
     let mask = 0n;
     let attempts = 0;
@@ -455,7 +572,7 @@ export default class SudokuSieve {
         // }
 
         const choices = maximumCells.slice(0, 8);
-        const chosenCell = choices[Math.floor(Math.random() * choices.length)];
+        const chosenCell = choices[Math.floor(rng() * choices.length)];
         if (chosenCell === null) {
           throw new Error('chosenCell is null');
         }
@@ -467,7 +584,7 @@ export default class SudokuSieve {
         selectedCount++;
 
         // mask |= (1n << BigInt(chosenCell));
-        mask |= cellMask(chosenCell);
+        mask |= cellMask(chosenCell, this._numSpaces);
         _sieve.removeOverlapping(mask);
         // remainingItems = remainingItems.filter((item) => (item & mask) === 0n);
         // _sieve._items = _sieve._items.filter((item) => (item & mask) === 0n);
@@ -483,9 +600,10 @@ export default class SudokuSieve {
   /**
    * @param {number} maxSelections
    * @param {number} maxAttempts
+   * @param {() => number} [rng=Math.random] The source of random numbers in [0,1).
    * @returns {bigint}
    */
-  _generateMask2(maxSelections = 27, maxAttempts = 100) {
+  _generateMask2(maxSelections = 27, maxAttempts = 100, rng = Math.random) {
     let selectedCount = 0;
     let mask = 0n;
     let attempts = 0;
@@ -504,8 +622,8 @@ export default class SudokuSieve {
       while (_sieve.length > 0) {
         // const choices = this._items.find(subarr => subarr.length > 0);
         // const itemChoice = choices[Math.floor(Math.random() * choices.length)];
-        let cells = cellsFromMask(_sieve.first);
-        const chosenCell = cells[Math.floor(Math.random() * cells.length)];
+        let cells = cellsFromMask(_sieve.first, this._numSpaces);
+        const chosenCell = cells[Math.floor(rng() * cells.length)];
         if (chosenCell === null) {
           throw new Error('chosenCell is null');
         }
@@ -517,7 +635,7 @@ export default class SudokuSieve {
         selectedCount++;
 
         // mask |= (1n << BigInt(chosenCell));
-        mask |= cellMask(chosenCell);
+        mask |= cellMask(chosenCell, this._numSpaces);
         _sieve.removeOverlapping(mask);
         // remainingItems = remainingItems.filter((item) => (item & mask) === 0n);
         // _sieve._items = _sieve._items.filter((item) => (item & mask) === 0n);
@@ -533,10 +651,11 @@ export default class SudokuSieve {
   /**
    * @param {number} maxSelections
    * @param {number} maxAttempts
+   * @param {() => number} [rng=Math.random] The source of random numbers in [0,1).
    * @returns {number[]}
    */
-  _generateMaskCells(maxSelections = 27, maxAttempts = 100) {
-    return cellsFromMask(this._generateMask2(maxSelections, maxAttempts));
+  _generateMaskCells(maxSelections = 27, maxAttempts = 100, rng = Math.random) {
+    return cellsFromMask(this._generateMask2(maxSelections, maxAttempts, rng), this._numSpaces);
     // const mask = this._generateMask2(maxSelections, maxAttempts);
     // const cells = [];
     // for (let ci = 0; ci < 81; ci++) {
@@ -558,49 +677,188 @@ export default class SudokuSieve {
       const subArrLen = this._items[i].length;
       for (let j = 0; j < subArrLen; j++) {
         const item = this._items[i][j];
-        const p = this._config.filter(~item);
-        const b = p.board;
-
-        if (p._reduce()) {
-          errors.push(
-            `sieve item[${i}][${j}]: ${item}n; is reducable\n` +
-            `            ${b.join('')}\n` +
-            `  reduced > ${p.toString()}`
-          );
-          continue;
-        }
-
-        // Check that there are multiple solutions
-        const pFlag = p.solutionsFlag();
-        if (pFlag !== 2) {
-          errors.push(`sieve item[${i}][${j}]: ${item}n; has pFlag = ${pFlag} (expected: 2)`);
-          continue;
-        }
-
-        // For every antiderivative, check that it has a single or no solution
-        for (const a of p.getAntiderivatives()) {
-          const aFlag = a.solutionsFlag();
-          if (aFlag === 0) {
-            errors.push(`sieve item[${i}][${j}]: ${item}n; has no solution (expected: 1)`);
-          } else if (aFlag > 1) {
-            errors.push(`sieve item[${i}][${j}]: ${item}n; has multiple solutions (expected: 1)`);
-          }
-        }
+        _itemErrors(this._config, item).forEach((error) => {
+          errors.push(`sieve item[${i}][${j}]: ${item}n; ${error}`);
+        });
       }
     }
 
+    if (errors.length === 0) {
+      this._needsValidating = [];
+    }
     return errors;
   }
 
+  /**
+   * Returns a JSON representation of the sieve: its config, its items as hexadecimal masks,
+   * and whether the items have been validated.
+   * @returns {{config: object, items: string[], validated: boolean}}
+   */
+  toJSON() {
+    return {
+      config: this._config.toJSON(),
+      items: this.items.map((item) => item.toString(16)),
+      validated: this.validated
+    };
+  }
+
+  /**
+   * Builds a sieve from its JSON representation. See `SudokuSieve#toJSON`.
+   *
+   * Validated items are trusted and added as-is, which is much faster than adding them with `add`.
+   * Otherwise, each item is validated as it is added.
+   * @param {string | {config: object, items: string[], validated?: boolean}} json
+   * @returns {SudokuSieve}
+   * @throws {Error} If the config or items are invalid.
+   */
+  static fromJSON(json) {
+    const { config, items, validated = false } = (typeof json === 'string') ? JSON.parse(json) : json;
+    if (!Array.isArray(items) || items.some((item) => typeof item !== 'string' || !/^[0-9a-f]+$/i.test(item))) {
+      throw new Error(`Invalid sieve items: ${items}`);
+    }
+
+    return SudokuSieve._fromParts(
+      Sudoku.fromJSON(config),
+      items.map((item) => BigInt(`0x${item}`)),
+      Boolean(validated)
+    );
+  }
+
+  /**
+   * Returns a compact binary representation of the sieve.
+   *
+   * The format is the magic bytes `SSV` and a version byte, a flags byte (`1` if validated), the length
+   * (32-bit, big-endian) and UTF-8 bytes of the config's JSON, the number of items (32-bit, big-endian),
+   * then each item mask in a fixed number of big-endian bytes (e.g. 11 bytes for 81 cells).
+   * @returns {Uint8Array}
+   */
+  toBytes() {
+    const configBytes = new TextEncoder().encode(JSON.stringify(this._config.toJSON()));
+    const items = this.items;
+    const maskLength = Math.ceil(this._numSpaces / 8);
+    const bytes = new Uint8Array(BYTES_MAGIC.length + 9 + configBytes.length + items.length * maskLength);
+    const view = new DataView(bytes.buffer);
+
+    let offset = 0;
+    bytes.set(BYTES_MAGIC, offset);
+    offset += BYTES_MAGIC.length;
+    bytes[offset++] = this.validated ? BYTES_FLAG_VALIDATED : 0;
+    view.setUint32(offset, configBytes.length);
+    offset += 4;
+    bytes.set(configBytes, offset);
+    offset += configBytes.length;
+    view.setUint32(offset, items.length);
+    offset += 4;
+    items.forEach((item) => {
+      writeMask(item, bytes, offset, maskLength);
+      offset += maskLength;
+    });
+    return bytes;
+  }
+
+  /**
+   * Builds a sieve from its binary representation. See `SudokuSieve#toBytes`.
+   * @param {Uint8Array} bytes
+   * @returns {SudokuSieve}
+   * @throws {Error} If the bytes are not a sieve in a supported format, or the config or items are invalid.
+   */
+  static fromBytes(bytes) {
+    if (!(bytes instanceof Uint8Array) || !SudokuSieve._hasMagic(bytes) || bytes.length < BYTES_MAGIC.length + 9) {
+      throw new Error('Invalid sieve data: unrecognized format.');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = BYTES_MAGIC.length;
+    const validated = (bytes[offset++] & BYTES_FLAG_VALIDATED) > 0;
+    const configLength = view.getUint32(offset);
+    offset += 4;
+    if (offset + configLength + 4 > bytes.length) {
+      throw new Error('Invalid sieve data: truncated config.');
+    }
+    const config = Sudoku.fromJSON(new TextDecoder().decode(bytes.subarray(offset, offset + configLength)));
+    offset += configLength;
+    const numItems = view.getUint32(offset);
+    offset += 4;
+
+    const maskLength = Math.ceil(config.geometry.numSpaces / 8);
+    if (offset + numItems * maskLength !== bytes.length) {
+      throw new Error(`Invalid sieve data: expected ${numItems} items.`);
+    }
+    const items = Array.from({ length: numItems }, (_, i) => readMask(bytes, offset + i * maskLength, maskLength));
+    return SudokuSieve._fromParts(config, items, validated);
+  }
+
+  /**
+   * Saves the sieve to a file, so that it can be reused with `SudokuSieve.load`.
+   * Files ending in `.json` are saved as JSON; otherwise the binary format is used. See `SudokuSieve#toBytes`.
+   *
+   * Only available in Node.js.
+   * @param {string} path
+   * @returns {Promise<void>}
+   */
+  async save(path) {
+    const { writeFile } = await import('node:fs/promises');
+    await writeFile(
+      path,
+      String(path).toLowerCase().endsWith('.json') ? JSON.stringify(this) : this.toBytes()
+    );
+  }
+
+  /**
+   * Loads a sieve saved with `SudokuSieve#save`, in either format.
+   *
+   * Only available in Node.js.
+   * @param {string} path
+   * @returns {Promise<SudokuSieve>}
+   * @throws {Error} If the file does not contain a valid sieve.
+   */
+  static async load(path) {
+    const { readFile } = await import('node:fs/promises');
+    const data = new Uint8Array(await readFile(path));
+    return SudokuSieve._hasMagic(data) ?
+      SudokuSieve.fromBytes(data) :
+      SudokuSieve.fromJSON(new TextDecoder().decode(data));
+  }
+
+  /**
+   * @param {Uint8Array} bytes
+   * @returns {boolean} Whether the bytes start with the binary sieve format's magic bytes.
+   */
+  static _hasMagic(bytes) {
+    return BYTES_MAGIC.every((byte, i) => bytes[i] === byte);
+  }
+
+  /**
+   * Creates a sieve from deserialized parts.
+   * @param {Sudoku} config
+   * @param {bigint[]} items
+   * @param {boolean} validated Whether the items were validated, in which case they are added without checks.
+   * @returns {SudokuSieve}
+   */
+  static _fromParts(config, items, validated) {
+    const fullMask = (1n << BigInt(config.geometry.numSpaces)) - 1n;
+    if (items.some((item) => item <= 0n || item > fullMask)) {
+      throw new Error('Invalid sieve items: masks must be non-empty and fit the board.');
+    }
+
+    const sieve = new SudokuSieve({ config });
+    if (validated) {
+      items.forEach((item) => sieve._insert(item));
+    } else {
+      sieve.add(...items);
+    }
+    return sieve;
+  }
+
   /**
    * TODO Remove items from sieve instead of making a copy.
    * @param {options} options
    * @param {number} options.maxLength Maximum number of items to keep.
-   * @param {number} options.maxCells
-   * @param {number} options.maxDigits
+   * @param {number} options.maxCells Defaults to the number of cells on the board.
+   * @param {number} options.maxDigits Defaults to the board size.
    * @returns {SudokuSieve} A new SudokuSieve that's been pruned.
    */
-  prune({ maxLength, maxCells = 81, maxDigits = 9 }) {
+  prune({ maxLength, maxCells = this._numSpaces, maxDigits = this._config.geometry.size }) {
     maxLength ??= this.length;
     // TODO maxLength not used
     return this.items.filter((item) => (
@@ -611,15 +869,41 @@ export default class SudokuSieve {
   }
 
   /**
-   * TODO Implement some sort of generation function to produce masks which satisfy the sieve.
+   * Searches the config for unavoidable sets, adding them to the sieve as they are found.
    *
-   * @param {*} param0
+   * For each combination of digits, from pairs up to `maxDigits` digits, the cells of the config holding
+   * those digits are emptied, and every other solution of the resulting puzzle differs from the config
+   * in an unavoidable set. Items already in the sieve (or derived from one) are skipped.
+   * @param {object} [options]
+   * @param {number} [options.maxCells] (default: the number of cells on the board) The maximum number of cells in an item.
+   * @param {number} [options.maxDigits=3] (in `[2, size]`; default: `3`) The maximum number of distinct digits in an item.
+   * The search grows quickly with the number of digits.
+   * @param {boolean} [options.validateOnAdd=true] (default: `true`) Whether to validate each item before adding it.
+   * Unvalidated items leave the sieve un`validated` until `validate` finds no errors.
+   * @returns {number} The number of items added.
    */
   search({
-    maxCells,
-    maxDigits,
-    validateOnAdd,
-  }) {
+    maxCells = this._numSpaces,
+    maxDigits = 3,
+    validateOnAdd = true,
+  } = {}) {
+    const { size } = this._config.geometry;
+    if (!Number.isInteger(maxDigits) || maxDigits < 2 || maxDigits > size) {
+      throw new Error(`Invalid maxDigits: ${maxDigits}`);
+    }
 
+    const initialCount = this._length;
+    for (let k = 2; k <= maxDigits; k++) {
+      const nck = nChooseK(size, k);
+      for (let r = 0n; r < nck; r++) {
+        const dCombo = Number(bitCombo(size, k, r));
+        const digitsMask = this._configBoard.reduce((mask, digit, ci) => (
+          (digitMask(digit) & dCombo) ? (mask | cellMask(ci, this._numSpaces)) : mask
+        ), 0n);
+        this.addFromMask(~digitsMask, { maxCells, validate: validateOnAdd });
+      }
+    }
+
+    return (this._length - initialCount);
   }
 }
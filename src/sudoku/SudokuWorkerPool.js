@@ -0,0 +1,435 @@
+import Sudoku from './Sudoku.js';
+import SudokuSieve from './SudokuSieve.js';
+import { ANTI_KING, ANTI_KNIGHT, DIAGONAL, WINDOKU } from './variants.js';
+
+/**
+ * A job for a worker:
+ * - `'generate'` - Generates boards with `Sudoku.generate(options)`, resolving to its results.
+ * - `'rate'` - Rates `puzzle` with `Sudoku#rate`, resolving to its rating.
+ * @typedef {object} WorkerJob
+ * @property {'generate' | 'rate'} type
+ * @property {object} [options] The options for `Sudoku.generate`, for `'generate'` jobs.
+ * Functions (e.g. `callback` and `rng`) can't be sent to a worker, and neither can custom variants.
+ * @property {Sudoku | string} [puzzle] The puzzle to rate, for `'rate'` jobs.
+ */
+
+/**
+ * A worker, wrapped so that Node's `worker_threads` and browsers' Web Workers can be used alike.
+ * @typedef {object} WorkerHandle
+ * @property {(message: object) => void} post
+ * @property {() => Promise<any>} terminate
+ */
+
+/** The script run by the workers.*/
+const DEFAULT_WORKER_URL = new URL('./sudoku-worker.js', import.meta.url);
+
+/** Whether this is running in Node, where workers come from `worker_threads`.*/
+const IS_NODE = (typeof process !== 'undefined') && Boolean(process.versions?.node);
+
+/** The number of logical processors, from `os` in Node (which has no `navigator`), or from the browser.*/
+const NUM_PROCESSORS = IS_NODE ?
+  await import('node:os').then((os) => os.availableParallelism?.() ?? os.cpus().length) :
+  (globalThis.navigator?.hardwareConcurrency ?? 2);
+
+/**
+ * Starts a worker running the given script.
+ * @param {URL | string} url
+ * @param {object} handlers
+ * @param {(message: object) => void} handlers.onMessage Called with each message posted by the worker.
+ * @param {(error: Error) => void} handlers.onError Called if the worker crashes.
+ * @returns {Promise<WorkerHandle>}
+ */
+async function startWorker(url, { onMessage, onError }) {
+  if (IS_NODE) {
+    const { Worker } = await import('node:worker_threads');
+    const worker = new Worker(url);
+    worker.on('message', onMessage);
+    worker.on('error', onError);
+    return {
+      post: (message) => worker.postMessage(message),
+      terminate: () => worker.terminate()
+    };
+  }
+
+  const worker = new Worker(url, { type: 'module' });
+  worker.onmessage = (event) => onMessage(event.data);
+  worker.onerror = (event) => {
+    event.preventDefault();
+    onError(new Error(event.message));
+  };
+  return {
+    post: (message) => worker.postMessage(message),
+    terminate: async () => worker.terminate()
+  };
+}
+
+/**
+ * The variants defined in every worker, as workers don't share the variants defined by `defineVariant`.
+ * @type {import('./variants.js').Variant[]}
+ */
+const BUILT_IN_VARIANTS = [DIAGONAL, WINDOKU, ANTI_KNIGHT, ANTI_KING];
+
+/**
+ * Throws if the given option holds a function anywhere within it, as functions can't be posted to a worker.
+ * @param {any} value
+ * @param {string} path The option's name, e.g. `'difficulty.label'`.
+ * @throws {Error} If the option holds a function.
+ */
+function validateWorkerOption(value, path) {
+  if (typeof value === 'function') {
+    throw new Error(`Invalid option for a worker: ${path}`);
+  }
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => validateWorkerOption(item, `${path}[${i}]`));
+  } else if (value !== null && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => validateWorkerOption(item, `${path}.${key}`));
+  }
+}
+
+/**
+ * Replaces the boards in the given job with their JSON representations, and built-in variants with their names,
+ * so that it can be posted to a worker.
+ * @param {WorkerJob} job
+ * @returns {object}
+ * @throws {Error} If the job type is invalid, or its options include functions or custom variants.
+ */
+function encodeJob({ type, options = {}, puzzle }) {
+  if (type === 'rate') {
+    return { type, puzzle: (puzzle instanceof Sudoku) ? puzzle.toJSON() : puzzle };
+  }
+  if (type !== 'generate') {
+    throw new Error(`Invalid job type: ${type}`);
+  }
+
+  const { config, sieve, variants, ...rest } = options;
+  Object.entries(rest).forEach(([key, value]) => validateWorkerOption(value, key));
+  const variantNames = variants?.map((variant, i) => {
+    if (typeof variant === 'string') {
+      return variant;
+    }
+    if (!BUILT_IN_VARIANTS.includes(variant)) {
+      throw new Error(`Invalid option for a worker: variants[${i}] (custom variants can't be sent to a worker)`);
+    }
+    return variant.name;
+  });
+  return {
+    type,
+    options: {
+      ...rest,
+      ...((variantNames !== undefined) ? { variants: variantNames } : {}),
+      ...((config instanceof Sudoku) ? { config: config.toJSON() } : {}),
+      ...((sieve instanceof SudokuSieve) ? { sieve: sieve.toJSON() } : {})
+    }
+  };
+}
+
+/**
+ * Rebuilds the boards in a job's result posted by a worker.
+ * @param {string} type The job type.
+ * @param {any} result
+ * @returns {any}
+ */
+function decodeResult(type, result) {
+  if (type !== 'generate') {
+    return result;
+  }
+  return result.map((boardResult) => ({
+    ...boardResult,
+    ...(boardResult.puzzle ? { puzzle: Sudoku.fromJSON(boardResult.puzzle) } : {}),
+    ...(boardResult.solutions ? { solutions: boardResult.solutions.map((json) => Sudoku.fromJSON(json)) } : {})
+  }));
+}
+
+/**
+ * Splits the given amount into at most `numParts` near-equal, positive parts.
+ * @param {number} amount
+ * @param {number} numParts
+ * @returns {number[]}
+ */
+function splitAmount(amount, numParts) {
+  const count = Math.min(amount, numParts);
+  return Array.from({ length: count }, (_, i) => Math.floor(amount / count) + ((i < amount % count) ? 1 : 0));
+}
+
+/**
+ * Combines the metrics of the given generation results, by summing each numeric metric
+ * (e.g. `pops` and `timeMs` for puzzles, or `iterations` for configs).
+ * @param {object[]} results
+ * @returns {{[metric: string]: number}}
+ */
+function combineMetrics(results) {
+  return results.reduce((metrics, result) => {
+    Object.entries(result).forEach(([key, value]) => {
+      if (typeof value === 'number') {
+        metrics[key] = (metrics[key] ?? 0) + value;
+      }
+    });
+    return metrics;
+  }, {});
+}
+
+/**
+ * Runs Sudoku generation and rating jobs on a pool of workers: `worker_threads` in Node,
+ * or module Web Workers in browsers.
+ *
+ * Workers are started as jobs arrive, up to the pool size, and each runs one job at a time.
+ * Call `close` when done, as running workers keep a Node process alive.
+ */
+export class SudokuWorkerPool {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.size] The maximum number of workers.
+   * Defaults to one less than the number of logical processors, and at least `1`.
+   * @param {URL | string} [options.workerUrl] The worker script. Defaults to `sudoku-worker.js`, next to this module.
+   * @throws {Error} If the size is not a positive integer.
+   */
+  constructor({
+    size = Math.max(1, NUM_PROCESSORS - 1),
+    workerUrl = DEFAULT_WORKER_URL
+  } = {}) {
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error(`Invalid pool size: ${size}`);
+    }
+
+    /** The maximum number of workers.*/
+    this.size = size;
+    this._workerUrl = workerUrl;
+
+    /**
+     * The started workers, and the job each is running.
+     * @type {{worker: WorkerHandle | null, ready: Promise<void>, job: object | null}[]}
+     */
+    this._workers = [];
+
+    /**
+     * Jobs waiting for a free worker.
+     * @type {{id: number, type: string, message: object, resolve: Function, reject: Function}[]}
+     */
+    this._queue = [];
+
+    this._nextId = 0;
+    this._closed = false;
+  }
+
+  /**
+   * Runs the given job on the next free worker.
+   * @param {WorkerJob} job
+   * @returns {Promise<any>} The job's result. See `WorkerJob`.
+   */
+  run(job) {
+    if (this._closed) {
+      return Promise.reject(new Error('Worker pool closed.'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = this._nextId++;
+      this._queue.push({ id, type: job.type, message: { id, job: encodeJob(job) }, resolve, reject });
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Runs the given jobs, yielding each result along with the index of its job.
+   * @param {WorkerJob[]} jobs
+   * @param {object} [options]
+   * @param {boolean} [options.ordered=false] (default: `false`) Whether to yield the results in the order
+   * of their jobs, rather than as they complete.
+   * @returns {AsyncGenerator<{index: number, result: any}>}
+   * @throws {Error} If a job fails.
+   */
+  async *stream(jobs, { ordered = false } = {}) {
+    const pending = jobs.map((job, index) => this.run(job).then((result) => ({ index, result })));
+    // Failures are rethrown when their turn comes, so they aren't unhandled while waiting on other jobs.
+    pending.forEach((promise) => promise.catch(() => {}));
+
+    if (ordered) {
+      for (const promise of pending) {
+        yield await promise;
+      }
+      return;
+    }
+
+    const remaining = new Map(pending.map((promise, index) => [index, promise]));
+    while (remaining.size > 0) {
+      const done = await Promise.race(remaining.values());
+      remaining.delete(done.index);
+      yield done;
+    }
+  }
+
+  /**
+   * Generates boards like `Sudoku.generate`, with `amount` split into jobs across the workers,
+   * yielding each board's result.
+   *
+   * If `seed` is given, each job gets its own seed derived from it, so that the same options
+   * and pool give the same boards (when `ordered`).
+   * @param {object} [options] The options for `Sudoku.generate`, except `callback` and `rng`.
+   * @param {object} [streamOptions]
+   * @param {number} [streamOptions.jobs] The number of jobs to split `amount` into. Defaults to the pool size.
+   * @param {boolean} [streamOptions.ordered=true] (default: `true`) Whether to yield the results in job order,
+   * rather than as each job completes.
+   * @returns {AsyncGenerator<object>} The results of `Sudoku.generate`, one board at a time.
+   * @throws {Error} If the options are invalid.
+   */
+  async *generateStream(options = {}, { jobs = this.size, ordered = true } = {}) {
+    const { amount = 1, seed } = options;
+    if (!Number.isInteger(amount) || amount < 1) {
+      throw new Error(`Invalid amount: ${amount}`);
+    }
+    if (!Number.isInteger(jobs) || jobs < 1) {
+      throw new Error(`Invalid number of jobs: ${jobs}`);
+    }
+
+    const workerJobs = splitAmount(amount, jobs).map((jobAmount, i) => ({
+      type: 'generate',
+      options: {
+        ...options,
+        amount: jobAmount,
+        ...((seed !== undefined && seed !== null) ? { seed: `${seed}:${i}` } : {})
+      }
+    }));
+    for await (const { result } of this.stream(workerJobs, { ordered })) {
+      yield* result;
+    }
+  }
+
+  /**
+   * Generates boards like `Sudoku.generate`, with `amount` split into jobs across the workers.
+   * See `SudokuWorkerPool#generateStream`.
+   * @param {object} [options] The options for `Sudoku.generate`, except `callback` and `rng`.
+   * @param {object} [streamOptions] See `SudokuWorkerPool#generateStream`.
+   * @returns {Promise<{results: object[], metrics: {[metric: string]: number}}>} The results of `Sudoku.generate`,
+   * and their metrics combined: each numeric metric summed, plus `count` (the number of boards generated)
+   * and `wallTimeMs` (the time taken by the pool).
+   * @throws {Error} If the options are invalid.
+   */
+  async generate(options = {}, streamOptions = {}) {
+    const startTime = Date.now();
+    const results = [];
+    for await (const result of this.generateStream(options, streamOptions)) {
+      results.push(result);
+    }
+    return {
+      results,
+      metrics: { ...combineMetrics(results), count: results.length, wallTimeMs: Date.now() - startTime }
+    };
+  }
+
+  /**
+   * Rates the given puzzles with `Sudoku#rate`, across the workers.
+   * @param {(Sudoku | string)[]} puzzles
+   * @returns {Promise<import('./LogicalSolver.js').Rating[]>} The ratings, in the order of the puzzles.
+   */
+  rate(puzzles) {
+    return Promise.all(puzzles.map((puzzle) => this.run({ type: 'rate', puzzle })));
+  }
+
+  /**
+   * Stops the workers. Jobs that haven't finished are rejected.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this._closed = true;
+    const error = new Error('Worker pool closed.');
+    this._queue.splice(0).forEach((job) => job.reject(error));
+
+    const workers = this._workers.splice(0);
+    workers.forEach(({ job }) => job?.reject(error));
+    await Promise.all(workers.map((record) => record.ready.then(() => record.worker.terminate(), () => {})));
+  }
+
+  /**
+   * Hands queued jobs to free workers, starting new workers while under the pool size.
+   */
+  _dispatch() {
+    while (this._queue.length > 0) {
+      let record = this._workers.find(({ job }) => job === null);
+      if (!record) {
+        if (this._workers.length >= this.size) {
+          return;
+        }
+        record = this._startWorker();
+      }
+
+      const job = this._queue.shift();
+      record.job = job;
+      record.ready.then(
+        () => this._post(record, job),
+        (error) => this._onWorkerError(record, error)
+      );
+    }
+  }
+
+  /**
+   * Posts the given job to the worker. If it can't be posted (e.g. its options can't be cloned),
+   * the job is rejected and the worker is given its next job.
+   * @param {object} record
+   * @param {object} job
+   */
+  _post(record, job) {
+    try {
+      record.worker.post(job.message);
+    } catch (error) {
+      if (record.job === job) {
+        record.job = null;
+      }
+      job.reject(error);
+      this._dispatch();
+    }
+  }
+
+  /**
+   * Starts a new worker and adds it to the pool.
+   * @returns {{worker: WorkerHandle | null, ready: Promise<void>, job: object | null}}
+   */
+  _startWorker() {
+    const record = { worker: null, ready: null, job: null };
+    record.ready = startWorker(this._workerUrl, {
+      onMessage: (message) => this._onWorkerMessage(record, message),
+      onError: (error) => this._onWorkerError(record, error)
+    }).then((worker) => {
+      record.worker = worker;
+    });
+    this._workers.push(record);
+    return record;
+  }
+
+  /**
+   * Settles the worker's job with the result it posted, and gives the worker its next job.
+   * @param {object} record
+   * @param {{id: number, result?: any, error?: string}} message
+   */
+  _onWorkerMessage(record, { id, result, error }) {
+    const { job } = record;
+    if (job === null || job.id !== id) {
+      return;
+    }
+
+    record.job = null;
+    if (error !== undefined) {
+      job.reject(new Error(error));
+    } else {
+      job.resolve(decodeResult(job.type, result));
+    }
+    this._dispatch();
+  }
+
+  /**
+   * Removes a crashed worker from the pool and rejects its job.
+   * @param {object} record
+   * @param {Error} error
+   */
+  _onWorkerError(record, error) {
+    const index = this._workers.indexOf(record);
+    if (index < 0) {
+      return;
+    }
+
+    this._workers.splice(index, 1);
+    record.worker?.terminate();
+    record.job?.reject(error);
+    this._dispatch();
+  }
+}
+
+export default SudokuWorkerPool;
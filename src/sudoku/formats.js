@@ -0,0 +1,623 @@
+import Sudoku from './Sudoku.js';
+import SudokuGeometry, { MAX_SIZE } from './SudokuGeometry.js';
+
+/**
+ * Readers and writers for common Sudoku file formats:
+ * - `'sdk'` - SadMan Software: optional `#` metadata lines (e.g. `#A` author), then one line per row.
+ * - `'ss'` - Simple Sudoku: one line per row, with `|` between stacks and lines of `-` between bands.
+ * - `'sdm'` - SudoCue collections: one puzzle per line, with `0` for empty cells.
+ * - `'hodoku'` - HoDoKu exports: one puzzle per line, where `+` marks a placed (non-given) digit.
+ * - `'opensudoku'` - OpenSudoku XML collections: a `<game data="...">` element per puzzle.
+ * - `'json'` - A puzzle object, or an array of them. See `PuzzleJSON`.
+ *
+ * Only the JSON format carries geometries other than regular boxes, pencil marks, and cages.
+ */
+
+/**
+ * The supported formats. See the module description.
+ * @type {readonly string[]}
+ */
+export const FORMATS = Object.freeze(['sdk', 'ss', 'sdm', 'hodoku', 'opensudoku', 'json']);
+
+/**
+ * A puzzle read from or written to a file.
+ * @typedef {object} PuzzleRecord
+ * @property {Sudoku} puzzle The board, whose clues are the givens, and whose digits are the current values.
+ * @property {number[][]} pencilMarks The digits pencilled into each cell, empty where there are none.
+ * @property {{[key: string]: string}} metadata Details stored alongside the puzzle, e.g. `author`.
+ */
+
+/**
+ * The JSON format of a puzzle. Cell strings use the characters of `Sudoku#toString`.
+ * @typedef {object} PuzzleJSON
+ * @property {string} clues The givens.
+ * @property {string} [values] The current digits, including the givens. Defaults to the givens.
+ * @property {string[]} [pencilMarks] The digits pencilled into each cell, e.g. `'127'`, or `''` for none.
+ * @property {object} [geometry] See `SudokuGeometry#toJSON`. Defaults to the geometry that fits the clues.
+ * @property {import('./Sudoku.js').Cage[]} [cages] Killer cages.
+ * @property {{[key: string]: string}} [metadata]
+ */
+
+/** SadMan metadata tags, and the keys they are read into.*/
+const SDK_TAGS = Object.freeze({
+  A: 'author',
+  D: 'description',
+  C: 'comment',
+  B: 'date',
+  S: 'source',
+  L: 'level',
+  U: 'url'
+});
+
+const XML_ENTITIES = Object.freeze({ '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'" });
+
+/**
+ * An error in the text being read, at the given line and column (both starting at `1`) when known.
+ */
+export class SudokuFormatError extends Error {
+  /**
+   * @param {string} message
+   * @param {number | null} [line=null]
+   * @param {number | null} [column=null]
+   */
+  constructor(message, line = null, column = null) {
+    const position = (column !== null) ? `line ${line}, column ${column}` : `line ${line}`;
+    super((line !== null) ? `${message} (${position})` : message);
+    this.name = 'SudokuFormatError';
+    /** @type {number | null} */
+    this.line = line;
+    /** @type {number | null} */
+    this.column = column;
+  }
+}
+
+/**
+ * A cell's character in the text being read, and where it was found.
+ * @typedef {object} CellToken
+ * @property {string} char
+ * @property {number | null} line
+ * @property {number | null} column
+ * @property {boolean} [isPlaced] Whether the digit was placed by the player rather than given.
+ */
+
+/**
+ * Returns the cell tokens of a line, skipping whitespace and the given separator characters.
+ * @param {string} text
+ * @param {number} line
+ * @param {string} [separators='']
+ * @returns {CellToken[]}
+ */
+function lineCells(text, line, separators = '') {
+  return [...text]
+    .map((char, i) => ({ char, line, column: i + 1 }))
+    .filter(({ char }) => !/\s/.test(char) && !separators.includes(char));
+}
+
+/**
+ * Returns the line and column of the given offset into a text.
+ * @param {string} text
+ * @param {number} offset
+ * @returns {{line: number, column: number}}
+ */
+function positionOf(text, offset) {
+  const lines = text.slice(0, offset).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Returns the geometry of a board with the given number of cells.
+ *
+ * If no geometry options are given and no supported size has that many cells, the nearest supported size
+ * is used, so that the cells can be reported as too few or too many.
+ * @param {number} numCells
+ * @param {object} options Geometry options. See `readPuzzles`.
+ * @returns {SudokuGeometry}
+ */
+function geometryFor(numCells, { geometry, size, boxRows, boxCols, variants, regions }) {
+  if (geometry) {
+    return geometry;
+  }
+  if (size !== undefined || boxRows !== undefined || boxCols !== undefined || regions !== undefined) {
+    return SudokuGeometry.of({ size, boxRows, boxCols, variants, regions });
+  }
+
+  let nearest = SudokuGeometry.forNumSpaces(numCells, variants);
+  for (let _size = 4; nearest === null || (_size <= MAX_SIZE && nearest.numSpaces !== numCells); _size++) {
+    const candidate = SudokuGeometry.forNumSpaces(_size * _size, variants);
+    if (candidate !== null && (nearest === null || Math.abs(_size * _size - numCells) < Math.abs(nearest.numSpaces - numCells))) {
+      nearest = candidate;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Builds a puzzle from its cell tokens.
+ * @param {CellToken[]} cells
+ * @param {{line: number | null, column: number | null}} end Where the puzzle's text ends, to report missing cells.
+ * @param {object} options Geometry options, plus any `cages`. See `readPuzzles`.
+ * @param {{[key: string]: string}} [metadata={}]
+ * @returns {PuzzleRecord}
+ * @throws {SudokuFormatError} If the cells don't fill a board, or one isn't a digit.
+ * @throws {Error} If the geometry options or cages are invalid.
+ */
+function toRecord(cells, end, { cages = [], ...options }, metadata = {}) {
+  const geometry = geometryFor(cells.length, options);
+  const { numSpaces } = geometry;
+  if (cells.length > numSpaces) {
+    const { line, column } = cells[numSpaces];
+    throw new SudokuFormatError(`Too many cells: expected ${numSpaces}.`, line, column);
+  }
+  if (cells.length < numSpaces) {
+    throw new SudokuFormatError(`Too few cells: expected ${numSpaces}, got ${cells.length}.`, end.line, end.column);
+  }
+
+  const digits = cells.map(({ char, line, column }) => {
+    const digit = geometry.charToDigit(char);
+    if (digit < 0) {
+      throw new SudokuFormatError(`Invalid digit: ${char}`, line, column);
+    }
+    return digit;
+  });
+  const puzzle = new Sudoku(digits.map((digit, ci) => (cells[ci].isPlaced ? 0 : digit)), { geometry, cages });
+  cells.forEach(({ isPlaced }, ci) => {
+    if (isPlaced && digits[ci] > 0) {
+      puzzle.setDigit(digits[ci], ci);
+    }
+  });
+
+  return { puzzle, pencilMarks: Array.from({ length: numSpaces }, () => []), metadata };
+}
+
+/**
+ * Returns where a puzzle's lines end, i.e. just after the last character of the last non-blank line.
+ * @param {string[]} lines
+ * @param {number} [lastIndex=lines.length - 1]
+ * @returns {{line: number, column: number}}
+ */
+function endOf(lines, lastIndex = lines.length - 1) {
+  let i = lastIndex;
+  while (i > 0 && lines[i].trim() === '') {
+    i--;
+  }
+  return { line: i + 1, column: lines[i].trimEnd().length + 1 };
+}
+
+/** Reads a SadMan `.sdk` puzzle.*/
+function readSdk(text, options) {
+  const lines = text.split(/\r?\n/);
+  const metadata = {};
+  const cells = [];
+  lines.forEach((lineText, i) => {
+    const trimmed = lineText.trim();
+    if (trimmed === '' || trimmed === '[Puzzle]') {
+      return;
+    }
+    if (trimmed.startsWith('#')) {
+      if (cells.length > 0) {
+        throw new SudokuFormatError('Unexpected metadata after the grid.', i + 1, lineText.indexOf('#') + 1);
+      }
+      const tag = trimmed.charAt(1);
+      metadata[SDK_TAGS[tag] ?? tag] = trimmed.slice(2).trim();
+      return;
+    }
+    cells.push(...lineCells(lineText, i + 1));
+  });
+  return [toRecord(cells, endOf(lines), options, metadata)];
+}
+
+/** Reads a Simple Sudoku `.ss` puzzle.*/
+function readSs(text, options) {
+  const lines = text.split(/\r?\n/);
+  // Skip the borders, and the separators between bands.
+  const cells = lines.flatMap((lineText, i) => (/^[\s*+|-]*$/.test(lineText) ? [] : lineCells(lineText, i + 1, '|')));
+  return [toRecord(cells, endOf(lines), options)];
+}
+
+/**
+ * Reads puzzles given one per line, e.g. SudoCue `.sdm` collections.
+ * @param {string} text
+ * @param {object} options
+ * @param {boolean} [allowPlaced=false] Whether digits may be marked as placed with a `+`, as in HoDoKu exports.
+ * @returns {PuzzleRecord[]}
+ */
+function readLines(text, options, allowPlaced = false) {
+  const lines = text.split(/\r?\n/);
+  return lines.flatMap((lineText, i) => {
+    if (lineText.trim() === '') {
+      return [];
+    }
+
+    const cells = lineCells(lineText, i + 1);
+    if (allowPlaced) {
+      cells.forEach((cell, j) => {
+        if (cell.char === '+') {
+          const next = cells[j + 1];
+          if (next === undefined || !/[1-9A-Z]/i.test(next.char) || next.column !== cell.column + 1) {
+            throw new SudokuFormatError('Expected a digit after +.', cell.line, cell.column);
+          }
+          next.isPlaced = true;
+        }
+      });
+    }
+    return [toRecord(cells.filter(({ char }) => !allowPlaced || char !== '+'), endOf(lines, i), options)];
+  });
+}
+
+/**
+ * Decodes the XML entities in the given text.
+ * @param {string} text
+ * @returns {string}
+ */
+const unescapeXml = (text) => text.replace(/&(amp|lt|gt|quot|apos);/g, (entity) => XML_ENTITIES[entity]);
+
+/**
+ * Encodes the given text for XML.
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeXml = (text) => String(text).replace(/[&<>"']/g, (char) => (
+  Object.keys(XML_ENTITIES).find((entity) => XML_ENTITIES[entity] === char)
+));
+
+/** Reads an OpenSudoku XML collection.*/
+function readOpenSudoku(text, options) {
+  const metadata = {};
+  ['name', 'author'].forEach((key) => {
+    const match = text.match(new RegExp(`<${key}>([^<]*)</${key}>`));
+    if (match) {
+      metadata[key] = unescapeXml(match[1].trim());
+    }
+  });
+
+  return [...text.matchAll(/<game\b([^>]*)>/g)].map((gameMatch) => {
+    const dataMatch = gameMatch[1].match(/\bdata\s*=\s*"([^"]*)"/);
+    if (!dataMatch) {
+      const { line, column } = positionOf(text, gameMatch.index);
+      throw new SudokuFormatError('Expected a data attribute.', line, column);
+    }
+    const dataOffset = gameMatch.index + '<game'.length + dataMatch.index + dataMatch[0].indexOf('"') + 1;
+    const cells = [...dataMatch[1]]
+      .map((char, i) => ({ char, ...positionOf(text, dataOffset + i) }))
+      .filter(({ char }) => !/\s/.test(char));
+    return toRecord(cells, positionOf(text, dataOffset + dataMatch[1].length), options, { ...metadata });
+  });
+}
+
+/**
+ * Reads a puzzle in the JSON format.
+ * @param {PuzzleJSON} json
+ * @param {string} path Where the puzzle is in the JSON, for error messages, e.g. `'[2]'`.
+ * @param {object} options
+ * @returns {PuzzleRecord}
+ */
+function readJsonPuzzle(json, path, options) {
+  const fail = (message) => {
+    throw new SudokuFormatError(`Invalid puzzle${path}: ${message}`);
+  };
+  const { clues, values = clues, pencilMarks = [], geometry, cages = [], metadata = {} } = json ?? {};
+  if (typeof clues !== 'string') {
+    fail(`clues must be a string, got ${clues}.`);
+  }
+  if (typeof values !== 'string' || values.length !== clues.length) {
+    fail('values must be a string the same length as the clues.');
+  }
+  if (!Array.isArray(pencilMarks) || pencilMarks.some((marks) => typeof marks !== 'string')) {
+    fail('pencilMarks must be an array of strings.');
+  }
+
+  let record;
+  try {
+    const cells = [...clues].map((char, ci) => (
+      (char === '.' || char === '0') ?
+        { char: values[ci], line: null, column: null, isPlaced: true } :
+        { char, line: null, column: null }
+    ));
+    const geometryOptions = (geometry !== undefined) ? { geometry: SudokuGeometry.of(geometry) } : options;
+    record = toRecord(cells, { line: null, column: null }, { ...geometryOptions, cages }, metadata);
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const { puzzle } = record;
+  const valueDigits = [...values].map((char) => puzzle.geometry.charToDigit(char));
+  puzzle.clues.forEach((clue, ci) => {
+    if (clue > 0 && valueDigits[ci] !== clue) {
+      fail(`value ${values[ci]} contradicts clue ${clues[ci]} at cell ${ci}.`);
+    }
+  });
+  if (pencilMarks.length > puzzle.geometry.numSpaces) {
+    fail(`expected at most ${puzzle.geometry.numSpaces} pencil marks.`);
+  }
+  pencilMarks.forEach((marks, ci) => {
+    record.pencilMarks[ci] = [...marks].map((char) => {
+      const digit = puzzle.geometry.charToDigit(char);
+      if (digit <= 0) {
+        fail(`invalid pencil mark ${char} at cell ${ci}.`);
+      }
+      return digit;
+    });
+  });
+  return record;
+}
+
+/** Reads a puzzle, or an array of puzzles, in the JSON format.*/
+function readJson(text, options) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    const offset = error.message.match(/at position (\d+)/)?.[1];
+    const { line, column } = (offset !== undefined) ? positionOf(text, Number(offset)) : { line: null, column: null };
+    throw new SudokuFormatError(`Invalid JSON: ${error.message}`, line, column);
+  }
+  return Array.isArray(json) ?
+    json.map((puzzleJson, i) => readJsonPuzzle(puzzleJson, `[${i}]`, options)) :
+    [readJsonPuzzle(json, '', options)];
+}
+
+const READERS = Object.freeze({
+  sdk: readSdk,
+  ss: readSs,
+  sdm: (text, options) => readLines(text, options),
+  hodoku: (text, options) => readLines(text, options, true),
+  opensudoku: readOpenSudoku,
+  json: readJson
+});
+
+/**
+ * Validates the given format name.
+ * @param {string} format
+ * @throws {Error} If the format is not one of `FORMATS`.
+ */
+function validateFormat(format) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Invalid format: ${format}`);
+  }
+}
+
+/**
+ * Guesses the format of the given text from its shape.
+ * @param {string} text
+ * @returns {string | null} One of `FORMATS`, or `null` if the text doesn't look like any of them.
+ */
+export function detectFormat(text) {
+  const trimmed = text.trim();
+  if (/^[[{]/.test(trimmed)) {
+    return 'json';
+  }
+  if (/^(<\?xml[^>]*>\s*)?<opensudoku\b/.test(trimmed)) {
+    return 'opensudoku';
+  }
+
+  const lines = trimmed.split(/\r?\n/).map((line) => line.trim()).filter((line) => line.length > 0);
+  if (lines.length === 0) {
+    return null;
+  }
+  if (lines.some((line) => line.startsWith('#') || line === '[Puzzle]')) {
+    return 'sdk';
+  }
+  if (lines.some((line) => /[|*]/.test(line) || /^-+$/.test(line))) {
+    return 'ss';
+  }
+  if (lines.some((line) => line.includes('+'))) {
+    return 'hodoku';
+  }
+  // A grid has as many rows as columns, whereas a collection has a puzzle per line.
+  if (lines.length > 1 && lines.length <= MAX_SIZE && lines.every((line) => line.length === lines.length)) {
+    return 'sdk';
+  }
+  return 'sdm';
+}
+
+/**
+ * Reads the puzzles in the given text.
+ * @param {string} text
+ * @param {object} [options] Geometry options, used when the format doesn't give the geometry.
+ * If none are given, the geometry is inferred from the number of cells. See `SudokuGeometry`.
+ * @param {string} [options.format] One of `FORMATS`. Detected from the text if not given. See `detectFormat`.
+ * @param {SudokuGeometry} [options.geometry] The board geometry. Takes precedence over the other options.
+ * @param {number} [options.size]
+ * @param {number} [options.boxRows]
+ * @param {number} [options.boxCols]
+ * @param {(string | import('./variants.js').Variant)[]} [options.variants]
+ * @param {number[]} [options.regions]
+ * @returns {PuzzleRecord[]}
+ * @throws {SudokuFormatError} If the format can't be detected, or the text is malformed.
+ * @throws {Error} If the format or geometry options are invalid.
+ */
+export function readPuzzles(text, { format = detectFormat(text), ...options } = {}) {
+  if (format === null) {
+    throw new SudokuFormatError('Unrecognized format.');
+  }
+  validateFormat(format);
+  return READERS[format](text, options);
+}
+
+/**
+ * Reads the first puzzle in the given text. See `readPuzzles`.
+ * @param {string} text
+ * @param {object} [options] See `readPuzzles`.
+ * @returns {PuzzleRecord}
+ * @throws {SudokuFormatError} If there are no puzzles, the format can't be detected, or the text is malformed.
+ */
+export function readPuzzle(text, options = {}) {
+  const [record] = readPuzzles(text, options);
+  if (record === undefined) {
+    throw new SudokuFormatError('No puzzles found.');
+  }
+  return record;
+}
+
+/**
+ * Returns the given board as a record, with no pencil marks or metadata.
+ * @param {Sudoku | PuzzleRecord} record
+ * @returns {PuzzleRecord}
+ */
+function toFullRecord(record) {
+  const { puzzle, pencilMarks = [], metadata = {} } = (record instanceof Sudoku) ? { puzzle: record } : record;
+  if (!(puzzle instanceof Sudoku)) {
+    throw new Error(`Invalid puzzle: ${puzzle}`);
+  }
+  return { puzzle, pencilMarks, metadata };
+}
+
+/**
+ * Returns the string of the given digits.
+ * @param {number[]} digits
+ * @param {SudokuGeometry} geometry
+ * @param {string} [empty='.'] The character for empty cells.
+ * @returns {string}
+ */
+const digitsString = (digits, geometry, empty = '.') => (
+  digits.map((digit) => ((digit > 0) ? geometry.digitToChar(digit) : empty)).join('')
+);
+
+/**
+ * Splits the given cells into rows.
+ * @param {string[]} cells
+ * @param {number} size
+ * @returns {string[][]}
+ */
+const rowsOf = (cells, size) => Array.from({ length: size }, (_, row) => cells.slice(row * size, (row + 1) * size));
+
+/** Writes a SadMan `.sdk` puzzle.*/
+function writeSdk([{ puzzle, metadata }]) {
+  const tagLines = Object.entries(SDK_TAGS)
+    .filter(([, key]) => metadata[key] !== undefined)
+    .map(([tag, key]) => `#${tag}${metadata[key]}`);
+  const rows = rowsOf([...digitsString(puzzle.clues, puzzle.geometry)], puzzle.geometry.size);
+  return [...tagLines, ...rows.map((row) => row.join(''))].join('\n') + '\n';
+}
+
+/** Writes a Simple Sudoku `.ss` puzzle.*/
+function writeSs([{ puzzle }]) {
+  const { size, boxRows, boxCols } = puzzle.geometry;
+  const numStacks = size / boxCols;
+  const rows = rowsOf([...digitsString(puzzle.clues, puzzle.geometry)], size).map((row) => (
+    `|${rowsOf(row, boxCols).slice(0, numStacks).map((stack) => stack.join('')).join('|')}|`
+  ));
+  const border = `*${'-'.repeat(size + numStacks - 1)}*`;
+  const bandSeparator = `|${Array(numStacks).fill('-'.repeat(boxCols)).join('+')}|`;
+  const lines = [border];
+  rows.forEach((row, r) => {
+    if (r > 0 && r % boxRows === 0) {
+      lines.push(bandSeparator);
+    }
+    lines.push(row);
+  });
+  lines.push(border);
+  return lines.join('\n') + '\n';
+}
+
+/** Writes a SudoCue `.sdm` collection.*/
+const writeSdm = (records) => records.map(({ puzzle }) => `${digitsString(puzzle.clues, puzzle.geometry, '0')}\n`).join('');
+
+/** Writes a HoDoKu export, with `+` before placed digits.*/
+const writeHodoku = (records) => records.map(({ puzzle }) => {
+  const { clues, geometry } = puzzle;
+  return puzzle.board.map((digit, ci) => {
+    if (digit === 0) {
+      return '.';
+    }
+    return ((clues[ci] > 0) ? '' : '+') + geometry.digitToChar(digit);
+  }).join('') + '\n';
+}).join('');
+
+/** Writes an OpenSudoku XML collection, with the name and author of the first puzzle.*/
+function writeOpenSudoku(records) {
+  const metadata = records[0]?.metadata ?? {};
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opensudoku>',
+    ...['name', 'author']
+      .filter((key) => metadata[key] !== undefined)
+      .map((key) => `  <${key}>${escapeXml(metadata[key])}</${key}>`),
+    ...records.map(({ puzzle }) => `  <game data="${digitsString(puzzle.clues, puzzle.geometry, '0')}" />`),
+    '</opensudoku>'
+  ].join('\n') + '\n';
+}
+
+/**
+ * Returns the JSON format of the given puzzle. See `PuzzleJSON`.
+ * @param {PuzzleRecord} record
+ * @returns {PuzzleJSON}
+ */
+function toPuzzleJson({ puzzle, pencilMarks, metadata }) {
+  const { geometry } = puzzle;
+  const clues = digitsString(puzzle.clues, geometry);
+  const values = digitsString(puzzle.board, geometry);
+  const marks = pencilMarks.map((digits) => digitsString(digits ?? [], geometry));
+  return {
+    clues,
+    ...((values !== clues) ? { values } : {}),
+    ...(marks.some((digits) => digits.length > 0) ? { pencilMarks: marks } : {}),
+    ...(geometry.isStandard ? {} : { geometry: geometry.toJSON() }),
+    ...((puzzle.cages.length > 0) ? { cages: puzzle.cages } : {}),
+    ...((Object.keys(metadata).length > 0) ? { metadata } : {})
+  };
+}
+
+const WRITERS = Object.freeze({
+  sdk: writeSdk,
+  ss: writeSs,
+  sdm: writeSdm,
+  hodoku: writeHodoku,
+  opensudoku: writeOpenSudoku,
+  json: (records) => JSON.stringify(records.map(toPuzzleJson), null, 2) + '\n'
+});
+
+/** Formats which hold a single puzzle.*/
+const SINGLE_PUZZLE_FORMATS = Object.freeze(['sdk', 'ss']);
+
+/**
+ * Writes the given puzzles in the given format.
+ *
+ * Only the JSON format keeps everything: the other formats drop pencil marks and most metadata,
+ * and all but `'hodoku'` keep only the givens.
+ * @param {(Sudoku | PuzzleRecord)[]} records The puzzles, or records with their pencil marks and metadata.
+ * @param {string} format One of `FORMATS`.
+ * @returns {string}
+ * @throws {Error} If the format is invalid, can't hold that many puzzles, or can't hold a board's variants,
+ * jigsaw regions, or cages.
+ */
+export function writePuzzles(records, format) {
+  validateFormat(format);
+  const fullRecords = records.map(toFullRecord);
+  if (SINGLE_PUZZLE_FORMATS.includes(format) && fullRecords.length !== 1) {
+    throw new Error(`The ${format} format holds a single puzzle, got ${fullRecords.length}.`);
+  }
+  if (format !== 'json') {
+    fullRecords.forEach(({ puzzle }) => {
+      const { geometry, cages } = puzzle;
+      if (geometry.variants.length > 0 || geometry.isJigsaw || cages.length > 0) {
+        throw new Error(`Cannot write a board with variants, jigsaw regions, or cages as ${format}.`);
+      }
+    });
+  }
+  return WRITERS[format](fullRecords);
+}
+
+/**
+ * Writes the given puzzle in the given format. Unlike `writePuzzles`, JSON is written as a single object.
+ * @param {Sudoku | PuzzleRecord} record The puzzle, or a record with its pencil marks and metadata.
+ * @param {string} format One of `FORMATS`.
+ * @returns {string}
+ * @throws {Error} See `writePuzzles`.
+ */
+export function writePuzzle(record, format) {
+  if (format === 'json') {
+    return JSON.stringify(toPuzzleJson(toFullRecord(record)), null, 2) + '\n';
+  }
+  return writePuzzles([record], format);
+}
+
+export default {
+  FORMATS,
+  SudokuFormatError,
+  detectFormat,
+  readPuzzles,
+  readPuzzle,
+  writePuzzles,
+  writePuzzle
+};
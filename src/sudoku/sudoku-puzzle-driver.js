@@ -1,29 +1,33 @@
 import Debugger from '../util/debug.js';
-import Sudoku from './Sudoku.js';
+import SudokuWorkerPool from './SudokuWorkerPool.js';
 
 const debug = new Debugger(true);
 
-const resultsForNonSieve = Sudoku.generate({
-  amount: 100,
-  numClues: 24,
-  useSieve: true,
-  callback: (generated) => { debug.log('+ ', generated.toString()); }
-});
+const pool = new SudokuWorkerPool();
+const results = [];
+try {
+  for await (const result of pool.generateStream({ amount: 100, numClues: 24, useSieve: true }, { ordered: false })) {
+    debug.log('+ ', result.puzzle.toString());
+    results.push(result);
+  }
+} finally {
+  await pool.close();
+}
 
-debug.log('Generated:', resultsForNonSieve.length);
-const timesNonSieve = [];
-resultsForNonSieve.forEach((result, index) => {
+debug.log('Generated:', results.length);
+const times = [];
+results.forEach((result, index) => {
   const { puzzle, pops, resets, timeMs } = result;
-  timesNonSieve.push(timeMs);
+  times.push(timeMs);
   debug.log(`${puzzle.toString()}\n    { time: ${timeMs}ms, pops: ${pops}, resets: ${resets} }`);
 });
 
 // Print out the total mean time, interquartile mean time, and median time, and standard deviation
-const sum = timesNonSieve.reduce((acc, time) => acc + time, 0);
-const mean = sum / timesNonSieve.length;
-const sorted = timesNonSieve.sort((a, b) => a - b);
-const q1 = sorted[Math.floor(timesNonSieve.length / 4)];
-const q3 = sorted[Math.floor(timesNonSieve.length * 3 / 4)];
+const sum = times.reduce((acc, time) => acc + time, 0);
+const mean = sum / times.length;
+const sorted = times.sort((a, b) => a - b);
+const q1 = sorted[Math.floor(times.length / 4)];
+const q3 = sorted[Math.floor(times.length * 3 / 4)];
 // const iqr = q3 - q1;
 let iqrLength = 0;
 const iqrMean = sorted.reduce((acc, time) => {
@@ -33,7 +37,7 @@ const iqrMean = sorted.reduce((acc, time) => {
   }
   return acc;
 }, 0) / iqrLength;
-const median = sorted[Math.floor(timesNonSieve.length / 2)];
-const variance = timesNonSieve.reduce((acc, time) => acc + Math.pow(time - mean, 2), 0) / timesNonSieve.length;
+const median = sorted[Math.floor(times.length / 2)];
+const variance = times.reduce((acc, time) => acc + Math.pow(time - mean, 2), 0) / times.length;
 const stdDev = Math.sqrt(variance);
 debug.log(`\nMean: ${mean}ms, IQR Mean: ${iqrMean}ms, Median: ${median}ms, Standard Deviation: ${stdDev}ms`);
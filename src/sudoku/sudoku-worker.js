@@ -0,0 +1,72 @@
+/**
+ * The worker side of `SudokuWorkerPool`. Runs one job per message, in a `worker_threads` worker in Node,
+ * or a module Web Worker in browsers, and posts back `{ id, result }` or `{ id, error }`.
+ *
+ * Boards cross between threads as their JSON representations, since class instances can't be posted.
+ */
+
+import Sudoku from './Sudoku.js';
+import SudokuSieve from './SudokuSieve.js';
+
+/**
+ * Rebuilds the boards in the given generation options.
+ * @param {object} options
+ * @returns {object}
+ */
+function decodeOptions({ config, sieve, ...options }) {
+  return {
+    ...options,
+    ...((config !== undefined && config !== null) ? { config: Sudoku.fromJSON(config) } : {}),
+    ...((sieve !== undefined && sieve !== null) ? { sieve: SudokuSieve.fromJSON(sieve) } : {})
+  };
+}
+
+/**
+ * Replaces the boards in the given generation result with their JSON representations.
+ * @param {object} result
+ * @returns {object}
+ */
+function encodeResult(result) {
+  return {
+    ...result,
+    ...(result.puzzle ? { puzzle: result.puzzle.toJSON() } : {}),
+    ...(result.solutions ? { solutions: result.solutions.map((solution) => solution.toJSON()) } : {})
+  };
+}
+
+/**
+ * Runs the given job.
+ * @param {{type: string, options?: object, puzzle?: object | string}} job
+ * @returns {any} The job's result, ready to be posted.
+ * @throws {Error} If the job type is invalid, or the job fails.
+ */
+function runJob({ type, options, puzzle }) {
+  switch (type) {
+    case 'generate':
+      return Sudoku.generate(decodeOptions(options)).map(encodeResult);
+    case 'rate':
+      return ((typeof puzzle === 'string') ? new Sudoku(puzzle) : Sudoku.fromJSON(puzzle)).rate();
+    default:
+      throw new Error(`Invalid job type: ${type}`);
+  }
+}
+
+/**
+ * Returns a message handler which runs jobs and posts their results with the given function.
+ * @param {(message: object) => void} post
+ * @returns {(message: {id: number, job: object}) => void}
+ */
+const handleWith = (post) => ({ id, job }) => {
+  try {
+    post({ id, result: runJob(job) });
+  } catch (error) {
+    post({ id, error: (error instanceof Error) ? error.message : String(error) });
+  }
+};
+
+if (typeof process !== 'undefined' && process.versions?.node) {
+  const { parentPort } = await import('node:worker_threads');
+  parentPort?.on('message', handleWith((message) => parentPort.postMessage(message)));
+} else {
+  self.onmessage = (event) => handleWith((message) => self.postMessage(message))(event.data);
+}
@@ -0,0 +1,128 @@
+import { range } from '../util/arrays.js';
+
+/**
+ * A variant rule, adding extra constraints on top of the rows, columns, and regions of a board.
+ *
+ * Rules are given the geometry being built, of which only the dimensions (`size`, `boxRows`, `boxCols`,
+ * `numSpaces`) and the cell helpers (`cellRow`, `cellCol`, `cellRegion`, `cellIndex`) may be used.
+ * @typedef {object} Variant
+ * @property {string} name A unique name, e.g. `'diagonal'`. Also used as the type of the variant's houses.
+ * @property {(geometry: import('./SudokuGeometry.js').SudokuGeometry) => number[][]} [houses] Returns the extra
+ * houses, each a list of cells in which a digit may not repeat.
+ * @property {(cellIndex: number, geometry: import('./SudokuGeometry.js').SudokuGeometry) => number[]} [peers]
+ * Returns the cells which may not hold the same digit as the given cell, for rules that do not form houses.
+ */
+
+/**
+ * Defined variants by name.
+ * @type {Map<string, Variant>}
+ */
+const _variants = new Map();
+
+/**
+ * Returns the cells offset from the given cell by each of the given row and column offsets, within the board.
+ * @param {number} cellIndex
+ * @param {[number, number][]} offsets
+ * @param {number} size
+ * @returns {number[]}
+ */
+function offsetCells(cellIndex, offsets, size) {
+  const row = (cellIndex / size) | 0;
+  const col = cellIndex % size;
+  return offsets
+    .map(([dr, dc]) => [row + dr, col + dc])
+    .filter(([r, c]) => r >= 0 && r < size && c >= 0 && c < size)
+    .map(([r, c]) => r * size + c);
+}
+
+const KNIGHT_MOVES = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+const KING_MOVES = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+
+/**
+ * Defines a variant so that it can be referred to by name.
+ * @param {Variant} variant
+ * @returns {Variant} The given variant, frozen.
+ * @throws {Error} If the variant is malformed, or a different variant has the same name.
+ */
+export function defineVariant(variant) {
+  const { name, houses, peers } = variant ?? {};
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new Error(`Invalid variant name: ${name}`);
+  }
+  if ((houses !== undefined && typeof houses !== 'function') || (peers !== undefined && typeof peers !== 'function')) {
+    throw new Error(`Invalid variant ${name}: houses and peers must be functions.`);
+  }
+  if (_variants.has(name) && _variants.get(name) !== variant) {
+    throw new Error(`Variant already defined: ${name}`);
+  }
+
+  _variants.set(name, Object.freeze(variant));
+  return variant;
+}
+
+/**
+ * Returns the variant with the given name.
+ * @param {string} name
+ * @returns {Variant | null} The variant, or `null` if none is defined with that name.
+ */
+export function getVariant(name) {
+  return _variants.get(name) ?? null;
+}
+
+/**
+ * Resolves the given variant names and definitions, defining any new ones.
+ * @param {(string | Variant)[]} [variants=[]]
+ * @returns {Variant[]} The distinct variants, ordered by name.
+ * @throws {Error} If a name is unknown, or a definition is invalid.
+ */
+export function resolveVariants(variants = []) {
+  const resolved = variants.map((variant) => {
+    if (typeof variant === 'string') {
+      const defined = getVariant(variant);
+      if (defined === null) {
+        throw new Error(`Unknown variant: ${variant}`);
+      }
+      return defined;
+    }
+    return defineVariant(variant);
+  });
+
+  return [...new Set(resolved)].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/** Digits may not repeat along either of the two main diagonals.*/
+export const DIAGONAL = defineVariant({
+  name: 'diagonal',
+  houses: ({ size }) => [
+    range(size).map((i) => i * size + i),
+    range(size).map((i) => i * size + (size - 1 - i))
+  ]
+});
+
+/**
+ * Digits may not repeat within the extra windows, which are region-shaped and
+ * sit one cell in from the regions' corners, e.g. rows and columns 2-4 and 6-8 on a standard board.
+ */
+export const WINDOKU = defineVariant({
+  name: 'windoku',
+  houses: ({ size, boxRows, boxCols }) => {
+    const starts = (boxSize) => range(size).filter((start) => (
+      (start % (boxSize + 1)) === 1 && (start + boxSize) < size
+    ));
+    return starts(boxRows).flatMap((row) => starts(boxCols).map((col) => (
+      range(boxRows).flatMap((r) => range(boxCols).map((c) => (row + r) * size + col + c))
+    )));
+  }
+});
+
+/** Cells a chess knight's move apart may not hold the same digit.*/
+export const ANTI_KNIGHT = defineVariant({
+  name: 'anti-knight',
+  peers: (cellIndex, { size }) => offsetCells(cellIndex, KNIGHT_MOVES, size)
+});
+
+/** Cells a chess king's move apart (i.e. touching, including diagonally) may not hold the same digit.*/
+export const ANTI_KING = defineVariant({
+  name: 'anti-king',
+  peers: (cellIndex, { size }) => offsetCells(cellIndex, KING_MOVES, size)
+});
@@ -31,12 +31,13 @@ export const range = (end, start = 0) => {
 /**
  * Shuffles the given array using Fisher-Yates.
  * @param {any[]} arr
+ * @param {() => number} [rng=Math.random] The source of random numbers in [0,1).
  * @returns {any[]}
  */
-export function shuffle(arr) {
+export function shuffle(arr, rng = Math.random) {
   let tmp, j;
   for (let i = arr.length - 1; i > 0; i--) {
-    j = (Math.random() * (i+1)) | 0;
+    j = (rng() * (i+1)) | 0;
     tmp = arr[i];
     arr[i] = arr[j];
     arr[j] = tmp;
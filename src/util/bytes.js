@@ -0,0 +1,60 @@
+/**
+ * Converts a non-negative bigint to its big-endian bytes, using as few bytes as possible (at least one).
+ * @param {bigint} value
+ * @returns {Uint8Array}
+ * @throws {Error} If the value is negative.
+ */
+export function bigintToBytes(value) {
+  if (value < 0n) {
+    throw new Error(`Expected a non-negative bigint, got ${value}.`);
+  }
+  const bytes = [];
+  do {
+    bytes.unshift(Number(value & 0xffn));
+    value >>= 8n;
+  } while (value > 0n);
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Converts big-endian bytes to a bigint.
+ * @param {Uint8Array} bytes
+ * @returns {bigint}
+ */
+export function bytesToBigint(bytes) {
+  return bytes.reduce((value, byte) => ((value << 8n) | BigInt(byte)), 0n);
+}
+
+/**
+ * Encodes bytes as URL-safe base64 (RFC 4648 §5), without padding.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function toBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Decodes URL-safe base64 (RFC 4648 §5), with or without padding.
+ * @param {string} str
+ * @returns {Uint8Array}
+ * @throws {Error} If the string is not valid URL-safe base64.
+ */
+export function fromBase64Url(str) {
+  const unpadded = str.replace(/=+$/, '');
+  if (!/^[A-Za-z0-9_-]*$/.test(unpadded) || unpadded.length % 4 === 1) {
+    throw new Error(`Invalid base64url string: ${str}`);
+  }
+  const binary = atob(unpadded.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+export default {
+  bigintToBytes,
+  bytesToBigint,
+  toBase64Url,
+  fromBase64Url
+};
@@ -1,6 +1,6 @@
 import { range } from './arrays.js';
 
-const _randInt = (max) => ((Math.random() * max) | 0);
+import { randInt as _randInt } from './random.js';
 
 const _factorialMap = [1n, 1n];
 const _factorialMapMaxSize = (1<<10);
@@ -64,14 +64,15 @@ export function permutation(n, r) {
 /**
  * Shuffles the given array in place.
  * @param {any[]} arr The array to shuffle.
+ * @param {() => number} [rng=Math.random] The source of random numbers in [0,1).
  * @returns {any[]} The given array.
  */
-export function shuffle(arr) {
+export function shuffle(arr, rng = Math.random) {
   const n = arr.length;
   if (!n || n < 2) {
     return arr;
   }
-  const r = randomBigInt(factorial(n))
+  const r = randomBigInt(factorial(n), rng);
 
   for (let i = 0; i < n; i++) {
     let j = Number(
@@ -360,9 +361,10 @@ export function bitLength(bn) {
 /**
  * Generates a random BigInt between 0 and upperBound.
  * @param {bigint} upperBound (Default: `Number.MAX_SAFE_INTEGER`)
+ * @param {() => number} [rng=Math.random] The source of random numbers in [0,1).
  * @returns {bigint}
  */
-export function randomBigInt(upperBound = BigInt(Number.MAX_SAFE_INTEGER)) {
+export function randomBigInt(upperBound = BigInt(Number.MAX_SAFE_INTEGER), rng = Math.random) {
   // Normalize upperbound within [2,inf)
   if (upperBound < 2n) {
     if (upperBound < -2n) {
@@ -378,21 +380,21 @@ export function randomBigInt(upperBound = BigInt(Number.MAX_SAFE_INTEGER)) {
 
   while (bound > 0n) {
     if (bound >= 65536n) {
-      result |= (BigInt(_randInt(65536)) << i);
+      result |= (BigInt(_randInt(65536, rng)) << i);
       i += 16n;
       bound >>= 16n;
     } else if (bound >= 256n) {
-      result |= (BigInt(_randInt(256)) << i);
+      result |= (BigInt(_randInt(256, rng)) << i);
       i += 8n;
       bound >>= 8n;
     } else if (bound >= 16n) {
-      result |= (BigInt(_randInt(16)) << i);
+      result |= (BigInt(_randInt(16, rng)) << i);
       i += 4n;
       bound >>= 4n;
     } else {
       let r = 0;
       do {
-        r = BigInt(_randInt(Number(bound)));
+        r = BigInt(_randInt(Number(bound), rng));
       } while ((result | (BigInt(r) << i)) >= upperBound);
       result |= (r << i);
       bound = 0n;
@@ -405,30 +407,33 @@ export function randomBigInt(upperBound = BigInt(Number.MAX_SAFE_INTEGER)) {
 /**
  * Generates a random permutation of n numbers.
  * @param {number} n
+ * @param {() => number} [rng=Math.random] The source of random numbers in [0,1).
  * @returns {number[]}
  */
-export function randomPermutation(n) {
-  return permutation(n, randomBigInt(factorial(n)));
+export function randomPermutation(n, rng = Math.random) {
+  return permutation(n, randomBigInt(factorial(n), rng));
 }
 
 /**
  * Generates a random combination of k numbers from the interval [0,n).
  * @param {number} n
  * @param {number} k
+ * @param {() => number} [rng=Math.random] The source of random numbers in [0,1).
  * @returns {number[]}
  */
-export function randomCombo(n, k) {
-  return combo(n, k, randomBigInt(nChooseK(n, k)));
+export function randomCombo(n, k, rng = Math.random) {
+  return combo(n, k, randomBigInt(nChooseK(n, k), rng));
 }
 
 /**
  * Generates a random bit combination of k bits set to 1 from n bits.
  * @param {number} n
  * @param {number} k
+ * @param {() => number} [rng=Math.random] The source of random numbers in [0,1).
  * @returns {bigint}
  */
-export function randomBitCombo(n, k) {
-  return bitCombo(n, k, randomBigInt(nChooseK(n, k)));
+export function randomBitCombo(n, k, rng = Math.random) {
+  return bitCombo(n, k, randomBigInt(nChooseK(n, k), rng));
 }
 
 export default {
@@ -0,0 +1,124 @@
+/**
+ * A source of random numbers in the interval [0,1), like `Math.random`.
+ * @callback Rng
+ * @returns {number}
+ */
+
+/**
+ * Hashes the given string into a 32-bit integer (FNV-1a).
+ * @param {string} str
+ * @returns {number}
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Creates a splitmix32 generator, used to expand a seed into the xoshiro state.
+ * @param {number} seed A 32-bit integer.
+ * @returns {() => number} A function returning 32-bit unsigned integers.
+ */
+function splitmix32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x9e3779b9) >>> 0;
+    let z = state;
+    z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+    z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+    return (z ^ (z >>> 16)) >>> 0;
+  };
+}
+
+/**
+ * Rotates the bits of a 32-bit integer left.
+ * @param {number} x
+ * @param {number} k
+ * @returns {number}
+ */
+const rotl = (x, k) => ((x << k) | (x >>> (32 - k)));
+
+/**
+ * Creates a xoshiro128** generator from the given 4-word state.
+ * @param {Uint32Array} s The state, which is owned (and mutated) by the generator.
+ * @returns {Rng & { clone: () => Rng }}
+ */
+function xoshiro128ss(s) {
+  const rng = () => {
+    const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+    const t = s[1] << 9;
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = rotl(s[3], 11);
+    return result / 4294967296;
+  };
+  rng.clone = () => xoshiro128ss(Uint32Array.from(s));
+  return rng;
+}
+
+/**
+ * Creates a seeded random number generator (xoshiro128**).
+ *
+ * Generators created with the same seed produce the same sequence of numbers on every run.
+ * The returned function can be used anywhere `Math.random` is, and has a `clone()` method
+ * which returns an independent generator continuing from the current state.
+ * @param {number | string} seed
+ * @returns {Rng & { clone: () => Rng }}
+ * @throws {Error} If the seed is not a finite number or a string.
+ */
+export function createRng(seed) {
+  if (!(typeof seed === 'string' || (typeof seed === 'number' && Number.isFinite(seed)))) {
+    throw new Error(`Invalid seed: ${seed}`);
+  }
+
+  const next = splitmix32(hashString(String(seed)));
+  const state = new Uint32Array([next(), next(), next(), next()]);
+  return xoshiro128ss(state);
+}
+
+/**
+ * Returns an independent copy of the given generator, if it can be copied.
+ * Otherwise (e.g. for `Math.random`), returns the generator itself.
+ * @param {Rng} rng
+ * @returns {Rng}
+ */
+export function cloneRng(rng) {
+  return (typeof rng.clone === 'function') ? rng.clone() : rng;
+}
+
+/**
+ * Resolves the random number generator to use from the common `seed` and `rng` options.
+ * An explicit `rng` takes precedence over `seed`; if neither is given, `Math.random` is used.
+ * @param {object} [options]
+ * @param {number | string} [options.seed] Seed for a new generator.
+ * @param {Rng} [options.rng] The generator to use.
+ * @returns {Rng}
+ */
+export function resolveRng({ seed, rng } = {}) {
+  if (rng) {
+    return rng;
+  }
+  return (seed !== undefined && seed !== null) ? createRng(seed) : Math.random;
+}
+
+/**
+ * Returns a random integer in the interval [0,max).
+ * @param {number} max
+ * @param {Rng} [rng=Math.random]
+ * @returns {number}
+ */
+export const randInt = (max, rng = Math.random) => ((rng() * max) | 0);
+
+export default {
+  createRng,
+  cloneRng,
+  resolveRng,
+  randInt
+};
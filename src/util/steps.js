@@ -0,0 +1,107 @@
+/**
+ * Long-running computations can be written as generators of steps, which yield a progress value
+ * between units of work and return their result. Run them to completion with `runSteps`, or a slice
+ * at a time with `runStepsAsync` so that the event loop (e.g. a browser UI) stays responsive.
+ */
+
+import Event from '../event/Event.js';
+
+/** The name of the events thrown on an `EventBus` to report progress. See `runStepsAsync`.*/
+export const PROGRESS_EVENT = 'PROGRESS';
+
+/** How long to run steps for before yielding to the event loop.*/
+const SLICE_MS = 16;
+
+/**
+ * Throws the signal's abort reason if it has been aborted.
+ * (`AbortSignal#throwIfAborted` is missing from some environments, e.g. jsdom.)
+ * @param {AbortSignal} [signal]
+ * @throws {any} The abort reason.
+ */
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw signal.reason ?? new Error('Aborted.');
+  }
+}
+
+/**
+ * Runs the given steps to completion, synchronously.
+ * @template T
+ * @param {Generator<any, T>} steps
+ * @returns {T} The result returned by the steps.
+ */
+export function runSteps(steps) {
+  let step = steps.next();
+  while (!step.done) {
+    step = steps.next();
+  }
+  return step.value;
+}
+
+/**
+ * Runs the given steps to completion, yielding to the event loop every few milliseconds.
+ *
+ * Progress is reported each time, and once more when the steps complete, with the last value
+ * yielded by the steps plus `timeElapsedMs`.
+ * @template T
+ * @param {Generator<object, T>} steps
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] Stops the steps when aborted.
+ * @param {(progress: object) => void} [options.onProgress] Called with the progress.
+ * @param {import('../event/EventBus.js').default} [options.eventBus] Where to throw `PROGRESS_EVENT` events,
+ * with the progress as their data.
+ * @param {(value: object) => object} [options.toProgress] Maps the values yielded by the steps to progress.
+ * Defaults to a shallow copy.
+ * @returns {Promise<T>} The result returned by the steps.
+ * @throws {any} The signal's abort reason, if it is aborted before the steps complete.
+ */
+export async function runStepsAsync(steps, {
+  signal,
+  onProgress = null,
+  eventBus = null,
+  toProgress = (value) => ({ ...value })
+} = {}) {
+  const startTime = Date.now();
+  let sliceStartTime = startTime;
+  let lastValue = undefined;
+
+  const report = () => {
+    if (lastValue === undefined || (onProgress === null && eventBus === null)) {
+      return;
+    }
+    const progress = { ...toProgress(lastValue), timeElapsedMs: Date.now() - startTime };
+    if (onProgress !== null) {
+      onProgress(progress);
+    }
+    if (eventBus !== null) {
+      eventBus.throwEvent(new Event(PROGRESS_EVENT, progress));
+    }
+  };
+
+  try {
+    throwIfAborted(signal);
+    for (let step = steps.next(); ; step = steps.next()) {
+      if (step.done) {
+        report();
+        return step.value;
+      }
+
+      lastValue = step.value;
+      if (Date.now() - sliceStartTime >= SLICE_MS) {
+        report();
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        throwIfAborted(signal);
+        sliceStartTime = Date.now();
+      }
+    }
+  } catch (error) {
+    steps.return(undefined);
+    throw error;
+  }
+}
+
+export default {
+  PROGRESS_EVENT,
+  runSteps,
+  runStepsAsync
+};
@@ -137,6 +137,11 @@ describe('BlockyState', () => {
 
       expect(shapes.length).toEqual(numShapes);
     });
+
+    test('returns the same shapes for the same seed', () => {
+      const seeded = () => new BlockyState({ ...options, seed: 12345 });
+      expect(seeded().getNextShapes(20)).toEqual(seeded().getNextShapes(20));
+    });
   });
 
   describe('get/set Cell', () => {
@@ -60,6 +60,18 @@ describe("ShapeQueue", () => {
       expect(queue.size).toBe(0);
       expect(queue.isEmpty()).toBe(true);
     });
+
+    it("creates a reproducible queue from a seed", () => {
+      const queue = new ShapeQueue({ seed: 'daily' });
+      const shapes = queue.peekNext(30);
+      expect(new ShapeQueue({ seed: 'daily' }).peekNext(30)).toEqual(shapes);
+      expect(new ShapeQueue({ minSize: 3, seed: 'daily' }).peekNext(30)).toEqual(shapes);
+
+      // Copies continue the same sequence without advancing the original.
+      queue.poll();
+      const copy = ShapeQueue.copy(queue);
+      expect(copy.peekNext(40)).toEqual(queue.peekNext(40));
+    });
   });
 
   describe("isEmpty", () => {
@@ -68,6 +68,20 @@ describe('EventBus', () => {
     });
   });
 
+  describe('unregisterAll', () => {
+    test('unregisters the listeners of every event', () => {
+      eventBus.registerEventListener('test', mockListener);
+      eventBus.registerEventListener('other', mockListener);
+      expect(eventBus.unregisterAll()).toEqual(true);
+      expect(eventBus.hasListeners('test')).toEqual(false);
+      expect(eventBus.hasListeners('other')).toEqual(false);
+    });
+
+    test('returns false if no listeners were unregistered', () => {
+      expect(eventBus.unregisterAll()).toEqual(false);
+    });
+  });
+
   describe('throwEvent', () => {
     /** @type {Event} */
     let event;
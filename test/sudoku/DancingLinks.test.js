@@ -0,0 +1,104 @@
+import { DancingLinks, SEARCH_BACKENDS, Sudoku } from '../../index.js';
+import { puzzles } from './puzzles24.js';
+
+describe('DancingLinks', () => {
+  test('solves exact cover problems', () => {
+    // Knuth's example from "Dancing Links", with columns A-G.
+    const dlx = new DancingLinks(7);
+    [[2, 4, 5], [0, 3, 6], [1, 2, 5], [0, 3], [1, 6], [3, 4, 6]].forEach((row) => dlx.addRow(row));
+
+    const solutions = [];
+    const result = dlx.search({ solutionFoundCallback: (rows) => solutions.push(rows.sort()) });
+    expect(solutions).toEqual([[0, 3, 4]]);
+    expect(result).toMatchObject({ solutionsFound: 1, complete: true, timedOut: false, terminatedByCallback: false });
+
+    // The search leaves the links as they were.
+    expect(dlx.search().solutionsFound).toBe(1);
+  });
+
+  test('covers secondary columns at most once', () => {
+    const dlx = new DancingLinks(2, 1);
+    dlx.addRow([0, 2]);
+    dlx.addRow([1, 2]);
+    dlx.addRow([0]);
+    dlx.addRow([1]);
+
+    const solutions = [];
+    dlx.search({ solutionFoundCallback: (rows) => solutions.push(rows.sort()) });
+    expect(solutions.sort()).toEqual([[0, 3], [1, 2], [2, 3]]);
+  });
+
+  test('stops when the callback returns false', () => {
+    const dlx = new DancingLinks(1);
+    dlx.addRow([0]);
+    dlx.addRow([0]);
+    const result = dlx.search({ solutionFoundCallback: () => false });
+    expect(result).toMatchObject({ solutionsFound: 1, complete: false, terminatedByCallback: true });
+  });
+
+  test('rejects invalid columns and rows', () => {
+    expect(() => new DancingLinks(-1)).toThrow('Invalid number of columns');
+    const dlx = new DancingLinks(2);
+    expect(() => dlx.addRow([])).toThrow('Invalid row');
+    expect(() => dlx.addRow([2])).toThrow('Invalid row');
+  });
+});
+
+describe('Sudoku dlx backend', () => {
+  test('finds the same solutions as the dfs backend', () => {
+    puzzles.slice(0, 50).forEach(({ puzzle, solution }) => {
+      const result = new Sudoku(puzzle).searchForSolutions3({ backend: 'dlx' });
+      expect(result.solutions.map((s) => s.toString())).toEqual([solution]);
+      expect(result.complete).toBe(true);
+      expect(result.iterations).toBeGreaterThan(0);
+      expect(result.branches).toBeGreaterThan(0);
+    });
+
+    expect(new Sudoku([], { size: 4 }).searchForSolutionsDLX().solutions.length).toBe(288);
+    expect(SEARCH_BACKENDS).toEqual(['dfs', 'dlx']);
+  });
+
+  test('selectable in solutionsFlag', () => {
+    const { puzzle } = puzzles[0];
+    expect(new Sudoku(puzzle).solutionsFlag({ backend: 'dlx' })).toBe(1);
+    expect(new Sudoku(puzzle).hasUniqueSolution({ backend: 'dlx' })).toBe(true);
+
+    // Removing a clue from a minimal puzzle leaves multiple solutions.
+    const underdetermined = new Sudoku(puzzle.replace(/[1-9]/, '.'));
+    expect(underdetermined.solutionsFlag({ backend: 'dlx' })).toBe(underdetermined.solutionsFlag());
+
+    const invalid = new Sudoku('11' + puzzle.slice(2));
+    expect(invalid.solutionsFlag({ backend: 'dlx' })).toBe(0);
+
+    expect(() => new Sudoku(puzzle).solutionsFlag({ backend: 'bfs' })).toThrow('Invalid backend: bfs');
+  });
+
+  test('follows variant rules and geometry', () => {
+    const diagonal = new Sudoku([], { size: 4, variants: ['diagonal'] });
+    expect(diagonal.searchForSolutionsDLX().solutions.length).toBe(48);
+    expect(new Sudoku([], { size: 4, variants: ['anti-king'] }).searchForSolutionsDLX().solutions).toEqual([]);
+
+    const antiKnight = new Sudoku('.38..6......79..3......81.9.....4...4....7.6.....6........3..1...45....3...4.1...', {
+      variants: ['anti-knight']
+    });
+    const [solution] = antiKnight.searchForSolutions2({ backend: 'dlx' }).solutions;
+    expect(solution.geometry).toBe(antiKnight.geometry);
+    expect(solution.toString()).toBe('938216574142795836567348129386124795421957368759863241895632417214579683673481952');
+  });
+
+  test('times out', () => {
+    const result = new Sudoku([]).searchForSolutionsDLX({ timeOutMs: 50 });
+    expect(result.timedOut).toBe(true);
+    expect(result.complete).toBe(false);
+    expect(result.solutions.length).toBeGreaterThan(0);
+  });
+
+  test('falls back to dfs for cages', () => {
+    const cages = [{ sum: 3, cells: [0, 1] }, { sum: 7, cells: [2, 3] }];
+    const sudoku = new Sudoku('....3412.3.14...', { size: 4, cages });
+    const result = sudoku.searchForSolutionsDLX();
+    expect(result.solutions.map((s) => s.toString())).toEqual(
+      sudoku.searchForSolutions3({}).solutions.map((s) => s.toString())
+    );
+  });
+});
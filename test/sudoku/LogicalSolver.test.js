@@ -0,0 +1,149 @@
+import { LogicalSolver, Sudoku, TECHNIQUES } from '../../index.js';
+import puzzles from './puzzles24.js';
+
+const techniqueNames = TECHNIQUES.map(({ name }) => name);
+
+describe('LogicalSolver', () => {
+  test('only makes deductions consistent with the solution', () => {
+    puzzles.slice(0, 40).forEach(({ puzzle, solution }) => {
+      const { steps, solved, board } = new Sudoku(puzzle).solveLogically();
+
+      steps.forEach((step) => {
+        expect(techniqueNames).toContain(step.technique);
+        expect(step.placements.length + step.eliminations.length).toBeGreaterThan(0);
+        step.placements.forEach(({ cell, digit }) => {
+          expect(digit, `${step.technique} placed a wrong digit in ${puzzle}`).toBe(Number(solution[cell]));
+        });
+        step.eliminations.forEach(({ cell, digits }) => {
+          expect(digits, `${step.technique} eliminated the solution in ${puzzle}`).not.toContain(Number(solution[cell]));
+        });
+      });
+
+      if (solved) {
+        expect(board.join('')).toBe(solution);
+      }
+    });
+  });
+
+  test('solves puzzles that only need singles', () => {
+    const puzzle = new Sudoku('..3.2.6..9..3.5..1..18.64....81.29..7.......8..67.82....26.95..8..2.3..9..5.1.3..');
+    const { solved, steps } = puzzle.solveLogically();
+    expect(solved).toBe(true);
+    expect(steps.every(({ technique }) => technique.endsWith('single'))).toBe(true);
+    expect(steps.length).toBe(puzzle.numEmptyCells);
+  });
+
+  test('does not modify the puzzle', () => {
+    const { puzzle } = puzzles[0];
+    const sudoku = new Sudoku(puzzle);
+    sudoku.solveLogically();
+    expect(sudoku.toString()).toBe(puzzle);
+  });
+
+  /**
+   * Steps through the given puzzle until the given technique applies.
+   * @param {string} puzzle
+   * @param {string} technique
+   * @returns {import('../../src/sudoku/LogicalSolver.js').SolveStep | null}
+   */
+  const findTechnique = (puzzle, technique) => {
+    const solver = new LogicalSolver(new Sudoku(puzzle));
+    let step;
+    while ((step = solver.step()) !== null && step.technique !== technique);
+    return step;
+  };
+
+  test('finds an X-Wing', () => {
+    // Candidates for 7 in rows 2 and 6 are confined to columns 4 and 8.
+    const step = findTechnique('1.....569492.561.8.561.924...964.8.1.64.1....218.356.4.4.5...169.5.614.2621.....5', 'x-wing');
+    expect(step).not.toBeNull();
+    expect(step.digits).toEqual([7]);
+    expect(step.houses.length).toBe(4);
+    expect(step.eliminations).toEqual([3, 39, 66, 70, 75, 79].map((cell) => ({ cell, digits: [7] })));
+  });
+
+  test.each([
+    ['naked-single', '.5....92..2.1.4.7..4.3....156.........8..72....4.9........46.....7.8.36....5.....', { cell: 5, digit: 8 }],
+    ['hidden-single', '...6....9.9..18.451.5.........95......28....46...2....8....3......1893..2.....1..', { cell: 7, digit: 1 }]
+  ])('finds a %s', (technique, puzzle, placement) => {
+    const step = findTechnique(puzzle, technique);
+    expect(step).not.toBeNull();
+    expect(step.placements).toEqual([placement]);
+    expect(step.eliminations).toEqual([]);
+  });
+
+  // The quads are on boards built for them, with the quad 1-4 in the first four cells of the top row.
+  test.each([
+    ['pointing-pair', '..4.2.56....6....367...1....4.8.........6.87..9...3...2.84..6......1...9....3...5', [
+      { cell: 65, digits: [6] },
+      { cell: 74, digits: [6] }
+    ]],
+    ['box-line-reduction', '.7....1...53..1..76....3.2.4.......29...8...6.6.....1....3..45...8..6...5...2..6.', [
+      { cell: 55, digits: [1] },
+      { cell: 64, digits: [1] },
+      { cell: 73, digits: [1] },
+      { cell: 74, digits: [1] }
+    ]],
+    ['naked-pair', '8...32.....1....876...4....75....1..........54..5...6..3..297.....4...92..4..6...', [
+      { cell: 9, digits: [9] },
+      { cell: 10, digits: [9] },
+      { cell: 15, digits: [6, 9] }
+    ]],
+    ['hidden-pair', '..7..6..46.....7.535.2........14.6...3....9.........5.4.......7.9..8...252...1.8.', [
+      { cell: 26, digits: [1, 8] },
+      { cell: 80, digits: [3] }
+    ]],
+    ['naked-triple', '..2..5.3.3..2..8......68....4......76..1......5..74.8...9....7....4..3.1.....25.6', [
+      { cell: 30, digits: [6, 9] },
+      { cell: 31, digits: [3, 9] },
+      { cell: 40, digits: [3, 9] }
+    ]],
+    ['hidden-triple', '.7......952....73...3....8.....8.......2....4..431.....1..68.5.257...8.......91..', [
+      { cell: 5, digits: [6] },
+      { cell: 23, digits: [6, 7] },
+      { cell: 68, digits: [4] }
+    ]],
+    ['naked-quad', '.........567.89...89..........5........6........7................................', [
+      { cell: 4, digits: [1, 2, 3, 4] },
+      { cell: 5, digits: [1, 2, 3, 4] },
+      { cell: 6, digits: [1, 2, 3, 4] },
+      { cell: 7, digits: [1, 2, 3, 4] },
+      { cell: 8, digits: [1, 2, 3, 4] }
+    ]],
+    ['swordfish', '.1.....79............537.4...9..5........2....7..4.83.7.24...6.8..6..35..6..2....', [
+      { cell: 33, digits: [1] },
+      { cell: 35, digits: [1] },
+      { cell: 38, digits: [1] },
+      { cell: 42, digits: [1] },
+      { cell: 44, digits: [1] },
+      { cell: 74, digits: [1] },
+      { cell: 75, digits: [1] },
+      { cell: 77, digits: [1] }
+    ]],
+    ['xy-wing', '......562.89..2.....6.3.7..6.....9...1.......4.7....21..1.7.......9....5.2.1.3..4', [
+      { cell: 1, digits: [3] },
+      { cell: 29, digits: [3] },
+      { cell: 38, digits: [3] }
+    ]],
+    ['hidden-quad', '...............123......4......14.......2.........3.......32.......4.........1...', [
+      { cell: 0, digits: [5, 6, 7, 8, 9] },
+      { cell: 1, digits: [5, 6, 7, 8, 9] },
+      { cell: 2, digits: [5, 6, 7, 8, 9] }
+    ]],
+    ['simple-coloring', '2....3..6..4....52.7.....4.........3.9....4..6...491..4...8..3..16.9......86.2...', [
+      { cell: 22, digits: [1] }
+    ]]
+  ])('finds a %s', (technique, puzzle, eliminations) => {
+    const step = findTechnique(puzzle, technique);
+    expect(step).not.toBeNull();
+    expect(step.placements).toEqual([]);
+    expect(step.eliminations).toEqual(eliminations);
+  });
+
+  test('stops when no technique applies', () => {
+    const { solved, steps, board } = new Sudoku().solveLogically();
+    expect(solved).toBe(false);
+    expect(steps).toEqual([]);
+    expect(board).toEqual(Array(81).fill(0));
+  });
+});
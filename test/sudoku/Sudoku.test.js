@@ -1,9 +1,14 @@
+import { jest } from '@jest/globals';
 import {
+  DIFFICULTY_LEVELS,
+  SYMMETRIES,
   Sudoku,
   cellCol,
   cellRegion,
   cellRegion2D,
   cellRow,
+  countBits,
+  createRng,
   masksFor
 } from '../../index.js';
 import { puzzle as puzzleFixture, solutions } from './puzzle_solutions_fixture.js';
@@ -126,6 +131,574 @@ describe('Sudoku', () => {
     }
   });
 
+  test('Seeded generation is reproducible', () => {
+    const config = Sudoku.generateConfig({ seed: 'config' });
+    expect(config.isSolved()).toBe(true);
+    expect(Sudoku.generateConfig({ seed: 'config' }).toString()).toBe(config.toString());
+    expect(Sudoku.generateConfig({ seed: 'config', size: 6 }).toString())
+      .toBe(Sudoku.generateConfig({ seed: 'config', size: 6 }).toString());
+
+    const [first] = Sudoku.generate({ numClues: 30, seed: 20261019 });
+    const [second] = Sudoku.generate({ numClues: 30, seed: 20261019 });
+    expect(second.puzzle.toString()).toBe(first.puzzle.toString());
+    expect(second.pops).toBe(first.pops);
+    expect(Sudoku.generate({ seed: 5 })[0].solutions[0].toString())
+      .toBe(Sudoku.generate({ seed: 5 })[0].solutions[0].toString());
+
+    expect(() => Sudoku.generate({ seed: {} })).toThrow('Invalid seed');
+  });
+
+  describe('rate', () => {
+    test('rates puzzles solved by singles as easy', () => {
+      const rating = new Sudoku('..3.2.6..9..3.5..1..18.64....81.29..7.......8..67.82....26.95..8..2.3..9..5.1.3..').rate();
+      expect(rating.label).toBe('easy');
+      expect(rating.solved).toBe(true);
+      expect(rating.score).toBeGreaterThanOrEqual(1);
+      expect(rating.score).toBeLessThan(1.3);
+      expect(rating.tiers.easy).toBe(rating.steps);
+    });
+
+    test('rates puzzles the techniques cannot solve as extreme', () => {
+      const rating = new Sudoku().rate();
+      expect(rating.label).toBe('extreme');
+      expect(rating.solved).toBe(false);
+      expect(rating.hardest).toBeNull();
+    });
+
+    test('scores follow the difficulty labels', () => {
+      const labels = DIFFICULTY_LEVELS.map(({ label }) => label);
+      const ratings = puzzles.slice(0, 30).map(({ puzzle }) => new Sudoku(puzzle).rate());
+      ratings.sort((a, b) => a.score - b.score);
+      ratings.forEach((rating, i) => {
+        const stepsByTier = Object.values(rating.tiers).reduce((sum, n) => sum + n, 0);
+        const stepsByTechnique = Object.values(rating.techniques).reduce((sum, n) => sum + n, 0);
+        expect(stepsByTier).toBe(rating.steps);
+        expect(stepsByTechnique).toBe(rating.steps);
+        if (i > 0) {
+          expect(labels.indexOf(rating.label)).toBeGreaterThanOrEqual(labels.indexOf(ratings[i - 1].label));
+        }
+      });
+    });
+  });
+
+  describe('generate to a difficulty', () => {
+    test('generates puzzles with the requested label', () => {
+      for (const difficulty of ['easy', 'medium']) {
+        const [result] = Sudoku.generate({ difficulty });
+        expect(result.attempts).toBeGreaterThan(0);
+        expect(result.rating.label).toBe(difficulty);
+        expect(result.puzzle.rate()).toEqual(result.rating);
+        const solution = new Sudoku(result.puzzle);
+        solution.solve();
+        expectPuzzleToBeValidAndSolvable({ puzzle: result.puzzle, solution });
+      }
+    });
+
+    test('respects a technique ceiling and clue limit', () => {
+      const [result] = Sudoku.generate({ numClues: 30, difficulty: { maxTechnique: 'pointing-pair' } });
+      expect(result.rating.solved).toBe(true);
+      expect(['naked-single', 'hidden-single', 'pointing-pair']).toContain(result.rating.hardest);
+      expect(result.puzzle.numEmptyCells).toBeGreaterThanOrEqual(81 - 30);
+    });
+
+    test('throws on an invalid difficulty', () => {
+      expect(() => Sudoku.generate({ difficulty: 'impossible' })).toThrow();
+      expect(() => Sudoku.generate({ difficulty: { maxTechnique: 'guessing' } })).toThrow();
+      expect(() => Sudoku.generate({ difficulty: { minScore: 4, maxScore: 2 } })).toThrow();
+    });
+  });
+
+  describe('nextHint', () => {
+    test('hints a placement with explanations from vague to exact', () => {
+      const { puzzle, solution } = puzzles[0];
+      const sudoku = new Sudoku(puzzle);
+      const hint = sudoku.nextHint();
+
+      expect(hint.technique).toMatch(/single$/);
+      expect(hint.digit).toBe(Number(solution[hint.cell]));
+      expect(hint.step.placements).toEqual([{ cell: hint.cell, digit: hint.digit }]);
+      expect(hint.explanations).toHaveLength(3);
+      expect(hint.explanations[0]).toMatch(/^Look at /);
+      expect(hint.explanations[2]).toContain(`r${cellRow(hint.cell) + 1}c${cellCol(hint.cell) + 1} must be ${hint.digit}`);
+      expect(sudoku.toString()).toBe(puzzle);
+    });
+
+    test('hints eliminations when no placement is available', () => {
+      const sudoku = new Sudoku('.5...892482915467374632958156.........84.725..74.95.....5.46...4.7.8.3656..5.....');
+      const hint = sudoku.nextHint();
+
+      expect(hint.technique).toBe('pointing-pair');
+      expect(hint.cell).toBeNull();
+      expect(hint.digit).toBeNull();
+      expect(hint.eliminations).toEqual([{ cell: 44, digits: [9] }]);
+      expect(hint.houses[0]).toEqual({ type: 'region', index: 3 });
+      expect(hint.explanations).toEqual([
+        'Look at region 4.',
+        'Look for a Pointing Pair in region 4.',
+        'Pointing Pair on 9 in r5c1 and r5c2: remove 9 from r5c9.'
+      ]);
+    });
+
+    test('points out digits that contradict the solution', () => {
+      const { puzzle, solution } = puzzles[0];
+      const sudoku = new Sudoku(puzzle);
+      const cell = sudoku.board.findIndex((digit) => digit === 0);
+      const wrongDigit = (Number(solution[cell]) % 9) + 1;
+      sudoku.setDigit(wrongDigit, cell);
+
+      const hint = sudoku.nextHint();
+      expect(hint.technique).toBe('incorrect-digit');
+      expect(hint.cell).toBe(cell);
+      expect(hint.houses).toEqual([{ type: 'row', index: cellRow(cell) }]);
+      expect(hint.explanations[2]).toBe(`r${cellRow(cell) + 1}c${cellCol(cell) + 1} is not ${wrongDigit}.`);
+    });
+
+    test('returns null when there is nothing to hint', () => {
+      expect(new Sudoku(puzzles[0].solution).nextHint()).toBeNull();
+      expect(new Sudoku().nextHint()).toBeNull();
+    });
+  });
+
+  describe('unavoidable sets', () => {
+    const config = new Sudoku('218574639573896124469123578721459386354681792986237415147962853695318247832745961');
+
+    test('findUAs returns the differences from each other solution', () => {
+      const emptied = config.board.reduce((mask, digit, ci) => (
+        (digit === 1 || digit === 2) ? (mask | config.geometry.cellMask(ci)) : mask
+      ), 0n);
+      const uas = config.findUAs(~emptied);
+      expect(uas.length).toBeGreaterThan(0);
+      uas.forEach((ua) => expect(ua & ~emptied).toBe(0n));
+      expect(config.findUAs(config.mask)).toEqual([]);
+    });
+
+    test('findAllUAs returns minimal sets grouped by size', () => {
+      const uas = config.findAllUAs({ digitSubsets: 2 });
+      const all = uas.flat();
+      expect(all.length).toBe(56);
+      expect(uas[4].length).toBe(9);
+      uas.forEach((group, size) => group.forEach((ua) => expect(countBits(ua)).toBe(size)));
+      all.forEach((a) => all.forEach((b) => {
+        if (a !== b) {
+          expect((a & b) === a).toBe(false);
+        }
+      }));
+
+      const small = config.findAllUAs({ digitSubsets: 2, maxSize: 6 });
+      expect(small.length).toBe(7);
+      expect(small.flat()).toEqual(all.filter((ua) => countBits(ua) <= 6));
+
+      const pairs = config.findAllUAs({ digitSubsets: [[1, 2]] }).flat();
+      expect(pairs.length).toBeGreaterThan(0);
+      expect(all).toEqual(expect.arrayContaining(pairs));
+    });
+
+    test('findAllUAs validates its input', () => {
+      expect(() => new Sudoku().findAllUAs()).toThrow('Invalid configuration.');
+      expect(() => config.findAllUAs({ digitSubsets: 1 })).toThrow('Invalid digit subsets');
+      expect(() => config.findAllUAs({ digitSubsets: [[0, 1]] })).toThrow('Invalid digit subsets');
+    });
+
+    test('isPrimeInvalid holds for the emptied cells of minimal unavoidable sets', () => {
+      const [ua] = config.findAllUAs({ digitSubsets: 2, maxSize: 4 })[4];
+      expect(config.filter(~ua).isPrimeInvalid(config)).toBe(true);
+
+      // A union of two sets resolves neither when a single cell is filled in.
+      const [a, b] = config.findAllUAs({ digitSubsets: 2 }).flat().filter((other) => (other & ua) === 0n);
+      expect(config.filter(~(a | b)).isPrimeInvalid(config)).toBe(false);
+      expect(config.isPrimeInvalid(config)).toBe(false);
+      expect(new Sudoku().isPrimeInvalid(config)).toBe(false);
+      expect(() => config.filter(~ua).isPrimeInvalid(new Sudoku())).toThrow('Invalid config');
+    });
+  });
+
+  describe('minimality', () => {
+    test('redundantClues finds clues that keep the solution unique', () => {
+      const [{ puzzle }] = Sudoku.generate({ numClues: 40, seed: 'redundant' });
+      const redundant = puzzle.redundantClues();
+      expect(redundant.length).toBeGreaterThan(0);
+      expect(puzzle.isMinimal()).toBe(false);
+      redundant.forEach((ci) => {
+        const removed = new Sudoku(puzzle);
+        removed.setDigit(0, ci);
+        expect(removed.hasUniqueSolution()).toBe(true);
+      });
+
+      expect(puzzleFixture().redundantClues()).toEqual([]);
+      expect(new Sudoku().isMinimal()).toBe(false);
+    });
+
+    test('generate can guarantee minimal puzzles', () => {
+      const [result] = Sudoku.generate({ numClues: 30, minimal: true, seed: 'minimal' });
+      expect(result.puzzle.numClues).toBeLessThanOrEqual(30);
+      expect(result.puzzle.isMinimal()).toBe(true);
+      expect(result.puzzle.redundantClues()).toEqual([]);
+    });
+  });
+
+  describe('symmetric generation', () => {
+    test('keeps the clue pattern symmetric', () => {
+      for (const symmetry of SYMMETRIES) {
+        const [result] = Sudoku.generate({ numClues: 32, symmetry, seed: symmetry });
+        const { puzzle } = result;
+        expect(puzzle.numClues).toBeLessThanOrEqual(32);
+        expect(puzzle.hasSymmetry(symmetry)).toBe(true);
+        expect(puzzle.hasUniqueSolution()).toBe(true);
+      }
+    });
+
+    test('hasSymmetry checks the pattern of filled cells', () => {
+      const sudoku = new Sudoku('1' + '.'.repeat(79) + '2');
+      expect(sudoku.hasSymmetry('none')).toBe(true);
+      expect(sudoku.hasSymmetry('rot180')).toBe(true);
+      expect(sudoku.hasSymmetry('rot90')).toBe(false);
+      expect(sudoku.hasSymmetry('mirror')).toBe(false);
+      expect(sudoku.hasSymmetry('diagonal')).toBe(true);
+    });
+
+    test('validates the symmetry', () => {
+      expect(() => Sudoku.generate({ numClues: 30, symmetry: 'spiral' })).toThrow('Invalid symmetry: spiral');
+      expect(() => Sudoku.generate({ numClues: 30, symmetry: 'rot180', minimal: true })).toThrow('Invalid options');
+      expect(() => new Sudoku().hasSymmetry('spiral')).toThrow('Invalid symmetry');
+    });
+  });
+
+  describe('generateFromPattern', () => {
+    const pattern = '132764.95.75..2.6.6.9.3.2..82.34...9....5.782....78.4..436..9.8.18.23.......974..'
+      .replace(/[1-9]/g, 'x');
+
+    test('gives clues in exactly the pattern cells', () => {
+      const result = Sudoku.generateFromPattern(pattern, { seed: 'pattern' });
+      expect(result.configsTried).toBeGreaterThan(0);
+      expect(result.timedOut).toBe(false);
+      expect(result.puzzle.toString().replace(/[1-9]/g, 'x')).toBe(pattern);
+      expect(result.puzzle.hasUniqueSolution()).toBe(true);
+      expect(result.config.isConfig()).toBe(true);
+      expect(Sudoku.generateFromPattern(result.puzzle.mask, { seed: 'pattern' }).puzzle.toString())
+        .toBe(result.puzzle.toString());
+    });
+
+    test('reports failure when no config gives a unique solution', () => {
+      // Swapping the two empty rows of a band always gives a second solution.
+      const twoEmptyRows = '.'.repeat(18) + pattern.slice(18);
+      expect(Sudoku.generateFromPattern(twoEmptyRows, { maxConfigs: 3 })).toEqual(expect.objectContaining({
+        puzzle: null,
+        config: null,
+        configsTried: 3,
+        timedOut: false
+      }));
+      expect(Sudoku.generateFromPattern(twoEmptyRows, { maxConfigs: 1000, timeOutMs: 50 }).timedOut).toBe(true);
+    });
+
+    test('validates the pattern', () => {
+      expect(() => Sudoku.generateFromPattern('x'.repeat(80))).toThrow('Invalid pattern');
+      expect(() => Sudoku.generateFromPattern(1n << 81n)).toThrow('Invalid pattern');
+      expect(() => Sudoku.generateFromPattern('x'.repeat(16) + '.'.repeat(65))).toThrow('fewer than the minimum of 17');
+      expect(() => Sudoku.generateFromPattern(pattern, { maxConfigs: 0 })).toThrow('Invalid maxConfigs');
+    });
+  });
+
+  describe('async', () => {
+    test('searchAsync finds the same solutions as searchForSolutions3', async () => {
+      // Without its 1s, 2s and 3s, the board has several solutions.
+      const puzzle = new Sudoku('218574639573896124469123578721459386354681792986237415147962853695318247832745961'
+        .replace(/[123]/g, '.'));
+      const onProgress = jest.fn();
+      const result = await puzzle.searchAsync({ onProgress, rng: createRng('async') });
+      const expected = puzzle.searchForSolutions3({ rng: createRng('async') });
+      expect(result.solutions.map((s) => s.toString())).toEqual(expected.solutions.map((s) => s.toString()));
+      expect(result.iterations).toBe(expected.iterations);
+      expect(result.complete).toBe(true);
+      expect(result.solutions.length).toBeGreaterThan(1);
+
+      const progress = onProgress.mock.calls[onProgress.mock.calls.length - 1][0];
+      expect(progress.solutionsFound).toBe(expected.solutions.length);
+      expect(progress.iterations).toBe(expected.iterations);
+    });
+
+    test('generateAsync generates the same boards as generate', async () => {
+      const onProgress = jest.fn();
+      const [result] = await Sudoku.generateAsync({ numClues: 30, seed: 'async', onProgress });
+      expect(result.puzzle.toString()).toBe(Sudoku.generate({ numClues: 30, seed: 'async' })[0].puzzle.toString());
+      expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ generated: 1, amount: 1 }));
+
+      const configs = await Sudoku.generateAsync({ amount: 2, seed: 'async' });
+      expect(configs.map((r) => r.solutions[0].toString()))
+        .toEqual(Sudoku.generate({ amount: 2, seed: 'async' }).map((r) => r.solutions[0].toString()));
+    });
+
+    test('stop when aborted', async () => {
+      const controller = new AbortController();
+      controller.abort(new Error('Cancelled'));
+      await expect(Sudoku.generateAsync({ numClues: 24, signal: controller.signal })).rejects.toThrow('Cancelled');
+      await expect(new Sudoku().searchAsync({ signal: controller.signal })).rejects.toThrow('Cancelled');
+      await expect(Sudoku.generateAsync({ numClues: 5 })).rejects.toThrow('Invalid number of clues');
+    });
+  });
+
+  describe('canonical form', () => {
+    // Swaps the first and last bands, two rows within a band, and two columns of the middle stack.
+    const permuteLines = (sudoku) => {
+      const rows = [6, 7, 8, 3, 4, 5, 1, 0, 2];
+      const cols = [0, 1, 2, 5, 4, 3, 6, 7, 8];
+      const board = sudoku.board;
+      return new Sudoku(board.map((_, ci) => board[rows[(ci / 9) | 0] * 9 + cols[ci % 9]]));
+    };
+
+    const transformed = (sudoku) => {
+      const result = permuteLines(sudoku);
+      result.rotate90();
+      result.reflectOverDiagonal();
+      result.shuffleDigits(createRng('canonical'));
+      return result;
+    };
+
+    test('is shared by equivalent configs and puzzles', () => {
+      const config = Sudoku.generateConfig({ seed: 'canonical' });
+      const [{ puzzle }] = Sudoku.generate({ config, numClues: 28, seed: 'canonical' });
+      [config, puzzle].forEach((sudoku) => {
+        const other = transformed(sudoku);
+        expect(other.toString()).not.toBe(sudoku.toString());
+        expect(other.canonicalString()).toBe(sudoku.canonicalString());
+        expect(Sudoku.isEquivalent(sudoku, other)).toBe(true);
+      });
+
+      const canonical = config.canonicalString();
+      expect(new Sudoku(canonical).canonicalString()).toBe(canonical);
+      expect(canonical.startsWith('123456789')).toBe(true);
+      expect(Sudoku.isEquivalent(config, puzzle)).toBe(false);
+      expect(Sudoku.isEquivalent(config, Sudoku.generateConfig({ seed: 'other' }))).toBe(false);
+    });
+
+    test('orders digits before empty cells', () => {
+      const puzzle = new Sudoku('.'.repeat(80) + '5');
+      expect(puzzle.canonicalString()).toBe('1' + '.'.repeat(80));
+      expect(new Sudoku('1234....'.padEnd(16, '.'), { size: 4 }).canonicalString()).toBe('1234' + '.'.repeat(12));
+    });
+
+    test('rejects boards the transformations do not preserve', () => {
+      expect(() => new Sudoku([], { cages: [{ sum: 3, cells: [0, 1] }] }).canonicalString()).toThrow('cages');
+      expect(() => new Sudoku([], { variants: ['diagonal'] }).canonicalString()).toThrow('variants');
+    });
+  });
+
+  describe('transform', () => {
+    const config = new Sudoku('218574639573896124469123578721459386354681792986237415147962853695318247832745961');
+
+    test('applies the spec to rows, columns and digits', () => {
+      const transformed = new Sudoku(config).transform({
+        rows: [2, 1, 0, 3, 4, 5, 6, 7, 8],
+        cols: [3, 4, 5, 0, 1, 2, 6, 7, 8],
+        digits: [2, 1, 3, 4, 5, 6, 7, 8, 9]
+      });
+      expect(transformed.isConfig()).toBe(true);
+      expect(transformed.toString().slice(0, 9)).toBe('213469578');
+      expect(new Sudoku(config).transform({ transpose: true }).toString().slice(0, 9)).toBe('254739168');
+      expect(new Sudoku(config).transform({}).toString()).toBe(config.toString());
+    });
+
+    test('randomTransform gives equivalent boards that untransform restores', () => {
+      const [{ puzzle }] = Sudoku.generate({ config, numClues: 30, seed: 'transform' });
+      const rng = createRng('transform');
+      for (let i = 0; i < 5; i++) {
+        const derived = new Sudoku(puzzle);
+        const spec = derived.randomTransform(rng);
+        expect(derived.numClues).toBe(30);
+        expect(derived.hasUniqueSolution()).toBe(true);
+        expect(derived.canonicalString()).toBe(puzzle.canonicalString());
+
+        // The solution follows the same transformation.
+        const solution = new Sudoku(derived);
+        solution.solve();
+        expect(solution.toString()).toBe(new Sudoku(config).transform(spec).toString());
+
+        expect(derived.untransform(spec).toString()).toBe(puzzle.toString());
+        expect(derived.clues).toEqual(puzzle.clues);
+      }
+    });
+
+    test('validates the spec', () => {
+      const sudoku = new Sudoku(config);
+      expect(() => sudoku.transform({ rows: [0, 1, 2] })).toThrow('Invalid transform');
+      expect(() => sudoku.transform({ digits: [1, 1, 2, 3, 4, 5, 6, 7, 8] })).toThrow('Invalid transform');
+      expect(() => sudoku.transform({ rows: [3, 1, 2, 0, 4, 5, 6, 7, 8] })).toThrow('bands and stacks');
+      expect(() => sudoku.transform({ cols: [0, 1, 2, 3, 4, 5, 6, 8, 7] })).not.toThrow();
+
+      const rectangular = Sudoku.generateConfig({ size: 6 });
+      expect(() => rectangular.transform({ transpose: true })).toThrow('Cannot transpose a board with 2x3 regions.');
+      expect(rectangular.randomTransform(createRng(1)).transpose).toBe(false);
+      expect(rectangular.isConfig()).toBe(true);
+
+      const diagonal = new Sudoku([], { variants: ['diagonal'] });
+      expect(() => diagonal.transform({ rows: [1, 0, 2, 3, 4, 5, 6, 7, 8] })).toThrow('reflected or rotated');
+      expect(() => diagonal.transform({ rows: [8, 7, 6, 5, 4, 3, 2, 1, 0], transpose: true })).not.toThrow();
+    });
+  });
+
+  describe('encode', () => {
+    const config = new Sudoku('218574639573896124469123578721459386354681792986237415147962853695318247832745961');
+
+    test('packs configs and puzzles into a few bytes', () => {
+      const code = config.encode();
+      expect(code.length).toBeLessThanOrEqual(11);
+      expect(Sudoku.decode(code).toString()).toBe(config.toString());
+
+      const [{ puzzle }] = Sudoku.generate({ config, numClues: 24, seed: 'encode' });
+      const puzzleCode = puzzle.encode();
+      expect(puzzleCode.length).toBeLessThanOrEqual(22);
+      const decoded = Sudoku.decode(puzzleCode);
+      expect(decoded.toString()).toBe(puzzle.toString());
+      expect(decoded.clues).toEqual(puzzle.clues);
+
+      expect(Sudoku.decode(new Sudoku().encode()).numClues).toBe(0);
+    });
+
+    test('gives URL-safe base64 codes', () => {
+      const code = config.encode({ base64: true });
+      expect(code).toMatch(/^[A-Za-z0-9_-]+$/);
+      expect(Sudoku.decode(code).toString()).toBe(config.toString());
+    });
+
+    test('keeps to the geometry', () => {
+      const config16 = Sudoku.generateConfig({ size: 16, seed: 'encode' });
+      expect(Sudoku.decode(config16.encode(), { size: 16 }).toString()).toBe(config16.toString());
+
+      const diagonal = Sudoku.generateConfig({ variants: ['diagonal'], seed: 'encode' });
+      const decoded = Sudoku.decode(diagonal.encode({ base64: true }), { variants: ['diagonal'] });
+      expect(decoded.geometry).toBe(diagonal.geometry);
+      expect(decoded.toString()).toBe(diagonal.toString());
+    });
+
+    test('rejects boards and codes it cannot handle', () => {
+      expect(() => new Sudoku('11' + '.'.repeat(79)).encode()).toThrow('Cannot encode a board without a solution.');
+      expect(() => new Sudoku([], { cages: [{ sum: 3, cells: [0, 1] }] }).encode()).toThrow('Cannot encode a board with cages.');
+      expect(() => Sudoku.decode(config.encode(), { size: 4 })).toThrow('Invalid code');
+      expect(() => Sudoku.decode(new Uint8Array())).toThrow('Invalid code');
+      expect(() => Sudoku.decode('not base64!')).toThrow('Invalid base64url string');
+    });
+  });
+
+  describe('variable sizes', () => {
+    const geometries = [
+      { size: 4, boxRows: 2, boxCols: 2, numClues: 6 },
+      { size: 6, boxRows: 2, boxCols: 3, numClues: 14 },
+      { size: 12, boxRows: 3, boxCols: 4, numClues: 90 },
+      { size: 16, boxRows: 4, boxCols: 4, numClues: 170 }
+    ];
+
+    test.each(geometries)('generates and solves $size x $size boards', ({ size, boxRows, boxCols, numClues }) => {
+      const config = Sudoku.generateConfig({ size, boxRows, boxCols });
+      expect(config.geometry.toJSON()).toEqual({ size, boxRows, boxCols });
+      expectPuzzleToBeValidAndSolvable({
+        puzzle: config,
+        expectedNumClues: size * size,
+        expectedClues: config.board,
+        solution: new Sudoku(config)
+      });
+
+      const { puzzle } = Sudoku.generate({ numClues, size, boxRows, boxCols })[0];
+      expect(puzzle.geometry).toBe(config.geometry);
+      const solution = new Sudoku(puzzle);
+      solution.solve();
+      expectPuzzleToBeValidAndSolvable({ puzzle, expectedNumClues: numClues, solution });
+    });
+
+    test('generates 25x25 configs', () => {
+      const config = Sudoku.generateConfig({ size: 25 });
+      expect(config.geometry.toJSON()).toEqual({ size: 25, boxRows: 5, boxCols: 5 });
+      expectPuzzleToBeValid(config);
+      expectPuzzleToBeFull(config);
+    });
+
+    test('uses the generated geometry for puzzles generated from a config', () => {
+      const config = Sudoku.generateConfig({ size: 6 });
+      const { puzzle } = Sudoku.generate({ numClues: 20, config })[0];
+      expect(puzzle.geometry.toJSON()).toEqual({ size: 6, boxRows: 2, boxCols: 3 });
+      expect(puzzle.board.every((digit, ci) => digit === 0 || digit === config.board[ci])).toBe(true);
+    });
+
+    test('reads and writes digits above 9 as letters', () => {
+      const config = Sudoku.generateConfig({ size: 16 });
+      const str = config.toString();
+      expect(str).toMatch(/^[1-9A-G]{256}$/);
+      expect(new Sudoku(str).board).toEqual(config.board);
+      expect(new Sudoku(str.toLowerCase()).board).toEqual(config.board);
+
+      const puzzle = Sudoku.fromString(`${str.slice(0, 16)}-${'.'.repeat(224)}`);
+      expect(puzzle.numClues).toBe(16);
+      expect(puzzle.toString()).toBe(str.slice(0, 16) + '.'.repeat(240));
+    });
+
+    test('infers the geometry from the board length unless given', () => {
+      expect(new Sudoku('.'.repeat(36)).geometry.toJSON()).toEqual({ size: 6, boxRows: 2, boxCols: 3 });
+      expect(new Sudoku(Array(144).fill(0)).geometry.toJSON()).toEqual({ size: 12, boxRows: 3, boxCols: 4 });
+      expect(new Sudoku('.'.repeat(36), { size: 6, boxRows: 3 }).geometry.toJSON()).toEqual({ size: 6, boxRows: 3, boxCols: 2 });
+      expect(new Sudoku().geometry.toJSON()).toEqual({ size: 9, boxRows: 3, boxCols: 3 });
+    });
+
+    test('rejects invalid boards', () => {
+      expect(() => new Sudoku('.'.repeat(50))).toThrow('str is invalid (length)');
+      expect(() => new Sudoku('.'.repeat(81), { size: 6 })).toThrow('str is invalid (length)');
+      expect(() => new Sudoku('7' + '.'.repeat(35))).toThrow('Expected only digits');
+      expect(() => new Sudoku('G' + '.'.repeat(143))).toThrow('Expected only digits');
+      expect(() => Sudoku.generate({ numClues: 37, size: 6 })).toThrow();
+    });
+
+    test('validates rows, columns and rectangular regions', () => {
+      // Rows and columns are valid, but the 2x3 regions are not.
+      const latinSquare = new Sudoku('123456234561345612456123561234612345');
+      expect(latinSquare.isRowValid(0)).toBe(true);
+      expect(latinSquare.isColValid(0)).toBe(true);
+      expect(latinSquare.isRegionValid(0)).toBe(false);
+      expect(latinSquare.isValid()).toBe(false);
+
+      const config = Sudoku.generateConfig({ size: 6 });
+      expect(config.regionVals(1).map((encoded) => Math.log2(encoded) + 1).sort()).toEqual([1, 2, 3, 4, 5, 6]);
+    });
+
+    test('toFullString', () => {
+      const config = new Sudoku('123456456123231564564231312645645312');
+      expect(config.toFullString()).toBe([
+        '  1   2   3 | 4   5   6   ',
+        '            |            ',
+        '  4   5   6 | 1   2   3   ',
+        ' -----------+------------',
+        '  2   3   1 | 5   6   4   ',
+        '            |            ',
+        '  5   6   4 | 2   3   1   ',
+        ' -----------+------------',
+        '  3   1   2 | 6   4   5   ',
+        '            |            ',
+        '  6   4   5 | 3   1   2   ',
+        ''
+      ].join('\n'));
+    });
+
+    test('transposing requires square regions', () => {
+      const config = Sudoku.generateConfig({ size: 6 });
+      expect(() => config.rotate90()).toThrow('Cannot rotate a board with 2x3 regions.');
+      expect(() => config.reflectOverDiagonal()).toThrow('2x3');
+
+      config.reflectOverHorizontal();
+      config.reflectOverVertical();
+      expect(config.isValid()).toBe(true);
+
+      const square = Sudoku.generateConfig({ size: 16 });
+      square.rotate90();
+      expect(square.isValid()).toBe(true);
+    });
+
+    test('hints name cells on the board', () => {
+      const config = Sudoku.generateConfig({ size: 12 });
+      const board = config.board;
+      board[143] = 0;
+      const hint = new Sudoku(board).nextHint();
+      expect(hint.cell).toBe(143);
+      expect(hint.digit).toBe(config.board[143]);
+      expect(hint.explanations[2]).toMatch(/^r12c12 must be/);
+    });
+  });
+
   test('fingerprint_d2', () => {
     const config = new Sudoku('218574639573896124469123578721459386354681792986237415147962853695318247832745961');
     const subject = new Sudoku(config);
@@ -192,7 +765,7 @@ function getRandomPuzzle() {
  * @param {Sudoku} puzzle
  */
 function expectPuzzleToBeValid(puzzle) {
-  for (let i = 0; i < 9; i++) {
+  for (let i = 0; i < puzzle.geometry.size; i++) {
     expect(
       puzzle.isRowValid(i),
       `Expected row ${i} to be valid:\n${puzzle.rowVals(i).join('')}`
@@ -214,7 +787,7 @@ function expectPuzzleToBeValid(puzzle) {
  * @param {Sudoku} puzzle
  */
 function expectPuzzleToBeFull(puzzle) {
-  for (let i = 0; i < 9; i++) {
+  for (let i = 0; i < puzzle.geometry.size; i++) {
     expect(
       puzzle.isRowFull(i),
       `Expected row ${i} to be full:\n${puzzle.rowVals(i).join('')}`
@@ -259,7 +832,7 @@ function expectPuzzleToBeValidAndSolvable({
   ).toBe(expectedNumClues);
 
   expect(puzzle.clues).toEqual(expect.arrayContaining(expectedClues));
-  expect(puzzle.numEmptyCells).toBe(81 - expectedNumClues);
+  expect(puzzle.numEmptyCells).toBe(puzzle.geometry.numSpaces - expectedNumClues);
 
   expect(puzzle.solve()).toBe(true);
   // Expect repeated calls to solve() to return true.
@@ -0,0 +1,105 @@
+/** @jest-environment node */
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { gunzipSync } from 'node:zlib';
+import { Sudoku, SudokuCollection, SudokuFormatError } from '../../index.js';
+import puzzles24 from './puzzles24.js';
+
+const fixtures = puzzles24.slice(0, 50);
+
+describe('SudokuCollection', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'sudoku-collection-'));
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('writes and reads gzipped files', async () => {
+    const path = join(dir, 'puzzles.txt.gz');
+    const count = await new SudokuCollection(fixtures.map(({ puzzle }) => new Sudoku(puzzle))).write(path);
+    expect(count).toBe(fixtures.length);
+
+    const text = gunzipSync(await readFile(path)).toString();
+    expect(text).toBe(fixtures.map(({ puzzle }) => `${puzzle}\n`).join(''));
+
+    const entries = await SudokuCollection.read(path).toArray();
+    expect(entries.map(({ puzzle }) => puzzle.toString())).toEqual(fixtures.map(({ puzzle }) => puzzle));
+  });
+
+  test('solves and rates puzzles, keeping metadata through files', async () => {
+    const path = join(dir, 'solved.ndjson');
+    const source = new SudokuCollection(fixtures.slice(0, 5).map(({ puzzle }) => ({ puzzle: new Sudoku(puzzle), source: 'fixture' })));
+    await source.solve().rate().write(path);
+
+    const entries = await SudokuCollection.read(path).toArray();
+    expect(entries.length).toBe(5);
+    entries.forEach(({ puzzle, solution, rating, numClues, source: from }, i) => {
+      expect(puzzle.toString()).toBe(fixtures[i].puzzle);
+      expect(solution.toString()).toBe(fixtures[i].solution);
+      expect(rating).toEqual(puzzle.rate());
+      expect(numClues).toBe(24);
+      expect(from).toBe('fixture');
+    });
+
+    const [unsolvable] = await new SudokuCollection([new Sudoku()]).solve().toArray();
+    expect(unsolvable.solution).toBe(null);
+  });
+
+  test('streams through web streams, across chunk boundaries', async () => {
+    const killer = new Sudoku('1...............', { size: 4, cages: [{ sum: 3, cells: [0, 1] }] });
+    const chunks = [];
+    const destination = new WritableStream({ write: (chunk) => { chunks.push(chunk); } });
+    await new SudokuCollection([killer, new Sudoku(fixtures[0].puzzle)]).write(destination, { gzip: true });
+
+    const source = new ReadableStream({
+      start(controller) {
+        chunks.forEach((chunk) => controller.enqueue(chunk));
+        controller.close();
+      }
+    });
+    const [first, second] = await SudokuCollection.read(source, { gzip: true }).toArray();
+    expect(first.puzzle.cages).toEqual(killer.cages);
+    expect(first.puzzle.toString()).toBe(killer.toString());
+    expect(second.puzzle.toString()).toBe(fixtures[0].puzzle);
+
+    const text = `${fixtures[0].puzzle}\n\n${fixtures[1].puzzle}`;
+    const split = [text.slice(0, 40), text.slice(40, 90), text.slice(90)];
+    const entries = await SudokuCollection.read(split).toArray();
+    expect(entries.map(({ puzzle }) => puzzle.toString())).toEqual([fixtures[0].puzzle, fixtures[1].puzzle]);
+  });
+
+  test('removes repeated and equivalent puzzles', async () => {
+    const puzzle = new Sudoku(fixtures[0].puzzle);
+    const transformed = new Sudoku(puzzle);
+    transformed.randomTransform(() => 0.3);
+    const entries = [puzzle, new Sudoku(fixtures[1].puzzle), new Sudoku(puzzle), transformed];
+
+    const deduped = await new SudokuCollection(entries).dedupe().toArray();
+    expect(deduped.map(({ puzzle: p }) => p.toString())).toEqual([fixtures[0].puzzle, fixtures[1].puzzle]);
+    expect((await new SudokuCollection(entries).dedupe({ equivalent: false }).toArray()).length).toBe(3);
+  });
+
+  test('filters and maps entries', async () => {
+    const entries = await new SudokuCollection(fixtures.map(({ puzzle }) => new Sudoku(puzzle)))
+      .filter(({ puzzle }) => puzzle.getDigit(0) > 0)
+      .map(async (entry) => ({ ...entry, firstDigit: entry.puzzle.getDigit(0) }))
+      .toArray();
+    expect(entries.length).toBe(fixtures.filter(({ puzzle }) => puzzle[0] !== '.').length);
+    entries.forEach(({ puzzle, firstDigit }) => expect(firstDigit).toBe(puzzle.getDigit(0)));
+  });
+
+  test('reports malformed lines', async () => {
+    const read = (text) => SudokuCollection.read([text]).toArray();
+    await expect(read(`${fixtures[0].puzzle}\n123\n`)).rejects.toThrow(SudokuFormatError);
+    await expect(read(`${fixtures[0].puzzle}\n\n{"puzzle": 1`)).rejects.toThrow('(line 3)');
+    await expect(read('{"rating": 1}')).rejects.toThrow('Expected a puzzle. (line 1)');
+    expect(() => new SudokuCollection(5)).toThrow('Invalid entries: 5');
+    await expect(new SudokuCollection([{}]).toArray()).rejects.toThrow('Invalid entry');
+    await expect(new SudokuCollection([]).write({})).rejects.toThrow('Invalid destination');
+  });
+});
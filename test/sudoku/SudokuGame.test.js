@@ -0,0 +1,398 @@
+import { jest } from '@jest/globals';
+import {
+  DIGIT_EVENT,
+  HISTORY_EVENT,
+  PENCIL_MARKS_EVENT,
+  PENCIL_MARK_TYPES,
+  Sudoku,
+  SudokuGame
+} from '../../index.js';
+
+const clues = '53..7....6..195....98....6.8...6...34..8.3..17...2...6.6....28....419..5....8..79';
+
+describe('SudokuGame', () => {
+  /** @type {SudokuGame} */
+  let game;
+
+  beforeEach(() => {
+    game = new SudokuGame(clues);
+  });
+
+  afterEach(() => {
+    game.dispose();
+  });
+
+  test('is a Sudoku board', () => {
+    expect(game).toBeInstanceOf(Sudoku);
+    expect(game.toString()).toBe(clues);
+    expect(game.numClues).toBe(30);
+    expect(new SudokuGame([], { size: 4 }).geometry.size).toBe(4);
+  });
+
+  test('toggles pencil marks of each type', () => {
+    expect(PENCIL_MARK_TYPES).toEqual(['center', 'corner']);
+    expect(game.togglePencilMark(4, 2)).toBe(true);
+    expect(game.togglePencilMark(1, 2)).toBe(true);
+    expect(game.togglePencilMark(2, 2, 'corner')).toBe(true);
+    expect(game.getPencilMarks(2)).toEqual([1, 4]);
+    expect(game.getPencilMarks(2, 'corner')).toEqual([2]);
+    expect(game.hasPencilMark(4, 2)).toBe(true);
+    expect(game.hasPencilMark(4, 2, 'corner')).toBe(false);
+
+    expect(game.togglePencilMark(4, 2)).toBe(false);
+    expect(game.getPencilMarks(2)).toEqual([1]);
+
+    // Cells holding a digit are left unmarked.
+    expect(game.togglePencilMark(1, 0)).toBe(false);
+    expect(game.getPencilMarks(0)).toEqual([]);
+  });
+
+  test('keeps pencil marks apart from the solver candidates', () => {
+    game.togglePencilMark(4, 2);
+    expect(game.getCandidates(2)).toEqual([]);
+    expect(game.solve()).toBe(true);
+    expect(game.isSolved()).toBe(true);
+    expect(game.getPencilMarks(2)).toEqual([]);
+  });
+
+  test('clears pencil marks', () => {
+    game.togglePencilMark(1, 2);
+    game.togglePencilMark(2, 2, 'corner');
+    game.togglePencilMark(3, 3);
+    game.clearPencilMarks(2, 'corner');
+    expect(game.getPencilMarks(2)).toEqual([1]);
+    expect(game.getPencilMarks(2, 'corner')).toEqual([]);
+    game.clearPencilMarks(2);
+    expect(game.getPencilMarks(2)).toEqual([]);
+    expect(game.getPencilMarks(3)).toEqual([3]);
+    game.clearAllPencilMarks();
+    expect(game.getPencilMarks(3)).toEqual([]);
+  });
+
+  test('moves pencil marks along with transformations of the board', () => {
+    game.togglePencilMark(1, 2);
+    game.togglePencilMark(2, 2, 'corner');
+    game.rotate90();
+    expect(game.getPencilMarks(2)).toEqual([]);
+    expect(game.getPencilMarks(8 + 9 * 2)).toEqual([1]);
+    expect(game.getPencilMarks(8 + 9 * 2, 'corner')).toEqual([2]);
+
+    game.transform({ digits: [2, 1, 3, 4, 5, 6, 7, 8, 9] });
+    expect(game.getPencilMarks(8 + 9 * 2)).toEqual([2]);
+    expect(game.getPencilMarks(8 + 9 * 2, 'corner')).toEqual([1]);
+
+    // Marks are relabeled like the digits they stand for.
+    game.togglePencilMark(game.getDigit(8), 2);
+    let seed = 1;
+    game.shuffleDigits(() => (seed = (seed * 16807) % 2147483647) / 2147483647);
+    expect(game.getPencilMarks(2)).toEqual([game.getDigit(8)]);
+  });
+
+  test('removes pencil marks when the board is cleared or reset', () => {
+    game.togglePencilMark(1, 2);
+    game.togglePencilMark(2, 3, 'corner');
+    game.reset();
+    expect(game.getPencilMarks(2)).toEqual([]);
+    expect(game.getPencilMarks(3, 'corner')).toEqual([]);
+
+    // Undoing the reset brings the marks back.
+    game.undo();
+    expect(game.getPencilMarks(2)).toEqual([1]);
+    expect(game.getPencilMarks(3, 'corner')).toEqual([2]);
+
+    game.clear();
+    expect(game.getPencilMarks(2)).toEqual([]);
+    expect(game.getPencilMarks(3, 'corner')).toEqual([]);
+  });
+
+  test('removes a placed digit from the pencil marks of the cell and its peers', () => {
+    game.togglePencilMark(4, 2);
+    game.togglePencilMark(2, 2);
+    game.togglePencilMark(4, 3, 'corner');
+    game.togglePencilMark(4, 20);
+    game.togglePencilMark(4, 12);
+    game.togglePencilMark(4, 80 - 2);
+
+    game.setDigit(4, 2);
+    expect(game.getPencilMarks(2)).toEqual([]);
+    expect(game.getPencilMarks(3, 'corner')).toEqual([]);
+    expect(game.getPencilMarks(20)).toEqual([]);
+    expect(game.getPencilMarks(12)).toEqual([]);
+    // Not a peer of cell 2.
+    expect(game.getPencilMarks(78)).toEqual([4]);
+  });
+
+  test('auto-fills the candidates of every empty cell', () => {
+    game.togglePencilMark(9, 2);
+    game.autoFillPencilMarks();
+    expect(game.getPencilMarks(0)).toEqual([]);
+    expect(game.getPencilMarks(2)).toEqual([1, 2, 4]);
+    expect(game.getPencilMarks(3)).toEqual([2, 6]);
+    expect(game.getPencilMarks(2, 'corner')).toEqual([]);
+    // The board itself is unchanged.
+    expect(game.toString()).toBe(clues);
+
+    const killer = new SudokuGame([], { size: 4, cages: [{ sum: 3, cells: [0, 1] }] });
+    killer.autoFillPencilMarks('corner');
+    expect(killer.getPencilMarks(0, 'corner')).toEqual([1, 2]);
+    expect(killer.getPencilMarks(2, 'corner')).toEqual([1, 2, 3, 4]);
+  });
+
+  test('throws events for digits and pencil marks', () => {
+    const onDigit = jest.fn();
+    const onPencilMarks = jest.fn();
+    game.addEventListener(DIGIT_EVENT, onDigit);
+    game.addEventListener(PENCIL_MARKS_EVENT, onPencilMarks);
+
+    game.togglePencilMark(4, 2);
+    expect(onPencilMarks).toHaveBeenCalledTimes(1);
+    expect(onPencilMarks.mock.calls[0][0].data).toEqual({ changes: [{ cellIndex: 2, type: 'center', digits: [4] }] });
+
+    game.togglePencilMark(4, 3);
+    game.setDigit(4, 2);
+    expect(onDigit.mock.calls[0][0].data).toEqual({ cellIndex: 2, digit: 4, previous: 0 });
+    expect(onPencilMarks.mock.calls[2][0].data.changes).toEqual([
+      { cellIndex: 2, type: 'center', digits: [] },
+      { cellIndex: 3, type: 'center', digits: [] }
+    ]);
+
+    // Nothing changes, so no event.
+    game.clearPencilMarks(40);
+    expect(onPencilMarks).toHaveBeenCalledTimes(3);
+
+    game.dispose();
+    game.setDigit(0, 2);
+    expect(onDigit).toHaveBeenCalledTimes(1);
+  });
+
+  test('copies pencil marks from other games', () => {
+    game.togglePencilMark(4, 2);
+    const copy = new SudokuGame(game);
+    copy.togglePencilMark(1, 2);
+    expect(copy.getPencilMarks(2)).toEqual([1, 4]);
+    expect(game.getPencilMarks(2)).toEqual([4]);
+  });
+
+  test('validates pencil marks', () => {
+    expect(() => game.togglePencilMark(0, 2)).toThrow('Invalid digit: 0');
+    expect(() => game.togglePencilMark(10, 2)).toThrow('Invalid digit: 10');
+    expect(() => game.togglePencilMark(1, 81)).toThrow('Invalid cell index: 81');
+    expect(() => game.getPencilMarks(2, 'side')).toThrow('Invalid pencil mark type: side');
+    expect(() => game.clearAllPencilMarks('side')).toThrow('Invalid pencil mark type: side');
+  });
+
+  describe('history', () => {
+    test('undoes and redoes moves', () => {
+      expect(game.canUndo).toBe(false);
+      expect(game.undo()).toBeNull();
+
+      game.togglePencilMark(4, 2);
+      game.togglePencilMark(4, 3);
+      game.setDigit(4, 2);
+      expect(game.canUndo).toBe(true);
+
+      const move = game.undo();
+      expect(move.type).toBe('digit');
+      expect(move.changes).toEqual([
+        { cellIndex: 2, before: { digit: 0, center: [4], corner: [] }, after: { digit: 4, center: [], corner: [] } },
+        { cellIndex: 3, before: { digit: 0, center: [4], corner: [] }, after: { digit: 0, center: [], corner: [] } }
+      ]);
+      expect(game.getDigit(2)).toBe(0);
+      expect(game.getPencilMarks(2)).toEqual([4]);
+      expect(game.getPencilMarks(3)).toEqual([4]);
+      expect(game.canRedo).toBe(true);
+
+      expect(game.redo()).toBe(move);
+      expect(game.getDigit(2)).toBe(4);
+      expect(game.getPencilMarks(3)).toEqual([]);
+      expect(game.redo()).toBeNull();
+
+      game.undo();
+      game.undo();
+      game.undo();
+      expect(game.toString()).toBe(clues);
+      expect(game.getPencilMarks(2)).toEqual([]);
+      expect(game.canUndo).toBe(false);
+    });
+
+    test('discards undone moves when a new move is made', () => {
+      game.setDigit(1, 2);
+      game.undo();
+      game.setDigit(2, 2);
+      expect(game.canRedo).toBe(false);
+      game.undo();
+      expect(game.canUndo).toBe(false);
+    });
+
+    test('records compound changes as single moves', () => {
+      game.setDigit(4, 2);
+      game.togglePencilMark(1, 3, 'corner');
+      game.clearCell(2);
+      expect(game.getDigit(2)).toBe(0);
+      game.autoFillPencilMarks();
+      game.clearAllPencilMarks();
+      game.solve();
+      expect(game.isSolved()).toBe(true);
+
+      expect(game.undo().type).toBe('board');
+      expect(game.toString()).toBe(clues);
+      expect(game.undo().type).toBe('clear');
+      expect(game.getPencilMarks(2)).toEqual([1, 2, 4]);
+      expect(game.undo().type).toBe('auto-fill');
+      expect(game.getPencilMarks(2)).toEqual([]);
+      expect(game.getPencilMarks(3, 'corner')).toEqual([1]);
+      expect(game.undo().type).toBe('clear');
+      expect(game.getDigit(2)).toBe(4);
+      expect(game.undo().type).toBe('pencil-mark');
+      expect(game.undo().type).toBe('digit');
+      expect(game.canUndo).toBe(false);
+
+      // Nothing changes, so nothing is recorded.
+      game.clearPencilMarks(2);
+      expect(game.canUndo).toBe(false);
+    });
+
+    test('applies hints', () => {
+      game.autoFillPencilMarks();
+      const hint = game.applyHint();
+      expect(hint.digit).toBeGreaterThan(0);
+      expect(game.getDigit(hint.cell)).toBe(hint.digit);
+      expect(game.undo().type).toBe('hint');
+      expect(game.getDigit(hint.cell)).toBe(0);
+
+      game.setDigit(9, 2);
+      expect(game.applyHint().technique).toBe('incorrect-digit');
+      expect(game.getDigit(2)).toBe(0);
+      game.undo();
+      expect(game.getDigit(2)).toBe(9);
+
+      expect(game.applyHint(null)).toBeNull();
+    });
+
+    test('reverts to bookmarks', () => {
+      game.setDigit(4, 2);
+      expect(() => game.revertToBookmark()).toThrow('No bookmark to revert to.');
+      expect(game.bookmark()).toBe(1);
+      game.setDigit(1, 3);
+      expect(game.bookmark()).toBe(2);
+      game.setDigit(2, 5);
+      game.togglePencilMark(2, 6);
+
+      const undone = game.revertToBookmark();
+      expect(undone.map(({ type }) => type)).toEqual(['pencil-mark', 'digit']);
+      expect(game.getDigit(5)).toBe(0);
+      expect(game.getDigit(3)).toBe(1);
+      expect(game.numBookmarks).toBe(1);
+
+      game.revertToBookmark();
+      expect(game.getDigit(3)).toBe(0);
+      expect(game.getDigit(2)).toBe(4);
+      expect(game.numBookmarks).toBe(0);
+
+      // Bookmarks that were undone past are returned to by redoing.
+      game.bookmark();
+      game.undo();
+      expect(game.revertToBookmark().map(({ type }) => type)).toEqual(['digit']);
+      expect(game.getDigit(2)).toBe(4);
+
+      // Bookmarks among discarded moves are removed.
+      game.setDigit(1, 3);
+      game.bookmark();
+      game.undo();
+      game.setDigit(2, 3);
+      expect(game.numBookmarks).toBe(0);
+
+      game.bookmark();
+      game.clearHistory();
+      expect(game.canUndo).toBe(false);
+      expect(game.numBookmarks).toBe(0);
+      expect(game.getDigit(3)).toBe(2);
+    });
+
+    test('throws events for each change', () => {
+      const onHistory = jest.fn();
+      const onDigit = jest.fn();
+      const onPencilMarks = jest.fn();
+      game.addEventListener(HISTORY_EVENT, onHistory);
+      game.addEventListener(DIGIT_EVENT, onDigit);
+      game.addEventListener(PENCIL_MARKS_EVENT, onPencilMarks);
+
+      game.togglePencilMark(4, 3);
+      game.setDigit(4, 2);
+      const [move] = onHistory.mock.calls[1][0].data.moves;
+      expect(onHistory.mock.calls[1][0].data).toEqual({
+        action: 'move', moves: [move], canUndo: true, canRedo: false, numBookmarks: 0
+      });
+
+      game.undo();
+      expect(onHistory.mock.calls[2][0].data).toEqual({
+        action: 'undo', moves: [move], canUndo: true, canRedo: true, numBookmarks: 0
+      });
+      expect(onDigit.mock.calls[1][0].data).toEqual({ cellIndex: 2, digit: 0, previous: 4 });
+      expect(onPencilMarks.mock.calls[2][0].data.changes).toEqual([{ cellIndex: 3, type: 'center', digits: [4] }]);
+
+      game.bookmark();
+      game.redo();
+      game.revertToBookmark();
+      expect(onHistory.mock.calls.map(([{ data }]) => data.action)).toEqual(
+        ['move', 'move', 'undo', 'bookmark', 'redo', 'revert']
+      );
+
+      // Undoing with nothing to undo changes nothing.
+      game.clearHistory();
+      game.undo();
+      expect(onHistory).toHaveBeenCalledTimes(7);
+    });
+
+    test('records a reset as a single move', () => {
+      game.setDigit(4, 2);
+      game.setDigit(6, 3);
+      game.reset();
+      expect(game.toString()).toBe(clues);
+
+      expect(game.undo().type).toBe('reset');
+      expect(game.getDigit(2)).toBe(4);
+      expect(game.getDigit(3)).toBe(6);
+      expect(game.numClues).toBe(30);
+      game.undo();
+      game.undo();
+      expect(game.canUndo).toBe(false);
+      expect(game.toString()).toBe(clues);
+    });
+
+    test('clears the history when the clues move or change', () => {
+      const onDigit = jest.fn();
+      const onHistory = jest.fn();
+      game.addEventListener(DIGIT_EVENT, onDigit);
+      game.addEventListener(HISTORY_EVENT, onHistory);
+
+      game.setDigit(4, 2);
+      game.rotate90();
+      expect(game.canUndo).toBe(false);
+      expect(game.undo()).toBeNull();
+      expect(game.getDigit(8)).toBe(5);
+      expect(game.getDigit(8 + 9 * 2)).toBe(4);
+      expect(onHistory.mock.calls.map(([{ data }]) => data.action)).toEqual(['move', 'clear']);
+      // The digits that moved are reported, from the cell's point of view.
+      expect(onDigit.mock.calls[1][0].data).toEqual({ cellIndex: 0, digit: 0, previous: 5 });
+
+      game.setDigit(1, 2);
+      game.transform({ digits: [2, 1, 3, 4, 5, 6, 7, 8, 9] });
+      expect(game.canUndo).toBe(false);
+      game.untransform({ digits: [2, 1, 3, 4, 5, 6, 7, 8, 9] });
+      expect(game.getDigit(2)).toBe(1);
+
+      game.clear();
+      expect(game.canUndo).toBe(false);
+      expect(game.numClues).toBe(0);
+      expect(game.toString()).toBe('.'.repeat(81));
+    });
+
+    test('starts empty for copied games', () => {
+      game.setDigit(4, 2);
+      const copy = new SudokuGame(game);
+      expect(copy.canUndo).toBe(false);
+      expect(copy.getDigit(2)).toBe(4);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import {
+  MAX_SIZE,
+  Sudoku,
+  SudokuGeometry,
+  SudokuSieve,
+  cellsFromMask,
+  indicesFor,
+  masksFor
+} from '../../index.js';
+
+describe('SudokuGeometry', () => {
+  test('standard geometry matches the standard board tables', () => {
+    const geometry = SudokuGeometry.standard;
+    expect(geometry.isStandard).toBe(true);
+    expect(geometry.toJSON()).toEqual({ size: 9, boxRows: 3, boxCols: 3 });
+    expect(geometry.numSpaces).toBe(81);
+    expect(geometry.allCandidates).toBe(0b111111111);
+    expect(geometry.minClues).toBe(17);
+    expect(geometry.indicesFor).toBe(indicesFor);
+    expect(geometry.masksFor).toEqual(masksFor);
+  });
+
+  test('picks the most square box shape by default', () => {
+    expect(SudokuGeometry.of({ size: 4 }).toJSON()).toEqual({ size: 4, boxRows: 2, boxCols: 2 });
+    expect(SudokuGeometry.of({ size: 6 }).toJSON()).toEqual({ size: 6, boxRows: 2, boxCols: 3 });
+    expect(SudokuGeometry.of({ size: 12 }).toJSON()).toEqual({ size: 12, boxRows: 3, boxCols: 4 });
+    expect(SudokuGeometry.of({ size: 16 }).toJSON()).toEqual({ size: 16, boxRows: 4, boxCols: 4 });
+    expect(SudokuGeometry.of({ size: MAX_SIZE }).toJSON()).toEqual({ size: 25, boxRows: 5, boxCols: 5 });
+    expect(SudokuGeometry.of({ boxRows: 3, boxCols: 2 }).toJSON()).toEqual({ size: 6, boxRows: 3, boxCols: 2 });
+  });
+
+  test('shares instances', () => {
+    expect(SudokuGeometry.of({ size: 6 })).toBe(SudokuGeometry.of({ boxRows: 2, boxCols: 3 }));
+    expect(SudokuGeometry.of({ size: 6 })).not.toBe(SudokuGeometry.of({ size: 6, boxRows: 3 }));
+    expect(SudokuGeometry.forNumSpaces(144)).toBe(SudokuGeometry.of({ size: 12 }));
+    expect(SudokuGeometry.forNumSpaces(50)).toBeNull();
+  });
+
+  test('rejects unsupported sizes and box dimensions', () => {
+    expect(() => SudokuGeometry.of({ size: 3 })).toThrow('Invalid size: 3');
+    expect(() => SudokuGeometry.of({ size: 26 })).toThrow('Invalid size: 26');
+    expect(() => SudokuGeometry.of({ size: 7 })).toThrow('Invalid box dimensions for size 7');
+    expect(() => SudokuGeometry.of({ size: 8, boxRows: 3 })).toThrow('Invalid box dimensions for size 8');
+    expect(() => SudokuGeometry.of({ size: 10, boxRows: 1 })).toThrow('Invalid box dimensions for size 10: 1x10');
+  });
+
+  test('rectangular regions', () => {
+    const geometry = SudokuGeometry.of({ size: 6 });
+    expect(geometry.indicesFor.region[0]).toEqual([0, 1, 2, 6, 7, 8]);
+    expect(geometry.indicesFor.region[1]).toEqual([3, 4, 5, 9, 10, 11]);
+    expect(geometry.indicesFor.region[5]).toEqual([27, 28, 29, 33, 34, 35]);
+    expect(geometry.cellRegion(20)).toBe(2);
+    expect(geometry.cellHouses[20]).toEqual([3, 6 + 2, 12 + 2]);
+    expect(geometry.houses[geometry.cellHouses[20][2]]).toEqual({
+      type: 'region',
+      index: 2,
+      cells: [12, 13, 14, 18, 19, 20]
+    });
+
+    // 5 in the row, 5 in the column, and 2 more in the region.
+    expect(geometry.peers[20]).toEqual([2, 8, 12, 13, 14, 18, 19, 21, 22, 23, 26, 32]);
+  });
+
+  test('masks', () => {
+    const geometry = SudokuGeometry.of({ size: 16 });
+    expect(geometry.cellMask(0)).toBe(1n << 255n);
+    expect(geometry.cellMask(255)).toBe(1n);
+    expect(geometry.masksFor.all).toBe((1n << 256n) - 1n);
+    expect(cellsFromMask(geometry.masksFor.row[15], geometry.numSpaces).sort((a, b) => a - b))
+      .toEqual(geometry.indicesFor.row[15]);
+  });
+
+  test('digit characters', () => {
+    const geometry = SudokuGeometry.of({ size: 16 });
+    expect(geometry.digitToChar(0)).toBe('.');
+    expect(geometry.digitToChar(9)).toBe('9');
+    expect(geometry.digitToChar(10)).toBe('A');
+    expect(geometry.digitToChar(16)).toBe('G');
+    expect(geometry.charToDigit('.')).toBe(0);
+    expect(geometry.charToDigit('0')).toBe(0);
+    expect(geometry.charToDigit('g')).toBe(16);
+    expect(geometry.charToDigit('H')).toBe(-1);
+    expect(geometry.charToDigit('?')).toBe(-1);
+    expect(SudokuGeometry.standard.charToDigit('A')).toBe(-1);
+  });
+
+  test('sieves on other board sizes', () => {
+    const config = Sudoku.generateConfig({ size: 6 });
+    const sieve = new SudokuSieve({ config });
+    const geometry = config.geometry;
+
+    // Removing every 1 and 2 leaves at least two solutions, since the 1s and 2s can be swapped.
+    const digitCells = config.board.flatMap((digit, ci) => (digit <= 2) ? [ci] : []);
+    const keep = geometry.masksFor.all & ~geometry.maskOf(digitCells);
+    expect(sieve.addFromMask(keep)).toBeGreaterThan(0);
+    sieve.items.forEach((item) => expect(item & keep).toBe(0n));
+    expect(sieve.doesMaskSatisfy(geometry.maskOf(digitCells))).toBe(true);
+    expect(sieve.doesMaskSatisfy(keep)).toBe(false);
+    expect(sieve.prune({}).length).toBe(sieve.length);
+  });
+});
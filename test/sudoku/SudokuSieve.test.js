@@ -1,6 +1,10 @@
+/**
+ * @jest-environment node
+ */
 import {
   bitCombo,
   cellMask,
+  countBits,
   digitMask,
   nChooseK,
   randomBigInt,
@@ -8,6 +12,9 @@ import {
   SudokuSieve
 } from '../../index.js';
 import { NUM_DIGITS, NUM_SPACES } from '../../src/sudoku/Sudoku.js';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 
 // For config = '218574639573896124469123578721459386354681792986237415147962853695318247832745961'
 const expectedSieveItemsByK = [
@@ -300,6 +307,36 @@ describe('SudokuSieve', () => {
     });
   });
 
+  describe('search', () => {
+    test('finds all unavoidable sets with up to the given number of digits', () => {
+      expect(sieve.search({ maxDigits: 2 })).toBe(expectedSieveItemsByK[2].length);
+      expect(sieve.items).toEqual(expect.arrayContaining(expectedSieveItemsByK[2]));
+      expect(sieve.validated).toBe(true);
+      expect(sieve.search({ maxDigits: 2 })).toBe(0);
+    });
+
+    test('limits the number of cells', () => {
+      sieve.search({ maxDigits: 2, maxCells: 6 });
+      const expected = expectedSieveItemsByK[2].filter((item) => countBits(item) <= 6);
+      expect(expected.length).toBeGreaterThan(0);
+      expect(sieve.items.sort()).toEqual(expected.sort());
+    });
+
+    test('optionally skips validation', () => {
+      sieve.search({ maxDigits: 2, validateOnAdd: false });
+      expect(sieve.validated).toBe(false);
+      expect(sieve.items).toEqual(expect.arrayContaining(expectedSieveItemsByK[2]));
+      expect(() => sieve.search({ maxDigits: 1 })).toThrow('Invalid maxDigits');
+    });
+
+    test('supplies sieve generation', () => {
+      const [{ puzzle }] = Sudoku.generate({ numClues: 27, config, useSieve: true, seed: 12 });
+      expect(puzzle.numClues).toBe(27);
+      expect(puzzle.hasUniqueSolution()).toBe(true);
+      expect(puzzle.board.every((digit, ci) => digit === 0 || digit === configBoard[ci])).toBe(true);
+    });
+  });
+
   describe('add', () => {
     describe('when items are not duplicate', () => {
       test('adds items to the sieve and returns true', () => {
@@ -386,6 +423,78 @@ describe('SudokuSieve', () => {
     });
   });
 
+  describe('persistence', () => {
+    beforeEach(() => {
+      sieve.add(...expectedSieveItemsByK[2]);
+    });
+
+    test('round-trips through JSON', () => {
+      const json = JSON.parse(JSON.stringify(sieve));
+      expect(json.config).toEqual({ board: config.toString() });
+      expect(json.validated).toBe(true);
+
+      const loaded = SudokuSieve.fromJSON(JSON.stringify(sieve));
+      expect(loaded.config.toString()).toBe(config.toString());
+      expect(loaded.items).toEqual(sieve.items);
+
+      // Unvalidated items are checked as they are added.
+      const unvalidated = SudokuSieve.fromJSON({ ...json, items: [...json.items, '3'], validated: false });
+      expect(unvalidated.items).toEqual(sieve.items);
+
+      expect(() => SudokuSieve.fromJSON({ ...json, items: ['xyz'] })).toThrow('Invalid sieve items');
+      expect(() => SudokuSieve.fromJSON({ ...json, items: ['0'] })).toThrow('Invalid sieve items');
+    });
+
+    test('validate reports items that are not prime invalid', () => {
+      expect(sieve.validate()).toEqual([]);
+
+      // A union of two unavoidable sets resolves neither when a single cell is filled in.
+      const [a, b] = expectedSieveItemsByK[2].filter((item, _, items) => (item & items[0]) === 0n);
+      const loaded = SudokuSieve.fromJSON({ config: config.toJSON(), items: [(a | b).toString(16)], validated: true });
+      expect(loaded.validate()).toEqual([
+        `sieve item[${countBits(a | b)}][0]: ${a | b}n; is not prime invalid ` +
+        '(expected: multiple solutions, and a single solution with any cell filled in)'
+      ]);
+    });
+
+    test('round-trips through bytes', () => {
+      const bytes = sieve.toBytes();
+      expect(bytes.length).toBeLessThan(JSON.stringify(sieve).length);
+
+      const loaded = SudokuSieve.fromBytes(bytes);
+      expect(loaded.config.toString()).toBe(config.toString());
+      expect(loaded.items).toEqual(sieve.items);
+      expect(loaded.validated).toBe(true);
+
+      expect(() => SudokuSieve.fromBytes(new Uint8Array([1, 2, 3]))).toThrow('Invalid sieve data');
+      expect(() => SudokuSieve.fromBytes(bytes.subarray(0, bytes.length - 1))).toThrow('Invalid sieve data');
+    });
+
+    test('saves and loads files', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'sieve-'));
+      try {
+        for (const file of ['sieve.bin', 'sieve.json']) {
+          const path = join(dir, file);
+          await sieve.save(path);
+          const loaded = await SudokuSieve.load(path);
+          expect(loaded.items).toEqual(sieve.items);
+          expect(loaded.config.toString()).toBe(config.toString());
+        }
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('supplies generation with its config', () => {
+      const [{ puzzle }] = Sudoku.generate({ numClues: 30, sieve, seed: 1 });
+      expect(puzzle.board.every((digit, ci) => digit === 0 || digit === configBoard[ci])).toBe(true);
+
+      const otherConfig = new Sudoku(config);
+      otherConfig.rotate90();
+      expect(() => Sudoku.generate({ numClues: 30, sieve, config: otherConfig })).toThrow('Invalid sieve');
+    });
+  });
+
   // describe('_generateMask', () => {
   //   // TODO Test that results have bit counts of < maxSelections
 
@@ -0,0 +1,90 @@
+/** @jest-environment node */
+import os from 'node:os';
+import { Sudoku, SudokuWorkerPool, getVariant } from '../../index.js';
+
+describe('SudokuWorkerPool', () => {
+  let pool;
+
+  beforeEach(() => {
+    pool = new SudokuWorkerPool({ size: 2 });
+  });
+
+  afterEach(async () => {
+    await pool.close();
+  });
+
+  test('validates its size', () => {
+    expect(() => new SudokuWorkerPool({ size: 0 })).toThrow('Invalid pool size: 0');
+  });
+
+  test('defaults to one worker less than the number of logical processors', () => {
+    expect(new SudokuWorkerPool().size).toBe(Math.max(1, os.availableParallelism() - 1));
+  });
+
+  test('generates seeded puzzles reproducibly across workers', async () => {
+    const options = { amount: 3, numClues: 30, seed: 'pool' };
+    const { results, metrics } = await pool.generate(options);
+    expect(results.length).toBe(3);
+    results.forEach(({ puzzle }) => {
+      expect(puzzle).toBeInstanceOf(Sudoku);
+      expect(puzzle.numClues).toBe(30);
+      expect(puzzle.hasUniqueSolution()).toBe(true);
+    });
+    expect(metrics.count).toBe(3);
+    expect(metrics.timeMs).toBe(results.reduce((acc, { timeMs }) => acc + timeMs, 0));
+    expect(metrics.wallTimeMs).toBeGreaterThanOrEqual(0);
+
+    const again = await pool.generate(options);
+    expect(again.results.map(({ puzzle }) => puzzle.toString())).toEqual(results.map(({ puzzle }) => puzzle.toString()));
+  });
+
+  test('streams configs as they complete', async () => {
+    const configs = [];
+    for await (const { solutions } of pool.generateStream({ amount: 2 }, { ordered: false })) {
+      configs.push(solutions[0]);
+    }
+    expect(configs.length).toBe(2);
+    configs.forEach((config) => expect(config.isConfig()).toBe(true));
+  });
+
+  test('rates puzzles like Sudoku#rate', async () => {
+    const puzzle = Sudoku.generate({ numClues: 32, seed: 'rate' })[0].puzzle;
+    const ratings = await pool.rate([puzzle, puzzle.toString()]);
+    expect(ratings).toEqual([puzzle.rate(), puzzle.rate()]);
+  });
+
+  test('rejects failed and invalid jobs', async () => {
+    await expect(pool.generate({ numClues: 5 })).rejects.toThrow('Invalid number of clues: 5');
+    await expect(pool.generate({ amount: 0 })).rejects.toThrow('Invalid amount: 0');
+    await expect(pool.generate({ amount: 2.5 })).rejects.toThrow('Invalid amount: 2.5');
+    await expect(pool.generate({ amount: '3' })).rejects.toThrow('Invalid amount: 3');
+    await expect(pool.generate({ callback: () => {} })).rejects.toThrow('Invalid option for a worker: callback');
+    await expect(pool.run({ type: 'solve' })).rejects.toThrow('Invalid job type: solve');
+    await expect(pool.generate({ difficulty: { accept: () => true } })).rejects.toThrow(
+      'Invalid option for a worker: difficulty.accept'
+    );
+
+    // Options that can't be cloned fail to post, and the worker moves on to the next job.
+    await expect(pool.run({ type: 'generate', options: { seed: Symbol('seed') } })).rejects.toThrow('could not be cloned');
+    expect((await pool.generate({ numClues: 30 })).results.length).toBe(1);
+  });
+
+  test('sends built-in variants by name, and rejects custom ones', async () => {
+    const diagonal = getVariant('diagonal');
+    const { results } = await pool.generate({ variants: [diagonal] });
+    expect(results[0].solutions[0].geometry.variants).toEqual(['diagonal']);
+
+    const custom = { name: 'custom', houses: () => [] };
+    await expect(pool.generate({ variants: [custom] })).rejects.toThrow(
+      'Invalid option for a worker: variants[0] (custom variants can\'t be sent to a worker)'
+    );
+    await expect(pool.generate({ variants: ['diagonal', custom] })).rejects.toThrow('variants[1]');
+  });
+
+  test('rejects unfinished jobs when closed', async () => {
+    const pending = expect(pool.generate({ amount: 4, numClues: 24 }, { jobs: 4 })).rejects.toThrow('Worker pool closed.');
+    await pool.close();
+    await pending;
+    await expect(pool.rate(['.'.repeat(81)])).rejects.toThrow('Worker pool closed.');
+  });
+});
@@ -0,0 +1,55 @@
+import { Debugger, SEARCH_BACKENDS, Sudoku } from '../../index.js';
+import { puzzles } from './puzzles24.js';
+
+// Compares the solution search backends on the 24-clue puzzles.
+// Usage: npm run benchmark -- [numPuzzles]
+
+const debug = new Debugger(true);
+
+const numPuzzles = Math.min(Number(process.argv[2]) || puzzles.length, puzzles.length);
+const benchmarkPuzzles = puzzles.slice(0, numPuzzles).map(({ puzzle, solution }) => ({
+  puzzle: new Sudoku(puzzle),
+  solution
+}));
+
+/**
+ * Runs `solutionsFlag` (i.e. searching for up to two solutions) on every puzzle with the given backend.
+ * @param {string} backend
+ * @returns {{backend: string, totalMs: number, maxMs: number, failures: number}}
+ */
+function benchmark(backend) {
+  let totalMs = 0;
+  let maxMs = 0;
+  let failures = 0;
+  benchmarkPuzzles.forEach(({ puzzle, solution }) => {
+    let found = null;
+    let solutionCount = 0;
+    const start = Date.now();
+    puzzle.searchForSolutions3({
+      backend,
+      solutionFoundCallback: (s) => {
+        found = s.toString();
+        return (++solutionCount < 2);
+      }
+    });
+    const elapsedMs = Date.now() - start;
+
+    totalMs += elapsedMs;
+    maxMs = Math.max(maxMs, elapsedMs);
+    if (solutionCount !== 1 || found !== solution) {
+      failures++;
+    }
+  });
+  return { backend, totalMs, maxMs, failures };
+}
+
+debug.log(`Searching ${numPuzzles} puzzles with each backend...`);
+SEARCH_BACKENDS.forEach((backend) => {
+  const { totalMs, maxMs, failures } = benchmark(backend);
+  debug.log(
+    `${backend.padEnd(4)} total: ${totalMs}ms, ` +
+    `avg: ${(totalMs / numPuzzles).toFixed(2)}ms, ` +
+    `max: ${maxMs}ms` +
+    ((failures > 0) ? `, ❌ failures: ${failures}` : '')
+  );
+});
@@ -0,0 +1,159 @@
+import {
+  Sudoku,
+  SudokuGeometry,
+  FORMATS,
+  SudokuFormatError,
+  detectFormat,
+  readPuzzles,
+  readPuzzle,
+  writePuzzles,
+  writePuzzle
+} from '../../index.js';
+
+const clues = '53..7....6..195....98....6.8...6...34..8.3..17...2...6.6....28....419..5....8..79';
+
+const sdk = [
+  '#AJane Doe',
+  '#DA classic',
+  '53..7....',
+  '6..195...',
+  '.98....6.',
+  '8...6...3',
+  '4..8.3..1',
+  '7...2...6',
+  '.6....28.',
+  '...419..5',
+  '....8..79'
+].join('\n') + '\n';
+
+const ss = [
+  '*-----------*',
+  '|53.|.7.|...|',
+  '|6..|195|...|',
+  '|.98|...|.6.|',
+  '|---+---+---|',
+  '|8..|.6.|..3|',
+  '|4..|8.3|..1|',
+  '|7..|.2.|..6|',
+  '|---+---+---|',
+  '|.6.|...|28.|',
+  '|...|419|..5|',
+  '|...|.8.|.79|',
+  '*-----------*'
+].join('\n') + '\n';
+
+/** The puzzle with the first empty cells filled in (digits 4, 6), as if by a player. */
+const withValues = () => {
+  const puzzle = new Sudoku(clues);
+  puzzle.setDigit(4, 2);
+  puzzle.setDigit(6, 3);
+  return puzzle;
+};
+
+describe('formats', () => {
+  test('are detected from the text', () => {
+    expect(detectFormat(sdk)).toBe('sdk');
+    expect(detectFormat(sdk.split('\n').slice(2).join('\n'))).toBe('sdk');
+    expect(detectFormat(ss)).toBe('ss');
+    expect(detectFormat(`${clues}\n${clues.replace(/\./g, '0')}\n`)).toBe('sdm');
+    expect(detectFormat(`53+4+67....${clues.slice(9)}`)).toBe('hodoku');
+    expect(detectFormat(`<?xml version="1.0"?>\n<opensudoku><game data="${clues}" /></opensudoku>`)).toBe('opensudoku');
+    expect(detectFormat(`{ "clues": "${clues}" }`)).toBe('json');
+    expect(detectFormat('  \n')).toBe(null);
+  });
+
+  test('read SadMan and Simple Sudoku grids', () => {
+    const { puzzle, metadata } = readPuzzle(sdk);
+    expect(puzzle.toString()).toBe(clues);
+    expect(puzzle.numClues).toBe(30);
+    expect(metadata).toEqual({ author: 'Jane Doe', description: 'A classic' });
+    expect(readPuzzle(ss).puzzle.toString()).toBe(clues);
+  });
+
+  test('round-trip through every format', () => {
+    FORMATS.forEach((format) => {
+      const text = writePuzzles([new Sudoku(clues)], format);
+      // Without placed digits, a HoDoKu export is the same as a SudoCue one.
+      expect(detectFormat(text)).toBe((format === 'hodoku') ? 'sdm' : format);
+      const [record, ...rest] = readPuzzles(text);
+      expect(rest).toEqual([]);
+      expect(record.puzzle.toString()).toBe(clues);
+    });
+    expect(writePuzzle(new Sudoku(clues), 'sdk')).toBe(sdk.split('\n').slice(2).join('\n'));
+    expect(writePuzzle(new Sudoku(clues), 'ss')).toBe(ss);
+  });
+
+  test('read collections of puzzles', () => {
+    const puzzles = [new Sudoku(clues), Sudoku.generate({ numClues: 30, seed: 'formats' })[0].puzzle];
+    ['sdm', 'hodoku', 'opensudoku', 'json'].forEach((format) => {
+      const records = readPuzzles(writePuzzles(puzzles, format), { format });
+      expect(records.map(({ puzzle }) => puzzle.toString())).toEqual(puzzles.map((puzzle) => puzzle.toString()));
+    });
+    expect(() => writePuzzles(puzzles, 'sdk')).toThrow('The sdk format holds a single puzzle, got 2.');
+
+    const xml = writePuzzles([{ puzzle: puzzles[0], metadata: { name: 'Easy & fun', author: 'J' } }], 'opensudoku');
+    expect(xml).toContain('<name>Easy &amp; fun</name>');
+    expect(readPuzzle(xml).metadata).toEqual({ name: 'Easy & fun', author: 'J' });
+  });
+
+  test('keep placed digits apart from the givens', () => {
+    const hodoku = writePuzzle(withValues(), 'hodoku');
+    expect(hodoku.startsWith('53+4+67')).toBe(true);
+    const { puzzle } = readPuzzle(hodoku);
+    expect(puzzle.clues).toEqual(new Sudoku(clues).clues);
+    expect(puzzle.board).toEqual(withValues().board);
+
+    // The formats without placed digits keep only the givens.
+    expect(readPuzzle(writePuzzle(withValues(), 'sdm')).puzzle.toString()).toBe(clues);
+  });
+
+  test('carry values, pencil marks, geometry, and cages in JSON', () => {
+    const pencilMarks = Array.from({ length: 81 }, () => []);
+    pencilMarks[4] = [1, 2];
+    const json = writePuzzle({ puzzle: withValues(), pencilMarks, metadata: { level: 'easy' } }, 'json');
+    const parsed = JSON.parse(json);
+    expect(parsed.clues).toBe(clues);
+    expect(parsed.values.slice(0, 5)).toBe('53467');
+    expect(parsed.pencilMarks[4]).toBe('12');
+
+    const record = readPuzzle(json);
+    expect(record.puzzle.clues).toEqual(new Sudoku(clues).clues);
+    expect(record.puzzle.board).toEqual(withValues().board);
+    expect(record.pencilMarks[4]).toEqual([1, 2]);
+    expect(record.pencilMarks[5]).toEqual([]);
+    expect(record.metadata).toEqual({ level: 'easy' });
+
+    const killer = new Sudoku('1...............', { size: 4, cages: [{ sum: 3, cells: [0, 1] }] });
+    const { puzzle } = readPuzzle(writePuzzle(killer, 'json'));
+    expect(puzzle.geometry).toBe(SudokuGeometry.of({ size: 4 }));
+    expect(puzzle.cages).toEqual(killer.cages);
+    expect(() => writePuzzle(killer, 'sdm')).toThrow('Cannot write a board with variants, jigsaw regions, or cages as sdm.');
+  });
+
+  test('report where the text is malformed', () => {
+    const badSdk = sdk.replace('6..195...', '6..1x5...');
+    expect(() => readPuzzle(badSdk)).toThrow(SudokuFormatError);
+    expect(() => readPuzzle(badSdk)).toThrow('Invalid digit: x (line 4, column 5)');
+    try {
+      readPuzzle(ss.replace('|4..|8.3|..1|', '|4..|8.3|..|'));
+    } catch (error) {
+      expect(error).toMatchObject({ line: 13, column: 14 });
+      expect(error.message).toBe('Too few cells: expected 81, got 80. (line 13, column 14)');
+    }
+    expect.assertions(4);
+  });
+
+  test('report malformed collections and JSON', () => {
+    expect(() => readPuzzles(`${clues}\n${clues}5\n`, { format: 'sdm' })).toThrow('Too many cells: expected 81. (line 2, column 82)');
+    expect(() => readPuzzle(`53+${clues.slice(2)}`, { format: 'hodoku' })).toThrow('Expected a digit after +. (line 1, column 3)');
+    expect(() => readPuzzle('<opensudoku><game /></opensudoku>')).toThrow('Expected a data attribute. (line 1, column 13)');
+    expect(() => readPuzzle('<opensudoku></opensudoku>')).toThrow('No puzzles found.');
+    expect(() => readPuzzle(`{ "clues": "${clues}", }`)).toThrow(SudokuFormatError);
+    expect(() => readPuzzle(`{ "clues": "${clues}", "values": "1${clues.slice(1)}" }`))
+      .toThrow('Invalid puzzle: value 1 contradicts clue 5 at cell 0.');
+    expect(() => readPuzzle(`[{ "clues": "${clues}" }, { "clues": "123" }]`)).toThrow('Invalid puzzle[1]: Too few cells: expected 16, got 3.');
+    expect(() => readPuzzle('hello')).toThrow('Too few cells: expected 16, got 5. (line 1, column 6)');
+    expect(() => readPuzzle('')).toThrow('Unrecognized format.');
+    expect(() => readPuzzle(clues, { format: 'txt' })).toThrow('Invalid format: txt');
+  });
+});
@@ -0,0 +1,138 @@
+import { Sudoku, SudokuGeometry } from '../../index.js';
+
+// Standard boxes, with a corner cell swapped between four pairs of neighboring boxes.
+const regions = [
+  0, 0, 0, 0, 1, 1, 2, 2, 2,
+  0, 0, 0, 1, 1, 1, 2, 2, 2,
+  0, 0, 1, 1, 1, 1, 5, 2, 2,
+  3, 3, 3, 3, 4, 4, 5, 5, 2,
+  3, 3, 3, 4, 4, 4, 5, 5, 5,
+  3, 3, 4, 4, 4, 4, 5, 5, 5,
+  6, 6, 6, 7, 7, 7, 7, 8, 8,
+  6, 6, 6, 7, 7, 7, 8, 8, 8,
+  6, 6, 6, 7, 7, 8, 8, 8, 8
+];
+const jigsawPuzzle = {
+  puzzle: '3...417........92.4.7...1..5.....2.1.2.4......82.35...639.......1..926.7..4.6..93',
+  solution: '398241756761853924457926138543789261926417385182635479639574812815392647274168593'
+};
+
+describe('jigsaw regions', () => {
+  test('replace the boxes', () => {
+    const geometry = SudokuGeometry.of({ regions });
+    expect(geometry).toBe(SudokuGeometry.of({ size: 9, regions: [...regions] }));
+    expect(geometry.isJigsaw).toBe(true);
+    expect(geometry.isStandard).toBe(false);
+    expect(geometry.minClues).toBe(0);
+    expect(geometry.cellRegion(3)).toBe(0);
+    expect(geometry.indicesFor.region[0]).toEqual([0, 1, 2, 3, 9, 10, 11, 18, 19]);
+    expect(geometry.houses[18 + 1].cells).toEqual([4, 5, 12, 13, 14, 20, 21, 22, 23]);
+    expect(geometry.peers[3]).toContain(19);
+    expect(geometry.peers[3]).not.toContain(13);
+    expect(geometry.toJSON()).toEqual({ size: 9, boxRows: 3, boxCols: 3, regions });
+
+    // Regions matching the boxes are not jigsaw regions.
+    const boxes = [...Array(81).keys()].map((ci) => SudokuGeometry.standard.cellRegion(ci));
+    expect(SudokuGeometry.of({ regions: boxes })).toBe(SudokuGeometry.standard);
+  });
+
+  test('are validated', () => {
+    expect(() => SudokuGeometry.of({ regions: regions.slice(1) })).toThrow('Invalid size');
+    expect(() => SudokuGeometry.of({ size: 9, regions: regions.slice(9) })).toThrow('Invalid regions for size 9');
+    expect(() => SudokuGeometry.of({ regions: regions.map((reg) => reg + 1) })).toThrow('Invalid regions for size 9');
+
+    const unequal = [...regions];
+    unequal[0] = 1;
+    expect(() => SudokuGeometry.of({ regions: unequal })).toThrow('region 0 has 8 cells, expected 9.');
+
+    const disconnected = [...regions];
+    [disconnected[3], disconnected[4]] = [disconnected[4], disconnected[3]];
+    [disconnected[0], disconnected[8]] = [disconnected[8], disconnected[0]];
+    expect(() => SudokuGeometry.of({ regions: disconnected })).toThrow('is not connected.');
+  });
+
+  test('solve by the region map', () => {
+    const puzzle = new Sudoku(jigsawPuzzle.puzzle, { regions });
+    expect(puzzle.isValid()).toBe(true);
+    expect(puzzle.hasUniqueSolution()).toBe(true);
+    expect(puzzle.solve()).toBe(true);
+    expect(puzzle.toString()).toBe(jigsawPuzzle.solution);
+    expect(puzzle.regionVals(1).map((val) => Math.log2(val) + 1).sort()).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+    // The clues break the standard regions.
+    expect(new Sudoku(jigsawPuzzle.puzzle).isValid()).toBe(false);
+    expect(new Sudoku(jigsawPuzzle.puzzle, { regions }).solveLogically().solved).toBe(true);
+  });
+
+  test('fill regions from the region map', () => {
+    const sudoku = new Sudoku([], { regions });
+    sudoku.fillRegion(2);
+    expect(sudoku.numClues).toBe(0);
+    expect(sudoku.board.flatMap((digit, ci) => (digit > 0) ? [ci] : []))
+      .toEqual(sudoku.geometry.indicesFor.region[2]);
+    expect(sudoku.isRegionValid(2)).toBe(true);
+    expect(sudoku.isRegionFull(2)).toBe(true);
+  });
+
+  test('generate configs and puzzles', () => {
+    const config = Sudoku.generateConfig({ regions });
+    expect(config.geometry).toBe(SudokuGeometry.of({ regions }));
+    expect(config.isConfig()).toBe(true);
+
+    const [{ puzzle }] = Sudoku.generate({ numClues: 32, config });
+    expect(puzzle.geometry).toBe(config.geometry);
+    expect(puzzle.numClues).toBe(32);
+    expect(puzzle.hasUniqueSolution()).toBe(true);
+  });
+
+  test('move with transformations', () => {
+    const puzzle = new Sudoku(jigsawPuzzle.solution, { regions });
+    puzzle.rotate90();
+    expect(puzzle.isConfig()).toBe(true);
+    expect(puzzle.geometry.cellRegion(8)).toBe(0);
+    puzzle.rotate90();
+    puzzle.rotate90();
+    puzzle.rotate90();
+    expect(puzzle.geometry).toBe(SudokuGeometry.of({ regions }));
+    expect(puzzle.toString()).toBe(jigsawPuzzle.solution);
+
+    [
+      () => puzzle.reflectOverHorizontal(),
+      () => puzzle.reflectOverVertical(),
+      () => puzzle.reflectOverDiagonal(),
+      () => puzzle.reflectOverAntidiagonal()
+    ].forEach((reflect) => {
+      reflect();
+      expect(puzzle.geometry.isJigsaw).toBe(true);
+      expect(puzzle.isConfig()).toBe(true);
+      reflect();
+    });
+    expect(puzzle.geometry).toBe(SudokuGeometry.of({ regions }));
+    expect(puzzle.toString()).toBe(jigsawPuzzle.solution);
+  });
+
+  test('are only reflected and rotated by random transforms', () => {
+    const puzzle = new Sudoku(jigsawPuzzle.solution, { regions });
+    const spec = puzzle.randomTransform(() => 0.25);
+    expect(spec.rows).toEqual([...Array(9).keys()]);
+    expect(spec.transpose).toBe(true);
+    expect(puzzle.isConfig()).toBe(true);
+    expect(puzzle.untransform(spec).geometry).toBe(SudokuGeometry.of({ regions }));
+    expect(puzzle.toString()).toBe(jigsawPuzzle.solution);
+    expect(() => puzzle.transform({ cols: [1, 0, 2, 3, 4, 5, 6, 7, 8] })).toThrow('Invalid transform');
+  });
+
+  test('round-trip through JSON and draw region borders', () => {
+    const puzzle = new Sudoku(jigsawPuzzle.puzzle, { regions });
+    const parsed = Sudoku.fromJSON(JSON.stringify(puzzle));
+    expect(parsed.geometry).toBe(puzzle.geometry);
+    expect(parsed.toString()).toBe(jigsawPuzzle.puzzle);
+
+    expect(puzzle.toFullString().split('\n').slice(0, 4)).toEqual([
+      '  3   .   .   . | 4   1 | 7   .   .   ',
+      '            +---+       |            ',
+      '  .   .   . | .   .   . | 9   2   .   ',
+      '        +---+           +---+        '
+    ]);
+  });
+});
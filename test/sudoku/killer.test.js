@@ -0,0 +1,124 @@
+import { Sudoku, SudokuGeometry } from '../../index.js';
+
+const killer4x4 = {
+  cages: [
+    { sum: 7, cells: [6, 10, 14] },
+    { sum: 8, cells: [2, 3, 7] },
+    { sum: 9, cells: [1, 4, 5] },
+    { sum: 9, cells: [8, 12, 13] },
+    { sum: 1, cells: [9] },
+    { sum: 1, cells: [0] },
+    { sum: 2, cells: [11] },
+    { sum: 3, cells: [15] }
+  ],
+  solution: '1234432131422413'
+};
+
+describe('killer cages', () => {
+  test('are validated', () => {
+    expect(() => new Sudoku([], { cages: [{ sum: 3, cells: [0, 1] }] })).not.toThrow();
+    expect(() => new Sudoku([], { cages: [{ sum: 2, cells: [0, 1] }] })).toThrow('Invalid cage');
+    expect(() => new Sudoku([], { cages: [{ sum: 18, cells: [0, 1] }] })).toThrow('Invalid cage');
+    expect(() => new Sudoku([], { cages: [{ sum: 3, cells: [0, 81] }] })).toThrow('Invalid cage');
+    expect(() => new Sudoku([], { cages: [{ sum: 3, cells: [0, 0] }] })).toThrow('Invalid cage');
+    expect(() => new Sudoku([], {
+      cages: [{ sum: 3, cells: [0, 1] }, { sum: 3, cells: [1, 2] }]
+    })).toThrow('Invalid cage');
+    expect(() => new Sudoku([], { cages: [{ sum: 55, cells: [...Array(10).keys()] }] })).toThrow('Invalid cage');
+  });
+
+  test('are part of validity and peers', () => {
+    const sudoku = new Sudoku([], { cages: [{ sum: 5, cells: [0, 40] }] });
+    expect(sudoku.getPeers(0)).toContain(40);
+    sudoku.setDigit(2, 0);
+    expect(sudoku.isValid()).toBe(true);
+    sudoku.setDigit(2, 40);
+    expect(sudoku.isValid()).toBe(false);
+    sudoku.setDigit(4, 40);
+    expect(sudoku.isValid()).toBe(false);
+    sudoku.setDigit(3, 40);
+    expect(sudoku.isValid()).toBe(true);
+  });
+
+  test('propagate sums through candidates', () => {
+    const puzzle = new Sudoku([], { size: 4, cages: killer4x4.cages });
+    expect(puzzle.numClues).toBe(0);
+    expect(puzzle.solutionsFlag()).toBe(1);
+    expect(puzzle.solve()).toBe(true);
+    expect(puzzle.toString()).toBe(killer4x4.solution);
+
+    expect(new Sudoku([], { size: 4, cages: killer4x4.cages.slice(0, 4) }).solutionsFlag()).toBe(2);
+  });
+
+  test('generate unique puzzles with no given digits', () => {
+    const solution = Sudoku.generateConfig();
+    const puzzle = Sudoku.generateKiller({ config: solution, maxCageSize: 4 });
+    expect(puzzle.numClues).toBe(0);
+    puzzle.cages.forEach(({ sum, cells }) => {
+      expect(cells.length).toBeLessThanOrEqual(4);
+      expect(cells.reduce((acc, ci) => acc + solution.getDigit(ci), 0)).toBe(sum);
+    });
+    expect(puzzle.cages.flatMap(({ cells }) => cells).sort((a, b) => a - b)).toEqual([...Array(81).keys()]);
+    expect(puzzle.hasUniqueSolution()).toBe(true);
+    expect(puzzle.solve()).toBe(true);
+    expect(puzzle.toString()).toBe(solution.toString());
+  });
+
+  test('generate on other board sizes', () => {
+    const solution = Sudoku.generateConfig({ size: 6 });
+    const puzzle = Sudoku.generateKiller({ config: solution });
+    expect(puzzle.geometry).toBe(SudokuGeometry.of({ size: 6 }));
+    expect(puzzle.solve()).toBe(true);
+    expect(puzzle.toString()).toBe(solution.toString());
+  });
+
+  test('generate reproducibly from a seed', () => {
+    const puzzle = Sudoku.generateKiller({ seed: 'killer', maxCageSize: 4 });
+    expect(Sudoku.generateKiller({ seed: 'killer', maxCageSize: 4 }).cages).toEqual(puzzle.cages);
+  });
+
+  test('validate the maximum cage size', () => {
+    expect(() => Sudoku.generateKiller({ maxCageSize: 0 })).toThrow('Invalid maxCageSize: 0');
+    expect(() => Sudoku.generateKiller({ maxCageSize: 2.5 })).toThrow('Invalid maxCageSize: 2.5');
+    expect(() => Sudoku.generateKiller({ maxCageSize: '3' })).toThrow('Invalid maxCageSize: 3');
+  });
+
+  test('are not rated or hinted, as the logical techniques ignore them', () => {
+    const puzzle = Sudoku.generateKiller({ seed: 1 });
+    expect(() => puzzle.rate()).toThrow('Cannot rate a board with cages.');
+    expect(() => puzzle.solveLogically()).toThrow('Cannot logically solve a board with cages.');
+    expect(() => puzzle.nextHint()).toThrow('Cannot find a hint for a board with cages.');
+  });
+
+  test('round-trip through JSON', () => {
+    const puzzle = new Sudoku('1...............', { size: 4, cages: killer4x4.cages });
+    const parsed = Sudoku.fromJSON(JSON.stringify(puzzle));
+    expect(parsed.toString()).toBe(puzzle.toString());
+    expect(parsed.geometry).toBe(puzzle.geometry);
+    expect(parsed.cages).toEqual(killer4x4.cages);
+    expect(Sudoku.fromJSON(puzzle.toJSON()).cages).toEqual(killer4x4.cages);
+
+    const standard = Sudoku.fromJSON({ board: '.'.repeat(81) });
+    expect(standard.cages).toEqual([]);
+    expect(standard.toJSON()).toEqual({ board: '.'.repeat(81) });
+  });
+
+  test('move with transformations', () => {
+    const puzzle = new Sudoku([], { cages: [{ sum: 3, cells: [0, 1] }] });
+    puzzle.rotate90();
+    expect(puzzle.cages[0].cells.sort((a, b) => a - b)).toEqual([8, 17]);
+    puzzle.reflectOverHorizontal();
+    expect(puzzle.cages[0].cells.sort((a, b) => a - b)).toEqual([71, 80]);
+    expect(() => puzzle.shuffleDigits()).toThrow('Cannot shuffle the digits of a board with cages.');
+  });
+
+  test('keep their sums under random transforms', () => {
+    const puzzle = new Sudoku([], { size: 4, cages: killer4x4.cages });
+    const spec = puzzle.randomTransform(() => 0.75);
+    expect(spec.digits).toEqual([1, 2, 3, 4]);
+    expect(puzzle.solve()).toBe(true);
+    expect(puzzle.cages.every(({ sum, cells }) => cells.reduce((acc, ci) => acc + puzzle.getDigit(ci), 0) === sum)).toBe(true);
+    expect(() => puzzle.transform({ digits: [2, 1, 3, 4] })).toThrow('Cannot relabel the digits of a board with cages.');
+    expect(puzzle.untransform(spec).cages).toEqual(new Sudoku([], { size: 4, cages: killer4x4.cages }).cages);
+  });
+});
@@ -0,0 +1,139 @@
+import {
+  LogicalSolver,
+  Sudoku,
+  SudokuGeometry,
+  defineVariant,
+  getVariant
+} from '../../index.js';
+
+// Unique under their variant, but with multiple solutions as plain Sudoku.
+const diagonalPuzzle = {
+  puzzle: '16..5..2......2..3.28.4..7.......2.....6....9....7....4.9...68....59.......2.....',
+  solution: '164753928975812463328946571697381254843625719512479836459137682236598147781264395'
+};
+const antiKnightPuzzle = {
+  puzzle: '.38..6......79..3......81.9.....4...4....7.6.....6........3..1...45....3...4.1...',
+  solution: '938216574142795836567348129386124795421957368759863241895632417214579683673481952'
+};
+
+describe('variants', () => {
+  test('add houses and peers to the geometry', () => {
+    const diagonal = SudokuGeometry.of({ variants: ['diagonal'] });
+    expect(diagonal.variants).toEqual(['diagonal']);
+    expect(diagonal.houses.slice(27).map(({ type, index }) => `${type} ${index}`)).toEqual(['diagonal 0', 'diagonal 1']);
+    expect(diagonal.houses[27].cells).toEqual([0, 10, 20, 30, 40, 50, 60, 70, 80]);
+    expect(diagonal.cellHouses[40]).toEqual([4, 13, 22, 27, 28]);
+    expect(diagonal.peers[0]).toContain(80);
+    expect(diagonal.minClues).toBe(0);
+
+    const windoku = SudokuGeometry.of({ variants: ['windoku'] });
+    expect(windoku.houses.slice(27).map(({ cells }) => cells[0])).toEqual([10, 14, 46, 50]);
+    expect(windoku.houses[27].cells).toEqual([10, 11, 12, 19, 20, 21, 28, 29, 30]);
+
+    const antiKnight = SudokuGeometry.of({ variants: ['anti-knight'] });
+    expect(antiKnight.houses.length).toBe(27);
+    expect(antiKnight.variantPeers[0]).toEqual([11, 19]);
+    expect(antiKnight.peers[0]).toContain(11);
+
+    const antiKing = SudokuGeometry.of({ size: 6, variants: ['anti-king'] });
+    expect(antiKing.variantPeers[7]).toEqual([0, 1, 2, 6, 8, 12, 13, 14]);
+  });
+
+  test('are part of the geometry identity', () => {
+    expect(SudokuGeometry.of({ variants: ['diagonal', 'anti-king'] }))
+      .toBe(SudokuGeometry.of({ variants: ['anti-king', 'diagonal', 'diagonal'] }));
+    expect(SudokuGeometry.of({ variants: ['diagonal'] }).equals(SudokuGeometry.standard)).toBe(false);
+    expect(SudokuGeometry.of({ variants: ['diagonal'] }).isStandard).toBe(false);
+    expect(SudokuGeometry.of({ variants: ['windoku'] }).toJSON())
+      .toEqual({ size: 9, boxRows: 3, boxCols: 3, variants: ['windoku'] });
+    expect(() => SudokuGeometry.of({ variants: ['nope'] })).toThrow('Unknown variant: nope');
+  });
+
+  test('custom variants', () => {
+    const centerDot = defineVariant({
+      name: 'center-dot',
+      houses: ({ size, boxRows, boxCols }) => [
+        Array.from({ length: size }, (_, reg) => {
+          const row = ((reg / (size / boxCols)) | 0) * boxRows + ((boxRows / 2) | 0);
+          const col = (reg % (size / boxCols)) * boxCols + ((boxCols / 2) | 0);
+          return row * size + col;
+        })
+      ]
+    });
+    expect(getVariant('center-dot')).toBe(centerDot);
+    expect(() => defineVariant({ name: 'center-dot' })).toThrow('Variant already defined: center-dot');
+    expect(() => defineVariant({ name: 'bad', houses: [] })).toThrow('must be functions');
+    expect(() => SudokuGeometry.of({ variants: [{ name: 'out-of-bounds', houses: () => [[0, 81]] }] }))
+      .toThrow('Invalid out-of-bounds house: 0,81');
+
+    const config = Sudoku.generateConfig({ variants: ['center-dot'] });
+    expect(config.isSolved()).toBe(true);
+    const centers = config.geometry.houses[27].cells.map((ci) => config.getDigit(ci));
+    expect(new Set(centers).size).toBe(9);
+  });
+
+  test('honored by validation', () => {
+    const solution = new Sudoku(diagonalPuzzle.solution, { variants: ['diagonal'] });
+    expect(solution.isSolved()).toBe(true);
+
+    // A standard config repeats digits on the diagonals.
+    const config = new Sudoku('218574639573896124469123578721459386354681792986237415147962853695318247832745961');
+    expect(config.isSolved()).toBe(true);
+    expect(new Sudoku(config.board, { variants: ['diagonal'] }).isValid()).toBe(false);
+    expect(new Sudoku(config.board, { variants: ['anti-king'] }).isValid()).toBe(false);
+
+    // Knight's move apart.
+    const board = Array(81).fill(0);
+    board[2] = 5;
+    board[13] = 5;
+    expect(new Sudoku(board).isValid()).toBe(true);
+    expect(new Sudoku(board, { variants: ['anti-knight'] }).isValid()).toBe(false);
+  });
+
+  test.each([
+    ['diagonal', diagonalPuzzle],
+    ['anti-knight', antiKnightPuzzle]
+  ])('honored by solving (%s)', (variant, { puzzle, solution }) => {
+    expect(new Sudoku(puzzle).hasUniqueSolution()).toBe(false);
+
+    const sudoku = new Sudoku(puzzle, { variants: [variant] });
+    expect(sudoku.hasUniqueSolution()).toBe(true);
+    expect(sudoku.solve()).toBe(true);
+    expect(sudoku.toString()).toBe(solution);
+
+    // The logical solver never contradicts the solution.
+    const { board } = new LogicalSolver(new Sudoku(puzzle, { variants: [variant] })).solve();
+    board.forEach((digit, ci) => {
+      if (digit > 0) {
+        expect(digit).toBe(Number(solution[ci]));
+      }
+    });
+  });
+
+  test('hints name variant houses', () => {
+    const sudoku = new Sudoku(
+      '..6.891.2......8..8....296..67.2..8.3......7....7....6...21.6..13..6752862.8..7..',
+      { variants: ['diagonal'] }
+    );
+    const hint = sudoku.nextHint();
+    expect(hint.technique).toBe('hidden-single');
+    expect(hint.houses).toEqual([{ type: 'diagonal', index: 0 }]);
+    expect(hint.explanations).toEqual([
+      'Look at diagonal 1.',
+      'Look for a Hidden Single in diagonal 1.',
+      'r6c6 must be 8, since it is the only place for 8 in diagonal 1.'
+    ]);
+  });
+
+  test.each([['diagonal'], ['anti-king']])('generates puzzles (%s)', (variant) => {
+    const { puzzle } = Sudoku.generate({ numClues: 24, variants: [variant] })[0];
+    expect(puzzle.geometry.variants).toEqual([variant]);
+    expect(puzzle.numClues).toBe(24);
+    expect(puzzle.hasUniqueSolution()).toBe(true);
+
+    const solution = new Sudoku(puzzle);
+    expect(solution.solve()).toBe(true);
+    expect(solution.isSolved()).toBe(true);
+    expect(puzzle.board.every((digit, ci) => digit === 0 || digit === solution.board[ci])).toBe(true);
+  });
+});
@@ -1,4 +1,5 @@
 import {
+  createRng,
   range,
   shuffle,
   swap,
@@ -66,6 +67,10 @@ describe('array utilities', () => {
         expect(arr).toHaveLength(originalArr.length);
         expect(arr).toEqual(expect.arrayContaining(originalArr));
       });
+
+      test('shuffles the same way for the same seed', () => {
+        expect(shuffle(range(50), createRng(1))).toEqual(shuffle(range(50), createRng(1)));
+      });
     });
   });
 
@@ -0,0 +1,35 @@
+import * as subject from '../../src/util/bytes.js';
+
+describe('bigintToBytes', () => {
+  test('writes big-endian with as few bytes as possible', () => {
+    expect(subject.bigintToBytes(0n)).toEqual(Uint8Array.from([0]));
+    expect(subject.bigintToBytes(255n)).toEqual(Uint8Array.from([255]));
+    expect(subject.bigintToBytes(256n)).toEqual(Uint8Array.from([1, 0]));
+    expect(() => subject.bigintToBytes(-1n)).toThrow('Expected a non-negative bigint, got -1.');
+  });
+
+  test('round-trips through bytesToBigint', () => {
+    [0n, 1n, 0x1234n, (1n << 81n) - 1n, 6670903752021072936960n].forEach((value) => {
+      expect(subject.bytesToBigint(subject.bigintToBytes(value))).toBe(value);
+    });
+  });
+});
+
+describe('base64url', () => {
+  test('uses the URL-safe alphabet without padding', () => {
+    expect(subject.toBase64Url(Uint8Array.from([0xfb, 0xff]))).toBe('-_8');
+    expect(subject.toBase64Url(new Uint8Array())).toBe('');
+    expect(subject.fromBase64Url('-_8')).toEqual(Uint8Array.from([0xfb, 0xff]));
+    expect(subject.fromBase64Url('-_8=')).toEqual(Uint8Array.from([0xfb, 0xff]));
+  });
+
+  test('round-trips every byte value', () => {
+    const bytes = Uint8Array.from({ length: 256 }, (_, i) => i);
+    expect(subject.fromBase64Url(subject.toBase64Url(bytes))).toEqual(bytes);
+  });
+
+  test('rejects invalid strings', () => {
+    expect(() => subject.fromBase64Url('ab+c')).toThrow('Invalid base64url string: ab+c');
+    expect(() => subject.fromBase64Url('abcde')).toThrow('Invalid base64url string: abcde');
+  });
+});
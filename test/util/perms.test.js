@@ -1,5 +1,5 @@
 import * as subject from '../../src/util/perms.js';
-import { range } from '../../index.js';
+import { createRng, range } from '../../index.js';
 
 const combos = [
   null,
@@ -483,4 +483,11 @@ describe('randomBigInt', () => {
       expect(bigRand < UPPERBOUND, `randomBigInt(${UPPERBOUND}) expected ${bigRand} < ${UPPERBOUND}`).toBe(true);
     }
   });
+
+  test('is reproducible with a seeded rng', () => {
+    const upperBound = subject.factorial(30);
+    expect(subject.randomBigInt(upperBound, createRng('perms')))
+      .toBe(subject.randomBigInt(upperBound, createRng('perms')));
+    expect(subject.randomCombo(81, 17, createRng(3))).toEqual(subject.randomCombo(81, 17, createRng(3)));
+  });
 });
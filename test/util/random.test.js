@@ -0,0 +1,50 @@
+import * as subject from '../../src/util/random.js';
+
+describe('createRng', () => {
+  test('produces the same sequence for the same seed', () => {
+    const a = subject.createRng(42);
+    const b = subject.createRng(42);
+    const c = subject.createRng('42x');
+    const seqA = Array.from({ length: 100 }, () => a());
+    expect(Array.from({ length: 100 }, () => b())).toEqual(seqA);
+    expect(Array.from({ length: 100 }, () => c())).not.toEqual(seqA);
+  });
+
+  test('produces numbers in [0,1)', () => {
+    const rng = subject.createRng('range');
+    for (let n = 0; n < 1000; n++) {
+      const x = rng();
+      expect(x >= 0 && x < 1, `expected ${x} in [0,1)`).toBe(true);
+    }
+  });
+
+  test('clones continue from the same state independently', () => {
+    const rng = subject.createRng(7);
+    rng();
+    const clone = rng.clone();
+    const expected = [rng(), rng(), rng()];
+    expect([clone(), clone(), clone()]).toEqual(expected);
+  });
+
+  test('throws for invalid seeds', () => {
+    expect(() => subject.createRng({})).toThrow('Invalid seed');
+    expect(() => subject.createRng(NaN)).toThrow('Invalid seed');
+  });
+});
+
+describe('resolveRng', () => {
+  test('prefers rng, then seed, then Math.random', () => {
+    const rng = () => 0.5;
+    expect(subject.resolveRng({ seed: 1, rng })).toBe(rng);
+    expect(subject.resolveRng({ seed: 1 })()).toBe(subject.createRng(1)());
+    expect(subject.resolveRng()).toBe(Math.random);
+    expect(subject.cloneRng(Math.random)).toBe(Math.random);
+  });
+});
+
+describe('randInt', () => {
+  test('generates integers in [0,max)', () => {
+    expect(subject.randInt(10, () => 0)).toBe(0);
+    expect(subject.randInt(10, () => 0.999)).toBe(9);
+  });
+});
@@ -0,0 +1,68 @@
+import { jest } from '@jest/globals';
+import { EventBus } from '../../index.js';
+import * as subject from '../../src/util/steps.js';
+
+/** Counts to `n`, yielding the count so far and busy-waiting a little between steps. */
+function* countTo(n, stepMs = 0) {
+  const progress = { count: 0 };
+  for (let i = 0; i < n; i++) {
+    const start = Date.now();
+    while (Date.now() - start < stepMs);
+    progress.count++;
+    yield progress;
+  }
+  return progress.count;
+}
+
+describe('runSteps', () => {
+  test('runs the steps to completion and returns their result', () => {
+    expect(subject.runSteps(countTo(1000))).toBe(1000);
+    expect(subject.runSteps(countTo(0))).toBe(0);
+  });
+});
+
+describe('runStepsAsync', () => {
+  test('resolves with the result and reports progress', async () => {
+    const onProgress = jest.fn();
+    const eventBus = new EventBus();
+    const listener = jest.fn();
+    eventBus.registerEventListener(subject.PROGRESS_EVENT, listener);
+
+    await expect(subject.runStepsAsync(countTo(10, 5), { onProgress, eventBus })).resolves.toBe(10);
+    expect(onProgress.mock.calls.length).toBeGreaterThan(1);
+    expect(listener).toHaveBeenCalledTimes(onProgress.mock.calls.length);
+    const last = onProgress.mock.calls[onProgress.mock.calls.length - 1][0];
+    expect(last.count).toBe(10);
+    expect(last.timeElapsedMs).toBeGreaterThanOrEqual(0);
+    expect(listener.mock.calls[0][0].data).toEqual(onProgress.mock.calls[0][0]);
+  });
+
+  test('yields to the event loop', async () => {
+    let ticked = false;
+    setTimeout(() => ticked = true, 0);
+    const promise = subject.runStepsAsync(countTo(10, 5), {
+      toProgress: ({ count }) => ({ count, ticked })
+    });
+    expect(ticked).toBe(false);
+    await promise;
+    expect(ticked).toBe(true);
+  });
+
+  test('stops when the signal is aborted', async () => {
+    const steps = countTo(1000, 5);
+    const controller = new AbortController();
+    const promise = subject.runStepsAsync(steps, {
+      signal: controller.signal,
+      onProgress: ({ count }) => {
+        if (count >= 5) {
+          controller.abort(new Error('Stopped'));
+        }
+      }
+    });
+    await expect(promise).rejects.toThrow('Stopped');
+    expect(steps.next().done).toBe(true);
+
+    const aborted = AbortSignal.abort(new Error('Already stopped'));
+    await expect(subject.runStepsAsync(countTo(10), { signal: aborted })).rejects.toThrow('Already stopped');
+  });
+});